@@ -0,0 +1,40 @@
+import { fileURLToPath } from 'node:url';
+import { expect, test } from '@playwright/test';
+
+const ORDERS_CSV = fileURLToPath(new URL('./fixtures/orders.csv', import.meta.url));
+
+// One analysis all the way through: sign in with the local provider, answer
+// every step, attach a data file, skip sharing, submit, and wait for the stand-in API to
+// finish the job (about 8 seconds).
+test('a new analysis can be submitted and followed to its results', async ({ page }) => {
+  await page.goto('/');
+  await expect(page).toHaveURL(/\/signin$/);
+  await page.getByRole('textbox', { name: 'Name' }).fill('Smoke Tester');
+  await page.getByRole('textbox', { name: 'Email' }).fill('smoke@example.com');
+  await page.getByRole('button', { name: 'Sign in' }).click();
+
+  await expect(page.getByRole('heading', { name: 'Welcome to P-Y25' })).toBeVisible();
+
+  await page.getByRole('textbox', { name: 'Project name' }).fill('Smoke test');
+  await page.getByRole('button', { name: 'Send' }).click();
+
+  const description = page.getByRole('textbox', { name: 'Analysis description' });
+  await expect(description).toBeFocused();
+  await description.fill('Find out why monthly churn rate went up in Q1 2024 using the CRM export');
+  await page.getByRole('button', { name: 'Send' }).click();
+
+  await page.getByLabel(/drag and drop your files/i).setInputFiles(ORDERS_CSV);
+  await expect(page.getByText('Uploaded')).toBeVisible();
+  await page.getByRole('button', { name: 'Next' }).click();
+
+  await expect(page.getByRole('textbox', { name: 'Share with' })).toBeVisible();
+  await page.getByRole('button', { name: 'SKIP' }).click();
+
+  await expect(page.getByText('Smoke test')).toBeVisible();
+  await expect(page.getByText('orders.csv')).toBeVisible();
+  await page.getByRole('button', { name: 'DONE' }).click();
+
+  await expect(page).toHaveURL(/\/analyses\/[^/]+$/);
+  await expect(page.getByRole('heading', { name: 'Your analysis is ready' })).toBeVisible({ timeout: 30000 });
+  await expect(page.getByRole('heading', { name: 'Results' })).toBeVisible();
+});
@@ -31,4 +31,11 @@ export default [
     },
     "no-unused-vars":0
   },
+  {
+    // Mock API, build config and end-to-end tests run in Node, not the browser
+    files: ['mock/**/*.js', 'vite.config.js', 'playwright.config.js', 'e2e/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
@@ -0,0 +1,67 @@
+import { sendJson } from './http.js';
+
+// Who may do what with an analysis. The same table as src/sharing, so the UI
+// only offers what the server would allow:
+//
+//   viewer  read it with its results and comments, and comment
+//   editor  also change its name and description
+//   owner   also choose who it is shared with, and how
+export const ROLES = ['viewer', 'editor', 'owner'];
+
+const REQUIRED_ROLE = {
+  view: 'viewer',
+  comment: 'viewer',
+  edit: 'editor',
+  share: 'owner',
+};
+
+export const can = (role, action) => ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(REQUIRED_ROLE[action]);
+
+// Collaborator lists hold emails lowercased; anything compared with them
+// goes through this first
+export const emailKey = (email = '') => email.trim().toLowerCase();
+
+// `user`'s role on `analysis`, or undefined when it isn't shared with them.
+// With sign-in turned off (MOCK_AUTH=false) there is no user and everyone
+// owns everything.
+export const roleOf = (analysis, user) => {
+  if (!user) return 'owner';
+  return analysis.collaborators?.find(({ email }) => email === emailKey(user.email))?.role;
+};
+
+// The analysis as `user` gets it back: with their `role` on it
+export const withRole = (analysis, user) => ({ ...analysis, role: roleOf(analysis, user) });
+
+// `analysis` if `user` may do `action` with it. Otherwise answers for the
+// handler and returns undefined: 404 when it isn't shared with them at all,
+// so its existence isn't given away, and 403 when their role isn't enough.
+export const authorize = (res, analysis, user, action) => {
+  const role = analysis && roleOf(analysis, user);
+  if (!role) {
+    sendJson(res, 404, { message: 'Analysis not found' });
+    return undefined;
+  }
+  if (!can(role, action)) {
+    sendJson(res, 403, { message: `Your role on this analysis (${role}) doesn't allow that` });
+    return undefined;
+  }
+  return analysis;
+};
+
+const EMAIL = /^[^\s@]+@[^\s@]+$/;
+
+// Check a list of { email, role } as clients send it. Emails are lowercased,
+// and each may appear once (as src/sharing's rules require). Returns
+// { collaborators } or { error } saying what is wrong.
+export const parseCollaborators = (list) => {
+  if (!Array.isArray(list)) return { error: 'Collaborators must be a list of { email, role }' };
+  const byEmail = new Map();
+  for (const item of list) {
+    const email = typeof item?.email === 'string' ? emailKey(item.email) : '';
+    if (!EMAIL.test(email)) return { error: `${item?.email ?? ''} is not a valid email address` };
+    if (!ROLES.includes(item.role)) return { error: `${item.role} is not a role; use one of ${ROLES.join(', ')}` };
+    if (byEmail.has(email)) return { error: `${email} is on the list more than once` };
+    byEmail.set(email, { email, role: item.role });
+  }
+  return { collaborators: [...byEmail.values()] };
+};
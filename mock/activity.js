@@ -0,0 +1,34 @@
+import { emailKey } from './access.js';
+
+// What happens to analyses over time, and who hears about it. Jobs have no
+// timers (see jobs.js), so status changes are noticed whenever an analysis is
+// read; that read tells everyone it is shared with.
+export const createActivity = ({ db, jobs }) => {
+  // One notification per collaborator, leaving out `except` (an email),
+  // usually whoever caused it
+  const notify = (analysis, notification, { except, only } = {}) => {
+    (analysis.collaborators || [])
+      .map(({ email }) => email)
+      .filter(email => email !== emailKey(except) && (!only || only.includes(email)))
+      .forEach(recipient => db.notifications.insert({
+        ...notification,
+        recipient,
+        analysisId: analysis.id,
+        projectName: analysis.projectName,
+        read: false,
+      }));
+  };
+
+  // An analysis with its job status brought up to date
+  const current = (id) => {
+    const analysis = db.analyses.get(id);
+    if (!analysis) return undefined;
+    const advanced = jobs.advance(analysis);
+    if (advanced === analysis) return analysis;
+    const updated = db.analyses.update(id, advanced);
+    if (updated.status !== analysis.status) notify(updated, { type: 'status', status: updated.status });
+    return updated;
+  };
+
+  return { current, notify };
+};
@@ -0,0 +1,106 @@
+import { createHash, randomBytes } from 'node:crypto';
+
+// Sessions for the stand-in identity provider (routes/auth.js). Tokens are
+// opaque random strings kept in memory; anyone can sign in as anyone.
+
+const token = () => randomBytes(24).toString('base64url');
+
+const sha256 = (text) => createHash('sha256').update(text).digest('base64url');
+
+// The same email always gets the same user id
+export const userFor = ({ name, email }) => ({
+  id: `user-${sha256(email.trim().toLowerCase()).slice(0, 12)}`,
+  name: name.trim(),
+  email: email.trim().toLowerCase(),
+});
+
+// Seconds a stream ticket lasts
+const TICKET_TTL = 30;
+
+// `tokenTtl` is how long an access token lasts, in seconds. Refresh tokens
+// last until they are used or revoked.
+export const createAuth = ({ tokenTtl = 3600 } = {}) => {
+  const accessTokens = new Map();
+  const refreshTokens = new Map();
+  const codes = new Map();
+  const tickets = new Map();
+
+  // An OAuth token response for `user`
+  const issue = (user, clientId) => {
+    const access = token();
+    const refresh = token();
+    accessTokens.set(access, { user, clientId, expiresAt: Date.now() + tokenTtl * 1000 });
+    refreshTokens.set(refresh, { user, clientId, access });
+    return {
+      access_token: access,
+      token_type: 'Bearer',
+      expires_in: tokenTtl,
+      refresh_token: refresh,
+      scope: 'openid profile email offline_access',
+    };
+  };
+
+  // The user behind a live access token, or undefined
+  const authenticate = (accessToken) => {
+    const session = accessTokens.get(accessToken);
+    if (!session) return undefined;
+    if (session.expiresAt <= Date.now()) {
+      accessTokens.delete(accessToken);
+      return undefined;
+    }
+    return session.user;
+  };
+
+  // Refresh tokens rotate: each one works once
+  const refresh = (refreshToken) => {
+    const session = refreshTokens.get(refreshToken);
+    if (!session) return undefined;
+    refreshTokens.delete(refreshToken);
+    accessTokens.delete(session.access);
+    return issue(session.user, session.clientId);
+  };
+
+  const revoke = (value) => {
+    const session = refreshTokens.get(value);
+    if (session) accessTokens.delete(session.access);
+    refreshTokens.delete(value);
+    accessTokens.delete(value);
+  };
+
+  // Authorization codes last a minute and work once
+  const createCode = (grant) => {
+    const code = token();
+    codes.set(code, { ...grant, expiresAt: Date.now() + 60 * 1000 });
+    return code;
+  };
+
+  // Trade a code for tokens, checking it against the PKCE verifier.
+  // Returns undefined when anything doesn't match.
+  const redeemCode = (code, { clientId, redirectUri, codeVerifier }) => {
+    const grant = codes.get(code);
+    codes.delete(code);
+    if (!grant || grant.expiresAt <= Date.now()) return undefined;
+    if (grant.clientId !== clientId || grant.redirectUri !== redirectUri) return undefined;
+    if (!codeVerifier || sha256(codeVerifier) !== grant.codeChallenge) return undefined;
+    return issue(grant.user, clientId);
+  };
+
+  // Stream tickets stand in for the access token where a request can't carry
+  // headers (EventSource). Each is good for one request to `path`, within
+  // TICKET_TTL, so one that turns up in a log is already spent.
+  const issueTicket = (user, path) => {
+    const ticket = token();
+    tickets.set(ticket, { user, path, expiresAt: Date.now() + TICKET_TTL * 1000 });
+    return { ticket, expires_in: TICKET_TTL };
+  };
+
+  // The user a ticket was issued to, if it is live and for `path`
+  const redeemTicket = (ticket, path) => {
+    const grant = tickets.get(ticket);
+    tickets.delete(ticket);
+    if (!grant || grant.expiresAt <= Date.now() || grant.path !== path) return undefined;
+    return grant.user;
+  };
+
+  return { issue, authenticate, refresh, revoke, createCode, redeemCode, issueTicket, redeemTicket };
+};
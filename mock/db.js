@@ -0,0 +1,72 @@
+import { randomUUID } from 'node:crypto';
+
+// In-memory store for the mock API. Everything resets when the server restarts.
+export const createDb = () => {
+  const analyses = new Map();
+  const uploads = new Map();
+  // "<user id> <Idempotency-Key header>" -> id of the analysis it created;
+  // keys only mean something for the user who sent them
+  const idempotencyKeys = new Map();
+  const scopedKey = (userId, key) => `${userId ?? ''} ${key}`;
+  const comments = new Map();
+  const notifications = new Map();
+
+  const insertInto = (map, record) => {
+    const item = {
+      id: randomUUID(),
+      createdAt: new Date().toISOString(),
+      ...record,
+    };
+    map.set(item.id, item);
+    return item;
+  };
+
+  return {
+    analyses: {
+      list: () => Array.from(analyses.values()),
+      get: (id) => analyses.get(id),
+      insert: (record) => insertInto(analyses, record),
+      update: (id, changes) => {
+        const current = analyses.get(id);
+        if (!current) return undefined;
+        const next = { ...current, ...changes, updatedAt: new Date().toISOString() };
+        analyses.set(id, next);
+        return next;
+      },
+      findByIdempotencyKey: (userId, key) => analyses.get(idempotencyKeys.get(scopedKey(userId, key))),
+      rememberIdempotencyKey: (userId, key, id) => idempotencyKeys.set(scopedKey(userId, key), id),
+    },
+    uploads: {
+      get: (id) => uploads.get(id),
+      insert: (record) => insertInto(uploads, record),
+      update: (id, changes) => {
+        const current = uploads.get(id);
+        if (!current) return undefined;
+        const next = { ...current, ...changes };
+        uploads.set(id, next);
+        return next;
+      },
+      remove: (id) => uploads.delete(id),
+    },
+    comments: {
+      // Oldest first, so replies come after what they answer
+      list: (analysisId) => Array.from(comments.values()).filter(comment => comment.analysisId === analysisId),
+      get: (id) => comments.get(id),
+      insert: (record) => insertInto(comments, record),
+    },
+    notifications: {
+      // Newest first
+      list: (recipient) => Array.from(notifications.values())
+        .filter(notification => notification.recipient === recipient)
+        .reverse(),
+      insert: (record) => insertInto(notifications, record),
+      update: (id, changes) => {
+        const current = notifications.get(id);
+        if (!current) return undefined;
+        const next = { ...current, ...changes };
+        notifications.set(id, next);
+        return next;
+      },
+    },
+  };
+};
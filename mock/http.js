@@ -0,0 +1,89 @@
+// Small request/response helpers for the mock API. Plain Node so the same
+// handlers run inside Vite's dev server and the standalone `npm run mock`.
+
+export const sendJson = (res, status, body, headers = {}) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  Object.entries(headers).forEach(([key, value]) => res.setHeader(key, value));
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+export const sendHtml = (res, status, html) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.end(html);
+};
+
+export const redirect = (res, location) => {
+  res.statusCode = 302;
+  res.setHeader('Location', location);
+  res.end();
+};
+
+export const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+export const readJson = async (req) => {
+  const body = await readBody(req);
+  if (!body.length) return {};
+  return JSON.parse(body.toString('utf8'));
+};
+
+// application/x-www-form-urlencoded, as HTML forms and OAuth token requests send it
+export const readForm = async (req) => {
+  const body = await readBody(req);
+  return Object.fromEntries(new URLSearchParams(body.toString('utf8')));
+};
+
+const parsePartHeaders = (raw) => {
+  const headers = {};
+  raw.split('\r\n').forEach(line => {
+    const index = line.indexOf(':');
+    if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+  });
+  return headers;
+};
+
+// Minimal multipart/form-data parser: good enough for the mock, not for production.
+// Returns { fields: { name: value | value[] }, files: [{ field, name, type, size, data }] }
+export const parseMultipart = (buffer, contentType = '') => {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  const fields = {};
+  const files = [];
+  if (!match) return { fields, files };
+
+  const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+  let start = buffer.indexOf(delimiter);
+  while (start !== -1) {
+    const partStart = start + delimiter.length;
+    // `--` after the delimiter marks the end of the body
+    if (buffer.slice(partStart, partStart + 2).toString() === '--') break;
+    const next = buffer.indexOf(delimiter, partStart);
+    if (next === -1) break;
+
+    const part = buffer.slice(partStart + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    const headers = parsePartHeaders(part.slice(0, headerEnd).toString('utf8'));
+    const data = part.slice(headerEnd + 4);
+    const disposition = headers['content-disposition'] || '';
+    const name = /name="([^"]*)"/.exec(disposition)?.[1];
+    const filename = /filename="([^"]*)"/.exec(disposition)?.[1];
+
+    if (filename !== undefined) {
+      files.push({ field: name, name: filename, type: headers['content-type'] || 'application/octet-stream', size: data.length, data });
+    } else if (name) {
+      const value = data.toString('utf8');
+      if (name in fields) {
+        fields[name] = [].concat(fields[name], value);
+      } else {
+        fields[name] = value;
+      }
+    }
+    start = next;
+  }
+  return { fields, files };
+};
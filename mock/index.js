@@ -0,0 +1,105 @@
+import { createDb } from './db.js';
+import { sendJson } from './http.js';
+import { createRouter } from './router.js';
+import { registerAnalysisRoutes } from './routes/analyses.js';
+import { registerUploadRoutes } from './routes/uploads.js';
+import { registerAuthRoutes } from './routes/auth.js';
+import { registerSharingRoutes } from './routes/sharing.js';
+import { registerNotificationRoutes } from './routes/notifications.js';
+import { createAuth } from './auth.js';
+import { createJobRunner } from './jobs.js';
+import { createActivity } from './activity.js';
+import { seedAnalyses } from './seed.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Connect-style middleware serving the mock API under `prefix`.
+//
+// Options:
+//   latency      artificial delay per request, in ms
+//   failureRate  0..1 chance of answering 503, to exercise client retries
+//   jobs         { queuedMs, runningMs }: how long simulated analyses take
+//   seed         start with a few sample analyses (default true)
+//   requireAuth  answer 401 outside /auth without a valid bearer token (default true)
+//   tokenTtl     access token lifetime in seconds, short to watch refreshes happen
+//
+// Any request can force a status with an `X-Mock-Status: 500` header.
+export const createMockApi = ({
+  prefix = '/api',
+  latency = 300,
+  failureRate = 0,
+  jobs: jobTimings,
+  seed = true,
+  requireAuth = true,
+  tokenTtl = 3600,
+} = {}) => {
+  const db = createDb();
+  const jobs = createJobRunner(jobTimings);
+  if (seed) seedAnalyses(db, jobs);
+  const activity = createActivity({ db, jobs });
+  const auth = createAuth({ tokenTtl });
+  const router = createRouter();
+  registerAuthRoutes(router, { auth, prefix });
+  registerAnalysisRoutes(router, { db, activity, auth });
+  registerSharingRoutes(router, { db, activity });
+  registerUploadRoutes(router, { db });
+  registerNotificationRoutes(router, { db, activity });
+
+  // EventSource can't set headers, so the event stream passes a single-use
+  // `ticket` for its path in the query string instead of the access token
+  const userOf = (req, path, query) => {
+    const header = /^Bearer (.+)$/i.exec(req.headers.authorization || '')?.[1];
+    if (header) return auth.authenticate(header);
+    return query.ticket ? auth.redeemTicket(query.ticket, path) : undefined;
+  };
+
+  const middleware = async (req, res, next) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== prefix && !url.pathname.startsWith(`${prefix}/`)) {
+      next?.();
+      return;
+    }
+    const path = url.pathname.slice(prefix.length) || '/';
+    const query = Object.fromEntries(url.searchParams);
+
+    try {
+      if (latency) await sleep(latency);
+
+      const forced = Number(req.headers['x-mock-status']);
+      if (forced >= 400) {
+        sendJson(res, forced, { message: `Mock forced a ${forced} response` });
+        return;
+      }
+      if (failureRate && Math.random() < failureRate) {
+        sendJson(res, 503, { message: 'Mock service temporarily unavailable' }, { 'Retry-After': '1' });
+        return;
+      }
+
+      const user = userOf(req, path, query);
+      if (requireAuth && !user && !path.startsWith('/auth/')) {
+        sendJson(res, 401, { message: 'Your session has expired. Please sign in again' }, { 'WWW-Authenticate': 'Bearer' });
+        return;
+      }
+
+      const handled = await router.handle(req, res, path, query, { user });
+      if (!handled) sendJson(res, 404, { message: `No mock route for ${req.method} ${path}` });
+    } catch (error) {
+      sendJson(res, 500, { message: error.message || 'Mock server error' });
+    }
+  };
+
+  middleware.db = db;
+  return middleware;
+};
+
+// Vite plugin: mounts the mock API on the dev and preview servers.
+export const mockApiPlugin = (options) => {
+  const mount = (server) => {
+    server.middlewares.use(createMockApi(options));
+  };
+  return {
+    name: 'nexabridge-mock-api',
+    configureServer: mount,
+    configurePreviewServer: mount,
+  };
+};
@@ -0,0 +1,93 @@
+// Simulated analysis jobs. There are no timers: each time an analysis is read
+// its status is worked out from how long ago it was created, so a job moves
+// queued -> running -> completed (or failed) on its own schedule.
+//
+// Put "[fail]" anywhere in the description to watch a job fail.
+
+export const TERMINAL_STATUSES = ['completed', 'failed'];
+
+const csvRow = (values) => values.map(value => `"${String(value).replace(/"/g, '""')}"`).join(',');
+
+const buildArtifacts = (analysis) => [
+  {
+    id: 'report',
+    name: `${analysis.projectName} report.md`,
+    type: 'text/markdown',
+    content: [
+      `# ${analysis.projectName}`,
+      '',
+      analysis.analysisDescription,
+      '',
+      `Files analysed: ${analysis.files.length}`,
+      ...analysis.files.map(file => `- ${file.name} (${file.size} bytes)`),
+    ].join('\n'),
+  },
+  {
+    id: 'inputs',
+    name: 'inputs.csv',
+    type: 'text/csv',
+    content: [csvRow(['name', 'type', 'size']), ...analysis.files.map(file => csvRow([file.name, file.type, file.size]))].join('\n'),
+  },
+];
+
+const buildResults = (analysis) => {
+  const totalBytes = analysis.files.reduce((sum, file) => sum + file.size, 0);
+  return {
+    summary: analysis.files.length > 0
+      ? `Looked at ${analysis.files.length} file(s), ${totalBytes} bytes in all, to answer: "${analysis.analysisDescription}".`
+      : `No files were attached, so this is based on the description alone: "${analysis.analysisDescription}".`,
+    tables: [
+      {
+        title: 'Input files',
+        columns: ['Name', 'Type', 'Size (bytes)'],
+        rows: analysis.files.map(file => [file.name, file.type, file.size]),
+      },
+    ],
+    artifacts: buildArtifacts(analysis).map(({ id, name, type, content }) => ({
+      id,
+      name,
+      type,
+      size: Buffer.byteLength(content),
+      url: `/analyses/${analysis.id}/artifacts/${id}`,
+    })),
+  };
+};
+
+export const artifactFor = (analysis, artifactId) => buildArtifacts(analysis).find(({ id }) => id === artifactId);
+
+export const createJobRunner = ({ queuedMs = 2000, runningMs = 6000 } = {}) => {
+  const at = (analysis, offset) => new Date(Date.parse(analysis.createdAt) + offset).toISOString();
+
+  // The analysis as it stands `now`; unchanged records come back as-is
+  const advance = (analysis, now = Date.now()) => {
+    if (TERMINAL_STATUSES.includes(analysis.status)) return analysis;
+
+    const elapsed = now - Date.parse(analysis.createdAt);
+    const next = { ...analysis, events: [...analysis.events] };
+    const record = (status, offset, message) => {
+      if (!next.events.some(event => event.status === status)) {
+        next.events.push({ status, at: at(analysis, offset), message });
+      }
+      next.status = status;
+    };
+
+    if (elapsed >= queuedMs) {
+      record('running', queuedMs, 'Analysis started');
+      next.progress = Math.min(1, (elapsed - queuedMs) / runningMs);
+    }
+    if (elapsed >= queuedMs + runningMs) {
+      if (analysis.analysisDescription.includes('[fail]')) {
+        record('failed', queuedMs + runningMs, 'The analysis could not be completed');
+        next.error = { message: 'The analysis engine gave up on this request. Please adjust the description and try again.' };
+      } else {
+        record('completed', queuedMs + runningMs, 'Analysis completed');
+        next.results = buildResults(analysis);
+      }
+      next.progress = 1;
+    }
+
+    return next.status === analysis.status && next.progress === analysis.progress ? analysis : next;
+  };
+
+  return { advance };
+};
@@ -0,0 +1,41 @@
+import { sendJson } from './http.js';
+
+// Tiny method + path router. Patterns use `:param` segments, e.g. '/analyses/:id'.
+export const createRouter = () => {
+  const routes = [];
+
+  const add = (method, pattern, handler) => {
+    const keys = [];
+    const source = pattern.replace(/:(\w+)/g, (_, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    });
+    routes.push({ method, regex: new RegExp(`^${source}/?$`), keys, handler });
+  };
+
+  // `context` is passed through to the handler, e.g. the signed-in user
+  const handle = async (req, res, path, query, context = {}) => {
+    const candidates = routes.filter(route => route.regex.test(path));
+    if (candidates.length === 0) return false;
+
+    const route = candidates.find(candidate => candidate.method === req.method);
+    if (!route) {
+      sendJson(res, 405, { message: `Method ${req.method} not allowed` });
+      return true;
+    }
+
+    const values = route.regex.exec(path).slice(1);
+    const params = Object.fromEntries(route.keys.map((key, index) => [key, decodeURIComponent(values[index])]));
+    await route.handler({ ...context, req, res, params, query });
+    return true;
+  };
+
+  return {
+    get: (pattern, handler) => add('GET', pattern, handler),
+    post: (pattern, handler) => add('POST', pattern, handler),
+    put: (pattern, handler) => add('PUT', pattern, handler),
+    patch: (pattern, handler) => add('PATCH', pattern, handler),
+    delete: (pattern, handler) => add('DELETE', pattern, handler),
+    handle,
+  };
+};
@@ -0,0 +1,239 @@
+import { parseMultipart, readBody, readJson, sendJson } from '../http.js';
+import { TERMINAL_STATUSES, artifactFor } from '../jobs.js';
+import { authorize, emailKey, parseCollaborators, roleOf, withRole } from '../access.js';
+
+// Mirrors the client-side yup rules so the mock bounces the same payloads the
+// real backend would.
+const validateAnalysis = ({ projectName = '', analysisDescription = '' }) => {
+  const errors = {};
+  if (!projectName.trim()) {
+    errors.projectName = 'Project name is required';
+  } else if (projectName.trim().length < 3) {
+    errors.projectName = 'Project name must be at least 3 characters';
+  }
+  if (!analysisDescription.trim()) {
+    errors.analysisDescription = 'Analysis description is required';
+  } else if (analysisDescription.trim().length < 10) {
+    errors.analysisDescription = 'Please provide more details (at least 10 characters)';
+  }
+  return errors;
+};
+
+// A multipart field sent more than once comes back as an array; for fields
+// that take one value, the first one counts
+const firstOf = (value) => (Array.isArray(value) ? value[0] : value);
+
+const toFileMeta = ({ name, type, size, sha256 }) => ({ name, type, size, ...(sha256 && { sha256 }) });
+
+// Follow-up answers from the description assistant arrive as one JSON object
+// of strings keyed by question id. Returns undefined when they don't parse.
+const parseClarifications = (value) => {
+  if (value === undefined) return {};
+  try {
+    const parsed = JSON.parse(value);
+    const valid = parsed && typeof parsed === 'object' && !Array.isArray(parsed)
+      && Object.values(parsed).every(answer => typeof answer === 'string');
+    return valid ? parsed : undefined;
+  } catch {
+    return undefined;
+  }
+};
+
+// `fileSchemas` arrives as one JSON field per previewed file
+const parseFileSchemas = (value) => [].concat(value || []).flatMap(text => {
+  try {
+    return [JSON.parse(text)];
+  } catch {
+    return [];
+  }
+});
+
+// `collaborators` arrives as one JSON { email, role } field per person
+const parseSharedWith = (value) => {
+  try {
+    return parseCollaborators([].concat(value || []).map(text => JSON.parse(text)));
+  } catch {
+    return { error: 'Each collaborator must be a JSON object of { email, role }' };
+  }
+};
+
+// Whoever creates an analysis owns it. The people they share it with come
+// after them; listing themselves again changes nothing.
+const collaboratorsFor = (user, shared) => {
+  if (!user) return shared;
+  const owner = emailKey(user.email);
+  return [{ email: owner, name: user.name, role: 'owner' }, ...shared.filter(({ email }) => emailKey(email) !== owner)];
+};
+
+// Access follows mock/access.js: analyses come back with the caller's `role`,
+// and one that isn't shared with them answers 404
+export const registerAnalysisRoutes = (router, { db, activity, auth }) => {
+  const { current } = activity;
+
+  const SORTS = {
+    newest: (a, b) => b.createdAt.localeCompare(a.createdAt),
+    oldest: (a, b) => a.createdAt.localeCompare(b.createdAt),
+    name: (a, b) => a.projectName.localeCompare(b.projectName),
+  };
+
+  // GET /analyses?search=&status=&sort=newest|oldest|name
+  router.get('/analyses', ({ res, query, user }) => {
+    const search = (query.search || '').trim().toLowerCase();
+    const items = db.analyses.list()
+      .filter(analysis => roleOf(analysis, user))
+      .map(({ id }) => current(id))
+      .filter(analysis => !query.status || analysis.status === query.status)
+      .filter(analysis => !search || [analysis.projectName, analysis.analysisDescription]
+        .some(text => text.toLowerCase().includes(search)))
+      .sort(SORTS[query.sort] || SORTS.newest)
+      .map(analysis => withRole(analysis, user));
+    sendJson(res, 200, { items, total: items.length });
+  });
+
+  // An Idempotency-Key that already created an analysis for this user gets
+  // that analysis back instead of a second one, so clients can safely resend
+  router.post('/analyses', async ({ req, res, user }) => {
+    const body = await readBody(req);
+    const idempotencyKey = req.headers['idempotency-key'];
+    const existing = idempotencyKey && db.analyses.findByIdempotencyKey(user?.id, idempotencyKey);
+    if (existing) {
+      sendJson(res, 200, withRole(current(existing.id), user), { 'Idempotent-Replayed': 'true' });
+      return;
+    }
+    const { fields: parsed, files } = parseMultipart(body, req.headers['content-type']);
+    const fields = {
+      ...parsed,
+      projectName: firstOf(parsed.projectName),
+      analysisDescription: firstOf(parsed.analysisDescription),
+    };
+
+    const errors = validateAnalysis(fields);
+    if (Object.keys(errors).length > 0) {
+      sendJson(res, 422, { message: 'Please fix the highlighted fields', errors });
+      return;
+    }
+
+    const clarifications = parseClarifications(fields.clarifications);
+    if (!clarifications) {
+      sendJson(res, 422, { message: 'Please fix the highlighted fields', errors: { clarifications: 'Follow-up answers must be an object of text answers' } });
+      return;
+    }
+
+    const shared = parseSharedWith(fields.collaborators);
+    if (shared.error) {
+      sendJson(res, 422, { message: 'Please fix the highlighted fields', errors: { collaborators: shared.error } });
+      return;
+    }
+
+    const uploadIds = [].concat(fields.uploadIds || []);
+    const uploads = uploadIds.map(id => db.uploads.get(id));
+    const unfinished = uploadIds.filter((id, index) => !uploads[index] || uploads[index].offset < uploads[index].size);
+    if (unfinished.length > 0) {
+      sendJson(res, 422, { message: 'Some files have not finished uploading', errors: { files: `Unknown or incomplete uploads: ${unfinished.join(', ')}` } });
+      return;
+    }
+
+    // Answers to any questions beyond the core two are kept as they came in
+    const {
+      projectName,
+      analysisDescription,
+      uploadIds: _uploadIds,
+      fileSchemas,
+      clarifications: _clarifications,
+      collaborators: _collaborators,
+      ...answers
+    } = fields;
+    const schemas = parseFileSchemas(fileSchemas);
+    const schemaFor = (upload) => {
+      const { uploadId: _uploadId, name: _name, ...schema } = schemas.find(({ uploadId }) => uploadId === upload.id) || {};
+      return Object.keys(schema).length > 0 ? { schema } : {};
+    };
+    const analysis = db.analyses.insert({
+      ...answers,
+      projectName: projectName.trim(),
+      analysisDescription: analysisDescription.trim(),
+      ...(Object.keys(clarifications).length > 0 && { clarifications }),
+      files: [...files.map(toFileMeta), ...uploads.map(upload => ({ ...toFileMeta(upload), ...schemaFor(upload) }))],
+      ...(user && { owner: user }),
+      collaborators: collaboratorsFor(user, shared.collaborators),
+      status: 'queued',
+      progress: 0,
+    });
+    const queued = db.analyses.update(analysis.id, {
+      events: [{ status: 'queued', at: analysis.createdAt, message: 'Analysis queued' }],
+    });
+    if (idempotencyKey) db.analyses.rememberIdempotencyKey(user?.id, idempotencyKey, analysis.id);
+    activity.notify(queued, { type: 'shared', actor: user && { name: user.name, email: user.email } }, { except: user?.email });
+    sendJson(res, 201, withRole(queued, user));
+  });
+
+  router.get('/analyses/:id', ({ res, params, user }) => {
+    const analysis = authorize(res, current(params.id), user, 'view');
+    if (analysis) sendJson(res, 200, withRole(analysis, user));
+  });
+
+  // PATCH /analyses/:id { projectName?, analysisDescription? } — editors and
+  // owners can reword the request; the same rules apply as when it was made
+  router.patch('/analyses/:id', async ({ req, res, params, user }) => {
+    const analysis = authorize(res, current(params.id), user, 'edit');
+    if (!analysis) return;
+    const body = await readJson(req);
+    const changes = Object.fromEntries(['projectName', 'analysisDescription']
+      .filter(name => body[name] !== undefined)
+      .map(name => [name, String(body[name]).trim()]));
+    const errors = validateAnalysis({ ...analysis, ...changes });
+    if (Object.keys(errors).length > 0) {
+      sendJson(res, 422, { message: 'Please fix the highlighted fields', errors });
+      return;
+    }
+    sendJson(res, 200, withRole(db.analyses.update(analysis.id, changes), user));
+  });
+
+  // POST /analyses/:id/events/tickets -> { ticket, expires_in }: a single-use
+  // ticket for opening the event stream below, so the access token never
+  // goes in a URL
+  router.post('/analyses/:id/events/tickets', ({ res, params, user }) => {
+    if (!authorize(res, current(params.id), user, 'view')) return;
+    sendJson(res, 201, auth.issueTicket(user, `/analyses/${params.id}/events`));
+  });
+
+  // Server-sent events: a `status` event whenever the analysis changes, and
+  // the stream closes once the job has finished. Open it with ?ticket=.
+  router.get('/analyses/:id/events', ({ req, res, params, user }) => {
+    let analysis = authorize(res, current(params.id), user, 'view');
+    if (!analysis) return;
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    const send = (data) => res.write(`event: status\ndata: ${JSON.stringify(withRole(data, user))}\n\n`);
+    send(analysis);
+
+    const timer = setInterval(() => {
+      const latest = current(params.id);
+      if (latest === analysis) return;
+      analysis = latest;
+      send(analysis);
+      if (TERMINAL_STATUSES.includes(analysis.status)) {
+        clearInterval(timer);
+        res.end();
+      }
+    }, 500);
+    req.on('close', () => clearInterval(timer));
+  });
+
+  router.get('/analyses/:id/artifacts/:artifactId', ({ res, params, user }) => {
+    const analysis = authorize(res, current(params.id), user, 'view');
+    if (!analysis) return;
+    const artifact = analysis.status === 'completed' && artifactFor(analysis, params.artifactId);
+    if (!artifact) {
+      sendJson(res, 404, { message: 'Artifact not found' });
+      return;
+    }
+    res.statusCode = 200;
+    res.setHeader('Content-Type', artifact.type);
+    res.setHeader('Content-Disposition', `attachment; filename="${artifact.name.replace(/"/g, '')}"`);
+    res.end(artifact.content);
+  });
+};
@@ -0,0 +1,173 @@
+import { readForm, readJson, redirect, sendHtml, sendJson } from '../http.js';
+import { userFor } from '../auth.js';
+
+// A stand-in identity provider under /auth, so sign-in can be tried without a
+// real one (and offline):
+//
+//   GET  /auth/.well-known/openid-configuration
+//   GET  /auth/authorize     sign-in page for the authorization code flow (PKCE, S256 only)
+//   POST /auth/authorize     -> 302 to redirect_uri?code=&state=
+//   POST /auth/token         authorization_code and refresh_token grants
+//   GET  /auth/userinfo      -> { sub, name, email }
+//   POST /auth/revoke        token=
+//   GET  /auth/logout        -> 302 to post_logout_redirect_uri
+//   POST /auth/local/login   { name, email } -> tokens, for the local development provider
+//
+// There are no passwords: whatever name and email are entered become the user.
+
+const escapeHtml = (text = '') => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const oauthError = (res, status, error, description) => {
+  sendJson(res, status, { error, error_description: description });
+};
+
+const validUser = ({ name = '', email = '' }) => name.trim().length > 0 && /^[^\s@]+@[^\s@]+$/.test(email.trim());
+
+const signInPage = (params, problem) => `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Mock identity provider</title>
+  <style>
+    body { font-family: system-ui, sans-serif; display: grid; place-items: center; min-height: 100vh; margin: 0; background: #f3f4f6; color: #111827; }
+    form { background: #fff; padding: 2rem; border-radius: 0.5rem; box-shadow: 0 1px 3px rgb(0 0 0 / 0.1); width: 20rem; }
+    label { display: block; margin-top: 1rem; font-size: 0.875rem; }
+    input { display: block; width: 100%; box-sizing: border-box; margin-top: 0.25rem; padding: 0.5rem; border: 1px solid #d1d5db; border-radius: 0.375rem; }
+    button { margin-top: 1.5rem; width: 100%; padding: 0.5rem; border: 0; border-radius: 0.375rem; background: #2563eb; color: #fff; font-size: 1rem; }
+    p { font-size: 0.875rem; color: #4b5563; }
+    .problem { color: #dc2626; }
+  </style>
+</head>
+<body>
+  <form method="post">
+    <h1>Mock identity provider</h1>
+    <p>Any name and email will do. There is no password.</p>
+    ${problem ? `<p class="problem" role="alert">${escapeHtml(problem)}</p>` : ''}
+    <label>Name <input name="name" autocomplete="name" required value="${escapeHtml(params.name ?? 'Dev User')}"></label>
+    <label>Email <input name="email" type="email" autocomplete="email" required value="${escapeHtml(params.email ?? 'dev@example.com')}"></label>
+    ${['client_id', 'redirect_uri', 'state', 'code_challenge', 'code_challenge_method', 'nonce', 'scope']
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(params[name])}">`).join('\n    ')}
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>`;
+
+// Problems with an authorization request that can't be sent back to the client
+const invalidAuthorizeRequest = (params) => {
+  if (params.response_type && params.response_type !== 'code') return 'Only response_type=code is supported';
+  if (!params.client_id) return 'client_id is required';
+  if (!params.redirect_uri) return 'redirect_uri is required';
+  if (!params.code_challenge || params.code_challenge_method !== 'S256') return 'PKCE with code_challenge_method=S256 is required';
+  return null;
+};
+
+export const registerAuthRoutes = (router, { auth, prefix }) => {
+  const issuerFor = (req) => `http://${req.headers.host}${prefix}/auth`;
+
+  const bearer = (req) => /^Bearer (.+)$/i.exec(req.headers.authorization || '')?.[1];
+
+  router.get('/auth/.well-known/openid-configuration', ({ req, res }) => {
+    const issuer = issuerFor(req);
+    sendJson(res, 200, {
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      revocation_endpoint: `${issuer}/revoke`,
+      end_session_endpoint: `${issuer}/logout`,
+      response_types_supported: ['code'],
+      grant_types_supported: ['authorization_code', 'refresh_token'],
+      code_challenge_methods_supported: ['S256'],
+      scopes_supported: ['openid', 'profile', 'email', 'offline_access'],
+    });
+  });
+
+  router.get('/auth/authorize', ({ res, query }) => {
+    const problem = invalidAuthorizeRequest(query);
+    if (problem) {
+      sendHtml(res, 400, `<p>${escapeHtml(problem)}</p>`);
+      return;
+    }
+    sendHtml(res, 200, signInPage(query));
+  });
+
+  router.post('/auth/authorize', async ({ req, res }) => {
+    const form = await readForm(req);
+    const problem = invalidAuthorizeRequest(form);
+    if (problem) {
+      sendHtml(res, 400, `<p>${escapeHtml(problem)}</p>`);
+      return;
+    }
+    if (!validUser(form)) {
+      sendHtml(res, 422, signInPage(form, 'Enter a name and a valid email address'));
+      return;
+    }
+    const code = auth.createCode({
+      user: userFor(form),
+      clientId: form.client_id,
+      redirectUri: form.redirect_uri,
+      codeChallenge: form.code_challenge,
+    });
+    const target = new URL(form.redirect_uri);
+    target.searchParams.set('code', code);
+    if (form.state) target.searchParams.set('state', form.state);
+    redirect(res, target.toString());
+  });
+
+  router.post('/auth/token', async ({ req, res }) => {
+    const form = await readForm(req);
+    let tokens;
+    if (form.grant_type === 'authorization_code') {
+      tokens = auth.redeemCode(form.code, { clientId: form.client_id, redirectUri: form.redirect_uri, codeVerifier: form.code_verifier });
+    } else if (form.grant_type === 'refresh_token') {
+      tokens = auth.refresh(form.refresh_token);
+    } else {
+      oauthError(res, 400, 'unsupported_grant_type', `Unsupported grant_type ${form.grant_type}`);
+      return;
+    }
+    if (!tokens) {
+      oauthError(res, 400, 'invalid_grant', 'The code or refresh token is invalid or has expired');
+      return;
+    }
+    sendJson(res, 200, tokens, { 'Cache-Control': 'no-store' });
+  });
+
+  router.get('/auth/userinfo', ({ req, res }) => {
+    const user = auth.authenticate(bearer(req));
+    if (!user) {
+      sendJson(res, 401, { error: 'invalid_token' }, { 'WWW-Authenticate': 'Bearer error="invalid_token"' });
+      return;
+    }
+    sendJson(res, 200, { sub: user.id, name: user.name, email: user.email });
+  });
+
+  router.post('/auth/revoke', async ({ req, res }) => {
+    const { token } = await readForm(req);
+    if (token) auth.revoke(token);
+    sendJson(res, 200, {});
+  });
+
+  router.get('/auth/logout', ({ res, query }) => {
+    if (query.post_logout_redirect_uri) {
+      redirect(res, query.post_logout_redirect_uri);
+      return;
+    }
+    sendHtml(res, 200, '<p>You are signed out.</p>');
+  });
+
+  router.post('/auth/local/login', async ({ req, res }) => {
+    const body = await readJson(req);
+    if (!validUser(body)) {
+      sendJson(res, 422, {
+        message: 'Please fix the highlighted fields',
+        errors: {
+          ...(!body.name?.trim() && { name: 'Name is required' }),
+          ...(!/^[^\s@]+@[^\s@]+$/.test(body.email?.trim() ?? '') && { email: 'Enter a valid email address' }),
+        },
+      });
+      return;
+    }
+    sendJson(res, 200, auth.issue(userFor(body), 'local'), { 'Cache-Control': 'no-store' });
+  });
+};
@@ -0,0 +1,48 @@
+import { readJson, sendJson } from '../http.js';
+import { emailKey, roleOf } from '../access.js';
+
+// In-app notifications for the signed-in user:
+//
+//   GET  /notifications        -> { items, unread }, newest first
+//   POST /notifications/read   { ids? } -> { unread }; without ids, marks everything read
+//
+// Items are { id, type, analysisId, projectName, read, createdAt } plus, by
+// type: 'mention' { actor, commentId, excerpt }, 'status' { status } and
+// 'shared' { actor }.
+
+const MAX_ITEMS = 50;
+
+const toNotification = (record) => {
+  const { recipient: _recipient, ...notification } = record;
+  return notification;
+};
+
+export const registerNotificationRoutes = (router, { db, activity }) => {
+  const unreadFor = (user) => db.notifications.list(emailKey(user.email)).filter(({ read }) => !read).length;
+
+  router.get('/notifications', ({ res, user }) => {
+    if (!user) {
+      sendJson(res, 200, { items: [], unread: 0 });
+      return;
+    }
+    // Bring every analysis they can see up to date first, so status changes
+    // are noticed even when nobody has the analysis open
+    db.analyses.list()
+      .filter(analysis => roleOf(analysis, user))
+      .forEach(({ id }) => activity.current(id));
+    const items = db.notifications.list(emailKey(user.email)).slice(0, MAX_ITEMS).map(toNotification);
+    sendJson(res, 200, { items, unread: unreadFor(user) });
+  });
+
+  router.post('/notifications/read', async ({ req, res, user }) => {
+    if (!user) {
+      sendJson(res, 200, { unread: 0 });
+      return;
+    }
+    const { ids } = await readJson(req);
+    db.notifications.list(emailKey(user.email))
+      .filter(notification => !notification.read && (!Array.isArray(ids) || ids.includes(notification.id)))
+      .forEach(({ id }) => db.notifications.update(id, { read: true }));
+    sendJson(res, 200, { unread: unreadFor(user) });
+  });
+};
@@ -0,0 +1,93 @@
+import { readJson, sendJson } from '../http.js';
+import { authorize, emailKey, parseCollaborators, withRole } from '../access.js';
+
+// Sharing an analysis and talking about it:
+//
+//   PUT  /analyses/:id/collaborators  { collaborators: [{ email, role }] } -> analysis   owners
+//   GET  /analyses/:id/comments       -> { items }                                      anyone it is shared with
+//   POST /analyses/:id/comments       { body, parentId? } -> comment                    anyone it is shared with
+//
+// Comments are { id, parentId, author, body, mentions, createdAt }; a reply
+// has the id of the comment it answers as `parentId`. Writing @email mentions
+// a collaborator, who gets a notification (see ./notifications.js).
+
+const MAX_COMMENT_LENGTH = 5000;
+
+const MENTION = /@([^\s@]+@[^\s@]+)/g;
+
+// Emails of collaborators mentioned in `body`, without trailing punctuation
+const mentionsIn = (body, analysis) => {
+  const collaborators = new Set(analysis.collaborators.map(({ email }) => email));
+  const mentioned = [...body.matchAll(MENTION)].map(([, email]) => email.replace(/[.,;:!?)]+$/, '').toLowerCase());
+  return [...new Set(mentioned)].filter(email => collaborators.has(email));
+};
+
+const actorOf = (user) => user && { name: user.name, email: user.email };
+
+export const registerSharingRoutes = (router, { db, activity }) => {
+  // The whole list is replaced, so removing someone is leaving them out.
+  // Somebody always has to stay an owner.
+  router.put('/analyses/:id/collaborators', async ({ req, res, params, user }) => {
+    const analysis = authorize(res, activity.current(params.id), user, 'share');
+    if (!analysis) return;
+    const { collaborators, error } = parseCollaborators((await readJson(req)).collaborators);
+    if (error || !collaborators.some(({ role }) => role === 'owner')) {
+      sendJson(res, 422, { message: 'Please fix the highlighted fields', errors: { collaborators: error || 'Someone has to stay an owner' } });
+      return;
+    }
+
+    // Names are only known for people who have signed in, so keep them
+    const previous = new Map(analysis.collaborators.map(collaborator => [collaborator.email, collaborator]));
+    const named = collaborators.map(collaborator => {
+      const name = previous.get(collaborator.email)?.name ?? (collaborator.email === emailKey(user?.email) ? user.name : undefined);
+      return name ? { ...collaborator, name } : collaborator;
+    });
+    const updated = db.analyses.update(analysis.id, { collaborators: named });
+    activity.notify(updated, { type: 'shared', actor: actorOf(user) }, {
+      except: user?.email,
+      only: named.filter(({ email }) => !previous.has(email)).map(({ email }) => email),
+    });
+    sendJson(res, 200, withRole(updated, user));
+  });
+
+  router.get('/analyses/:id/comments', ({ res, params, user }) => {
+    const analysis = authorize(res, activity.current(params.id), user, 'view');
+    if (analysis) sendJson(res, 200, { items: db.comments.list(analysis.id) });
+  });
+
+  router.post('/analyses/:id/comments', async ({ req, res, params, user }) => {
+    const analysis = authorize(res, activity.current(params.id), user, 'comment');
+    if (!analysis) return;
+    const { body = '', parentId = null } = await readJson(req);
+    const text = String(body).trim();
+    const errors = {};
+    if (!text) {
+      errors.body = 'Write something first';
+    } else if (text.length > MAX_COMMENT_LENGTH) {
+      errors.body = `Comments can be at most ${MAX_COMMENT_LENGTH} characters`;
+    }
+    if (parentId !== null && db.comments.get(parentId)?.analysisId !== analysis.id) {
+      errors.parentId = 'The comment being answered is not on this analysis';
+    }
+    if (Object.keys(errors).length > 0) {
+      sendJson(res, 422, { message: 'Please fix the highlighted fields', errors });
+      return;
+    }
+
+    const mentions = mentionsIn(text, analysis);
+    const comment = db.comments.insert({
+      analysisId: analysis.id,
+      parentId,
+      author: user ?? { name: 'Guest' },
+      body: text,
+      mentions,
+    });
+    activity.notify(analysis, {
+      type: 'mention',
+      actor: actorOf(user),
+      commentId: comment.id,
+      excerpt: text.slice(0, 140),
+    }, { except: user?.email, only: mentions });
+    sendJson(res, 201, comment);
+  });
+};
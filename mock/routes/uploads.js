@@ -0,0 +1,86 @@
+import { readBody, readJson, sendJson } from '../http.js';
+
+const CHUNK_SIZE = 512 * 1024;
+
+// Same limits as src/validation/files.js
+const MAX_FILE_SIZE = 100 * 1024 * 1024;
+const ALLOWED_EXTENSIONS = ['csv', 'txt', 'json', 'xlsx', 'pdf'];
+
+const SHA256 = /^[0-9a-f]{64}$/i;
+
+// Only offsets (and the checksum the client sends) are kept; the bytes
+// themselves are thrown away.
+const toSession = ({ id, name, size, type, offset }) => ({
+  id,
+  name,
+  size,
+  type,
+  offset,
+  chunkSize: CHUNK_SIZE,
+  complete: offset >= size,
+});
+
+export const registerUploadRoutes = (router, { db }) => {
+  router.post('/uploads', async ({ req, res }) => {
+    const { name, size, type, sha256 } = await readJson(req);
+    if (!name || !Number.isInteger(size) || size < 0) {
+      sendJson(res, 422, { message: 'Invalid upload', errors: { file: 'A file name and size are required' } });
+      return;
+    }
+    if (sha256 !== undefined && !SHA256.test(sha256)) {
+      sendJson(res, 422, { message: 'Invalid upload', errors: { file: 'sha256 must be 64 hex digits' } });
+      return;
+    }
+    const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    if (!ALLOWED_EXTENSIONS.includes(extension)) {
+      sendJson(res, 422, { message: `${name} is not a supported file type`, errors: { file: 'Unsupported file type' } });
+      return;
+    }
+    if (size > MAX_FILE_SIZE) {
+      sendJson(res, 422, { message: `${name} is too large`, errors: { file: 'File too large' } });
+      return;
+    }
+    const upload = db.uploads.insert({
+      name,
+      size,
+      type: type || 'application/octet-stream',
+      ...(sha256 && { sha256: sha256.toLowerCase() }),
+      offset: 0,
+    });
+    sendJson(res, 201, toSession(upload));
+  });
+
+  router.get('/uploads/:id', ({ res, params }) => {
+    const upload = db.uploads.get(params.id);
+    if (!upload) {
+      sendJson(res, 404, { message: 'Upload not found' });
+      return;
+    }
+    sendJson(res, 200, toSession(upload));
+  });
+
+  router.put('/uploads/:id/chunks', async ({ req, res, params, query }) => {
+    const upload = db.uploads.get(params.id);
+    if (!upload) {
+      sendJson(res, 404, { message: 'Upload not found' });
+      return;
+    }
+    const chunk = await readBody(req);
+    const offset = Number(query.offset);
+    if (offset !== upload.offset) {
+      sendJson(res, 409, { message: 'Offset mismatch', offset: upload.offset });
+      return;
+    }
+    if (offset + chunk.length > upload.size) {
+      sendJson(res, 422, { message: 'Chunk runs past the end of the file' });
+      return;
+    }
+    const updated = db.uploads.update(upload.id, { offset: offset + chunk.length });
+    sendJson(res, 200, toSession(updated));
+  });
+
+  router.delete('/uploads/:id', ({ res, params }) => {
+    db.uploads.remove(params.id);
+    sendJson(res, 204);
+  });
+};
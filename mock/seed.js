@@ -0,0 +1,62 @@
+import { userFor } from './auth.js';
+
+// A few past analyses so the projects sidebar has something to show in
+// development. Their job timings put them well past completion already.
+// They belong to dev@example.com, the stand-in identity provider's default
+// user, and one is shared with them by a colleague.
+const DEV_USER = userFor({ name: 'Dev User', email: 'dev@example.com' });
+const COLLEAGUE = userFor({ name: 'Ada Analyst', email: 'ada@example.com' });
+
+const collaborator = ({ name, email }, role) => ({ email, name, role });
+
+const ownedBy = (owner, shared = []) => ({
+  owner,
+  collaborators: [collaborator(owner, 'owner'), ...shared],
+});
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const SAMPLES = [
+  {
+    projectName: 'Q3 churn drivers',
+    analysisDescription: 'Which customer segments churned most in Q3 2025 and what product usage patterns preceded it?',
+    files: [{ name: 'customers_q3.csv', type: 'text/csv', size: 482113 }],
+    createdAt: daysAgo(12),
+    ...ownedBy(DEV_USER),
+  },
+  {
+    projectName: 'Warehouse delivery times',
+    analysisDescription: 'Compare average delivery time per warehouse for the last six months and flag outliers.',
+    files: [
+      { name: 'deliveries.xlsx', type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', size: 1204332 },
+      { name: 'warehouses.json', type: 'application/json', size: 5211 },
+    ],
+    createdAt: daysAgo(5),
+    ...ownedBy(COLLEAGUE, [collaborator(DEV_USER, 'editor')]),
+    comments: [
+      { author: COLLEAGUE, body: '@dev@example.com could you check the warehouse list is complete before this goes to the ops team?', mentions: [DEV_USER.email] },
+    ],
+  },
+  {
+    projectName: 'Marketing spend ROI',
+    analysisDescription: 'Return on ad spend by channel for 2025 [fail]',
+    files: [],
+    createdAt: daysAgo(2),
+    ...ownedBy(DEV_USER),
+  },
+];
+
+// Jobs are brought up to date here, so nobody is told about their status
+// changes on the first read
+export const seedAnalyses = (db, jobs) => {
+  SAMPLES.forEach(({ comments = [], ...sample }) => {
+    const analysis = db.analyses.insert({
+      ...sample,
+      status: 'queued',
+      progress: 0,
+      events: [{ status: 'queued', at: sample.createdAt, message: 'Analysis queued' }],
+    });
+    db.analyses.update(analysis.id, jobs.advance(analysis));
+    comments.forEach(comment => db.comments.insert({ ...comment, analysisId: analysis.id, parentId: null }));
+  });
+};
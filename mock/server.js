@@ -0,0 +1,29 @@
+import { createServer } from 'node:http';
+import { createMockApi } from './index.js';
+
+// Standalone mock API: `npm run mock`, then point VITE_API_BASE_URL at it.
+const port = Number(process.env.MOCK_PORT) || 4010;
+const api = createMockApi({
+  latency: Number(process.env.MOCK_LATENCY ?? 300),
+  failureRate: Number(process.env.MOCK_FAILURE_RATE ?? 0),
+  requireAuth: process.env.MOCK_AUTH !== 'false',
+  tokenTtl: Number(process.env.MOCK_TOKEN_TTL ?? 3600),
+});
+
+createServer((req, res) => {
+  // Allow the Vite dev server on another port to call us
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Headers', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
+  if (req.method === 'OPTIONS') {
+    res.statusCode = 204;
+    res.end();
+    return;
+  }
+  api(req, res, () => {
+    res.statusCode = 404;
+    res.end();
+  });
+}).listen(port, () => {
+  console.log(`Mock API listening on http://localhost:${port}/api`);
+});
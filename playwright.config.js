@@ -0,0 +1,26 @@
+import { defineConfig, devices } from '@playwright/test';
+
+const PORT = 4173;
+
+// `npm run test:e2e` builds the app and drives it in headless Chromium
+// against the stand-in API that `vite preview` serves under /api.
+// Run `npx playwright install chromium` once first.
+export default defineConfig({
+  testDir: './e2e',
+  timeout: 60000,
+  retries: process.env.CI ? 1 : 0,
+  use: {
+    baseURL: `http://localhost:${PORT}`,
+    trace: 'retain-on-failure',
+  },
+  projects: [
+    { name: 'chromium', use: { ...devices['Desktop Chrome'] } },
+  ],
+  webServer: {
+    command: `npm run build && npm run preview -- --port ${PORT} --strictPort`,
+    url: `http://localhost:${PORT}`,
+    reuseExistingServer: !process.env.CI,
+    timeout: 120000,
+    env: { MOCK_LATENCY: '0', MOCK_FAILURE_RATE: '0' },
+  },
+});
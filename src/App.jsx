@@ -1,27 +1,146 @@
-import React from 'react';
-import MultiStepForm from './components/StepForm';
-import logo from "./assets/logo.png"
+import React, { useEffect, useState } from 'react';
+import { Navigate, Route, Routes, useMatch, useNavigate } from 'react-router-dom';
+import { ToastContainer, toast } from 'react-toastify';
+import { MotionConfig } from 'framer-motion';
+import ProjectsSidebar from './components/ProjectsSidebar';
+import OutboxStatus from './components/OutboxStatus';
+import NotificationsMenu from './components/NotificationsMenu';
+import RequireAuth from './components/auth/RequireAuth';
+import UserMenu from './components/auth/UserMenu';
+import NewAnalysisPage from './pages/NewAnalysisPage';
+import AnalysesPage from './pages/AnalysesPage';
+import AnalysisPage from './pages/AnalysisPage';
+import NotFoundPage from './pages/NotFoundPage';
+import SignInPage from './pages/SignInPage';
+import AuthCallbackPage from './pages/AuthCallbackPage';
+import { analysisPath, authCallbackPath, newAnalysisPath, signInPath } from './pages/paths';
+import { analysisWizard } from './wizard/analysisWizard';
+import { answersFrom } from './wizard/engine';
+import { LOCALES, useTranslation } from './i18n';
+import { THEME_PREFERENCES, getBranding, useTheme } from './theme';
+import { flushOutbox, onSubmissionSent, setOutboxUser } from './outbox';
+import { onNotified } from './notifications';
+import { useAuth } from './auth';
+
+const headerControlClassName = 'text-sm text-gray-800 bg-surface rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-primary-300';
 
 const App = () => {
+  // Everything below re-renders in the new language when it changes
+  const { t, locale, dir, setLocale } = useTranslation();
+  const { preference, theme, setPreference } = useTheme();
+  const { productName, logo } = getBranding();
+  const { status, user } = useAuth();
+  const navigate = useNavigate();
+  const selected = useMatch('/analyses/:id');
+  // The current pass through the wizard; a new key starts it over
+  const [run, setRun] = useState({ key: 0 });
+  const [listVersion, setListVersion] = useState(0);
+
+  const startNew = (initialValues) => {
+    setRun(current => ({ key: current.key + 1, initialValues }));
+    navigate(newAnalysisPath());
+  };
+
+  const duplicate = (analysis) => {
+    startNew({ ...answersFrom(analysisWizard, analysis), projectName: t('analyses.copyName', { name: analysis.projectName }) });
+  };
+
+  // Submissions made offline go out in the background; say so and show them
+  useEffect(() => onSubmissionSent((analysis) => {
+    toast.success(t('outbox.sent', { name: analysis.projectName }));
+    setListVersion(version => version + 1);
+  }), [t]);
+
+  // A newly shared analysis or a status change shows in the lists
+  useEffect(() => onNotified((items) => {
+    if (items.some(({ type }) => type === 'shared' || type === 'status')) setListVersion(version => version + 1);
+  }), []);
+
+  // Only the signed-in user's queued submissions are shown, and anything
+  // they queued before their session ran out can go now
+  const userId = user?.id ?? null;
+  useEffect(() => {
+    setOutboxUser(userId);
+    if (status === 'signedIn') flushOutbox();
+  }, [status, userId]);
+
+  const refreshList = () => setListVersion(version => version + 1);
+
+  const handleSubmitted = (analysis) => {
+    refreshList();
+    setRun(current => ({ key: current.key + 1 }));
+    navigate(analysisPath(analysis.id), { replace: true });
+  };
+
   return (
-    <div className="flex flex-col h-screen w-full">
-      <header className="w-full bg-[#003366] h-18 flex items-center px-16 py-2">
-        <div className="bg-white rounded-full p-2 w-16 h-16 flex items-center justify-center mt-3">
-          <img src={logo} alt="P-Y25 Logo" className="w-12 h-12 " />
-        </div>
-      </header>
-      <div className="flex flex-1">
-        {/* Sidebar */}
-        <div className="w-[15%] sticky bg-[#003366] flex flex-col items-center pt-8"></div>
-        {/* Main Content */}
-        <div className="flex-1 w-[85%] ">
-          <div className="mx-auto px-8 py-12">
-            <MultiStepForm />
+    // Transform animations are dropped for users who prefer reduced motion
+    <MotionConfig reducedMotion="user">
+      <div className="flex flex-col h-screen w-full">
+        <header className="w-full bg-brand h-18 flex items-center justify-between px-16 py-2">
+          <div className="bg-white rounded-full p-2 w-16 h-16 flex items-center justify-center mt-3">
+            <img src={logo} alt={t('app.logo', { product: productName })} className="w-12 h-12 " />
+          </div>
+          <div className="flex items-center gap-2">
+            <OutboxStatus className={headerControlClassName} />
+            {status === 'signedIn' && <NotificationsMenu className={headerControlClassName} />}
+            <select
+              value={preference}
+              onChange={e => setPreference(e.target.value)}
+              aria-label={t('app.theme')}
+              className={headerControlClassName}
+            >
+              {THEME_PREFERENCES.map(option => (
+                <option key={option} value={option}>{t(`app.themes.${option}`)}</option>
+              ))}
+            </select>
+            <select
+              value={locale}
+              onChange={e => setLocale(e.target.value)}
+              aria-label={t('app.language')}
+              className={headerControlClassName}
+            >
+              {Object.entries(LOCALES).map(([code, { label }]) => (
+                <option key={code} value={code} lang={code}>{label}</option>
+              ))}
+            </select>
+            <UserMenu className={headerControlClassName} />
+          </div>
+        </header>
+        <div className="flex flex-1">
+          {/* Sidebar */}
+          <div className="w-[15%] sticky bg-brand flex flex-col items-center pt-8">
+            {status !== 'signedOut' && (
+              <ProjectsSidebar
+                selectedId={selected?.params.id ?? null}
+                refreshKey={listVersion}
+                onOpen={id => navigate(analysisPath(id))}
+                onNew={() => startNew()}
+                onDuplicate={duplicate}
+              />
+            )}
           </div>
+          {/* Main Content */}
+          <main className="flex-1 w-[85%] ">
+            <div className="mx-auto px-8 py-12">
+              <Routes>
+                <Route path={signInPath()} element={<SignInPage />} />
+                <Route path={authCallbackPath()} element={<AuthCallbackPage />} />
+                <Route element={<RequireAuth />}>
+                  <Route path="/" element={<Navigate to={newAnalysisPath()} replace />} />
+                  <Route path="/new" element={<Navigate to={newAnalysisPath()} replace />} />
+                  <Route path="/new/:step" element={<NewAnalysisPage run={run} onSubmitted={handleSubmitted} />} />
+                  <Route path="/analyses" element={<AnalysesPage />} />
+                  <Route path="/analyses/:id" element={<AnalysisPage onDuplicate={duplicate} onUpdated={refreshList} />} />
+                  <Route path="*" element={<NotFoundPage />} />
+                </Route>
+              </Routes>
+            </div>
+          </main>
         </div>
+        <ToastContainer rtl={dir === 'rtl'} position={dir === 'rtl' ? 'top-left' : 'top-right'} theme={theme} />
       </div>
-    </div>
+    </MotionConfig>
   );
 };
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,141 @@
+import { client } from './client';
+import { saveBlob } from '../utils/download';
+
+// Build the multipart payload the analysis endpoint expects from the wizard's
+// answers. Arrays become repeated fields, objects are sent as JSON, and files
+// and blobs go in as-is. Files that went through the chunked upload flow are
+// referenced by `uploadIds` instead.
+export const buildAnalysisFormData = (values) => {
+  const formData = new FormData();
+  Object.entries(values).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    [].concat(value).forEach(item => {
+      if (item instanceof Blob) {
+        formData.append(key, item);
+      } else if (typeof item === 'object') {
+        formData.append(key, JSON.stringify(item));
+      } else {
+        formData.append(key, String(item));
+      }
+    });
+  });
+  return formData;
+};
+
+// POST /analyses — resolves with the created analysis record.
+// Rejects with one of the errors from ./errors. Requests sent with the same
+// `idempotencyKey` create at most one analysis; repeats get it back.
+export const createAnalysis = async (values, { signal, idempotencyKey } = {}) => {
+  const { data } = await client.post('/analyses', buildAnalysisFormData(values), {
+    signal,
+    headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : undefined,
+  });
+  return data;
+};
+
+export const TERMINAL_STATUSES = ['completed', 'failed'];
+
+// GET /analyses/:id — the analysis with its current status, timeline
+// (`events`) and, once completed, `results`.
+export const getAnalysis = async (id, { signal } = {}) => {
+  const { data } = await client.get(`/analyses/${id}`, { signal });
+  return data;
+};
+
+// How status updates arrive: 'sse' uses the server-sent event stream when the
+// browser supports it and falls back to polling if the stream fails; 'poll'
+// always polls.
+const UPDATES_MODE = import.meta.env.VITE_ANALYSIS_UPDATES || 'sse';
+
+// Follow an analysis until it completes or fails. Calls `onUpdate(analysis)`
+// on every change and `onChannel('sse' | 'polling')` when the transport is
+// picked. Returns a function that stops watching.
+export const watchAnalysis = (id, { onUpdate, onError, onChannel, interval = 2000 }) => {
+  let stopped = false;
+  let source;
+  let timer;
+  const controller = new AbortController();
+
+  const poll = async () => {
+    if (stopped) return;
+    try {
+      const analysis = await getAnalysis(id, { signal: controller.signal });
+      if (stopped) return;
+      onUpdate(analysis);
+      if (TERMINAL_STATUSES.includes(analysis.status)) return;
+    } catch (error) {
+      if (stopped) return;
+      onError?.(error);
+    }
+    timer = setTimeout(poll, interval);
+  };
+
+  const startPolling = () => {
+    onChannel?.('polling');
+    poll();
+  };
+
+  const startStream = async () => {
+    // EventSource can't send an Authorization header. Rather than put the
+    // access token in a URL, where logs would keep it, ask for a ticket that
+    // opens this one stream once and soon runs out.
+    const { data } = await client.post(`/analyses/${id}/events/tickets`, null, { signal: controller.signal, retry: true });
+    if (stopped) return;
+    source = new window.EventSource(`${client.defaults.baseURL}/analyses/${id}/events?ticket=${encodeURIComponent(data.ticket)}`);
+    source.addEventListener('status', (event) => {
+      let analysis;
+      try {
+        analysis = JSON.parse(event.data);
+      } catch {
+        // A garbled frame: don't trust the stream any more
+        source.close();
+        if (!stopped) startPolling();
+        return;
+      }
+      onUpdate(analysis);
+      if (TERMINAL_STATUSES.includes(analysis.status)) source.close();
+    });
+    source.onerror = () => {
+      // EventSource reconnects on its own; polling is more predictable
+      // behind proxies that buffer the stream
+      source.close();
+      if (!stopped) startPolling();
+    };
+  };
+
+  if (UPDATES_MODE === 'sse' && typeof window.EventSource === 'function') {
+    onChannel?.('sse');
+    // No ticket for the stream (offline, or a refresh that failed): poll
+    // instead, where an error reaches onError like any other
+    startStream().catch(() => {
+      if (!stopped) startPolling();
+    });
+  } else {
+    startPolling();
+  }
+
+  return () => {
+    stopped = true;
+    source?.close();
+    clearTimeout(timer);
+    controller.abort();
+  };
+};
+
+// Fetch an artifact through the API client (so it gets the same base URL and
+// headers) and hand it to the browser as a download.
+export const downloadArtifact = async (artifact) => {
+  const { data } = await client.get(artifact.url, { responseType: 'blob' });
+  saveBlob(data, artifact.name);
+};
+
+// GET /analyses — the user's analyses, filtered and sorted on the server.
+// `status` is one of queued/running/completed/failed; `sort` is newest,
+// oldest or name. Resolves with { items, total }.
+export const listAnalyses = async ({ search, status, sort } = {}, { signal } = {}) => {
+  const { data } = await client.get('/analyses', {
+    params: { search: search || undefined, status: status || undefined, sort: sort || undefined },
+    signal,
+  });
+  return data;
+};
@@ -0,0 +1,61 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { waitFor } from '@testing-library/react';
+import { watchAnalysis } from './analyses';
+import { addAnalysis, completedAnalysis } from '../test/handlers';
+
+const ANALYSIS = completedAnalysis({
+  id: 'analysis-1',
+  projectName: 'Churn drivers',
+  createdAt: '2024-05-01T10:00:00.000Z',
+  events: [{ status: 'queued', at: '2024-05-01T10:00:00.000Z' }],
+});
+
+// Stands in for the browser's EventSource, keeping what was opened
+class FakeEventSource {
+  static opened = [];
+
+  constructor(url) {
+    this.url = url;
+    this.listeners = {};
+    this.closed = false;
+    FakeEventSource.opened.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  close() {
+    this.closed = true;
+  }
+
+  emit(type, data) {
+    this.listeners[type]({ data });
+  }
+}
+
+afterEach(() => {
+  FakeEventSource.opened = [];
+  vi.unstubAllGlobals();
+});
+
+describe('watchAnalysis', () => {
+  it('opens the event stream with a ticket, and polls instead once a frame is garbled', async () => {
+    vi.stubGlobal('EventSource', FakeEventSource);
+    addAnalysis(ANALYSIS);
+    const onUpdate = vi.fn();
+    const onChannel = vi.fn();
+    const stop = watchAnalysis('analysis-1', { onUpdate, onChannel });
+
+    await waitFor(() => expect(FakeEventSource.opened).toHaveLength(1));
+    const [source] = FakeEventSource.opened;
+    expect(source.url).toMatch(/\/analyses\/analysis-1\/events\?ticket=ticket-\d+$/);
+    expect(source.url).not.toContain('access_token');
+
+    source.emit('status', '{"status": "runn');
+    expect(source.closed).toBe(true);
+    expect(onChannel).toHaveBeenLastCalledWith('polling');
+    await waitFor(() => expect(onUpdate).toHaveBeenCalledWith(expect.objectContaining({ id: 'analysis-1', status: 'completed' })));
+    stop();
+  });
+});
@@ -0,0 +1,121 @@
+import axios, { AxiosHeaders } from 'axios';
+import { normalizeError } from './errors';
+
+// Base URL comes from Vite env config (see .env.example). When unset we talk to
+// the same origin, which is where the dev mock API lives.
+export const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || '/api';
+
+const RETRY_DEFAULTS = {
+  retries: 3,
+  baseDelay: 500,
+  maxDelay: 8000,
+};
+
+// Status codes worth retrying: rate limiting and gateway/availability hiccups.
+const TRANSIENT_STATUSES = new Set([408, 429, 502, 503, 504]);
+
+// Requests that can be sent twice without doing twice the work
+const IDEMPOTENT_METHODS = new Set(['get', 'head', 'options', 'put', 'delete']);
+
+const isTransient = (error) => {
+  if (axios.isCancel(error)) return false;
+  if (!error.response) return true;
+  return TRANSIENT_STATUSES.has(error.response.status);
+};
+
+// A request that may have reached the server is only sent again when that is
+// harmless: an idempotent method, an Idempotency-Key the server dedupes on, or
+// a caller that opted in with `retry`
+const isRetryable = (config) => (
+  config.retry === true
+  || typeof config.retry === 'object'
+  || IDEMPOTENT_METHODS.has((config.method || 'get').toLowerCase())
+  || AxiosHeaders.from(config.headers).has('Idempotency-Key')
+);
+
+const retryDelay = (attempt, { baseDelay, maxDelay }, error) => {
+  const retryAfter = Number(error.response?.headers?.['retry-after']);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    return Math.min(retryAfter * 1000, maxDelay);
+  }
+  // Exponential backoff with full jitter
+  const ceiling = Math.min(baseDelay * 2 ** attempt, maxDelay);
+  return Math.round(Math.random() * ceiling);
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const abort = () => {
+    clearTimeout(timer);
+    reject(new axios.CanceledError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', abort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', abort, { once: true });
+});
+
+export const client = axios.create({
+  baseURL: API_BASE_URL,
+  timeout: 30000,
+});
+
+// Registered by src/auth: { getAccessToken, refresh, onUnauthorized }.
+// getAccessToken and refresh resolve with a token or null.
+let auth = null;
+
+export const setAuthHandlers = (handlers) => {
+  auth = handlers;
+};
+
+// The current access token, for requests that can't go through the client
+// (e.g. EventSource)
+export const getAccessToken = async () => (auth ? auth.getAccessToken() : null);
+
+client.interceptors.request.use(async (config) => {
+  const token = await getAccessToken();
+  if (token) config.headers.Authorization = `Bearer ${token}`;
+  return config;
+});
+
+// Idempotent requests (and ones with an Idempotency-Key) are retried.
+// Per-request opt out: client.get(url, { retry: false })
+// opt in:              client.post(url, data, { retry: true })
+// or tune it:          client.post(url, data, { retry: { retries: 5 } })
+client.interceptors.response.use(undefined, async (error) => {
+  const config = error.config;
+
+  // The token was turned down: refresh it and try once more before giving
+  // the session up
+  if (error.response?.status === 401 && config && auth) {
+    if (!config.__authRetried) {
+      config.__authRetried = true;
+      let token = null;
+      try {
+        token = await auth.refresh();
+      } catch {
+        // A refresh that fails is a session that's over, same as no token
+      }
+      if (token) return client(config);
+    }
+    auth.onUnauthorized();
+    return Promise.reject(normalizeError(error));
+  }
+  if (!config || config.retry === false || !isTransient(error) || !isRetryable(config)) {
+    return Promise.reject(normalizeError(error));
+  }
+
+  const options = { ...RETRY_DEFAULTS, ...(typeof config.retry === 'object' ? config.retry : {}) };
+  const attempt = config.__retryCount || 0;
+  if (attempt >= options.retries) {
+    return Promise.reject(normalizeError(error));
+  }
+
+  config.__retryCount = attempt + 1;
+  try {
+    await wait(retryDelay(attempt, options, error), config.signal);
+  } catch (canceled) {
+    return Promise.reject(normalizeError(canceled));
+  }
+  return client(config);
+});
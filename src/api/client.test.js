@@ -0,0 +1,122 @@
+import { describe, expect, it, vi } from 'vitest';
+import { http, HttpResponse } from 'msw';
+import { client, setAuthHandlers } from './client';
+import { AuthError, NetworkError, ServerError, ValidationError } from './errors';
+import { server } from '../test/server';
+import { apiPath } from '../test/handlers';
+
+// Retry straight away so the tests don't wait out the backoff
+const NO_DELAY = { retry: { baseDelay: 0 } };
+
+// Answer with each of `responses` in turn, repeating the last one
+const sequence = (...responses) => {
+  let calls = 0;
+  const handler = () => responses[Math.min(calls++, responses.length - 1)]();
+  return { handler, calls: () => calls };
+};
+
+describe('client', () => {
+  it('retries transient failures until one succeeds', async () => {
+    const { handler, calls } = sequence(
+      () => HttpResponse.json({ message: 'Busy' }, { status: 503 }),
+      () => HttpResponse.error(),
+      () => HttpResponse.json({ ok: true }),
+    );
+    server.use(http.get(apiPath('/ping'), handler));
+
+    const { data } = await client.get('/ping', NO_DELAY);
+
+    expect(data).toEqual({ ok: true });
+    expect(calls()).toBe(3);
+  });
+
+  it('gives up after the configured number of retries', async () => {
+    const { handler, calls } = sequence(() => HttpResponse.json({}, { status: 502 }));
+    server.use(http.get(apiPath('/ping'), handler));
+
+    const error = await client.get('/ping', { retry: { baseDelay: 0, retries: 2 } }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ServerError);
+    expect(error.status).toBe(502);
+    expect(calls()).toBe(3);
+  });
+
+  it('does not retry errors that would fail again', async () => {
+    const { handler, calls } = sequence(() => HttpResponse.json({ message: 'The queue is full' }, { status: 500 }));
+    server.use(http.post(apiPath('/analyses'), handler));
+
+    await expect(client.post('/analyses', {}, NO_DELAY)).rejects.toMatchObject({
+      name: 'ServerError',
+      message: 'The queue is full',
+    });
+    expect(calls()).toBe(1);
+  });
+
+  it('only sends a request again when that can\'t repeat its work', async () => {
+    const { handler, calls } = sequence(() => HttpResponse.error(), () => HttpResponse.json({ id: 'a1' }, { status: 201 }));
+    server.use(http.post(apiPath('/analyses'), handler));
+
+    await expect(client.post('/analyses', {})).rejects.toBeInstanceOf(NetworkError);
+    expect(calls()).toBe(1);
+
+    // No jitter, so the retry goes at once
+    const random = vi.spyOn(Math, 'random').mockReturnValue(0);
+    const { data } = await client.post('/analyses', {}, { headers: { 'Idempotency-Key': 'key-1' } });
+    random.mockRestore();
+    expect(data).toEqual({ id: 'a1' });
+    expect(calls()).toBe(2);
+  });
+
+  it('retries any request that opts in', async () => {
+    const { handler, calls } = sequence(() => HttpResponse.error(), () => HttpResponse.json({ ok: true }));
+    server.use(http.post(apiPath('/ping'), handler));
+
+    const random = vi.spyOn(Math, 'random').mockReturnValue(0);
+    const { data } = await client.post('/ping', {}, { retry: true });
+    random.mockRestore();
+
+    expect(data).toEqual({ ok: true });
+    expect(calls()).toBe(2);
+  });
+
+  it('turns responses into typed errors with readable messages', async () => {
+    server.use(
+      http.post(apiPath('/analyses'), () => HttpResponse.json(
+        { message: 'Please fix the highlighted fields', errors: { projectName: 'Too short' } },
+        { status: 422 },
+      )),
+      http.get(apiPath('/analyses'), () => new HttpResponse(null, { status: 401 })),
+      http.get(apiPath('/analyses/:id'), () => HttpResponse.error()),
+    );
+
+    const validation = await client.post('/analyses', {}).catch(caught => caught);
+    expect(validation).toBeInstanceOf(ValidationError);
+    expect(validation.fieldErrors).toEqual({ projectName: 'Too short' });
+
+    const auth = await client.get('/analyses').catch(caught => caught);
+    expect(auth).toBeInstanceOf(AuthError);
+    expect(auth.message).toBe('You are not allowed to do that. Please sign in again');
+
+    const network = await client.get('/analyses/a1', { retry: false }).catch(caught => caught);
+    expect(network).toBeInstanceOf(NetworkError);
+    expect(network.message).toBe('Could not reach the server. Check your connection and try again');
+  });
+
+  it('gives the session up when refreshing a turned-down token fails', async () => {
+    const onUnauthorized = vi.fn();
+    setAuthHandlers({
+      getAccessToken: async () => 'stale',
+      refresh: async () => {
+        throw new Error('Storage is full');
+      },
+      onUnauthorized,
+    });
+    server.use(http.get(apiPath('/whoami'), () => HttpResponse.json({ message: 'Expired' }, { status: 401 })));
+
+    const error = await client.get('/whoami').catch(caught => caught);
+    setAuthHandlers(null);
+
+    expect(error).toBeInstanceOf(AuthError);
+    expect(onUnauthorized).toHaveBeenCalledTimes(1);
+  });
+});
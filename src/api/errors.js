@@ -0,0 +1,89 @@
+import { t } from '../i18n';
+
+// Error types surfaced by the API client. Components branch on these instead of
+// poking at raw axios errors.
+export class ApiError extends Error {
+  constructor(message, { status = null, data = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+// 400/422 with a per-field `errors` map, e.g. { projectName: 'Already taken' }
+export class ValidationError extends ApiError {
+  constructor(message, { fieldErrors = {}, ...rest } = {}) {
+    super(message, rest);
+    this.name = 'ValidationError';
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+// 401 (not signed in) or 403 (signed in, but not allowed)
+export class AuthError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'AuthError';
+  }
+}
+
+// 5xx
+export class ServerError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ServerError';
+  }
+}
+
+// No response at all (offline, DNS, CORS, timeout)
+export class NetworkError extends ApiError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NetworkError';
+  }
+}
+
+// Request aborted by the caller through an AbortSignal
+export class CanceledError extends ApiError {
+  constructor(message = 'Request canceled', options) {
+    super(message, options);
+    this.name = 'CanceledError';
+  }
+}
+
+// Used when the response doesn't carry a message of its own
+const defaultMessage = (kind, params) => t(`errors.${kind}`, params);
+
+// Turn whatever axios threw into one of the ApiError subclasses above.
+export const normalizeError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  if (error?.code === 'ERR_CANCELED' || error?.name === 'CanceledError') {
+    return new CanceledError(undefined, { cause: error });
+  }
+
+  const response = error?.response;
+  if (!response) {
+    return new NetworkError(defaultMessage('network'), { cause: error });
+  }
+
+  const { status, data } = response;
+  const message = data?.message;
+
+  if (status === 400 || status === 422) {
+    return new ValidationError(message || defaultMessage('validation'), {
+      status,
+      data,
+      fieldErrors: data?.errors || {},
+      cause: error,
+    });
+  }
+  if (status === 401 || status === 403) {
+    return new AuthError(message || defaultMessage(status === 403 ? 'forbidden' : 'auth'), { status, data, cause: error });
+  }
+  if (status >= 500) {
+    return new ServerError(message || defaultMessage('server'), { status, data, cause: error });
+  }
+  return new ApiError(message || defaultMessage('status', { status }), { status, data, cause: error });
+};
@@ -0,0 +1,6 @@
+export { client, API_BASE_URL, getAccessToken, setAuthHandlers } from './client';
+export * from './errors';
+export * from './analyses';
+export * from './uploads';
+export * from './sharing';
+export * from './notifications';
@@ -0,0 +1,18 @@
+import { client } from './client';
+
+// GET /notifications — the signed-in user's notifications, newest first, as
+// { items, unread }. Each item is { id, type, analysisId, projectName, read,
+// createdAt } plus, by type: 'mention' { actor, commentId, excerpt },
+// 'status' { status } or 'shared' { actor }.
+export const listNotifications = async ({ signal } = {}) => {
+  const { data } = await client.get('/notifications', { signal });
+  return data;
+};
+
+// POST /notifications/read — mark `ids` read, or every notification when
+// left out. Resolves with the new unread count. Marking twice changes
+// nothing, so it is retried like a PUT.
+export const markNotificationsRead = async (ids) => {
+  const { data } = await client.post('/notifications/read', ids ? { ids } : {}, { retry: true });
+  return data.unread;
+};
@@ -0,0 +1,35 @@
+import { client } from './client';
+
+// Sharing an analysis and commenting on it. An analysis that isn't shared
+// with the user answers 404; a role that doesn't allow the change answers 403
+// (an AuthError).
+
+// PATCH /analyses/:id — change `projectName` and/or `analysisDescription`.
+// Editors and owners only. Resolves with the updated analysis.
+export const updateAnalysis = async (id, changes, { signal } = {}) => {
+  const { data } = await client.patch(`/analyses/${id}`, changes, { signal });
+  return data;
+};
+
+// PUT /analyses/:id/collaborators — replace who the analysis is shared with,
+// as [{ email, role }]. Owners only, and someone has to stay an owner.
+// Resolves with the updated analysis.
+export const setCollaborators = async (id, collaborators, { signal } = {}) => {
+  const { data } = await client.put(`/analyses/${id}/collaborators`, { collaborators }, { signal });
+  return data;
+};
+
+// GET /analyses/:id/comments — every comment, oldest first, as
+// { id, parentId, author, body, mentions, createdAt }. Replies carry the id
+// of the comment they answer as `parentId`.
+export const listComments = async (id, { signal } = {}) => {
+  const { data } = await client.get(`/analyses/${id}/comments`, { signal });
+  return data.items;
+};
+
+// POST /analyses/:id/comments — `@email` in the body mentions a collaborator.
+// Resolves with the new comment.
+export const addComment = async (id, { body, parentId = null }, { signal } = {}) => {
+  const { data } = await client.post(`/analyses/${id}/comments`, { body, parentId }, { signal });
+  return data;
+};
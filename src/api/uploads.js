@@ -0,0 +1,89 @@
+import { client } from './client';
+import { ApiError } from './errors';
+import { knownChecksum } from '../utils/checksum';
+
+// Chunked, resumable uploads.
+//
+//   POST   /uploads                      { name, size, type, sha256 } -> { id, offset, chunkSize, complete }
+//   GET    /uploads/:id                  -> { id, offset, size, complete }
+//   PUT    /uploads/:id/chunks?offset=N  raw bytes -> { id, offset, complete }
+//   DELETE /uploads/:id
+//
+// A PUT whose offset does not match what the server has answers 409 with the
+// server's offset, so a client that lost track after a dropped connection can
+// pick up from there. The optional sha256 is kept with the file on the
+// analysis, so an exported spec (src/spec) can name exactly which file it
+// was. It is only sent when a spec export or import has already worked it
+// out; uploads never read a file just to hash it.
+
+// A session created twice is only an unused one left behind, so this POST is
+// safe to retry
+export const createUploadSession = async (file, { signal } = {}) => {
+  const { data } = await client.post('/uploads', {
+    name: file.name,
+    size: file.size,
+    type: file.type,
+    lastModified: file.lastModified,
+    sha256: knownChecksum(file),
+  }, { signal, retry: true });
+  return data;
+};
+
+export const getUploadSession = async (id, { signal } = {}) => {
+  const { data } = await client.get(`/uploads/${id}`, { signal });
+  return data;
+};
+
+export const cancelUploadSession = async (id) => {
+  await client.delete(`/uploads/${id}`, { retry: false });
+};
+
+const uploadChunk = async (id, offset, chunk, { signal, onUploadProgress }) => {
+  const { data } = await client.put(`/uploads/${id}/chunks`, chunk, {
+    params: { offset },
+    headers: { 'Content-Type': 'application/octet-stream' },
+    signal,
+    onUploadProgress,
+  });
+  return data;
+};
+
+// Upload `file` in chunks. Pass the `sessionId` from an earlier attempt to
+// resume where the server left off. `onSession` fires once the session id is
+// known so callers can keep it for a later resume; `onProgress` receives 0..1.
+export const uploadFile = async (file, { sessionId, signal, onSession, onProgress } = {}) => {
+  let session = sessionId
+    ? await getUploadSession(sessionId, { signal })
+    : await createUploadSession(file, { signal });
+  onSession?.(session);
+
+  let { offset } = session;
+  const chunkSize = session.chunkSize || 1024 * 1024;
+  onProgress?.(file.size ? offset / file.size : 1);
+
+  while (!session.complete && offset < file.size) {
+    const chunk = file.slice(offset, offset + chunkSize);
+    const start = offset;
+    try {
+      session = await uploadChunk(session.id, start, chunk, {
+        signal,
+        onUploadProgress: ({ loaded }) => onProgress?.((start + loaded) / file.size),
+      });
+      offset = session.offset;
+    } catch (error) {
+      // Out of sync with the server: jump to its offset and carry on
+      if (error instanceof ApiError && error.status === 409 && Number.isFinite(error.data?.offset)) {
+        offset = error.data.offset;
+        continue;
+      }
+      throw error;
+    }
+    onProgress?.(offset / file.size);
+  }
+
+  if (!session.complete) {
+    session = await getUploadSession(session.id, { signal });
+  }
+  onProgress?.(1);
+  return session;
+};
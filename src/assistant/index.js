@@ -0,0 +1,30 @@
+import { createRuleBasedAssistant } from './ruleBasedAssistant';
+import { hasTranslation, t } from '../i18n';
+import { labelFromId } from '../utils/format';
+
+// Description assistants score free text as it is typed and suggest
+// follow-up questions. Attach one to a wizard field with `assistant` (see
+// wizard/engine.js). An assistant is any object with
+//
+//   {
+//     name: 'rules',
+//     // Resolves with
+//     //   score: 0-100
+//     //   checks: [{ id, label, hint, passed }]
+//     //   questions: [{ id, label, prompt, placeholder }]
+//     review: async (text, { answers, signal }) => ({ score, checks, questions }),
+//   }
+//
+// Each answered question is sent as `clarifications[id]`. A backend model can
+// be plugged in by returning the same shape from an API call; `signal`
+// aborts when the text changes again.
+export { createRuleBasedAssistant };
+
+export const descriptionAssistant = createRuleBasedAssistant();
+
+// How a follow-up answer is labelled on the review and analysis pages. Ids
+// from other assistants that have no message fall back to the id itself.
+export const clarificationLabel = (id) => {
+  const key = `assistant.checks.${id}.label`;
+  return hasTranslation(key) ? t(key) : labelFromId(id);
+};
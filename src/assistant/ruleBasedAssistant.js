@@ -0,0 +1,58 @@
+import { t } from '../i18n';
+
+// The offline description assistant: a handful of regular expressions that
+// look for the pieces a useful analysis brief usually has. Each missing piece
+// comes with a follow-up question whose answer is sent as a structured field
+// under the same id. The patterns match English; the labels, hints and
+// questions come from the `assistant.checks.<id>` messages.
+const CHECKS = [
+  {
+    id: 'targetMetric',
+    pattern: /\b(revenue|sales|profit|margin|churn|retention|conversion|rate|count|number of|average|mean|median|total|growth|costs?|prices?|volume|kpis?|metrics?|scores?|share|percent(age)?|returns?|spend|signups?|visits?|orders?|users?|customers?)\b|%/i,
+  },
+  {
+    id: 'timeRange',
+    pattern: /\b((19|20)\d{2}|q[1-4]|jan(uary)?|feb(ruary)?|mar(ch)?|apr(il)?|may|june?|july?|aug(ust)?|sep(tember)?|oct(ober)?|nov(ember)?|dec(ember)?|ytd|year to date|since|until|between|daily|weekly|monthly|quarterly|yearly|annual(ly)?|(last|past|previous|next) (\d+ )?(days?|weeks?|months?|quarters?|years?))\b/i,
+  },
+  {
+    id: 'datasetReference',
+    pattern: /\.(csv|xlsx|json|txt)\b|\b(data ?sets?|data from|spreadsheets?|tables?|exports?|database|files?|attached|attachment|survey|logs?|crm|warehouse|sheet|report)\b/i,
+  },
+  {
+    id: 'goal',
+    pattern: /\b(why|whether|compare|comparison|trends?|forecast|predict|impact|effect|drivers?|driving|correlat\w*|segments?|differ\w*|identify|understand|explain|drop|increase|decrease|improve|reduce|find out|decide)\b/i,
+  },
+];
+
+// Share of the score that comes from length alone; the rest is split
+// evenly between the checks
+const LENGTH_POINTS = 40;
+const FULL_LENGTH = 200;
+
+// Don't ask follow-up questions about a description that has barely started
+const MIN_LENGTH_FOR_QUESTIONS = 10;
+
+export const createRuleBasedAssistant = ({ checks = CHECKS } = {}) => ({
+  name: 'rules',
+  review: async (text = '') => {
+    const trimmed = text.trim();
+    const results = checks.map(({ id, pattern }) => ({
+      id,
+      label: t(`assistant.checks.${id}.label`),
+      hint: t(`assistant.checks.${id}.hint`),
+      passed: pattern.test(trimmed),
+    }));
+    const passed = results.filter(check => check.passed).length;
+    const lengthScore = Math.min(1, trimmed.length / FULL_LENGTH) * LENGTH_POINTS;
+    const score = trimmed ? Math.round(lengthScore + (passed / checks.length) * (100 - LENGTH_POINTS)) : 0;
+    const questions = trimmed.length < MIN_LENGTH_FOR_QUESTIONS ? [] : checks
+      .filter((check, index) => !results[index].passed)
+      .map(({ id }) => ({
+        id,
+        label: t(`assistant.checks.${id}.label`),
+        prompt: t(`assistant.checks.${id}.question`),
+        placeholder: t(`assistant.checks.${id}.placeholder`),
+      }));
+    return { score, checks: results, questions };
+  },
+});
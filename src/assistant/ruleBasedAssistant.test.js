@@ -0,0 +1,33 @@
+import { describe, expect, it } from 'vitest';
+import { createRuleBasedAssistant } from './ruleBasedAssistant';
+
+const assistant = createRuleBasedAssistant();
+
+const passedChecks = ({ checks }) => checks.filter(({ passed }) => passed).map(({ id }) => id);
+
+describe('rule-based assistant', () => {
+  it('scores nothing and asks nothing for an empty description', async () => {
+    await expect(assistant.review('   ')).resolves.toMatchObject({ score: 0, questions: [] });
+  });
+
+  it('asks about each piece a description is missing', async () => {
+    const review = await assistant.review('Look at our revenue numbers');
+
+    expect(passedChecks(review)).toEqual(['targetMetric']);
+    expect(review.questions.map(({ id }) => id)).toEqual(['timeRange', 'datasetReference', 'goal']);
+    expect(review.questions[0]).toMatchObject({ label: 'Time range', prompt: expect.stringContaining('What period') });
+  });
+
+  it('is satisfied by a description that covers everything', async () => {
+    const review = await assistant.review('Find out why monthly churn rate went up in Q1 2024 using the CRM export');
+
+    expect(passedChecks(review)).toEqual(['targetMetric', 'timeRange', 'datasetReference', 'goal']);
+    expect(review.questions).toEqual([]);
+    expect(review.score).toBeGreaterThan(60);
+    expect(review.score).toBeLessThan(100);
+  });
+
+  it('holds questions back until the description has started', async () => {
+    await expect(assistant.review('Sales')).resolves.toMatchObject({ questions: [] });
+  });
+});
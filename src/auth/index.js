@@ -0,0 +1,151 @@
+import { useSyncExternalStore } from 'react';
+import { API_BASE_URL, AuthError, setAuthHandlers } from '../api';
+import { createLocalProvider, createOidcProvider } from './providers';
+import { authCallbackPath } from '../pages/paths';
+
+// Who is signed in, and their tokens. `status` is 'signedIn', 'signedOut' or
+// 'expired': the session ran out and couldn't be refreshed, so the user has
+// to sign in again, but the page they were on stays put.
+//
+// The provider comes from VITE_AUTH_PROVIDER: 'oidc' (authorization code
+// flow with PKCE) or 'local' (the stand-in API's password-less sign-in, the
+// default). Either way the stand-in API's identity provider is used unless
+// VITE_OIDC_ISSUER points at a real one.
+
+const SESSION_KEY = 'py25:session';
+
+// Refresh this long before the access token runs out
+const EXPIRY_MARGIN = 30 * 1000;
+
+const issuer = import.meta.env.VITE_OIDC_ISSUER || new URL(`${API_BASE_URL}/auth`, window.location.origin).toString();
+
+export const provider = import.meta.env.VITE_AUTH_PROVIDER === 'oidc'
+  ? createOidcProvider({
+    issuer,
+    clientId: import.meta.env.VITE_OIDC_CLIENT_ID || 'py25-web',
+    scope: import.meta.env.VITE_OIDC_SCOPE || undefined,
+    redirectUri: new URL(authCallbackPath(), window.location.origin).toString(),
+  })
+  : createLocalProvider({ issuer });
+
+// Tokens are kept for the tab only
+const readSession = () => {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+};
+
+let session = readSession();
+let state = { status: session ? 'signedIn' : 'signedOut', user: session?.user ?? null };
+const listeners = new Set();
+let refreshing = null;
+const completions = new Map();
+
+const setState = (next) => {
+  state = next;
+  listeners.forEach(listener => listener());
+};
+
+const storeSession = (next) => {
+  session = next;
+  try {
+    if (next) {
+      window.sessionStorage.setItem(SESSION_KEY, JSON.stringify(next));
+    } else {
+      window.sessionStorage.removeItem(SESSION_KEY);
+    }
+  } catch {
+    // Storage is optional; the session still lasts until the page closes
+  }
+};
+
+const start = (next) => {
+  storeSession(next);
+  setState({ status: 'signedIn', user: next.user });
+};
+
+// The tokens are no good any more. The user is kept so they can be asked to
+// sign in again as themselves.
+export const expireSession = () => {
+  if (state.status !== 'signedIn') return;
+  storeSession(null);
+  setState({ status: 'expired', user: state.user });
+};
+
+export const getAuth = () => state;
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// { status, user }
+export const useAuth = () => useSyncExternalStore(subscribe, getAuth);
+
+// With the local provider `params` is { name, email } and this resolves once
+// signed in. With OIDC the browser leaves for the provider; `params.state` is
+// handed back by completeSignIn when it returns.
+export const signIn = async (params) => {
+  const next = await provider.signIn(params);
+  if (next) start(next);
+};
+
+// Finish an OIDC sign-in on the callback page. Resolves with the `state`
+// given to signIn. A code only works once, so calls for the same URL share
+// one attempt (StrictMode runs effects twice); a failed one is forgotten so
+// the next call tries again.
+export const completeSignIn = (url) => {
+  if (!completions.has(url)) {
+    completions.set(url, provider.completeSignIn(url).then(({ session: next, state: appState }) => {
+      start(next);
+      return appState;
+    }, (error) => {
+      completions.delete(url);
+      throw error;
+    }));
+  }
+  return completions.get(url);
+};
+
+export const signOut = async () => {
+  const current = session;
+  storeSession(null);
+  setState({ status: 'signedOut', user: null });
+  if (current) await provider.signOut(current);
+};
+
+// Swap the refresh token for new tokens. Resolves with the new access token,
+// or null if that didn't work. Only a refusal from the provider ends the
+// session; being offline doesn't.
+export const refreshSession = () => {
+  if (!refreshing) {
+    refreshing = (async () => {
+      if (!session?.refreshToken) {
+        expireSession();
+        return null;
+      }
+      try {
+        const next = await provider.refresh(session);
+        storeSession(next);
+        return next.accessToken;
+      } catch (error) {
+        if (error instanceof AuthError) expireSession();
+        return null;
+      }
+    })().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+};
+
+// A usable access token, refreshed first if it is about to run out
+export const getAccessToken = async () => {
+  if (!session) return null;
+  if (session.expiresAt - EXPIRY_MARGIN > Date.now()) return session.accessToken;
+  return (await refreshSession()) ?? session?.accessToken ?? null;
+};
+
+setAuthHandlers({ getAccessToken, refresh: refreshSession, onUnauthorized: expireSession });
@@ -0,0 +1,92 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { http, HttpResponse } from 'msw';
+import { getAccessToken, getAuth, signIn, signOut } from '.';
+import { AuthError, client } from '../api';
+import { server } from '../test/server';
+import { apiPath } from '../test/handlers';
+
+const ADA = { name: 'Ada Lovelace', email: 'ada@example.com' };
+
+// Answers with the Authorization header it was sent
+const echoAuthorization = ({ request }) => HttpResponse.json({ authorization: request.headers.get('Authorization') });
+
+afterEach(() => signOut());
+
+describe('auth', () => {
+  it('signs in with the local provider and keeps the session for the tab', async () => {
+    expect(getAuth()).toEqual({ status: 'signedOut', user: null });
+
+    await signIn(ADA);
+
+    expect(getAuth()).toEqual({ status: 'signedIn', user: { id: 'user-ada@example.com', ...ADA } });
+    expect(JSON.parse(window.sessionStorage.getItem('py25:session')).user.email).toBe('ada@example.com');
+  });
+
+  it('sends the access token with API requests', async () => {
+    server.use(http.get(apiPath('/whoami'), echoAuthorization));
+    await signIn(ADA);
+
+    const { data } = await client.get('/whoami');
+
+    expect(data.authorization).toBe(`Bearer ${await getAccessToken()}`);
+  });
+
+  it('refreshes a turned-down token and tries the request once more', async () => {
+    let calls = 0;
+    server.use(http.get(apiPath('/whoami'), (info) => {
+      calls += 1;
+      return calls === 1 ? HttpResponse.json({ message: 'Expired' }, { status: 401 }) : echoAuthorization(info);
+    }));
+    await signIn(ADA);
+    const first = await getAccessToken();
+
+    const { data } = await client.get('/whoami');
+
+    expect(calls).toBe(2);
+    expect(data.authorization).not.toBe(`Bearer ${first}`);
+    expect(getAuth().status).toBe('signedIn');
+  });
+
+  it('refreshes ahead of time when the token is about to run out', async () => {
+    server.use(http.post(apiPath('/auth/local/login'), () => HttpResponse.json({
+      access_token: 'short-lived',
+      token_type: 'Bearer',
+      expires_in: 10,
+      refresh_token: 'refresh-short-lived',
+    }), { once: true }));
+    server.use(http.get(apiPath('/auth/userinfo'), () => HttpResponse.json({ sub: 'user-ada', ...ADA }), { once: true }));
+    server.use(http.post(apiPath('/auth/token'), () => HttpResponse.json({
+      access_token: 'fresh',
+      token_type: 'Bearer',
+      expires_in: 3600,
+    }), { once: true }));
+    await signIn(ADA);
+
+    expect(await getAccessToken()).toBe('fresh');
+    expect(JSON.parse(window.sessionStorage.getItem('py25:session')).refreshToken).toBe('refresh-short-lived');
+  });
+
+  it('asks to sign in again, keeping the user, when the session can\'t be refreshed', async () => {
+    server.use(
+      http.get(apiPath('/whoami'), () => HttpResponse.json({ message: 'Expired' }, { status: 401 })),
+      http.post(apiPath('/auth/token'), () => HttpResponse.json({ error: 'invalid_grant' }, { status: 400 })),
+    );
+    await signIn(ADA);
+
+    const error = await client.get('/whoami').catch(caught => caught);
+
+    expect(error).toBeInstanceOf(AuthError);
+    expect(getAuth()).toEqual({ status: 'expired', user: expect.objectContaining(ADA) });
+    expect(window.sessionStorage.getItem('py25:session')).toBeNull();
+  });
+
+  it('forgets the session on sign-out', async () => {
+    server.use(http.get(apiPath('/whoami'), echoAuthorization));
+    await signIn(ADA);
+
+    await signOut();
+
+    expect(getAuth()).toEqual({ status: 'signedOut', user: null });
+    expect((await client.get('/whoami')).data.authorization).toBeNull();
+  });
+});
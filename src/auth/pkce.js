@@ -0,0 +1,20 @@
+// Proof Key for Code Exchange (RFC 7636) helpers for the authorization code
+// flow.
+
+const base64Url = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+// URL-safe random string from `size` random bytes
+export const randomString = (size = 32) => base64Url(window.crypto.getRandomValues(new Uint8Array(size)));
+
+// The S256 challenge for a code verifier
+export const codeChallenge = async (verifier) => (
+  base64Url(await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier)))
+);
+
+export const createPkcePair = async () => {
+  const verifier = randomString(48);
+  return { verifier, challenge: await codeChallenge(verifier) };
+};
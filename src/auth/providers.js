@@ -0,0 +1,176 @@
+import { AuthError, NetworkError, ServerError, ValidationError } from '../api/errors';
+import { t } from '../i18n';
+import { createPkcePair, randomString } from './pkce';
+
+// Sign-in providers. Each one has:
+//
+//   signIn(params)        the local provider resolves with a session; OIDC
+//                         leaves for the provider's sign-in page instead
+//   completeSignIn(url)   OIDC only: finishes the redirect back to the app and
+//                         resolves with { session, state }
+//   refresh(session)      resolves with a session holding fresh tokens
+//   signOut(session)      revokes the tokens (and ends the provider's session)
+//
+// Sessions look like { accessToken, refreshToken, idToken, expiresAt, user }
+// with `user` as { id, name, email }. Failures reject with the errors from
+// api/errors; AuthError means the provider said no.
+
+// The identity provider is called with fetch rather than the API client so
+// these requests never go through its token handling
+const request = async (url, { method = 'GET', form, json, token } = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: {
+        Accept: 'application/json',
+        ...(form && { 'Content-Type': 'application/x-www-form-urlencoded' }),
+        ...(json && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: form ? new URLSearchParams(form) : json && JSON.stringify(json),
+    });
+  } catch (error) {
+    throw new NetworkError(t('errors.network'), { cause: error });
+  }
+  const data = await response.json().catch(() => null);
+  if (response.ok) return data;
+
+  const { status } = response;
+  const message = data?.error_description || data?.message || t('auth.errors.rejected');
+  if (status === 422) throw new ValidationError(message, { status, data, fieldErrors: data?.errors || {} });
+  if (status >= 500) throw new ServerError(message, { status, data });
+  throw new AuthError(message, { status, data });
+};
+
+const toSession = (tokens, user) => ({
+  accessToken: tokens.access_token,
+  refreshToken: tokens.refresh_token,
+  idToken: tokens.id_token,
+  expiresAt: Date.now() + (tokens.expires_in ?? 3600) * 1000,
+  user,
+});
+
+const fetchUser = async (url, accessToken) => {
+  const { sub, name, email } = await request(url, { token: accessToken });
+  return { id: sub, name: name || email || sub, email };
+};
+
+// Providers may or may not rotate the refresh token
+const refreshTokens = async (tokenEndpoint, clientId, session) => {
+  const tokens = await request(tokenEndpoint, {
+    method: 'POST',
+    form: { grant_type: 'refresh_token', refresh_token: session.refreshToken, client_id: clientId },
+  });
+  return { ...toSession(tokens, session.user), refreshToken: tokens.refresh_token || session.refreshToken };
+};
+
+const PENDING_KEY = 'py25:auth:pending';
+
+// OpenID Connect authorization code flow with PKCE against `issuer`.
+// `redirectUri` is the app's callback page; `redirect(url)` navigates away
+// (replaceable in tests). `signIn({ state })` carries `state` through the
+// round trip and completeSignIn hands it back.
+export const createOidcProvider = ({
+  issuer,
+  clientId,
+  scope = 'openid profile email offline_access',
+  redirectUri,
+  postLogoutRedirectUri = window.location.origin,
+  redirect = url => window.location.assign(url),
+}) => {
+  let discovery;
+  const metadata = () => {
+    if (!discovery) {
+      discovery = request(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+      // Let a later call try again
+      discovery.catch(() => {
+        discovery = undefined;
+      });
+    }
+    return discovery;
+  };
+
+  return {
+    kind: 'oidc',
+
+    signIn: async ({ state: appState } = {}) => {
+      const { authorization_endpoint: endpoint } = await metadata();
+      const { verifier, challenge } = await createPkcePair();
+      const state = randomString();
+      window.sessionStorage.setItem(PENDING_KEY, JSON.stringify({ state, verifier, appState }));
+      const url = new URL(endpoint);
+      url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope,
+        state,
+        code_challenge: challenge,
+        code_challenge_method: 'S256',
+      });
+      redirect(url.toString());
+      return null;
+    },
+
+    completeSignIn: async (url) => {
+      const params = new URL(url).searchParams;
+      const pending = JSON.parse(window.sessionStorage.getItem(PENDING_KEY) || 'null');
+      window.sessionStorage.removeItem(PENDING_KEY);
+      if (params.get('error')) {
+        throw new AuthError(params.get('error_description') || params.get('error'));
+      }
+      // Not a response to a sign-in this browser started
+      if (!pending || !params.get('code') || params.get('state') !== pending.state) {
+        throw new AuthError(t('auth.errors.state'));
+      }
+      const { token_endpoint: tokenEndpoint, userinfo_endpoint: userinfoEndpoint } = await metadata();
+      const tokens = await request(tokenEndpoint, {
+        method: 'POST',
+        form: {
+          grant_type: 'authorization_code',
+          code: params.get('code'),
+          redirect_uri: redirectUri,
+          client_id: clientId,
+          code_verifier: pending.verifier,
+        },
+      });
+      return { session: toSession(tokens, await fetchUser(userinfoEndpoint, tokens.access_token)), state: pending.appState };
+    },
+
+    refresh: async session => refreshTokens((await metadata()).token_endpoint, clientId, session),
+
+    signOut: async (session) => {
+      const { revocation_endpoint: revocation, end_session_endpoint: endSession } = await metadata().catch(() => ({}));
+      if (revocation && session.refreshToken) {
+        await request(revocation, { method: 'POST', form: { token: session.refreshToken, client_id: clientId } }).catch(() => {});
+      }
+      if (endSession) {
+        const url = new URL(endSession);
+        url.search = new URLSearchParams({
+          client_id: clientId,
+          post_logout_redirect_uri: postLogoutRedirectUri,
+          ...(session.idToken && { id_token_hint: session.idToken }),
+        });
+        redirect(url.toString());
+      }
+    },
+  };
+};
+
+// For development against the stand-in API (mock/routes/auth.js): sign in
+// with any name and email, no password and no redirect.
+export const createLocalProvider = ({ issuer }) => ({
+  kind: 'local',
+
+  signIn: async ({ name, email }) => {
+    const tokens = await request(`${issuer}/local/login`, { method: 'POST', json: { name, email } });
+    return toSession(tokens, await fetchUser(`${issuer}/userinfo`, tokens.access_token));
+  },
+
+  refresh: session => refreshTokens(`${issuer}/token`, 'local', session),
+
+  signOut: async (session) => {
+    await request(`${issuer}/revoke`, { method: 'POST', form: { token: session.refreshToken } }).catch(() => {});
+  },
+});
@@ -0,0 +1,74 @@
+import { describe, expect, it, vi } from 'vitest';
+import { http, HttpResponse } from 'msw';
+import { createOidcProvider } from './providers';
+import { codeChallenge } from './pkce';
+import { AuthError } from '../api';
+import { server } from '../test/server';
+
+const ISSUER = 'https://id.example.com';
+const REDIRECT_URI = 'http://localhost:3000/auth/callback';
+
+// A provider whose redirects are recorded instead of followed
+const setup = () => {
+  const redirect = vi.fn();
+  const provider = createOidcProvider({ issuer: ISSUER, clientId: 'py25-web', redirectUri: REDIRECT_URI, redirect });
+  server.use(
+    http.get(`${ISSUER}/.well-known/openid-configuration`, () => HttpResponse.json({
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      userinfo_endpoint: `${ISSUER}/userinfo`,
+    })),
+    http.get(`${ISSUER}/userinfo`, () => HttpResponse.json({ sub: 'ada', name: 'Ada Lovelace', email: 'ada@example.com' })),
+  );
+  return { provider, redirect };
+};
+
+describe('PKCE', () => {
+  it('derives the S256 challenge from the verifier', async () => {
+    // RFC 7636, appendix B
+    expect(await codeChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk')).toBe('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+  });
+});
+
+describe('OIDC provider', () => {
+  it('signs in with the authorization code flow and PKCE', async () => {
+    const { provider, redirect } = setup();
+    let tokenRequest;
+    server.use(http.post(`${ISSUER}/token`, async ({ request }) => {
+      tokenRequest = new URLSearchParams(await request.text());
+      return HttpResponse.json({ access_token: 'access', token_type: 'Bearer', expires_in: 300, refresh_token: 'refresh' });
+    }));
+
+    await provider.signIn({ state: { returnTo: '/analyses' } });
+    const authorize = new URL(redirect.mock.calls[0][0]);
+    const params = Object.fromEntries(authorize.searchParams);
+    expect(`${authorize.origin}${authorize.pathname}`).toBe(`${ISSUER}/authorize`);
+    expect(params).toMatchObject({
+      response_type: 'code',
+      client_id: 'py25-web',
+      redirect_uri: REDIRECT_URI,
+      code_challenge_method: 'S256',
+    });
+
+    const { session, state } = await provider.completeSignIn(`${REDIRECT_URI}?code=the-code&state=${params.state}`);
+
+    expect(state).toEqual({ returnTo: '/analyses' });
+    expect(session).toMatchObject({
+      accessToken: 'access',
+      refreshToken: 'refresh',
+      user: { id: 'ada', name: 'Ada Lovelace', email: 'ada@example.com' },
+    });
+    expect(Object.fromEntries(tokenRequest)).toMatchObject({ grant_type: 'authorization_code', code: 'the-code', redirect_uri: REDIRECT_URI });
+    expect(await codeChallenge(tokenRequest.get('code_verifier'))).toBe(params.code_challenge);
+  });
+
+  it('turns down a callback it didn\'t ask for', async () => {
+    const { provider } = setup();
+    await provider.signIn();
+
+    const error = await provider.completeSignIn(`${REDIRECT_URI}?code=the-code&state=forged`).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(AuthError);
+  });
+});
@@ -0,0 +1,19 @@
+import React from 'react';
+import { t } from '../i18n';
+
+const BackButton = ({ onClick }) => (
+  <div className="flex justify-start mb-4">
+    <button
+      type="button"
+      onClick={onClick}
+      className="flex items-center gap-1 text-sm text-gray-600 px-2 py-1 rounded-md hover:bg-gray-100 transition focus:outline-none focus:ring-2 focus:ring-primary-300"
+    >
+      <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16" className="rtl:rotate-180" aria-hidden="true">
+        <path fillRule="evenodd" d="M15 8a.5.5 0 0 0-.5-.5H2.707l3.147-3.146a.5.5 0 1 0-.708-.708l-4 4a.5.5 0 0 0 0 .708l4 4a.5.5 0 0 0 .708-.708L2.707 8.5H14.5A.5.5 0 0 0 15 8" />
+      </svg>
+      {t('common.back')}
+    </button>
+  </div>
+);
+
+export default BackButton;
@@ -0,0 +1,45 @@
+import React from 'react';
+import { formatDateTime, t } from '../i18n';
+
+// Offers to pick up unfinished wizards saved by useDraftAutosave
+const DraftPrompt = ({ drafts, onResume, onDiscard, onDismiss }) => {
+  if (drafts.length === 0) return null;
+
+  return (
+    <div className="w-[80%] m-auto mb-6 bg-primary-50 border border-primary-200 rounded-md p-4 text-start">
+      <ul className="space-y-3">
+        {drafts.map(draft => (
+          <li key={draft.id} className="flex items-center justify-between gap-4">
+            <div>
+              <p className="text-sm font-medium text-gray-800">
+                {t('drafts.resumePrompt', { name: draft.values.projectName?.trim() || t('drafts.untitled') })}
+              </p>
+              <p className="text-xs text-gray-500">{t('drafts.lastEdited', { date: formatDateTime(draft.updatedAt) })}</p>
+            </div>
+            <div className="flex items-center gap-2 shrink-0">
+              <button
+                type="button"
+                onClick={() => onResume(draft)}
+                className="bg-primary-600 text-primary-contrast text-sm px-3 py-1 rounded-md hover:bg-primary-700 transition"
+              >
+                {t('drafts.resume')}
+              </button>
+              <button
+                type="button"
+                onClick={() => onDiscard(draft)}
+                className="text-sm text-gray-700 px-3 py-1 rounded-md bg-gray-200 hover:bg-gray-300 transition"
+              >
+                {t('drafts.discard')}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+      <button type="button" onClick={onDismiss} className="mt-3 text-xs text-gray-600 hover:underline">
+        {t('drafts.startNew')}
+      </button>
+    </div>
+  );
+};
+
+export default DraftPrompt;
@@ -0,0 +1,124 @@
+import React, { useEffect, useId, useRef, useState } from 'react';
+import { t } from '../i18n';
+
+const hasFiles = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+
+const isEditable = (element) => element?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element?.tagName);
+
+// Drop target for files. Handles drag and drop, a keyboard-reachable file
+// picker and pasting files from the clipboard while it is mounted.
+//
+// `children` may be a node or a function of { open, isDragging } for callers
+// that want to render their own contents; otherwise a default prompt is shown.
+// Unless `children` is a function, whose caller then provides its own buttons,
+// the file input itself stays in the tab order (visually hidden) and the
+// prompt is its label.
+const Dropzone = ({ onFiles, multiple = true, accept, hint, disabled = false, className = '', children }) => {
+  const inputId = useId();
+  const inputRef = useRef(null);
+  const dragDepth = useRef(0);
+  const [isDragging, setIsDragging] = useState(false);
+
+  const emit = (fileList) => {
+    const selected = Array.from(fileList || []);
+    if (selected.length === 0 || disabled) return;
+    onFiles(multiple ? selected : selected.slice(0, 1));
+  };
+
+  const open = () => {
+    if (!disabled) inputRef.current?.click();
+  };
+
+  // dragenter/dragleave fire for every child element, so count the depth
+  // rather than toggling on each event
+  const handleDragEnter = (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    dragDepth.current += 1;
+    setIsDragging(true);
+  };
+
+  const handleDragOver = (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = disabled ? 'none' : 'copy';
+  };
+
+  const handleDragLeave = (e) => {
+    if (!hasFiles(e)) return;
+    dragDepth.current = Math.max(0, dragDepth.current - 1);
+    if (dragDepth.current === 0) setIsDragging(false);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    dragDepth.current = 0;
+    setIsDragging(false);
+    emit(e.dataTransfer?.files);
+  };
+
+  const handleInputChange = (e) => {
+    emit(e.target.files);
+    // Allow picking the same file again after it was removed
+    e.target.value = '';
+  };
+
+  // Paste anywhere on the page, unless the user is typing into a field
+  const emitRef = useRef(emit);
+  emitRef.current = emit;
+  useEffect(() => {
+    const handlePaste = (e) => {
+      if (isEditable(e.target)) return;
+      const pasted = Array.from(e.clipboardData?.files || []);
+      if (pasted.length === 0) return;
+      e.preventDefault();
+      emitRef.current(pasted);
+    };
+    window.addEventListener('paste', handlePaste);
+    return () => window.removeEventListener('paste', handlePaste);
+  }, []);
+
+  const highlight = isDragging ? 'border-primary-500 bg-primary-50' : 'border-gray-300';
+  const customTrigger = typeof children === 'function';
+
+  return (
+    <div
+      onDragEnter={handleDragEnter}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+      className={`border-2 border-dashed rounded-md transition ${highlight} ${className}`}
+    >
+      <input
+        ref={inputRef}
+        type="file"
+        id={inputId}
+        multiple={multiple}
+        accept={accept}
+        disabled={disabled}
+        onChange={handleInputChange}
+        hidden={customTrigger}
+        className={customTrigger ? undefined : 'sr-only peer'}
+      />
+      {customTrigger ? children({ open, isDragging }) : (
+        <label
+          htmlFor={inputId}
+          className={`block p-8 text-center rounded-md peer-focus-visible:ring-2 peer-focus-visible:ring-primary-300 ${disabled ? 'cursor-not-allowed' : 'cursor-pointer'}`}
+        >
+          {children || (
+            <span className="flex flex-col items-center justify-center">
+              <svg className="w-10 h-10 text-gray-500 mb-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" aria-hidden="true">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
+              </svg>
+              <span className="text-gray-600 font-medium">{isDragging ? t('files.dropHere') : t('files.dragHere')}</span>
+              <span className="text-gray-500 text-sm mt-1">{t('files.browseOrPaste')}</span>
+              {hint && <span className="text-gray-500 text-xs mt-2">{hint}</span>}
+            </span>
+          )}
+        </label>
+      )}
+    </div>
+  );
+};
+
+export default Dropzone;
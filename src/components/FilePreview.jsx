@@ -0,0 +1,132 @@
+import React from 'react';
+import { formatDate, formatNumber, hasTranslation, t } from '../i18n';
+
+const errorMessage = ({ code, params }) => t(`preview.errors.${code}`, params);
+
+const typeLabel = (type) => (hasTranslation(`preview.types.${type}`) ? t(`preview.types.${type}`) : type);
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const formatRange = ({ type, min, max }) => {
+  if (min === undefined) return '';
+  if (type === 'date') return `${formatDate(min)} – ${formatDate(max)}`;
+  return `${formatNumber(min)} – ${formatNumber(max)}`;
+};
+
+// What was found in one attached data file: its columns with their detected
+// types and stats, the first rows, and anything that didn't parse. `state` is
+// an entry from useFilePreviews.
+const FilePreview = ({ name, state, onClose }) => {
+  const { status, progress, preview, error } = state;
+
+  return (
+    <div className="mt-4 border border-gray-200 rounded-md bg-surface p-4 text-start">
+      <div className="flex items-start justify-between gap-4">
+        <div className="min-w-0">
+          <p className="font-medium text-gray-800 truncate" title={name}>{name}</p>
+          {status === 'ready' && (
+            <p className="text-xs text-gray-500">
+              {preview.format.toUpperCase()}
+              {preview.sheet && ` · ${t('preview.sheet', { sheet: preview.sheet })}`}
+              {' · '}{t('preview.rowCount', { count: preview.rowCount })}
+              {' · '}{t('preview.columnCount', { count: preview.columnCount })}
+            </p>
+          )}
+        </div>
+        <button type="button" onClick={onClose} className="text-sm text-gray-500 hover:text-gray-700">{t('common.close')}</button>
+      </div>
+
+      {status === 'loading' && (
+        <div className="mt-3">
+          <p className="text-sm text-gray-500">{t('preview.progress', { percent: formatNumber(progress, { style: 'percent' }) })}</p>
+          <div className="h-1 bg-gray-200 rounded mt-1">
+            <div className="h-1 bg-primary-500 rounded transition-all" style={{ width: `${Math.round(progress * 100)}%` }} />
+          </div>
+        </div>
+      )}
+
+      {status === 'failed' && <p className="text-sm text-red-600 mt-3">{t('preview.failed', { reason: error.code ? errorMessage(error) : error.message })}</p>}
+
+      {status === 'ready' && (
+        <>
+          {preview.columns.length > 0 && (
+            <table className="w-full text-sm mt-3">
+              <thead>
+                <tr className="border-b text-gray-500 text-start">
+                  <th className="py-1 font-medium text-start">{t('preview.column')}</th>
+                  <th className="py-1 font-medium text-start">{t('preview.type')}</th>
+                  <th className="py-1 font-medium text-start">{t('preview.empty')}</th>
+                  <th className="py-1 font-medium text-start">{t('preview.range')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.columns.map(column => (
+                  <tr key={column.name} className="border-b last:border-0">
+                    <td className="py-1 text-gray-800">{column.name}</td>
+                    <td className="py-1 text-gray-600">{typeLabel(column.type)}</td>
+                    <td className="py-1 text-gray-600">{formatNumber(column.nullCount)}</td>
+                    <td className="py-1 text-gray-600">{formatRange(column)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {preview.rows.length > 0 && (
+            <>
+              <p className="text-xs font-medium text-gray-500 mt-4 mb-1">
+                {t('preview.firstRows', { shown: formatNumber(preview.rows.length), count: preview.rowCount })}
+              </p>
+              <div className="overflow-auto max-h-72 border border-gray-100 rounded">
+                <table className="text-xs whitespace-nowrap">
+                  <thead className="bg-gray-50 sticky top-0">
+                    <tr>
+                      {preview.columns.map(column => (
+                        <th key={column.name} className="px-2 py-1 text-start font-medium text-gray-600">{column.name}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.rows.map((row, index) => (
+                      <tr key={index} className="border-t border-gray-100">
+                        {row.map((value, column) => (
+                          <td key={column} className="px-2 py-1 text-gray-700 max-w-[16rem] truncate" title={formatValue(value)}>
+                            {formatValue(value)}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          {preview.rowCount === 0 && preview.errorCount === 0 && (
+            <p className="text-sm text-gray-500 mt-3">{t('preview.noRows')}</p>
+          )}
+
+          {preview.errorCount > 0 && (
+            <div className="mt-4">
+              <p className="text-sm font-medium text-red-700">
+                {t('preview.problems', { count: preview.errorCount })}
+              </p>
+              <ul className="text-xs text-red-600 mt-1 space-y-0.5 list-disc ps-5">
+                {preview.errors.map((problem, index) => <li key={index}>{errorMessage(problem)}</li>)}
+              </ul>
+              {preview.errorCount > preview.errors.length && (
+                <p className="text-xs text-gray-500 mt-1">{t('preview.onlyFirst', { count: preview.errors.length })}</p>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default FilePreview;
@@ -0,0 +1,108 @@
+import React, { useEffect, useId, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { markRead, useNotifications } from '../notifications';
+import { analysisPath } from '../pages/paths';
+import { formatDateTime, t } from '../i18n';
+
+// What a notification says, by type
+const messageOf = ({ type, actor, projectName, status }) => {
+  const name = actor?.name || t('notifications.someone');
+  if (type === 'mention') return t('notifications.mention', { name, analysis: projectName });
+  if (type === 'shared') return t('notifications.shared', { name, analysis: projectName });
+  return t(`notifications.status.${status}`, { analysis: projectName });
+};
+
+// Mentions open the analysis at the comment
+const linkOf = ({ type, analysisId, commentId }) => (
+  type === 'mention' && commentId ? `${analysisPath(analysisId)}#comment-${commentId}` : analysisPath(analysisId)
+);
+
+// The bell in the header: how many notifications are unread, and a list of
+// the latest that open what they are about. `className` styles the toggle
+// like the other header controls.
+const NotificationsMenu = ({ className }) => {
+  const { items, unread, error } = useNotifications();
+  const [open, setOpen] = useState(false);
+  const panelId = useId();
+  const container = useRef(null);
+
+  // Close when focus or a click goes elsewhere
+  useEffect(() => {
+    if (!open) return undefined;
+    const close = (event) => {
+      if (!container.current?.contains(event.target)) setOpen(false);
+    };
+    const closeOnEscape = (event) => {
+      if (event.key === 'Escape') setOpen(false);
+    };
+    document.addEventListener('mousedown', close);
+    document.addEventListener('focusin', close);
+    document.addEventListener('keydown', closeOnEscape);
+    return () => {
+      document.removeEventListener('mousedown', close);
+      document.removeEventListener('focusin', close);
+      document.removeEventListener('keydown', closeOnEscape);
+    };
+  }, [open]);
+
+  const openItem = (item) => {
+    if (!item.read) markRead([item.id]);
+    setOpen(false);
+  };
+
+  return (
+    <div ref={container} className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen(value => !value)}
+        aria-expanded={open}
+        aria-controls={panelId}
+        aria-label={t('notifications.label', { count: unread })}
+        className={`${className} flex items-center gap-1`}
+      >
+        <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" viewBox="0 0 16 16" aria-hidden="true">
+          <path d="M8 16a2 2 0 0 0 2-2H6a2 2 0 0 0 2 2M8 1.918l-.797.161A4 4 0 0 0 4 6c0 .628-.134 2.197-.459 3.742-.16.767-.376 1.566-.663 2.258h10.244c-.287-.692-.502-1.49-.663-2.258C12.134 8.197 12 6.628 12 6a4 4 0 0 0-3.203-3.92zM14.22 12c.223.447.481.801.78 1H1c.299-.199.557-.553.78-1C2.68 10.2 3 6.88 3 6c0-2.42 1.72-4.44 4.005-4.901a1 1 0 1 1 1.99 0A5 5 0 0 1 13 6c0 .88.32 4.2 1.22 6" />
+        </svg>
+        {unread > 0 && (
+          <span aria-hidden="true" className="min-w-[1.25rem] h-5 px-1 rounded-full bg-primary-600 text-primary-contrast text-xs leading-5 text-center">
+            {unread}
+          </span>
+        )}
+      </button>
+      {open && (
+        <div id={panelId} className="absolute end-0 mt-2 w-80 z-20 bg-surface border border-gray-200 rounded-md shadow-lg p-4 text-start">
+          <div className="flex items-center justify-between gap-2">
+            <h2 className="font-medium text-gray-800">{t('notifications.title')}</h2>
+            {unread > 0 && (
+              <button type="button" onClick={() => markRead()} className="text-xs text-primary-600 hover:underline">
+                {t('notifications.markAllRead')}
+              </button>
+            )}
+          </div>
+          {error && <p className="text-sm text-red-600 mt-2">{t('notifications.loadFailed', { reason: error.message })}</p>}
+          {!error && items.length === 0 && <p className="text-sm text-gray-500 mt-2">{t('notifications.empty')}</p>}
+          {items.length > 0 && (
+            <ul className="mt-2 max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {items.map(item => (
+                <li key={item.id}>
+                  <Link
+                    to={linkOf(item)}
+                    onClick={() => openItem(item)}
+                    className={`block px-2 py-2 rounded-md hover:bg-gray-50 ${item.read ? 'text-gray-600' : 'text-gray-800 font-medium'}`}
+                  >
+                    {!item.read && <span className="sr-only">{t('notifications.unread')} </span>}
+                    <span className="block text-sm">{messageOf(item)}</span>
+                    {item.excerpt && <span className="block text-xs text-gray-500 font-normal truncate">{item.excerpt}</span>}
+                    <span className="block text-xs text-gray-400 font-normal">{formatDateTime(item.createdAt)}</span>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationsMenu;
@@ -0,0 +1,44 @@
+import React from 'react';
+import { describe, expect, it } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Route, Routes, useLocation } from 'react-router-dom';
+import NotificationsMenu from './NotificationsMenu';
+import { addNotification } from '../test/handlers';
+
+const Location = () => {
+  const { pathname, hash } = useLocation();
+  return <p data-testid="location">{`${pathname}${hash}`}</p>;
+};
+
+describe('notifications menu', () => {
+  it('lists mentions and status changes, and opens the comment a mention is about', async () => {
+    addNotification({ id: 'n-1', type: 'status', status: 'completed', analysisId: 'a-1', projectName: 'Churn drivers', createdAt: '2024-05-01T10:00:00.000Z' });
+    addNotification({
+      id: 'n-2',
+      type: 'mention',
+      actor: { name: 'Grace Hopper', email: 'grace@example.com' },
+      analysisId: 'a-1',
+      projectName: 'Churn drivers',
+      commentId: 'c-7',
+      excerpt: '@ada@example.com can you check the date range?',
+      createdAt: '2024-05-01T11:00:00.000Z',
+    });
+    const user = userEvent.setup();
+    render(
+      <MemoryRouter>
+        <NotificationsMenu />
+        <Routes>
+          <Route path="*" element={<Location />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    await user.click(await screen.findByRole('button', { name: 'Notifications, 2 unread' }));
+    expect(screen.getByRole('link', { name: /“Churn drivers” is ready/ })).toBeInTheDocument();
+    await user.click(screen.getByRole('link', { name: /Grace Hopper mentioned you on “Churn drivers”/ }));
+
+    expect(screen.getByTestId('location')).toHaveTextContent('/analyses/a-1#comment-c-7');
+    expect(await screen.findByRole('button', { name: 'Notifications, 1 unread' })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,93 @@
+import React, { useId, useState } from 'react';
+import { cancelSubmission, retrySubmission, useOutbox } from '../outbox';
+import { formatDateTime, t } from '../i18n';
+
+const statusText = ({ status, error }) => {
+  if (status === 'failed') return t('outbox.status.failed', { reason: error?.message });
+  if (status === 'pending' && error?.signedOut) return t('outbox.status.signIn');
+  return t(`outbox.status.${status}`);
+};
+
+// Header indicator for the outbox: says when the browser is offline and how
+// many submissions are waiting to sync, and opens a list where each one can
+// be retried or canceled by hand. Renders nothing while online with an empty
+// outbox. `className` styles the toggle like the other header controls.
+const OutboxStatus = ({ className }) => {
+  const { submissions, online } = useOutbox();
+  const [open, setOpen] = useState(false);
+  const panelId = useId();
+
+  if (online && submissions.length === 0) return null;
+
+  const summary = submissions.length > 0 ? t('outbox.pending', { count: submissions.length }) : t('outbox.offline');
+  const dot = (
+    <span
+      aria-hidden="true"
+      className={`inline-block w-2 h-2 rounded-full ${submissions.some(({ status }) => status === 'failed') ? 'bg-red-500' : online ? 'bg-amber-600' : 'bg-gray-500'}`}
+    />
+  );
+
+  return (
+    <div className="relative">
+      <span role="status" className="sr-only">{summary}</span>
+      {submissions.length === 0 ? (
+        <span className={`${className} flex items-center gap-2`}>{dot}{t('outbox.offline')}</span>
+      ) : (
+        <button
+          type="button"
+          onClick={() => setOpen(value => !value)}
+          aria-expanded={open}
+          aria-controls={panelId}
+          className={`${className} flex items-center gap-2`}
+        >
+          {dot}{summary}
+        </button>
+      )}
+
+      {open && submissions.length > 0 && (
+        <div id={panelId} className="absolute end-0 mt-2 w-80 z-20 bg-surface border border-gray-200 rounded-md shadow-lg p-4 text-start">
+          <div className="flex items-start justify-between gap-4">
+            <h2 className="font-medium text-gray-800">{t('outbox.title')}</h2>
+            <button type="button" onClick={() => setOpen(false)} className="text-sm text-gray-500 hover:text-gray-700">{t('common.close')}</button>
+          </div>
+          {!online && <p className="text-xs text-gray-500 mt-1">{t('outbox.offlineHint')}</p>}
+          <ul className="mt-3 space-y-3">
+            {submissions.map(submission => {
+              const toUpload = submission.files.filter(({ uploadId }) => !uploadId).length;
+              const name = submission.payload.projectName || t('drafts.untitled');
+              return (
+                <li key={submission.id} className="border-t border-gray-100 pt-3 first:border-0 first:pt-0">
+                  <p className="text-sm font-medium text-gray-800 truncate" title={name}>{name}</p>
+                  <p className="text-xs text-gray-500">
+                    {t('outbox.savedAt', { date: formatDateTime(submission.createdAt) })}
+                    {toUpload > 0 && ` · ${t('outbox.files', { count: toUpload })}`}
+                  </p>
+                  <p className={`text-xs mt-1 ${submission.status === 'failed' ? 'text-red-600' : 'text-gray-600'}`}>{statusText(submission)}</p>
+                  <div className="flex gap-3 mt-1">
+                    <button
+                      type="button"
+                      onClick={() => retrySubmission(submission.id)}
+                      disabled={submission.status === 'sending'}
+                      className="text-sm text-primary-600 hover:underline disabled:opacity-50 disabled:no-underline"
+                    >
+                      {t('common.retry')}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => cancelSubmission(submission.id)}
+                      className="text-sm text-red-600 hover:underline"
+                    >
+                      {t('common.cancel')}
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OutboxStatus;
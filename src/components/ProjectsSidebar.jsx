@@ -0,0 +1,97 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import StatusBadge from './analysis/StatusBadge';
+import { STATUSES, statusLabel } from './analysis/statuses';
+import { useAnalyses } from '../hooks/useAnalyses';
+import { useDebouncedValue } from '../hooks/useDebouncedValue';
+import { analysesPath } from '../pages/paths';
+import { useAuth } from '../auth';
+import { isSharedWithMe } from '../sharing';
+import { formatDate, t } from '../i18n';
+
+const controlClassName = 'w-full text-sm text-gray-800 bg-surface rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-primary-300';
+
+// Past analyses with search, status filter and sort. `refreshKey` changes
+// whenever the list should be fetched again (e.g. after a submit).
+const ProjectsSidebar = ({ selectedId, refreshKey, onOpen, onNew, onDuplicate }) => {
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('');
+  const [sort, setSort] = useState('newest');
+  const debouncedSearch = useDebouncedValue(search);
+  const { analyses, isLoading, error, reload } = useAnalyses({ search: debouncedSearch, status, sort });
+  const { user } = useAuth();
+
+  useEffect(() => {
+    if (refreshKey) reload();
+  }, [refreshKey, reload]);
+
+  return (
+    <aside className="w-full flex flex-col gap-3 px-3 text-brand-contrast">
+      <button
+        type="button"
+        onClick={onNew}
+        className="w-full bg-brand-contrast text-brand font-semibold text-sm rounded-md py-2 hover:bg-brand-contrast/90 transition"
+      >
+        {t('analyses.new')}
+      </button>
+      <Link to={analysesPath()} className="text-xs text-brand-muted hover:text-brand-contrast hover:underline text-center">
+        {t('analyses.viewAll')}
+      </Link>
+
+      <input
+        type="search"
+        value={search}
+        onChange={e => setSearch(e.target.value)}
+        placeholder={t('analyses.search')}
+        aria-label={t('analyses.search')}
+        className={controlClassName}
+      />
+      <div className="flex gap-2">
+        <select value={status} onChange={e => setStatus(e.target.value)} aria-label={t('analyses.filterByStatus')} className={controlClassName}>
+          <option value="">{t('analyses.allStatuses')}</option>
+          {STATUSES.map(value => (
+            <option key={value} value={value}>{statusLabel(value)}</option>
+          ))}
+        </select>
+        <select value={sort} onChange={e => setSort(e.target.value)} aria-label={t('analyses.sortBy')} className={controlClassName}>
+          <option value="newest">{t('analyses.sort.newest')}</option>
+          <option value="oldest">{t('analyses.sort.oldest')}</option>
+          <option value="name">{t('analyses.sort.name')}</option>
+        </select>
+      </div>
+
+      {error && <p className="text-xs text-red-200">{t('analyses.loadFailed', { reason: error.message })}</p>}
+      {!error && !isLoading && analyses.length === 0 && (
+        <p className="text-xs text-brand-muted">{search || status ? t('analyses.noMatches') : t('analyses.empty')}</p>
+      )}
+
+      <ul className="flex flex-col gap-1 overflow-y-auto">
+        {analyses.map(analysis => (
+          <li key={analysis.id}>
+            <div className={`group rounded-md px-2 py-2 ${analysis.id === selectedId ? 'bg-brand-contrast/20' : 'hover:bg-brand-contrast/10'}`}>
+              <button type="button" onClick={() => onOpen(analysis.id)} className="w-full text-start">
+                <p className="text-sm font-medium truncate" title={analysis.projectName}>{analysis.projectName}</p>
+                {isSharedWithMe(analysis, user) && (
+                  <p className="text-xs text-brand-muted truncate">{t('sharing.sharedBy', { name: analysis.owner.name })}</p>
+                )}
+                <div className="flex items-center justify-between gap-2 mt-1">
+                  <StatusBadge status={analysis.status} />
+                  <span className="text-xs text-brand-muted">{formatDate(analysis.createdAt)}</span>
+                </div>
+              </button>
+              <button
+                type="button"
+                onClick={() => onDuplicate(analysis)}
+                className="mt-1 text-xs text-brand-muted hover:text-brand-contrast hover:underline"
+              >
+                {t('analyses.duplicate')}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </aside>
+  );
+};
+
+export default ProjectsSidebar;
@@ -0,0 +1,27 @@
+import React from 'react';
+import { t } from '../i18n';
+
+// Files that failed validation, with the reason for each
+const RejectedFiles = ({ rejected, onDismiss }) => {
+  if (rejected.length === 0) return null;
+
+  return (
+    <div className="bg-red-50 border border-red-200 p-3 rounded-md text-start">
+      <div className="flex items-center justify-between mb-1">
+        <p className="text-sm font-medium text-red-700">{t('files.notAdded')}</p>
+        {onDismiss && (
+          <button type="button" onClick={onDismiss} className="text-xs text-red-700 hover:underline">
+            {t('common.dismiss')}
+          </button>
+        )}
+      </div>
+      <ul className="text-sm text-red-600 space-y-1">
+        {rejected.map(({ file, reason }, index) => (
+          <li key={`${file.name}-${index}`}>{reason}</li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default RejectedFiles;
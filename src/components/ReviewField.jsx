@@ -0,0 +1,99 @@
+import React, { useEffect, useId, useRef, useState } from 'react';
+import FieldControl from './wizard/FieldControl';
+import { emptyAnswer, textOf } from '../wizard/engine';
+import { formatAnswer } from './wizard/formatAnswer';
+import { t } from '../i18n';
+
+// One answer on the review step, editable in place. The new value is checked
+// against the same yup schema the step uses before it is saved.
+const ReviewField = ({ field, value, schema, onSave }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(value);
+  const [error, setError] = useState(null);
+  const labelId = useId();
+  const errorId = useId();
+  const multiline = field.type === 'textarea' || field.multiline;
+
+  // Put focus back on Edit when the field closes, rather than losing it
+  const editButtonRef = useRef(null);
+  const wasEditing = useRef(false);
+  useEffect(() => {
+    if (wasEditing.current && !isEditing) editButtonRef.current?.focus();
+    wasEditing.current = isEditing;
+  }, [isEditing]);
+
+  const startEditing = () => {
+    setDraft(value ?? emptyAnswer(field));
+    setError(null);
+    setIsEditing(true);
+  };
+
+  const save = async () => {
+    try {
+      await schema.validateAt(field.name, { [field.name]: draft });
+      onSave(draft);
+      setIsEditing(false);
+    } catch (validationError) {
+      setError(validationError.message);
+    }
+  };
+
+  // A collaborators list hands over the new list instead of an event
+  const handleChange = (change) => setDraft(change?.target ? change.target.value : change);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setIsEditing(false);
+    } else if (e.key === 'Enter' && !multiline) {
+      e.preventDefault();
+      save();
+    }
+  };
+
+  return (
+    <div className="text-start border-b border-gray-200 py-3">
+      <div className="flex items-center justify-between gap-4">
+        <p id={labelId} className="text-sm font-medium text-gray-500">{textOf(field.label)}</p>
+        {!isEditing && (
+          <button
+            ref={editButtonRef}
+            type="button"
+            onClick={startEditing}
+            aria-describedby={labelId}
+            className="text-sm text-primary-600 hover:underline"
+          >
+            {t('common.edit')}
+          </button>
+        )}
+      </div>
+      {isEditing ? (
+        <div className="mt-2">
+          <FieldControl
+            field={multiline ? { ...field, type: 'textarea' } : field}
+            inputProps={{ value: draft, onChange: handleChange }}
+            onKeyDown={handleKeyDown}
+            hasError={Boolean(error)}
+            autoFocus
+            className="w-full"
+            aria-labelledby={labelId}
+            aria-invalid={Boolean(error)}
+            aria-describedby={error ? errorId : undefined}
+          />
+          {error && <p id={errorId} role="alert" className="text-sm text-red-600 mt-1">{error}</p>}
+          <div className="flex gap-2 mt-2">
+            <button type="button" onClick={save} className="bg-primary-600 text-primary-contrast text-sm px-3 py-1 rounded-md hover:bg-primary-700 transition">
+              {t('common.save')}
+            </button>
+            <button type="button" onClick={() => setIsEditing(false)} className="text-sm text-gray-700 px-3 py-1 rounded-md bg-gray-200 hover:bg-gray-300 transition">
+              {t('common.cancel')}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <p className="text-gray-800 mt-1 whitespace-pre-wrap break-words">{formatAnswer(field, value)}</p>
+      )}
+    </div>
+  );
+};
+
+export default ReviewField;
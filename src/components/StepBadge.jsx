@@ -0,0 +1,23 @@
+import React from 'react';
+import { t } from '../i18n';
+
+// Tick badge for a completed step. Clicking it jumps back to that step.
+const StepBadge = ({ label, onClick, className = '' }) => (
+  <p className={`text-lg mb-2 text-center flex items-center gap-4 justify-center ${className}`}>
+    <button
+      type="button"
+      onClick={onClick}
+      title={t('wizard.editStep', { step: label })}
+      className="flex items-center gap-4 rounded-md px-1 group focus:outline-none focus:ring-2 focus:ring-primary-300"
+    >
+      <span className='bg-success p-1 rounded-full'>
+        <svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="#fff" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" aria-hidden="true">
+          <path d="M20 6 9 17l-5-5" />
+        </svg>
+      </span>
+      <span className='text-gray-500 text-[16px] group-hover:underline'>{label}</span>
+    </button>
+  </p>
+);
+
+export default StepBadge;
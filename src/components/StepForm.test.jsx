@@ -0,0 +1,295 @@
+import React from 'react';
+import { describe, expect, it, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { http, HttpResponse } from 'msw';
+import MultiStepForm from './StepForm';
+import { server } from '../test/server';
+import { apiPath, completedAnalysis } from '../test/handlers';
+import { axeViolations } from '../test/axe';
+import { serializeSpec, specFromAnswers } from '../spec';
+import { createZip } from '../spec/zip';
+import { analysisWizard } from '../wizard/analysisWizard';
+
+const PROJECT_NAME = 'Churn drivers';
+const DESCRIPTION = 'Find out why monthly churn rate went up in Q1 2024 using the CRM export';
+const NOTES = 'Churn went up after the price change.\n';
+const NOTES_SHA256 = 'ae6a9cf1056e6135c80bdc6fb59a154f185c1a500086edf265ca0944256e07d0';
+
+const notes = () => new File([NOTES], 'notes.txt', { type: 'text/plain' });
+
+const setup = () => {
+  const user = userEvent.setup();
+  const utils = render(<MultiStepForm />);
+  return { user, ...utils };
+};
+
+const send = (user) => user.click(screen.getByRole('button', { name: 'Send' }));
+
+// Answer the first two steps and land on the files step
+const answerQuestions = async (user) => {
+  await user.type(screen.getByRole('textbox', { name: 'Project name' }), PROJECT_NAME);
+  await send(user);
+  await user.type(await screen.findByRole('textbox', { name: 'Analysis description' }), DESCRIPTION);
+  await send(user);
+  await screen.findByRole('button', { name: 'SKIP' });
+};
+
+// Skip the optional sharing step that follows the files
+const skipSharing = async (user) => {
+  await screen.findByRole('textbox', { name: 'Share with' });
+  await user.click(screen.getByRole('button', { name: 'SKIP' }));
+  await screen.findByRole('button', { name: 'DONE' });
+};
+
+const reachReview = async (user) => {
+  await answerQuestions(user);
+  await user.click(screen.getByRole('button', { name: 'SKIP' }));
+  await skipSharing(user);
+};
+
+// Record what the wizard posts to /analyses (until the test ends)
+const capturePayload = () => {
+  const captured = {};
+  server.events.on('request:start', async ({ request }) => {
+    if (request.method === 'POST' && new URL(request.url).pathname === '/api/analyses') {
+      captured.form = await request.clone().formData();
+    }
+  });
+  return captured;
+};
+
+describe('new analysis wizard', () => {
+  it('won\'t leave a step until its answer passes the rules', async () => {
+    const { user } = setup();
+    const input = screen.getByRole('textbox', { name: 'Project name' });
+
+    await send(user);
+    expect(await screen.findByRole('alert')).toHaveTextContent('Project name is required');
+
+    await user.type(input, 'ab');
+    await send(user);
+    const error = await screen.findByText('Project name must be at least 3 characters');
+    expect(input).toHaveAttribute('aria-invalid', 'true');
+    expect(input.getAttribute('aria-describedby')).toContain(error.id);
+    expect(screen.queryByRole('textbox', { name: 'Analysis description' })).not.toBeInTheDocument();
+
+    await user.type(input, 'c');
+    await send(user);
+    const description = await screen.findByRole('textbox', { name: 'Analysis description' });
+    expect(description).toHaveFocus();
+
+    await user.type(description, 'Too short');
+    await send(user);
+    expect(await screen.findByRole('alert')).toHaveTextContent('Please provide more details (at least 10 characters)');
+  });
+
+  it('lets the optional files step be skipped', async () => {
+    const { user } = setup();
+    await answerQuestions(user);
+    expect(screen.getByRole('heading', { name: 'Step 3 of 5' })).toHaveFocus();
+
+    await user.click(screen.getByRole('button', { name: 'SKIP' }));
+    await skipSharing(user);
+
+    expect(screen.getByText('Files (0)')).toBeInTheDocument();
+    expect(screen.getByText(PROJECT_NAME)).toBeInTheDocument();
+    expect(screen.getByText(DESCRIPTION)).toBeInTheDocument();
+  });
+
+  it('submits every answer and follows the analysis until it is ready', async () => {
+    const captured = capturePayload();
+    // Every status check finds the job already finished
+    server.use(http.get(apiPath('/analyses/:id'), ({ params }) => HttpResponse.json(completedAnalysis({
+      id: params.id,
+      projectName: PROJECT_NAME,
+      status: 'queued',
+      createdAt: '2024-05-01T10:00:00.000Z',
+      events: [{ status: 'queued', at: '2024-05-01T10:00:00.000Z' }],
+    }))));
+    const { user } = setup();
+    await reachReview(user);
+
+    await user.click(screen.getByRole('button', { name: 'DONE' }));
+
+    expect(await screen.findByRole('heading', { name: 'Your analysis is ready' })).toBeInTheDocument();
+    expect(screen.getByText('Everything checks out.')).toBeInTheDocument();
+    expect(captured.form.get('projectName')).toBe(PROJECT_NAME);
+    expect(captured.form.get('analysisDescription')).toBe(DESCRIPTION);
+    // The description covers every check, so there were no follow-up answers
+    expect(captured.form.has('clarifications')).toBe(false);
+    expect(captured.form.getAll('uploadIds')).toEqual([]);
+  });
+
+  it('uploads attached files and sends their upload ids', async () => {
+    const captured = capturePayload();
+    const { user } = setup();
+    await answerQuestions(user);
+
+    await user.upload(screen.getByLabelText(/DRAG AND DROP YOUR FILES/), notes());
+    expect(await screen.findByText('Uploaded')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Next' }));
+    await skipSharing(user);
+    await user.click(screen.getByRole('button', { name: 'DONE' }));
+
+    await screen.findByRole('heading', { name: 'Your analysis is queued' });
+    expect(captured.form.getAll('uploadIds')).toEqual([expect.stringMatching(/^upload-/)]);
+  });
+
+  it('shares the analysis with the people added', async () => {
+    const captured = capturePayload();
+    const { user } = setup();
+    await answerQuestions(user);
+    await user.click(screen.getByRole('button', { name: 'SKIP' }));
+
+    const email = await screen.findByRole('textbox', { name: 'Share with' });
+    expect(email).toHaveFocus();
+    await user.type(email, 'not-an-email{Enter}');
+    expect(await screen.findByRole('alert')).toHaveTextContent('Enter a valid email address');
+    await user.clear(email);
+    await user.type(email, 'Grace@Example.com');
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Role for the person being added' }), 'Editor');
+    await user.click(screen.getByRole('button', { name: 'Add' }));
+    expect(screen.getByRole('combobox', { name: 'Role for grace@example.com' })).toHaveValue('editor');
+    await user.click(screen.getByRole('button', { name: 'Next' }));
+
+    await screen.findByRole('button', { name: 'DONE' });
+    expect(screen.getByText('grace@example.com (Editor)')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'DONE' }));
+
+    await screen.findByRole('heading', { name: 'Your analysis is queued' });
+    expect(captured.form.getAll('collaborators').map(JSON.parse)).toEqual([{ email: 'grace@example.com', role: 'editor' }]);
+  });
+
+  it('sends the user back to a field the server rejected', async () => {
+    server.use(http.post(apiPath('/analyses'), () => HttpResponse.json(
+      { message: 'Please fix the highlighted fields', errors: { projectName: 'That name is already taken' } },
+      { status: 422 },
+    )));
+    const { user } = setup();
+    await reachReview(user);
+
+    await user.click(screen.getByRole('button', { name: 'DONE' }));
+
+    const input = await screen.findByRole('textbox', { name: 'Project name' });
+    expect(screen.getByRole('alert')).toHaveTextContent('That name is already taken');
+    expect(input).toHaveAttribute('aria-invalid', 'true');
+
+    // Fixing it goes straight back to the review
+    await user.clear(input);
+    await user.type(input, 'Churn drivers 2024');
+    await send(user);
+    expect(await screen.findByRole('button', { name: 'DONE' })).toBeInTheDocument();
+  });
+
+  it('shows what went wrong when the submit fails', async () => {
+    server.use(http.post(apiPath('/analyses'), () => HttpResponse.json({ message: 'The queue is full' }, { status: 500 })));
+    const { user } = setup();
+    await reachReview(user);
+
+    await user.click(screen.getByRole('button', { name: 'DONE' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('The queue is full');
+    expect(screen.getByRole('button', { name: 'DONE' })).toBeEnabled();
+  });
+
+  it('keeps an offline submission on the device and sends it once back online', async () => {
+    const captured = capturePayload();
+    const onLine = vi.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false);
+    const { user } = setup();
+    await reachReview(user);
+
+    await user.click(screen.getByRole('button', { name: 'DONE' }));
+
+    expect(await screen.findByRole('heading', { name: 'Saved on this device' })).toBeInTheDocument();
+    expect(captured.form).toBeUndefined();
+
+    onLine.mockReturnValue(true);
+    window.dispatchEvent(new Event('online'));
+
+    expect(await screen.findByRole('heading', { name: 'Your analysis is queued' })).toBeInTheDocument();
+    expect(captured.form.get('projectName')).toBe(PROJECT_NAME);
+    onLine.mockRestore();
+  });
+
+  it('fills the answers in from an imported spec and asks for the files it names', async () => {
+    const captured = capturePayload();
+    const { user } = setup();
+    const spec = [
+      'kind: AnalysisRequest',
+      'specVersion: 1',
+      'wizard: analysis',
+      'answers:',
+      `  projectName: ${PROJECT_NAME}`,
+      '  analysisDescription: Too short',
+      'files:',
+      `  - { name: notes.txt, size: ${NOTES.length}, sha256: ${NOTES_SHA256} }`,
+    ].join('\n');
+    await user.upload(screen.getByLabelText(/Fill the form from a spec file/), new File([spec], 'churn.spec.yaml'));
+
+    // It stops at the first answer the rules turn down
+    const description = await screen.findByRole('textbox', { name: 'Analysis description' });
+    expect(description).toHaveValue('Too short');
+    expect(await screen.findByRole('alert')).toHaveTextContent('Please provide more details (at least 10 characters)');
+    await user.clear(description);
+    await user.type(description, DESCRIPTION);
+    await send(user);
+
+    expect(await screen.findByText('The spec refers to 1 file that isn’t attached yet:')).toBeInTheDocument();
+    await user.upload(screen.getByLabelText(/DRAG AND DROP YOUR FILES/), notes());
+    expect(await screen.findByText('Uploaded')).toBeInTheDocument();
+    expect(screen.queryByText(/The spec refers to/)).not.toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: 'Next' }));
+    await skipSharing(user);
+    await user.click(screen.getByRole('button', { name: 'DONE' }));
+
+    await screen.findByRole('heading', { name: 'Your analysis is queued' });
+    expect(captured.form.get('projectName')).toBe(PROJECT_NAME);
+    expect(captured.form.get('analysisDescription')).toBe(DESCRIPTION);
+    expect(captured.form.getAll('uploadIds')).toHaveLength(1);
+  });
+
+  it('imports a spec bundle dropped on the files step, files and all', async () => {
+    const { user } = setup();
+    await answerQuestions(user);
+
+    const spec = await specFromAnswers(analysisWizard, { projectName: 'Imported churn', analysisDescription: DESCRIPTION }, [notes()]);
+    const bundle = await createZip([
+      { name: 'spec.yaml', data: serializeSpec({ ...spec, files: [{ ...spec.files[0], path: 'files/notes.txt' }] }, 'yaml') },
+      { name: 'files/notes.txt', data: notes() },
+    ]);
+    await user.upload(screen.getByLabelText(/DRAG AND DROP YOUR FILES/), new File([bundle], 'churn.spec.zip'));
+
+    // Everything checks out, so it goes straight to the review
+    expect(await screen.findByRole('button', { name: 'DONE' })).toBeInTheDocument();
+    expect(screen.getByText('Imported churn')).toBeInTheDocument();
+    expect(screen.getByText('notes.txt')).toBeInTheDocument();
+  });
+
+  it('has no detectable accessibility problems on any step', async () => {
+    const { user, container } = setup();
+    expect(await axeViolations(container)).toEqual([]);
+
+    await send(user);
+    await screen.findByRole('alert');
+    expect(await axeViolations(container)).toEqual([]);
+
+    await user.type(screen.getByRole('textbox', { name: 'Project name' }), PROJECT_NAME);
+    await send(user);
+    await user.type(await screen.findByRole('textbox', { name: 'Analysis description' }), 'Churn');
+    expect(await axeViolations(container)).toEqual([]);
+
+    await user.type(screen.getByRole('textbox', { name: 'Analysis description' }), ' by month since 2023 from the CRM export');
+    await send(user);
+    await screen.findByRole('button', { name: 'SKIP' });
+    expect(await axeViolations(container)).toEqual([]);
+
+    await user.click(screen.getByRole('button', { name: 'SKIP' }));
+    await screen.findByRole('textbox', { name: 'Share with' });
+    expect(await axeViolations(container)).toEqual([]);
+
+    await user.click(screen.getByRole('button', { name: 'SKIP' }));
+    await screen.findByRole('button', { name: 'DONE' });
+    expect(await axeViolations(container)).toEqual([]);
+  });
+});
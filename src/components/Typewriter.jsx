@@ -0,0 +1,52 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useReducedMotion } from 'framer-motion';
+
+// Enhanced Typewriter component with cursor and cleanup. `instant` shows the
+// whole text straight away, e.g. once the user has asked to skip the typing,
+// and so does a system preference for reduced motion; `onDone` fires when the
+// full text is on screen. Screen readers get the full text in one piece
+// rather than letter by letter.
+const Typewriter = ({ text, speed = 30, delay = 0, instant: instantProp = false, onDone }) => {
+  const reducedMotion = useReducedMotion();
+  const instant = instantProp || reducedMotion;
+  const [displayedText, setDisplayedText] = useState('');
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const isDone = Boolean(text) && (instant || currentIndex >= text.length);
+
+  useEffect(() => {
+    if (text && !instant) {
+      const timeout = setTimeout(() => {
+        if (currentIndex < text.length) {
+          setDisplayedText(prev => prev + text[currentIndex]);
+          setCurrentIndex(prev => prev + 1);
+        }
+      }, currentIndex === 0 ? delay : speed);
+
+      return () => clearTimeout(timeout);
+    }
+  }, [currentIndex, text, speed, delay, instant]);
+
+  useEffect(() => {
+    // Reset when text changes
+    setDisplayedText('');
+    setCurrentIndex(0);
+  }, [text]);
+
+  const onDoneRef = useRef(onDone);
+  onDoneRef.current = onDone;
+  useEffect(() => {
+    if (isDone) onDoneRef.current?.();
+  }, [isDone]);
+
+  return (
+    <span>
+      <span className="sr-only">{text}</span>
+      <span aria-hidden="true">
+        {instant ? text : displayedText}
+        <span className="animate-pulse"></span>
+      </span>
+    </span>
+  );
+};
+
+export default Typewriter;
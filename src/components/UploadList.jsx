@@ -0,0 +1,76 @@
+import React from 'react';
+import { formatNumber, t } from '../i18n';
+
+const BAR_COLORS = {
+  uploading: 'bg-primary-500',
+  done: 'bg-green-600',
+  failed: 'bg-red-500',
+  canceled: 'bg-gray-400',
+};
+
+// "Selected files" list with a progress bar and cancel/retry/remove per row
+const UploadList = ({ uploads, onCancel, onRetry, onRemove }) => (
+  <ul className="text-sm text-gray-600 space-y-2">
+    {uploads.map(upload => {
+      const percent = Math.round(upload.progress * 100);
+      return (
+        <li key={upload.key}>
+          <div className="flex items-center justify-between gap-2">
+            <span className="truncate text-start">{upload.file.name}</span>
+            <span className="flex items-center gap-2 shrink-0">
+              <span className={`text-xs ${upload.status === 'failed' ? 'text-red-600' : 'text-gray-500'}`}>
+                {upload.status === 'uploading' ? formatNumber(upload.progress, { style: 'percent' }) : t(`uploads.status.${upload.status}`)}
+              </span>
+              {upload.status === 'uploading' && (
+                <button
+                  type="button"
+                  onClick={() => onCancel(upload.key)}
+                  className="text-xs text-gray-700 px-2 py-0.5 rounded bg-gray-200 hover:bg-gray-300 transition"
+                >
+                  {t('common.cancel')}
+                </button>
+              )}
+              {(upload.status === 'failed' || upload.status === 'canceled') && (
+                <button
+                  type="button"
+                  onClick={() => onRetry(upload.key)}
+                  className="text-xs text-primary-contrast px-2 py-0.5 rounded bg-primary-600 hover:bg-primary-700 transition"
+                >
+                  {t('common.retry')}
+                </button>
+              )}
+              {onRemove && upload.status !== 'uploading' && (
+                <button
+                  type="button"
+                  onClick={() => onRemove(upload.key)}
+                  aria-label={t('files.remove', { name: upload.file.name })}
+                  className="text-xs text-gray-500 w-5 h-5 rounded-full hover:bg-gray-200 transition"
+                >
+                  ×
+                </button>
+              )}
+            </span>
+          </div>
+          <div
+            role="progressbar"
+            aria-label={upload.file.name}
+            aria-valuemin={0}
+            aria-valuemax={100}
+            aria-valuenow={upload.status === 'canceled' ? 0 : percent}
+            className="h-1.5 mt-1 bg-gray-200 rounded-full overflow-hidden"
+          >
+            <div
+              className={`h-full transition-all ${BAR_COLORS[upload.status]}`}
+              style={{ width: `${upload.status === 'canceled' ? 0 : percent}%` }}
+            />
+          </div>
+          {upload.status === 'failed' && upload.error && (
+            <p className="text-xs text-red-600 text-start mt-1">{upload.error.message}</p>
+          )}
+        </li>
+      );
+    })}
+  </ul>
+);
+
+export default UploadList;
@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from 'react';
+import AnalysisStatus from './AnalysisStatus';
+import AnalysisDetailsForm from './AnalysisDetailsForm';
+import SharingPanel from '../sharing/SharingPanel';
+import CommentsPanel from '../sharing/CommentsPanel';
+import SpecExportMenu from '../spec/SpecExportMenu';
+import { getAnalysis, CanceledError } from '../../api';
+import { clarificationLabel } from '../../assistant';
+import { useAuth } from '../../auth';
+import { can, isSharedWithMe, roleLabel } from '../../sharing';
+import { saveSpec, specFromAnalysis } from '../../spec';
+import { analysisWizard } from '../../wizard/analysisWizard';
+import { formatBytes } from '../../utils/format';
+import { formatDateTime, t } from '../../i18n';
+
+// A past analysis: what was asked, what was attached, who it is shared with,
+// its status/results and the discussion about it. It can be exported as a
+// spec, which references its files by checksum. What can be changed
+// depends on the user's `role` on it. `onUpdated` is called with the analysis
+// after it has been renamed or reshared.
+const AnalysisDetail = ({ analysisId, onDuplicate, onUpdated }) => {
+  const { user } = useAuth();
+  const [analysis, setAnalysis] = useState(null);
+  const [error, setError] = useState(null);
+  const [isEditing, setIsEditing] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setAnalysis(null);
+    setError(null);
+    setIsEditing(false);
+    getAnalysis(analysisId, { signal: controller.signal })
+      .then(setAnalysis)
+      .catch(fetchError => {
+        if (!(fetchError instanceof CanceledError)) setError(fetchError);
+      });
+    return () => controller.abort();
+  }, [analysisId]);
+
+  if (error) {
+    return <p className="text-center text-red-600 py-8">{error.status === 404 ? t('analyses.gone') : error.message}</p>;
+  }
+  if (!analysis) {
+    return <p className="text-center text-gray-500 py-8">{t('analyses.loading')}</p>;
+  }
+
+  const update = (updated) => {
+    setAnalysis(updated);
+    setIsEditing(false);
+    onUpdated?.(updated);
+  };
+
+  return (
+    <div className="p-4">
+      <div className="w-[80%] m-auto text-start">
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <h1 className="text-xl font-bold">{analysis.projectName}</h1>
+            <p className="text-sm text-gray-500">
+              {t('analyses.submittedAt', { date: formatDateTime(analysis.createdAt) })}
+              {isSharedWithMe(analysis, user) && ` · ${t('sharing.sharedBy', { name: analysis.owner.name })}`}
+              {analysis.role && ` · ${t('sharing.yourRole', { role: roleLabel(analysis.role) })}`}
+            </p>
+          </div>
+          <div className="flex gap-2">
+            {can(analysis.role, 'edit') && !isEditing && (
+              <button
+                type="button"
+                onClick={() => setIsEditing(true)}
+                className="text-sm text-gray-700 px-3 py-1 rounded-md bg-gray-200 hover:bg-gray-300 transition"
+              >
+                {t('sharing.editDetails')}
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={() => onDuplicate(analysis)}
+              className="text-sm text-gray-700 px-3 py-1 rounded-md bg-gray-200 hover:bg-gray-300 transition"
+            >
+              {t('analyses.duplicate')}
+            </button>
+            <SpecExportMenu
+              formats={['yaml', 'json']}
+              onExport={format => saveSpec(specFromAnalysis(analysisWizard, analysis), format)}
+              className="text-sm text-gray-700 px-3 py-1 rounded-md bg-gray-200 hover:bg-gray-300 transition disabled:opacity-50"
+            />
+          </div>
+        </div>
+        {isEditing ? (
+          <AnalysisDetailsForm analysis={analysis} onSaved={update} onCancel={() => setIsEditing(false)} />
+        ) : (
+          <p className="text-gray-700 mt-4 whitespace-pre-wrap">{analysis.analysisDescription}</p>
+        )}
+        {analysis.clarifications && (
+          <dl className="mt-4 text-sm grid grid-cols-[max-content_1fr] gap-x-4 gap-y-1">
+            {Object.entries(analysis.clarifications).map(([id, answer]) => (
+              <React.Fragment key={id}>
+                <dt className="text-gray-500">{clarificationLabel(id)}</dt>
+                <dd className="text-gray-700">{answer}</dd>
+              </React.Fragment>
+            ))}
+          </dl>
+        )}
+        {analysis.files?.length > 0 && (
+          <ul className="mt-4 text-sm text-gray-600 space-y-1">
+            {analysis.files.map(file => (
+              <li key={file.name}>
+                {file.name} <span className="text-gray-400">{formatBytes(file.size)}</span>
+                {file.schema && (
+                  <span className="text-gray-400">
+                    {' · '}{t('preview.rowCount', { count: file.schema.rowCount })}
+                    {' · '}{t('preview.columnCount', { count: file.schema.columnCount })}
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+        <SharingPanel analysis={analysis} onChange={update} />
+      </div>
+      <div className="mt-8">
+        <AnalysisStatus key={analysis.id} analysis={analysis} showName={false} />
+      </div>
+      <CommentsPanel analysis={analysis} />
+    </div>
+  );
+};
+
+export default AnalysisDetail;
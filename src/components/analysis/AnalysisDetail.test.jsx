@@ -0,0 +1,102 @@
+import React from 'react';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import AnalysisDetail from './AnalysisDetail';
+import { addAnalysis, completedAnalysis } from '../../test/handlers';
+import { signIn, signOut } from '../../auth';
+
+const GRACE = { name: 'Grace Hopper', email: 'grace@example.com' };
+const ADA = { name: 'Ada Lovelace', email: 'ada@example.com' };
+
+// Grace's analysis, shared with Ada (who is signed in) as `role`
+const sharedAnalysis = (role) => completedAnalysis({
+  id: 'analysis-1',
+  projectName: 'Churn drivers',
+  analysisDescription: 'Find out why churn went up in Q1 2024',
+  files: [],
+  owner: GRACE,
+  collaborators: [{ ...GRACE, role: 'owner' }, { ...ADA, role }],
+  role,
+  createdAt: '2024-05-01T10:00:00.000Z',
+  events: [{ status: 'queued', at: '2024-05-01T10:00:00.000Z' }],
+});
+
+const setup = (role, props = {}) => {
+  addAnalysis(sharedAnalysis(role));
+  const user = userEvent.setup();
+  render(
+    <MemoryRouter>
+      <AnalysisDetail analysisId="analysis-1" onDuplicate={vi.fn()} {...props} />
+    </MemoryRouter>
+  );
+  return user;
+};
+
+beforeEach(() => signIn(ADA));
+
+afterEach(() => signOut());
+
+describe('a shared analysis', () => {
+  it('can be read and discussed by a viewer, but not changed', async () => {
+    const user = setup('viewer');
+
+    expect(await screen.findByText(/Shared by Grace Hopper · Your role: Viewer/)).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Edit details' })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Manage sharing' })).not.toBeInTheDocument();
+    expect(await screen.findByText('No comments yet.')).toBeInTheDocument();
+
+    const comment = screen.getByRole('textbox', { name: 'Add a comment' });
+    await user.type(comment, 'Can we split this by plan?');
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Mention someone' }), 'grace@example.com');
+    expect(comment).toHaveValue('Can we split this by plan? @grace@example.com ');
+    await user.click(screen.getByRole('button', { name: 'Comment' }));
+
+    const mention = await screen.findByText('@grace@example.com');
+    expect(mention.closest('article')).toHaveTextContent('Can we split this by plan?');
+    expect(comment).toHaveValue('');
+
+    await user.click(screen.getByRole('button', { name: 'Reply to Ada Lovelace' }));
+    await user.type(screen.getByRole('textbox', { name: 'Reply to Ada Lovelace' }), 'Monthly and annual, to start with');
+    await user.click(screen.getAllByRole('button', { name: 'Comment' })[0]);
+
+    // The reply sits in a list under the comment it answers
+    const reply = await screen.findByText('Monthly and annual, to start with');
+    const thread = mention.closest('li');
+    expect(within(thread).getByText('Monthly and annual, to start with')).toBe(reply);
+    expect(reply.closest('ul')).not.toBe(thread.closest('ul'));
+  });
+
+  it('can be reworded by an editor', async () => {
+    const onUpdated = vi.fn();
+    const user = setup('editor', { onUpdated });
+
+    await user.click(await screen.findByRole('button', { name: 'Edit details' }));
+    const name = screen.getByRole('textbox', { name: 'Project name' });
+    await user.clear(name);
+    await user.type(name, 'ab');
+    await user.click(screen.getByRole('button', { name: 'Save' }));
+    expect(await screen.findByRole('alert')).toHaveTextContent('Project name must be at least 3 characters');
+
+    await user.type(name, 'c churn');
+    await user.click(screen.getByRole('button', { name: 'Save' }));
+
+    expect(await screen.findByRole('heading', { name: 'abc churn' })).toBeInTheDocument();
+    expect(onUpdated).toHaveBeenCalledWith(expect.objectContaining({ projectName: 'abc churn' }));
+    expect(screen.queryByRole('button', { name: 'Manage sharing' })).not.toBeInTheDocument();
+  });
+
+  it('can be shared with more people by an owner', async () => {
+    const user = setup('owner');
+
+    await user.click(await screen.findByRole('button', { name: 'Manage sharing' }));
+    await user.type(screen.getByRole('textbox', { name: 'Email of the person to add' }), 'alan@example.com{Enter}');
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Role for ada@example.com' }), 'Editor');
+    await user.click(screen.getByRole('button', { name: 'Save' }));
+
+    const sharedWith = await screen.findByRole('region', { name: 'Shared with' });
+    await within(sharedWith).findByText('alan@example.com');
+    expect(within(sharedWith).getByText('Ada Lovelace · ada@example.com').nextSibling).toHaveTextContent('Editor');
+  });
+});
@@ -0,0 +1,74 @@
+import React, { useId, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { yupResolver } from '@hookform/resolvers/yup';
+import FieldControl from '../wizard/FieldControl';
+import { updateAnalysis, ValidationError } from '../../api';
+import { analysisWizard } from '../../wizard/analysisWizard';
+import { fieldsOf, stepForField, stepSchema, textOf } from '../../wizard/engine';
+import { t } from '../../i18n';
+
+const EDITABLE = ['projectName', 'analysisDescription'];
+
+// The wizard's own fields and rules, so a request reads the same either way
+const steps = EDITABLE.map(name => stepForField(analysisWizard, name));
+const fields = steps.flatMap(fieldsOf).filter(({ name }) => EDITABLE.includes(name));
+const schema = steps.map(stepSchema).reduce((merged, next) => merged.concat(next));
+
+// Rewording a submitted analysis, for editors and owners. `onSaved` gets the
+// updated analysis.
+const AnalysisDetailsForm = ({ analysis, onSaved, onCancel }) => {
+  const [failure, setFailure] = useState(null);
+  const id = useId();
+  const {
+    register,
+    handleSubmit,
+    setError,
+    formState: { errors, isSubmitting },
+  } = useForm({
+    defaultValues: Object.fromEntries(EDITABLE.map(name => [name, analysis[name]])),
+    resolver: yupResolver(schema),
+  });
+
+  const save = async (values) => {
+    setFailure(null);
+    try {
+      onSaved(await updateAnalysis(analysis.id, values));
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        Object.entries(error.fieldErrors).forEach(([name, message]) => setError(name, { type: 'server', message }));
+      }
+      setFailure(error);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit(save)} noValidate className="mt-4 space-y-4">
+      {fields.map(field => (
+        <div key={field.name}>
+          <label htmlFor={`${id}-${field.name}`} className="block text-sm font-medium text-gray-600 mb-1">{textOf(field.label)}</label>
+          <FieldControl
+            field={field}
+            inputProps={register(field.name)}
+            hasError={Boolean(errors[field.name])}
+            className="w-full"
+            id={`${id}-${field.name}`}
+            aria-invalid={Boolean(errors[field.name])}
+            aria-describedby={errors[field.name] ? `${id}-${field.name}-error` : undefined}
+          />
+          {errors[field.name] && <p id={`${id}-${field.name}-error`} role="alert" className="text-sm text-red-600 mt-1">{errors[field.name].message}</p>}
+        </div>
+      ))}
+      {failure && !(failure instanceof ValidationError) && <p role="alert" className="text-sm text-red-600">{failure.message}</p>}
+      <div className="flex gap-2">
+        <button type="submit" disabled={isSubmitting} className="bg-primary-600 text-primary-contrast text-sm px-3 py-1 rounded-md hover:bg-primary-700 transition disabled:opacity-50">
+          {t('common.save')}
+        </button>
+        <button type="button" onClick={onCancel} className="text-sm text-gray-700 px-3 py-1 rounded-md bg-gray-200 hover:bg-gray-300 transition">
+          {t('common.cancel')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default AnalysisDetailsForm;
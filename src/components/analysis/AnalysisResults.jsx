@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { downloadArtifact } from '../../api';
+import { formatBytes } from '../../utils/format';
+import { t } from '../../i18n';
+
+const ResultTable = ({ table }) => (
+  <div className="mt-6">
+    <p className="text-sm font-medium text-gray-700 mb-2">{table.title}</p>
+    {table.rows.length === 0 ? (
+      <p className="text-sm text-gray-500">{t('results.noRows')}</p>
+    ) : (
+      <div className="overflow-x-auto border border-gray-200 rounded-md">
+        <table className="min-w-full text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              {table.columns.map(column => (
+                <th key={column} className="px-3 py-2 text-start font-medium text-gray-600">{column}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {table.rows.map((row, rowIndex) => (
+              <tr key={rowIndex} className="border-t border-gray-200">
+                {row.map((cell, cellIndex) => (
+                  <td key={cellIndex} className="px-3 py-2 text-gray-700">{String(cell)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    )}
+  </div>
+);
+
+// Text summary, tables and downloadable artifacts of a completed analysis
+const AnalysisResults = ({ results }) => {
+  const [downloading, setDownloading] = useState(null);
+
+  const download = async (artifact) => {
+    try {
+      setDownloading(artifact.id);
+      await downloadArtifact(artifact);
+    } catch (error) {
+      toast.error(error.message || t('results.downloadFailed', { name: artifact.name }));
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  return (
+    <div className="w-[80%] m-auto mt-8 text-start">
+      <h3 className="text-lg font-semibold mb-2">{t('results.title')}</h3>
+      {results.summary && <p className="text-gray-700 whitespace-pre-wrap">{results.summary}</p>}
+
+      {(results.tables || []).map(table => <ResultTable key={table.title} table={table} />)}
+
+      {results.artifacts?.length > 0 && (
+        <div className="mt-6">
+          <p className="text-sm font-medium text-gray-700 mb-2">{t('results.downloads')}</p>
+          <ul className="space-y-2">
+            {results.artifacts.map(artifact => (
+              <li key={artifact.id} className="flex items-center justify-between gap-4 bg-gray-50 rounded-md px-3 py-2">
+                <span className="text-sm text-gray-700 truncate">
+                  {artifact.name}
+                  <span className="text-gray-400 ms-2">{formatBytes(artifact.size)}</span>
+                </span>
+                <button
+                  type="button"
+                  onClick={() => download(artifact)}
+                  disabled={downloading === artifact.id}
+                  className="text-sm text-primary-contrast px-3 py-1 rounded-md bg-primary-600 hover:bg-primary-700 transition disabled:opacity-50"
+                >
+                  {downloading === artifact.id ? t('results.downloading') : t('results.download')}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnalysisResults;
@@ -0,0 +1,36 @@
+import React from 'react';
+import StatusTimeline from './StatusTimeline';
+import AnalysisResults from './AnalysisResults';
+import { STATUSES } from './statuses';
+import { useAnalysisStatus } from '../../hooks/useAnalysisStatus';
+import { t } from '../../i18n';
+
+const heading = (status) => (STATUSES.includes(status) ? t(`analyses.headings.${status}`) : t('analyses.headings.submitted'));
+
+// Follows a submitted analysis through its job states and shows the results
+// in place once it completes
+const AnalysisStatus = ({ analysis: initial, showName = true }) => {
+  const { analysis, error } = useAnalysisStatus(initial.id, initial);
+
+  return (
+    <div className="text-center py-4">
+      <h2 className="text-xl font-semibold mb-1">{heading(analysis.status)}</h2>
+      {showName && <p className="text-gray-600">{analysis.projectName}</p>}
+      <div className="mb-6" />
+
+      <StatusTimeline analysis={analysis} />
+
+      {error && (
+        <p className="text-sm text-amber-600 mt-4">{t('analyses.reconnecting', { reason: error.message })}</p>
+      )}
+      {analysis.status === 'failed' && analysis.error?.message && (
+        <p className="text-sm text-red-600 mt-4">{analysis.error.message}</p>
+      )}
+      {analysis.status === 'completed' && analysis.results && (
+        <AnalysisResults results={analysis.results} />
+      )}
+    </div>
+  );
+};
+
+export default AnalysisStatus;
@@ -0,0 +1,17 @@
+import React from 'react';
+import { statusLabel } from './statuses';
+
+const STYLES = {
+  queued: 'bg-gray-200 text-gray-700',
+  running: 'bg-primary-100 text-primary-700',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-700',
+};
+
+const StatusBadge = ({ status }) => (
+  <span className={`inline-block text-xs font-medium px-2 py-0.5 rounded-full ${STYLES[status] || STYLES.queued}`}>
+    {statusLabel(status)}
+  </span>
+);
+
+export default StatusBadge;
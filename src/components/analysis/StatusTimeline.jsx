@@ -0,0 +1,50 @@
+import React from 'react';
+import { statusLabel } from './statuses';
+import { formatDate } from '../../i18n';
+
+const STEPS = ['queued', 'running', 'completed'];
+
+const formatTime = (iso) => formatDate(iso, { timeStyle: 'medium' });
+
+// queued -> running -> completed, with the failure replacing the last step
+// when a job fails
+const StatusTimeline = ({ analysis }) => {
+  const steps = analysis.status === 'failed'
+    ? [...STEPS.slice(0, 2), 'failed']
+    : STEPS;
+  const reached = new Map((analysis.events || []).map(event => [event.status, event]));
+  const currentIndex = steps.indexOf(analysis.status);
+
+  return (
+    <ol className="w-[60%] m-auto text-start">
+      {steps.map((status, index) => {
+        const event = reached.get(status);
+        const isCurrent = index === currentIndex;
+        const isFailed = status === 'failed';
+        const dot = isFailed
+          ? 'bg-red-500'
+          : event ? 'bg-success' : 'bg-gray-300';
+        return (
+          <li key={status} className="relative ps-8 pb-6 last:pb-0">
+            {index < steps.length - 1 && (
+              <span className={`absolute start-[7px] top-4 h-full w-0.5 ${event && reached.has(steps[index + 1]) ? 'bg-success' : 'bg-gray-200'}`} />
+            )}
+            <span className={`absolute start-0 top-1 w-4 h-4 rounded-full ${dot} ${isCurrent && status === 'running' ? 'animate-pulse' : ''}`} />
+            <div className="flex items-baseline justify-between gap-4">
+              <p className={`font-medium ${event ? 'text-gray-800' : 'text-gray-400'}`}>{statusLabel(status)}</p>
+              {event && <p className="text-xs text-gray-500">{formatTime(event.at)}</p>}
+            </div>
+            {event?.message && <p className="text-sm text-gray-500">{event.message}</p>}
+            {isCurrent && status === 'running' && typeof analysis.progress === 'number' && (
+              <div className="h-1.5 mt-2 bg-gray-200 rounded-full overflow-hidden">
+                <div className="h-full bg-primary-500 transition-all" style={{ width: `${Math.round(analysis.progress * 100)}%` }} />
+              </div>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default StatusTimeline;
@@ -0,0 +1,5 @@
+import { t } from '../../i18n';
+
+export const STATUSES = ['queued', 'running', 'completed', 'failed'];
+
+export const statusLabel = (status) => (STATUSES.includes(status) ? t(`analyses.status.${status}`) : status);
@@ -0,0 +1,35 @@
+import React, { useEffect, useId, useRef } from 'react';
+import SignInForm from './SignInForm';
+import { useAuth } from '../../auth';
+import { t } from '../../i18n';
+
+// Shown over the current page when the session has expired. The local
+// provider signs in again in place. OIDC has to leave the page; the wizard
+// saves its draft on the way out and `resumeDraft` picks it back up after
+// the provider returns to `returnTo`.
+const ReauthDialog = ({ returnTo }) => {
+  const { user } = useAuth();
+  const headingId = useId();
+  const heading = useRef(null);
+
+  useEffect(() => {
+    heading.current?.focus();
+  }, []);
+
+  return (
+    <div className="fixed inset-0 z-30 flex items-center justify-center bg-gray-900/50 p-4">
+      <div role="dialog" aria-modal="true" aria-labelledby={headingId} className="w-full max-w-sm bg-surface rounded-md shadow-lg p-6">
+        <h2 id={headingId} ref={heading} tabIndex={-1} className="text-lg font-semibold text-gray-900 focus:outline-none">
+          {t('auth.expired.title')}
+        </h2>
+        <p className="text-sm text-gray-600 mt-1 mb-4">{t('auth.expired.body')}</p>
+        <SignInForm
+          state={{ returnTo, resumeDraft: true }}
+          defaultValues={{ name: user?.name ?? '', email: user?.email ?? '' }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ReauthDialog;
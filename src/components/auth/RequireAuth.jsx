@@ -0,0 +1,27 @@
+import React from 'react';
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import ReauthDialog from './ReauthDialog';
+import { useAuth } from '../../auth';
+import { signInPath } from '../../pages/paths';
+
+// Layout route for the pages that need a signed-in user. Signed-out visitors
+// go to the sign-in page and come back afterwards. An expired session keeps
+// the page mounted, with whatever was typed into it, behind a dialog that
+// signs the user in again.
+const RequireAuth = () => {
+  const { status } = useAuth();
+  const location = useLocation();
+
+  if (status === 'signedOut') {
+    return <Navigate to={signInPath()} replace state={{ returnTo: `${location.pathname}${location.search}` }} />;
+  }
+
+  return (
+    <>
+      <Outlet />
+      {status === 'expired' && <ReauthDialog returnTo={`${location.pathname}${location.search}`} />}
+    </>
+  );
+};
+
+export default RequireAuth;
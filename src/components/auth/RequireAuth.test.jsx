@@ -0,0 +1,56 @@
+import React from 'react';
+import { afterEach, describe, expect, it } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import RequireAuth from './RequireAuth';
+import SignInPage from '../../pages/SignInPage';
+import { expireSession, getAuth, signIn, signOut } from '../../auth';
+
+const Notes = () => <textarea aria-label="Notes" />;
+
+const renderAt = (path) => render(
+  <MemoryRouter initialEntries={[path]}>
+    <Routes>
+      <Route path="/signin" element={<SignInPage />} />
+      <Route element={<RequireAuth />}>
+        <Route path="/notes" element={<Notes />} />
+      </Route>
+    </Routes>
+  </MemoryRouter>
+);
+
+afterEach(() => signOut());
+
+describe('protected pages', () => {
+  it('send signed-out visitors to sign in and back again', async () => {
+    const user = userEvent.setup();
+    renderAt('/notes');
+
+    await user.click(await screen.findByRole('button', { name: 'Sign in' }));
+    expect(await screen.findAllByRole('alert')).toHaveLength(2);
+
+    await user.type(screen.getByRole('textbox', { name: 'Name' }), 'Ada Lovelace');
+    await user.type(screen.getByRole('textbox', { name: 'Email' }), 'ada@example.com');
+    await user.click(screen.getByRole('button', { name: 'Sign in' }));
+
+    expect(await screen.findByRole('textbox', { name: 'Notes' })).toBeInTheDocument();
+    expect(getAuth().user.email).toBe('ada@example.com');
+  });
+
+  it('keep the page and what was typed when the session expires', async () => {
+    const user = userEvent.setup();
+    await signIn({ name: 'Ada Lovelace', email: 'ada@example.com' });
+    renderAt('/notes');
+    await user.type(screen.getByRole('textbox', { name: 'Notes' }), 'Half-finished thought');
+
+    expireSession();
+
+    const dialog = await screen.findByRole('dialog', { name: 'Your session has expired' });
+    expect(screen.getByRole('textbox', { name: 'Email' })).toHaveValue('ada@example.com');
+    await user.click(screen.getByRole('button', { name: 'Sign in' }));
+
+    await waitFor(() => expect(dialog).not.toBeInTheDocument());
+    expect(screen.getByRole('textbox', { name: 'Notes' })).toHaveValue('Half-finished thought');
+  });
+});
@@ -0,0 +1,94 @@
+import React, { useId, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { yupResolver } from '@hookform/resolvers/yup';
+import * as yup from 'yup';
+import { provider, signIn } from '../../auth';
+import { ValidationError } from '../../api';
+import { t } from '../../i18n';
+
+const schema = yup.object({
+  name: yup.string().trim().required(),
+  email: yup.string().trim().required().email(),
+});
+
+const inputClassName = (hasError) => `w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-1 bg-surface ${
+  hasError ? 'border-red-500 focus:ring-red-200' : 'border-gray-300 focus:ring-primary-200'
+}`;
+
+const buttonClassName = 'w-full bg-primary-600 text-primary-contrast px-4 py-2 rounded-md hover:bg-primary-700 transition disabled:opacity-50';
+
+// Signs in with the configured provider. The local provider asks for a name
+// and email right here (`defaultValues` pre-fills them) and calls
+// `onSignedIn()` when done; OIDC hands over to the provider's own page and
+// carries `state` through the round trip.
+const SignInForm = ({ state, defaultValues, onSignedIn }) => {
+  const [failure, setFailure] = useState(null);
+  const [pending, setPending] = useState(false);
+  const id = useId();
+  const {
+    register,
+    handleSubmit,
+    setError,
+    formState: { errors },
+  } = useForm({ defaultValues, resolver: yupResolver(schema) });
+
+  const run = async (params) => {
+    setFailure(null);
+    setPending(true);
+    try {
+      await signIn(params);
+      onSignedIn?.();
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        Object.entries(error.fieldErrors).forEach(([name, message]) => setError(name, { type: 'server', message }));
+      }
+      setFailure(error);
+    } finally {
+      setPending(false);
+    }
+  };
+
+  const alert = failure && <p role="alert" className="text-sm text-red-600">{failure.message}</p>;
+
+  if (provider.kind === 'oidc') {
+    return (
+      <div className="space-y-4">
+        <p className="text-gray-600">{t('auth.signIn.oidcIntro')}</p>
+        {alert}
+        <button type="button" onClick={() => run({ state })} disabled={pending} className={buttonClassName}>
+          {pending ? t('auth.signIn.signingIn') : t('auth.signIn.continue')}
+        </button>
+      </div>
+    );
+  }
+
+  const field = (name, type, autoComplete) => (
+    <div>
+      <label htmlFor={`${id}-${name}`} className="block text-sm font-medium text-gray-700 mb-1">{t(`auth.signIn.${name}`)}</label>
+      <input
+        id={`${id}-${name}`}
+        type={type}
+        autoComplete={autoComplete}
+        aria-invalid={errors[name] ? 'true' : 'false'}
+        aria-describedby={errors[name] ? `${id}-${name}-error` : undefined}
+        className={inputClassName(Boolean(errors[name]))}
+        {...register(name)}
+      />
+      {errors[name] && <p id={`${id}-${name}-error`} role="alert" className="text-sm text-red-600 mt-1">{errors[name].message}</p>}
+    </div>
+  );
+
+  return (
+    <form onSubmit={handleSubmit(run)} noValidate className="space-y-4">
+      <p className="text-gray-600">{t('auth.signIn.localIntro')}</p>
+      {field('name', 'text', 'name')}
+      {field('email', 'email', 'email')}
+      {!(failure instanceof ValidationError) && alert}
+      <button type="submit" disabled={pending} className={buttonClassName}>
+        {pending ? t('auth.signIn.signingIn') : t('auth.signIn.submit')}
+      </button>
+    </form>
+  );
+};
+
+export default SignInForm;
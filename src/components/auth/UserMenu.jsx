@@ -0,0 +1,69 @@
+import React, { useEffect, useId, useRef, useState } from 'react';
+import { signOut, useAuth } from '../../auth';
+import { t } from '../../i18n';
+
+const initialsOf = (name = '') => name.split(/\s+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('');
+
+// The signed-in user in the header, with sign-out. `className` styles the
+// toggle like the other header controls.
+const UserMenu = ({ className }) => {
+  const { user } = useAuth();
+  const [open, setOpen] = useState(false);
+  const menuId = useId();
+  const container = useRef(null);
+
+  // Close when focus or a click goes elsewhere
+  useEffect(() => {
+    if (!open) return undefined;
+    const close = (event) => {
+      if (!container.current?.contains(event.target)) setOpen(false);
+    };
+    const closeOnEscape = (event) => {
+      if (event.key === 'Escape') setOpen(false);
+    };
+    document.addEventListener('mousedown', close);
+    document.addEventListener('focusin', close);
+    document.addEventListener('keydown', closeOnEscape);
+    return () => {
+      document.removeEventListener('mousedown', close);
+      document.removeEventListener('focusin', close);
+      document.removeEventListener('keydown', closeOnEscape);
+    };
+  }, [open]);
+
+  if (!user) return null;
+
+  return (
+    <div ref={container} className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen(value => !value)}
+        aria-expanded={open}
+        aria-controls={menuId}
+        aria-label={t('auth.menu.label', { name: user.name })}
+        className={`${className} flex items-center gap-2`}
+      >
+        <span aria-hidden="true" className="inline-flex items-center justify-center w-6 h-6 rounded-full bg-primary-600 text-primary-contrast text-xs font-medium">
+          {initialsOf(user.name) || '?'}
+        </span>
+        <span className="max-w-[10rem] truncate">{user.name}</span>
+      </button>
+      {open && (
+        <div id={menuId} className="absolute end-0 mt-2 w-64 z-20 bg-surface border border-gray-200 rounded-md shadow-lg p-4 text-start">
+          <p className="text-xs text-gray-500">{t('auth.menu.signedInAs')}</p>
+          <p className="text-sm font-medium text-gray-800 truncate" title={user.name}>{user.name}</p>
+          {user.email && <p className="text-sm text-gray-600 truncate" title={user.email}>{user.email}</p>}
+          <button
+            type="button"
+            onClick={() => signOut()}
+            className="mt-3 w-full text-sm text-gray-700 px-3 py-1 rounded-md bg-gray-100 hover:bg-gray-200 transition"
+          >
+            {t('auth.menu.signOut')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UserMenu;
@@ -0,0 +1,123 @@
+import React, { useId, useState } from 'react';
+import * as yup from 'yup';
+import { ROLES, roleLabel } from '../../sharing';
+import { t } from '../../i18n';
+
+const emailRule = yup.string().email();
+
+const controlClassName = 'px-2 py-1 border border-gray-300 rounded-md bg-surface text-sm focus:outline-none focus:ring-1 focus:ring-primary-200';
+
+// People to share an analysis with, each with a role, and a row to add one
+// more. `value` is [{ email, role, name? }] and `onChange` gets the new list.
+// Other props (id, aria-*) go to the email box, which `inputRef` also points
+// at, so the field can be labelled and focused like any other.
+const CollaboratorsInput = ({
+  value,
+  onChange,
+  onBlur,
+  inputRef,
+  placeholder,
+  hasError = false,
+  className = '',
+  onKeyDown,
+  'aria-describedby': describedBy,
+  ...rest
+}) => {
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('viewer');
+  const [error, setError] = useState(null);
+  const errorId = useId();
+  const collaborators = Array.isArray(value) ? value : [];
+
+  const add = () => {
+    const address = email.trim().toLowerCase();
+    if (!address) return;
+    if (!emailRule.isValidSync(address)) {
+      setError(t('validation.email'));
+      return;
+    }
+    // Adding someone already on the list just changes their role
+    onChange([...collaborators.filter(collaborator => collaborator.email !== address), { email: address, role }]);
+    setEmail('');
+    setError(null);
+  };
+
+  const changeRole = (address, nextRole) => {
+    onChange(collaborators.map(collaborator => (collaborator.email === address ? { ...collaborator, role: nextRole } : collaborator)));
+  };
+
+  const remove = (address) => onChange(collaborators.filter(collaborator => collaborator.email !== address));
+
+  // Enter adds the person rather than submitting the form around it
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      add();
+    } else {
+      onKeyDown?.(e);
+    }
+  };
+
+  const border = hasError || error ? 'border-red-500 focus:ring-red-200' : 'border-gray-300 focus:ring-primary-200';
+
+  return (
+    <div className={className}>
+      {collaborators.length > 0 && (
+        <ul className="mb-2 border border-gray-200 rounded-md divide-y divide-gray-200">
+          {collaborators.map(collaborator => (
+            <li key={collaborator.email} className="flex items-center gap-2 px-3 py-2">
+              <div className="flex-1 min-w-0">
+                {collaborator.name && <p className="text-sm text-gray-800 truncate">{collaborator.name}</p>}
+                <p className={`truncate ${collaborator.name ? 'text-xs text-gray-500' : 'text-sm text-gray-800'}`} title={collaborator.email}>{collaborator.email}</p>
+              </div>
+              <select
+                value={collaborator.role}
+                onChange={e => changeRole(collaborator.email, e.target.value)}
+                aria-label={t('sharing.roleOf', { email: collaborator.email })}
+                className={controlClassName}
+              >
+                {ROLES.map(option => <option key={option} value={option}>{roleLabel(option)}</option>)}
+              </select>
+              <button
+                type="button"
+                onClick={() => remove(collaborator.email)}
+                aria-label={t('sharing.remove', { email: collaborator.email })}
+                className="w-6 h-6 leading-6 rounded-full bg-gray-200 text-gray-600 text-xs hover:bg-gray-300"
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex items-center gap-2">
+        <input
+          {...rest}
+          ref={inputRef}
+          type="email"
+          value={email}
+          onChange={e => setEmail(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={onBlur}
+          placeholder={placeholder}
+          aria-invalid={Boolean(hasError || error)}
+          aria-describedby={[describedBy, error && errorId].filter(Boolean).join(' ') || undefined}
+          className={`flex-1 min-w-0 px-3 py-2 border rounded-md focus:outline-none focus:ring-1 bg-surface ${border}`}
+        />
+        <select value={role} onChange={e => setRole(e.target.value)} aria-label={t('sharing.newRole')} className={`${controlClassName} py-2`}>
+          {ROLES.map(option => <option key={option} value={option}>{roleLabel(option)}</option>)}
+        </select>
+        <button
+          type="button"
+          onClick={add}
+          className="text-sm text-primary-600 px-3 py-2 rounded-md hover:bg-primary-50 focus:outline-none focus:ring-2 focus:ring-primary-300"
+        >
+          {t('sharing.add')}
+        </button>
+      </div>
+      {error && <p id={errorId} role="alert" className="text-sm text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+};
+
+export default CollaboratorsInput;
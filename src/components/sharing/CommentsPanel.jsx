@@ -0,0 +1,222 @@
+import React, { useEffect, useId, useRef, useState } from 'react';
+import { useLocation } from 'react-router-dom';
+import { addComment, listComments, CanceledError } from '../../api';
+import { useAuth } from '../../auth';
+import { can, emailKey } from '../../sharing';
+import { formatDateTime, t } from '../../i18n';
+
+// Replies nest this deep before they carry on at the same level
+const MAX_INDENT = 3;
+
+// The body with mentions of collaborators picked out. Anything else that
+// looks like a mention is left as plain text, as the server didn't count it.
+const renderBody = (body, mentions = []) => body.split(/(@[^\s@]+@[^\s@]+)/).map((part, index) => {
+  const email = index % 2 === 1 && part.slice(1).replace(/[.,;:!?)]+$/, '');
+  if (!email || !mentions.includes(email.toLowerCase())) return part;
+  return (
+    <React.Fragment key={index}>
+      <span className="font-medium text-primary-700">@{email}</span>{part.slice(email.length + 1)}
+    </React.Fragment>
+  );
+});
+
+// A new comment, or a reply when `parentId` is set. Collaborators can be
+// mentioned by typing @ and their email, or by picking them from the list.
+const CommentComposer = ({ analysis, parentId = null, label, onPosted, onCancel }) => {
+  const { user } = useAuth();
+  const [body, setBody] = useState('');
+  const [posting, setPosting] = useState(false);
+  const [failure, setFailure] = useState(null);
+  const textareaRef = useRef(null);
+  const id = useId();
+  const mentionable = (analysis.collaborators || []).filter(({ email }) => emailKey(email) !== emailKey(user?.email));
+
+  // Put "@email " where the cursor is
+  const insertMention = (email) => {
+    const textarea = textareaRef.current;
+    const start = textarea?.selectionStart ?? body.length;
+    const end = textarea?.selectionEnd ?? body.length;
+    const before = body.slice(0, start);
+    const mention = `${before && !/\s$/.test(before) ? ' ' : ''}@${email} `;
+    setBody(`${before}${mention}${body.slice(end)}`);
+    textarea?.focus();
+  };
+
+  const post = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+    setPosting(true);
+    setFailure(null);
+    try {
+      const comment = await addComment(analysis.id, { body, parentId });
+      setBody('');
+      onPosted(comment);
+    } catch (error) {
+      setFailure(error);
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={post} className="mt-2">
+      <label htmlFor={id} className="block text-sm font-medium text-gray-600 mb-1">{label}</label>
+      <textarea
+        id={id}
+        ref={textareaRef}
+        value={body}
+        onChange={e => setBody(e.target.value)}
+        rows={3}
+        autoFocus={Boolean(parentId)}
+        placeholder={t('comments.placeholder')}
+        aria-describedby={failure ? `${id}-error` : undefined}
+        className="w-full px-3 py-2 border border-gray-300 rounded-md bg-surface focus:outline-none focus:ring-1 focus:ring-primary-200"
+      />
+      {failure && <p id={`${id}-error`} role="alert" className="text-sm text-red-600 mt-1">{failure.message}</p>}
+      <div className="flex flex-wrap items-center gap-2 mt-2">
+        {mentionable.length > 0 && (
+          <select
+            value=""
+            onChange={e => e.target.value && insertMention(e.target.value)}
+            aria-label={t('comments.mention')}
+            className="text-sm text-gray-700 px-2 py-1 border border-gray-300 rounded-md bg-surface"
+          >
+            <option value="">{t('comments.mention')}</option>
+            {mentionable.map(({ email, name }) => <option key={email} value={email}>{name ? `${name} (${email})` : email}</option>)}
+          </select>
+        )}
+        <div className="flex-1" />
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="text-sm text-gray-700 px-3 py-1 rounded-md bg-gray-200 hover:bg-gray-300 transition">
+            {t('common.cancel')}
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={posting || !body.trim()}
+          className="bg-primary-600 text-primary-contrast text-sm px-3 py-1 rounded-md hover:bg-primary-700 transition disabled:opacity-50"
+        >
+          {posting ? t('comments.posting') : t('comments.post')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// One comment with its replies underneath
+const CommentThread = ({ comment, repliesTo, depth = 0, highlighted, ...actions }) => {
+  const { analysis, replyingTo, setReplyingTo, onPosted } = actions;
+  const replies = repliesTo.get(comment.id) || [];
+
+  return (
+    <li>
+      <article
+        id={`comment-${comment.id}`}
+        className={`rounded-md px-3 py-2 ${highlighted === comment.id ? 'bg-primary-50 ring-1 ring-primary-200' : ''}`}
+      >
+        <p className="text-sm">
+          <span className="font-medium text-gray-800">{comment.author?.name}</span>
+          <span className="text-xs text-gray-500 ms-2">{formatDateTime(comment.createdAt)}</span>
+        </p>
+        <p className="text-gray-700 whitespace-pre-wrap break-words mt-1">{renderBody(comment.body, comment.mentions)}</p>
+        {can(analysis.role, 'comment') && replyingTo !== comment.id && (
+          <button
+            type="button"
+            onClick={() => setReplyingTo(comment.id)}
+            aria-label={t('comments.replyTo', { name: comment.author?.name })}
+            className="text-xs text-primary-600 hover:underline mt-1"
+          >
+            {t('comments.reply')}
+          </button>
+        )}
+        {replyingTo === comment.id && (
+          <CommentComposer
+            analysis={analysis}
+            parentId={comment.id}
+            label={t('comments.replyTo', { name: comment.author?.name })}
+            onPosted={onPosted}
+            onCancel={() => setReplyingTo(null)}
+          />
+        )}
+      </article>
+      {replies.length > 0 && (
+        <ul className={depth < MAX_INDENT ? 'ms-6 border-s border-gray-200 ps-2 space-y-1' : 'space-y-1'}>
+          {replies.map(reply => (
+            <CommentThread key={reply.id} comment={reply} repliesTo={repliesTo} depth={depth + 1} highlighted={highlighted} {...actions} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+// The discussion on an analysis: threaded comments, oldest first, with
+// replies under what they answer. Arriving with #comment-<id> in the URL (as
+// mention notifications link) brings that comment into view.
+const CommentsPanel = ({ analysis }) => {
+  const [comments, setComments] = useState(null);
+  const [error, setError] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const { hash } = useLocation();
+  const headingId = useId();
+  const highlighted = hash.startsWith('#comment-') ? hash.slice('#comment-'.length) : null;
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setComments(null);
+    setError(null);
+    listComments(analysis.id, { signal: controller.signal })
+      .then(setComments)
+      .catch(fetchError => {
+        if (!(fetchError instanceof CanceledError)) setError(fetchError);
+      });
+    return () => controller.abort();
+  }, [analysis.id]);
+
+  useEffect(() => {
+    if (comments && highlighted) document.getElementById(`comment-${highlighted}`)?.scrollIntoView?.({ block: 'center' });
+  }, [comments, highlighted]);
+
+  const onPosted = (comment) => {
+    setComments(current => [...(current || []), comment]);
+    setReplyingTo(null);
+  };
+
+  // Replies whose comment is missing are shown at the top level
+  const ids = new Set((comments || []).map(({ id }) => id));
+  const repliesTo = new Map();
+  (comments || []).forEach(comment => {
+    const parent = ids.has(comment.parentId) ? comment.parentId : null;
+    repliesTo.set(parent, [...(repliesTo.get(parent) || []), comment]);
+  });
+  const topLevel = repliesTo.get(null) || [];
+
+  return (
+    <section aria-labelledby={headingId} className="w-[80%] m-auto mt-8 text-start">
+      <h2 id={headingId} className="text-lg font-semibold">{t('comments.title', { count: comments?.length ?? 0 })}</h2>
+      {error && <p className="text-sm text-red-600 mt-2">{t('comments.loadFailed', { reason: error.message })}</p>}
+      {comments && topLevel.length === 0 && <p className="text-sm text-gray-500 mt-2">{t('comments.empty')}</p>}
+      {topLevel.length > 0 && (
+        <ul className="mt-2 space-y-1">
+          {topLevel.map(comment => (
+            <CommentThread
+              key={comment.id}
+              comment={comment}
+              repliesTo={repliesTo}
+              highlighted={highlighted}
+              analysis={analysis}
+              replyingTo={replyingTo}
+              setReplyingTo={setReplyingTo}
+              onPosted={onPosted}
+            />
+          ))}
+        </ul>
+      )}
+      {can(analysis.role, 'comment') && comments && (
+        <CommentComposer analysis={analysis} label={t('comments.add')} onPosted={onPosted} />
+      )}
+    </section>
+  );
+};
+
+export default CommentsPanel;
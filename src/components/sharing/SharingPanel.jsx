@@ -0,0 +1,82 @@
+import React, { useId, useState } from 'react';
+import CollaboratorsInput from './CollaboratorsInput';
+import { setCollaborators, ValidationError } from '../../api';
+import { can, roleLabel } from '../../sharing';
+import { t } from '../../i18n';
+
+// Who an analysis is shared with and as what. Owners can change it;
+// everyone else just sees the list. `onChange` gets the updated analysis.
+const SharingPanel = ({ analysis, onChange }) => {
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [failure, setFailure] = useState(null);
+  const headingId = useId();
+  const collaborators = analysis.collaborators || [];
+
+  const startEditing = () => {
+    setDraft(collaborators);
+    setFailure(null);
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setFailure(null);
+    try {
+      const updated = await setCollaborators(analysis.id, draft.map(({ email, role }) => ({ email, role })));
+      setDraft(null);
+      onChange(updated);
+    } catch (error) {
+      setFailure(error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <section aria-labelledby={headingId} className="mt-6">
+      <div className="flex items-center justify-between gap-4">
+        <h2 id={headingId} className="text-sm font-medium text-gray-500">{t('sharing.title')}</h2>
+        {can(analysis.role, 'share') && !draft && (
+          <button type="button" onClick={startEditing} className="text-sm text-primary-600 hover:underline">
+            {t('sharing.manage')}
+          </button>
+        )}
+      </div>
+
+      {draft ? (
+        <div className="mt-2">
+          <CollaboratorsInput
+            value={draft}
+            onChange={setDraft}
+            placeholder={t('analysis.collaborators.placeholder')}
+            aria-label={t('sharing.addPerson')}
+          />
+          {failure && (
+            <p role="alert" className="text-sm text-red-600 mt-1">
+              {failure instanceof ValidationError ? failure.fieldErrors.collaborators || failure.message : failure.message}
+            </p>
+          )}
+          <div className="flex gap-2 mt-2">
+            <button type="button" onClick={save} disabled={saving} className="bg-primary-600 text-primary-contrast text-sm px-3 py-1 rounded-md hover:bg-primary-700 transition disabled:opacity-50">
+              {t('common.save')}
+            </button>
+            <button type="button" onClick={() => setDraft(null)} className="text-sm text-gray-700 px-3 py-1 rounded-md bg-gray-200 hover:bg-gray-300 transition">
+              {t('common.cancel')}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <ul className="mt-2 text-sm space-y-1">
+          {collaborators.map(({ email, name, role }) => (
+            <li key={email} className="flex items-center justify-between gap-4">
+              <span className="truncate text-gray-700" title={email}>{name ? `${name} · ${email}` : email}</span>
+              <span className="text-gray-500">{roleLabel(role)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default SharingPanel;
@@ -0,0 +1,76 @@
+import React, { useEffect, useId, useRef, useState } from 'react';
+import { toast } from 'react-toastify';
+import { SPEC_FORMATS } from '../../spec';
+import { t } from '../../i18n';
+
+// Export as a spec file (see src/spec): a menu of `formats`, each handed to
+// `onExport(format)`, which may return a promise.
+const SpecExportMenu = ({ formats = SPEC_FORMATS, onExport, className = '' }) => {
+  const [open, setOpen] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const menuId = useId();
+  const container = useRef(null);
+
+  // Close when focus or a click goes elsewhere
+  useEffect(() => {
+    if (!open) return undefined;
+    const close = (event) => {
+      if (!container.current?.contains(event.target)) setOpen(false);
+    };
+    const closeOnEscape = (event) => {
+      if (event.key === 'Escape') setOpen(false);
+    };
+    document.addEventListener('mousedown', close);
+    document.addEventListener('focusin', close);
+    document.addEventListener('keydown', closeOnEscape);
+    return () => {
+      document.removeEventListener('mousedown', close);
+      document.removeEventListener('focusin', close);
+      document.removeEventListener('keydown', closeOnEscape);
+    };
+  }, [open]);
+
+  const choose = async (format) => {
+    setOpen(false);
+    setExporting(true);
+    try {
+      await onExport(format);
+    } catch (error) {
+      toast.error(t('spec.exportFailed', { reason: error.message }));
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div ref={container} className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen(value => !value)}
+        disabled={exporting}
+        aria-expanded={open}
+        aria-controls={menuId}
+        className={className}
+      >
+        {exporting ? t('spec.exporting') : t('spec.export')}
+      </button>
+      {open && (
+        <ul id={menuId} className="absolute end-0 mt-1 w-56 z-20 bg-surface border border-gray-200 rounded-md shadow-lg py-1 text-start">
+          {formats.map(format => (
+            <li key={format}>
+              <button
+                type="button"
+                onClick={() => choose(format)}
+                className="block w-full text-start px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+              >
+                {t(`spec.formats.${format}`)}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SpecExportMenu;
@@ -0,0 +1,39 @@
+import React, { useRef } from 'react';
+import { SPEC_FILE_TYPES } from '../../spec';
+import { t } from '../../i18n';
+
+// Picks a spec file to import; `onFile(file)` does the rest
+const SpecImportButton = ({ onFile, importing = false, className = '' }) => {
+  const inputRef = useRef(null);
+
+  const handleChange = (e) => {
+    const [file] = e.target.files || [];
+    // Allow picking the same file again
+    e.target.value = '';
+    if (file) onFile(file);
+  };
+
+  return (
+    <>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={SPEC_FILE_TYPES}
+        onChange={handleChange}
+        aria-label={t('spec.importHint')}
+        hidden
+      />
+      <button
+        type="button"
+        onClick={() => inputRef.current?.click()}
+        disabled={importing}
+        title={t('spec.importHint')}
+        className={className}
+      >
+        {importing ? t('spec.importing') : t('spec.import')}
+      </button>
+    </>
+  );
+};
+
+export default SpecImportButton;
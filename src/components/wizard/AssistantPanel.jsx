@@ -0,0 +1,85 @@
+import React, { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import Typewriter from '../Typewriter';
+import { itemVariants } from './variants';
+import { useAssistantReview } from '../../hooks/useAssistantReview';
+import { CLARIFICATIONS } from '../../wizard/engine';
+import { formatNumber, t } from '../../i18n';
+
+const meterColor = (score) => {
+  if (score >= 75) return 'bg-green-500';
+  if (score >= 45) return 'bg-yellow-400';
+  return 'bg-red-400';
+};
+
+// Live feedback from a field's `assistant` while the answer is typed: a
+// quality score, what the answer still seems to be missing, and follow-up
+// questions the user can answer right here. Questions stay on screen once
+// answered, even if later edits make the assistant stop asking them.
+const AssistantPanel = ({ field, values, register }) => {
+  const { review, error } = useAssistantReview(field.assistant, values[field.name], { answers: values });
+  const [asked, setAsked] = useState([]);
+  const clarifications = values[CLARIFICATIONS] || {};
+
+  useEffect(() => {
+    if (!review) return;
+    setAsked(previous => [
+      ...previous,
+      ...review.questions.filter(question => !previous.some(({ id }) => id === question.id)),
+    ]);
+  }, [review]);
+
+  if (!review && !error) return null;
+
+  const openIds = new Set(review?.questions.map(({ id }) => id));
+  const questions = asked.filter(({ id }) => openIds.has(id) || clarifications[id]);
+
+  return (
+    <motion.div variants={itemVariants} className="w-[80%] mx-auto mb-32 text-start">
+      {error && <p className="text-xs text-gray-500">{t('assistant.unavailable')}</p>}
+      {review && (
+        <>
+          <div className="flex items-center gap-3">
+            <span className="text-xs font-medium text-gray-500 whitespace-nowrap">{t('assistant.quality')}</span>
+            <div className="flex-1 h-1.5 bg-gray-200 rounded" role="meter" aria-valuemin={0} aria-valuemax={100} aria-valuenow={review.score} aria-label={t('assistant.quality')}>
+              <div className={`h-1.5 rounded transition-all ${meterColor(review.score)}`} style={{ width: `${review.score}%` }} />
+            </div>
+            <span className="text-xs text-gray-500 w-8 text-end">{formatNumber(review.score)}</span>
+          </div>
+          <ul className="flex flex-wrap gap-2 mt-2">
+            {review.checks.map(check => (
+              <li
+                key={check.id}
+                title={check.passed ? undefined : check.hint}
+                className={`text-xs px-2 py-0.5 rounded-full ${check.passed ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}
+              >
+                {check.passed ? '✓' : '·'} {check.label}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {questions.length > 0 && (
+        <div className="mt-4 space-y-3">
+          {questions.map((question, index) => (
+            <label key={question.id} className="block">
+              <span className="block text-sm text-gray-600 mb-1">
+                <Typewriter text={question.prompt} speed={15} delay={index * 300} />
+              </span>
+              <input
+                {...register(`${CLARIFICATIONS}.${question.id}`)}
+                placeholder={question.placeholder}
+                aria-label={question.label}
+                className="w-full px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-primary-200"
+              />
+            </label>
+          ))}
+          <p className="text-xs text-gray-500">{t('assistant.optional')}</p>
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default AssistantPanel;
@@ -0,0 +1,47 @@
+import React, { useLayoutEffect, useRef } from 'react';
+
+const MAX_HEIGHT = 192;
+
+// Textarea that grows with its content up to MAX_HEIGHT, then scrolls.
+// Enter submits the surrounding form; Shift+Enter adds a new line.
+const AutoGrowTextarea = ({ registration, value, className = '', ...rest }) => {
+  const textareaRef = useRef(null);
+
+  const resize = () => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+    textarea.style.height = 'auto';
+    textarea.style.height = `${Math.min(textarea.scrollHeight, MAX_HEIGHT)}px`;
+    textarea.style.overflowY = textarea.scrollHeight > MAX_HEIGHT ? 'auto' : 'hidden';
+  };
+
+  // Also resize when the value changes from outside, e.g. a resumed draft
+  useLayoutEffect(resize, [value]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+      e.preventDefault();
+      e.currentTarget.form?.requestSubmit();
+    }
+  };
+
+  return (
+    <textarea
+      {...rest}
+      {...registration}
+      ref={element => {
+        registration.ref(element);
+        textareaRef.current = element;
+      }}
+      rows={1}
+      onChange={e => {
+        registration.onChange(e);
+        resize();
+      }}
+      onKeyDown={handleKeyDown}
+      className={`resize-none ${className}`}
+    />
+  );
+};
+
+export default AutoGrowTextarea;
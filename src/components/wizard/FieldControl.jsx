@@ -0,0 +1,57 @@
+import React from 'react';
+import CollaboratorsInput from '../sharing/CollaboratorsInput';
+import { textOf } from '../../wizard/engine';
+import { t } from '../../i18n';
+
+// The input element for a wizard field of type text, textarea, select, date
+// or collaborators. `inputProps` is either react-hook-form's register()
+// result or plain value/onChange props. A collaborators list isn't a native
+// input, so it takes a Controller's field instead and its onChange gets the
+// new list rather than an event.
+const FieldControl = ({ field, inputProps, hasError = false, className = '', ...rest }) => {
+  if (field.type === 'collaborators') {
+    const { value, onChange, onBlur, ref } = inputProps;
+    return (
+      <CollaboratorsInput
+        {...rest}
+        value={value}
+        onChange={onChange}
+        onBlur={onBlur}
+        inputRef={ref}
+        placeholder={textOf(field.placeholder)}
+        hasError={hasError}
+        className={className}
+      />
+    );
+  }
+
+  const border = hasError ? 'border-red-500 focus:ring-red-200' : 'border-gray-300 focus:ring-primary-200';
+  const classes = `px-3 py-2 border rounded-md focus:outline-none focus:ring-1 bg-surface ${border} ${className}`;
+
+  if (field.type === 'textarea') {
+    return <textarea {...inputProps} {...rest} rows={rest.rows ?? 4} placeholder={textOf(field.placeholder)} className={classes} />;
+  }
+
+  if (field.type === 'select') {
+    return (
+      <select {...inputProps} {...rest} className={classes}>
+        <option value="">{textOf(field.placeholder) || t('wizard.chooseOne')}</option>
+        {(field.options || []).map(option => (
+          <option key={option.value} value={option.value}>{textOf(option.label)}</option>
+        ))}
+      </select>
+    );
+  }
+
+  return (
+    <input
+      {...inputProps}
+      {...rest}
+      type={field.type === 'date' ? 'date' : 'text'}
+      placeholder={textOf(field.placeholder)}
+      className={classes}
+    />
+  );
+};
+
+export default FieldControl;
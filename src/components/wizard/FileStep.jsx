@@ -0,0 +1,82 @@
+import React from 'react';
+import { motion } from 'framer-motion';
+import Dropzone from '../Dropzone';
+import UploadList from '../UploadList';
+import RejectedFiles from '../RejectedFiles';
+import { itemVariants } from './variants';
+import { ACCEPTED_FILE_TYPES, MAX_FILE_SIZE, MAX_FILE_COUNT } from '../../validation/files';
+import { SPEC_FILE_TYPES } from '../../spec';
+import { formatBytes } from '../../utils/format';
+import { t } from '../../i18n';
+
+// Step body for a `file` field: dropzone, per-file upload progress, the
+// files that were turned away and any an imported spec still expects. A
+// spec can be dropped here too.
+const FileStep = ({ step, fileUploads, onNext }) => {
+  const { uploads, cancel, retry, remove, rejected, dismissRejected, addFiles, expected = [] } = fileUploads;
+
+  return (
+    <>
+      <Dropzone
+        onFiles={addFiles}
+        accept={`${ACCEPTED_FILE_TYPES},${SPEC_FILE_TYPES}`}
+        hint={t('files.hint', { size: formatBytes(MAX_FILE_SIZE), count: MAX_FILE_COUNT })}
+        className="w-[80%] m-auto mt-6"
+      />
+
+      {expected.length > 0 && (
+        <div className="w-[80%] m-auto mt-4 bg-primary-50 border border-primary-200 rounded-md p-3 text-start">
+          <p className="text-sm text-gray-700">{t('spec.missingFiles', { count: expected.length })}</p>
+          <ul className="mt-1 ps-5 list-disc text-sm text-gray-600">
+            {expected.map(ref => (
+              <li key={ref.path || ref.name}>
+                {ref.name}
+                {Number.isFinite(ref.size) && <span className="text-gray-400"> {formatBytes(ref.size)}</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {rejected.length > 0 && (
+        <div className="w-[80%] m-auto mt-4">
+          <RejectedFiles rejected={rejected} onDismiss={dismissRejected} />
+        </div>
+      )}
+
+      {uploads.length > 0 && (
+        <div className="w-[80%] m-auto mt-4 bg-gray-50 p-3 rounded-md">
+          <p className="text-sm font-medium text-gray-700 mb-1">{t('files.selected')}</p>
+          <UploadList uploads={uploads} onCancel={cancel} onRetry={retry} onRemove={remove} />
+        </div>
+      )}
+
+      <motion.div
+        variants={itemVariants}
+        className="flex items-center justify-center mt-4"
+      >
+        <div className="gap-2 flex items-center justify-center m-auto w-[80%]">
+          {uploads.length > 0 || !step.optional ? (
+            <button
+              type="button"
+              onClick={onNext}
+              className="bg-primary-600 text-primary-contrast px-4 py-2 rounded-md hover:bg-primary-700 transition m-auto"
+            >
+              {t('wizard.next')}
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={onNext}
+              className="bg-gray-200 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-300 transition m-auto"
+            >
+              {t('wizard.skip')}
+            </button>
+          )}
+        </div>
+      </motion.div>
+    </>
+  );
+};
+
+export default FileStep;
@@ -0,0 +1,137 @@
+import React, { useId } from 'react';
+import { Controller } from 'react-hook-form';
+import { motion } from 'framer-motion';
+import FieldControl from './FieldControl';
+import AutoGrowTextarea from './AutoGrowTextarea';
+import AssistantPanel from './AssistantPanel';
+import { itemVariants } from './variants';
+import { fieldsOf, textOf } from '../../wizard/engine';
+import { t } from '../../i18n';
+
+const SendButton = () => (
+  <motion.div
+    variants={itemVariants}
+    className="flex justify-center items-center absolute bottom-2 end-2"
+  >
+    <button
+      type="submit"
+      aria-label={t('wizard.send')}
+      className="rounded-full px-3 py-3 transition bg-gray-700 text-surface hover:bg-gray-900"
+    >
+      <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" className="bi bi-arrow-up" viewBox="0 0 16 16" aria-hidden="true">
+        <path fillRule="evenodd" d="M8 15a.5.5 0 0 0 .5-.5V2.707l3.146 3.147a.5.5 0 0 0 .708-.708l-4-4a.5.5 0 0 0-.708 0l-4 4a.5.5 0 1 0 .708.708L7.5 2.707V14.5a.5.5 0 0 0 .5.5" />
+      </svg>
+    </button>
+  </motion.div>
+);
+
+// A step with a single free-text answer uses the chat-style composer pinned to
+// the bottom; anything else (selects, dates, several fields) is laid out as a
+// small form with a Next button.
+const isComposerStep = (step) => {
+  const fields = fieldsOf(step);
+  return fields.length === 1 && ['text', 'textarea'].includes(fields[0].type);
+};
+
+// Each field is described by the step's prompt and, once it fails
+// validation, by its error message, which is also announced as it appears
+const QuestionStep = ({ step, promptId, register, control, errors, values, onSkip }) => {
+  const idPrefix = useId();
+  const inputId = name => `${idPrefix}-${name}`;
+  const errorId = name => `${idPrefix}-${name}-error`;
+  const a11yProps = name => ({
+    id: inputId(name),
+    'aria-invalid': Boolean(errors[name]),
+    'aria-describedby': [promptId, errors[name] && errorId(name)].filter(Boolean).join(' '),
+  });
+  const errorMessage = (name, className) => errors[name] && (
+    <p id={errorId(name)} role="alert" className={`text-sm text-red-600 ${className}`}>{errors[name].message}</p>
+  );
+
+  if (isComposerStep(step)) {
+    const [field] = fieldsOf(step);
+    const composerClassName = `w-full px-3 py-4 border rounded-md focus:outline-none focus:ring-1 ${errors[field.name] ? 'border-red-500 focus:ring-red-200' : 'border-gray-300 focus:ring-primary-200'
+      }`;
+    return (
+      <>
+        {field.assistant && <AssistantPanel field={field} values={values} register={register} />}
+        <div className="w-[80%] absolute bottom-2 end-6 text-start">
+          {errorMessage(field.name, 'mb-1')}
+          <label htmlFor={inputId(field.name)} className="sr-only">{textOf(field.label)}</label>
+          <div className="relative">
+            {field.type === 'textarea' ? (
+              <AutoGrowTextarea
+                registration={register(field.name)}
+                value={values[field.name]}
+                placeholder={textOf(field.placeholder)}
+                className={`${composerClassName} pe-16`}
+                {...a11yProps(field.name)}
+              />
+            ) : (
+              <input
+                {...register(field.name)}
+                placeholder={textOf(field.placeholder)}
+                className={`${composerClassName} pe-16`}
+                {...a11yProps(field.name)}
+              />
+            )}
+            <SendButton />
+          </div>
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <motion.div variants={itemVariants} className="w-[60%] m-auto mt-6 space-y-4 text-start">
+      {fieldsOf(step).map(field => (
+        <div key={field.name}>
+          <label htmlFor={inputId(field.name)} className="block text-sm font-medium text-gray-600 mb-1">{textOf(field.label)}</label>
+          {field.type === 'collaborators' ? (
+            <Controller
+              name={field.name}
+              control={control}
+              render={({ field: controlled }) => (
+                <FieldControl
+                  field={field}
+                  inputProps={controlled}
+                  hasError={Boolean(errors[field.name])}
+                  className="w-full"
+                  {...a11yProps(field.name)}
+                />
+              )}
+            />
+          ) : (
+            <FieldControl
+              field={field}
+              inputProps={register(field.name)}
+              hasError={Boolean(errors[field.name])}
+              className="w-full"
+              {...a11yProps(field.name)}
+            />
+          )}
+          {errorMessage(field.name, 'mt-1')}
+        </div>
+      ))}
+      <div className="flex items-center justify-center gap-2 pt-2">
+        {step.optional && (
+          <button
+            type="button"
+            onClick={onSkip}
+            className="bg-gray-200 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-300 transition"
+          >
+            {t('wizard.skip')}
+          </button>
+        )}
+        <button
+          type="submit"
+          className="bg-primary-600 text-primary-contrast px-4 py-2 rounded-md hover:bg-primary-700 transition"
+        >
+          {t('wizard.next')}
+        </button>
+      </div>
+    </motion.div>
+  );
+};
+
+export default QuestionStep;
@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import * as yup from 'yup';
+import { motion } from 'framer-motion';
+import Dropzone from '../Dropzone';
+import RejectedFiles from '../RejectedFiles';
+import FilePreview from '../FilePreview';
+import ReviewField from '../ReviewField';
+import fileIcon from '../../assets/file-icon.svg';
+import { itemVariants } from './variants';
+import { ACCEPTED_FILE_TYPES } from '../../validation/files';
+import { activeSteps, CLARIFICATIONS, fieldsOf, isReviewStep, stepSchema, textOf } from '../../wizard/engine';
+import { clarificationLabel } from '../../assistant';
+import { t } from '../../i18n';
+
+// Attached files on the review step; drop or paste more, remove any, or
+// preview the contents of data files
+const FilePanel = ({ field, fileUploads }) => {
+  const { uploads, remove, rejected, dismissRejected, addFiles, previews } = fileUploads;
+  const [previewKey, setPreviewKey] = useState(null);
+  const previewed = uploads.find(upload => upload.key === previewKey && previews[upload.key]);
+
+  return (
+    <div className="mt-6">
+      <p className="text-sm font-medium text-gray-500 text-start mb-2">{t('files.panelTitle', { label: textOf(field.label), count: uploads.length })}</p>
+      <Dropzone onFiles={addFiles} accept={ACCEPTED_FILE_TYPES} className="min-h-52 bg-gray-50 p-4">
+        {({ open, isDragging }) => (
+          uploads.length > 0 ? (
+            <div className="flex flex-wrap gap-4 justify-start items-start">
+              {uploads.map(upload => (
+                <div key={upload.key} className="relative flex text-center flex-col justify-center items-center p-2 w-28">
+                  <button
+                    type="button"
+                    onClick={() => remove(upload.key)}
+                    aria-label={t('files.remove', { name: upload.file.name })}
+                    className="absolute top-0 end-0 w-5 h-5 leading-5 rounded-full bg-gray-200 text-gray-600 text-xs hover:bg-gray-300"
+                  >
+                    ×
+                  </button>
+                  <div className="rounded-md text-center">
+                    <img src={fileIcon} width={20} alt="" />
+                  </div>
+                  <div className="w-full">
+                    <p className="text-sm text-center font-medium text-gray-700 truncate" title={upload.file.name}>{upload.file.name}</p>
+                  </div>
+                  {previews[upload.key] && (
+                    <button
+                      type="button"
+                      onClick={() => setPreviewKey(upload.key === previewKey ? null : upload.key)}
+                      aria-pressed={upload.key === previewKey}
+                      className="text-xs text-primary-600 hover:underline"
+                    >
+                      {previews[upload.key].status === 'loading' ? t('preview.reading') : t('preview.open')}
+                    </button>
+                  )}
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={open}
+                className="self-center text-sm text-primary-600 px-3 py-2 rounded-md hover:bg-primary-50 focus:outline-none focus:ring-2 focus:ring-primary-300"
+              >
+                {t('files.add')}
+              </button>
+            </div>
+          ) : (
+            <button
+              type="button"
+              onClick={open}
+              className="w-full text-center py-4 text-gray-500 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-300"
+            >
+              <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" viewBox="0 0 24 24" fill="#000" stroke="#000" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" className="mx-auto mb-2" aria-hidden="true">
+                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
+                <polyline points="17 8 12 3 7 8" />
+                <line x1="12" y1="3" x2="12" y2="15" />
+              </svg>
+              <p>{isDragging ? t('files.dropToAdd') : t('files.none')}</p>
+            </button>
+          )
+        )}
+      </Dropzone>
+      {previewed && (
+        <FilePreview name={previewed.file.name} state={previews[previewed.key]} onClose={() => setPreviewKey(null)} />
+      )}
+      {rejected.length > 0 && (
+        <div className="mt-4">
+          <RejectedFiles rejected={rejected} onDismiss={dismissRejected} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Answers to an assistant's follow-up questions, listed under the field
+// they clarify
+const ClarificationFields = ({ answers, onChange }) => (
+  Object.entries(answers[CLARIFICATIONS] || {})
+    .filter(([, value]) => value)
+    .map(([id, value]) => (
+      <ReviewField
+        key={id}
+        field={{ name: id, type: 'text', label: clarificationLabel(id) }}
+        value={value}
+        schema={yup.object({ [id]: yup.string() })}
+        onSave={next => onChange(`${CLARIFICATIONS}.${id}`, next)}
+      />
+    ))
+);
+
+// Every answer given so far, each editable in place
+const ReviewStep = ({ definition, answers, fileUploads, onChange }) => (
+  <motion.div variants={itemVariants} className="w-[60%] mx-auto">
+    {activeSteps(definition, answers)
+      .filter(step => !isReviewStep(step))
+      .flatMap(step => fieldsOf(step).map(field => (
+        field.type === 'file' ? (
+          <FilePanel key={field.name} field={field} fileUploads={fileUploads} />
+        ) : (
+          <React.Fragment key={field.name}>
+            <ReviewField
+              field={field}
+              value={answers[field.name]}
+              schema={stepSchema(step)}
+              onSave={value => onChange(field.name, value)}
+            />
+            {field.assistant && <ClarificationFields answers={answers} onChange={onChange} />}
+          </React.Fragment>
+        )
+      )))}
+  </motion.div>
+);
+
+export default ReviewStep;
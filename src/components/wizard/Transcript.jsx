@@ -0,0 +1,98 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useReducedMotion } from 'framer-motion';
+import Typewriter from '../Typewriter';
+import { fieldsOf, textOf } from '../../wizard/engine';
+import { formatAnswer } from './formatAnswer';
+import { t } from '../../i18n';
+
+// What the user "said" for a step, as it reads in the conversation
+const answerText = (step, answers, fileNames) => {
+  const parts = fieldsOf(step).map(field => {
+    if (field.type === 'file') {
+      return fileNames.length > 0 ? fileNames.join(', ') : null;
+    }
+    const value = answers[field.name];
+    if (value === undefined || value === '') return null;
+    return fieldsOf(step).length > 1 ? `${textOf(field.label)}: ${formatAnswer(field, value)}` : formatAnswer(field, value);
+  }).filter(Boolean);
+  return parts.length > 0 ? parts.join('\n') : t('wizard.skipped');
+};
+
+const AssistantBubble = ({ children, onClick }) => (
+  <div className="flex justify-start">
+    <div
+      onClick={onClick}
+      className="max-w-[80%] bg-gray-100 text-gray-700 rounded-2xl rounded-es-sm px-4 py-2 text-start whitespace-pre-wrap"
+    >
+      {children}
+    </div>
+  </div>
+);
+
+const UserBubble = ({ children, onEdit }) => (
+  <div className="flex justify-end items-end gap-2 group">
+    {onEdit && (
+      <button
+        type="button"
+        onClick={onEdit}
+        className="text-xs text-primary-600 opacity-0 group-hover:opacity-100 focus:opacity-100 hover:underline transition"
+      >
+        {t('common.edit')}
+      </button>
+    )}
+    <div className="max-w-[80%] bg-brand text-brand-contrast rounded-2xl rounded-ee-sm px-4 py-2 text-start whitespace-pre-wrap break-words">
+      {children}
+    </div>
+  </div>
+);
+
+// Chat-style history of the wizard: every prompt and answer so far, then the
+// current prompt typed out by the assistant. Clicking the prompt (or Skip)
+// shows it in full at once. `promptId` goes on the current prompt so the
+// step's fields can point at it.
+const Transcript = ({ completedSteps, currentStep, promptId, answers, fileNames, onEdit }) => {
+  const [skipped, setSkipped] = useState(false);
+  const [typing, setTyping] = useState(true);
+  const endRef = useRef(null);
+  const reducedMotion = useReducedMotion();
+
+  useEffect(() => {
+    setSkipped(false);
+    setTyping(true);
+    endRef.current?.scrollIntoView?.({ block: 'end', behavior: reducedMotion ? 'auto' : 'smooth' });
+  }, [currentStep.id, reducedMotion]);
+
+  return (
+    <div className="w-[80%] m-auto mb-4 max-h-[50vh] overflow-y-auto space-y-3 pe-1">
+      {completedSteps.map(step => (
+        <React.Fragment key={step.id}>
+          <AssistantBubble>{textOf(step.prompt)}</AssistantBubble>
+          <UserBubble onEdit={() => onEdit(step.id)}>{answerText(step, answers, fileNames)}</UserBubble>
+        </React.Fragment>
+      ))}
+      <AssistantBubble onClick={() => setSkipped(true)}>
+        <span id={promptId}>
+          <Typewriter
+            text={textOf(currentStep.prompt)}
+            speed={currentStep.promptSpeed ?? 30}
+            delay={300}
+            instant={skipped}
+            onDone={() => setTyping(false)}
+          />
+        </span>
+        {typing && !skipped && (
+          <button
+            type="button"
+            onClick={() => setSkipped(true)}
+            className="ms-2 text-xs text-gray-500 hover:underline"
+          >
+            {t('wizard.skipTyping')}
+          </button>
+        )}
+      </AssistantBubble>
+      <div ref={endRef} />
+    </div>
+  );
+};
+
+export default Transcript;
@@ -0,0 +1,520 @@
+import React, { useEffect, useId, useRef, useState } from 'react';
+import { useForm } from 'react-hook-form';
+import { yupResolver } from '@hookform/resolvers/yup';
+import { toast } from 'react-toastify';
+import { motion } from 'framer-motion';
+import Typewriter from '../Typewriter';
+import StepBadge from '../StepBadge';
+import BackButton from '../BackButton';
+import DraftPrompt from '../DraftPrompt';
+import QuestionStep from './QuestionStep';
+import FileStep from './FileStep';
+import ReviewStep from './ReviewStep';
+import Transcript from './Transcript';
+import SpecImportButton from '../spec/SpecImportButton';
+import SpecExportMenu from '../spec/SpecExportMenu';
+import { containerVariants, itemVariants } from './variants';
+import { NetworkError, ValidationError } from '../../api';
+import { useFileUploads } from '../../hooks/useFileUploads';
+import { useDraftAutosave } from '../../hooks/useDraftAutosave';
+import { useFilePreviews } from '../../hooks/useFilePreviews';
+import { createDraftId, listDrafts, deleteDraft } from '../../drafts/draftStore';
+import { loadDraftFiles, deleteDraftFiles } from '../../drafts/fileStore';
+import { validateFiles } from '../../validation/files';
+import { checksumFile, schemaSummary } from '../../preview';
+import { SPEC_FORMATS, isSpecFile, readSpecFile, saveSpec, specFromAnswers } from '../../spec';
+import { t } from '../../i18n';
+import { useAuth } from '../../auth';
+import {
+  activeSteps,
+  buildPayload,
+  fieldsOf,
+  findStep,
+  firstIncompleteStep,
+  firstInvalidStep,
+  firstStepId,
+  isReviewStep,
+  isStepActive,
+  nextStepId,
+  reviewStepId,
+  stepForField,
+  stepSchema,
+  textOf,
+} from '../../wizard/engine';
+
+// Renders a wizard definition (see wizard/engine.js) one step at a time.
+// `onSubmit(payload, { files })` is called from the review step and should
+// return a promise; `files` are the ones whose upload failed for lack of a
+// connection, for the caller to send later. `onComplete(result)` runs once it
+// resolves. With `transcript` the
+// earlier prompts and answers stay on screen as a conversation instead of
+// collapsing into badges. `initialValues` pre-fills the answers;
+// `resumeLatestDraft` restores the most recent draft without asking.
+//
+// The answers can be exported as a spec file and a spec imported to fill them
+// in (see src/spec), from the buttons above the steps or by dropping the
+// spec on a file step.
+//
+// Pass `stepId` and `onStepChange(stepId, { replace })` to keep the current
+// step outside the wizard, e.g. in the URL; otherwise it is internal state.
+const Wizard = ({ definition, onSubmit, onComplete, transcript = false, initialValues, resumeLatestDraft = false, stepId: controlledStepId, onStepChange }) => {
+  const [ownStepId, setOwnStepId] = useState(() => firstStepId(definition));
+  const stepId = onStepChange ? controlledStepId : ownStepId;
+  const setStepId = (target, options = {}) => {
+    if (onStepChange) {
+      onStepChange(target, options);
+    } else {
+      setOwnStepId(target);
+    }
+  };
+  const [history, setHistory] = useState([]);
+  // Set when the user jumps back from the review step, so finishing the edit
+  // returns them there instead of walking through every step again
+  const [returnToReview, setReturnToReview] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState(null);
+  const [isComplete, setIsComplete] = useState(false);
+  const [draftId, setDraftId] = useState(createDraftId);
+  // Only the signed-in user's drafts are offered
+  const userId = useAuth().user?.id ?? null;
+  const [savedDrafts, setSavedDrafts] = useState(() => listDrafts(userId));
+  // Starting from given answers (e.g. a duplicate) is a deliberate choice,
+  // so don't offer unrelated drafts on top of it
+  const [showDraftPrompt, setShowDraftPrompt] = useState(!initialValues);
+  const [rejectedFiles, setRejectedFiles] = useState([]);
+  // References in an imported spec to files that haven't been attached yet
+  const [expectedFiles, setExpectedFiles] = useState([]);
+  const [isImporting, setIsImporting] = useState(false);
+  const uploads = useFileUploads();
+  const previews = useFilePreviews(uploads.uploads);
+
+  const step = findStep(definition, stepId);
+  const reviewId = reviewStepId(definition);
+
+  // One form for the whole wizard, validated against the current step's rules
+  const stepRef = useRef(step);
+  stepRef.current = step;
+  const {
+    register,
+    control,
+    handleSubmit,
+    formState: { errors },
+    setError,
+    setValue,
+    getValues,
+    reset,
+    watch,
+    setFocus,
+  } = useForm({
+    defaultValues: initialValues,
+    resolver: (values, context, options) => yupResolver(stepSchema(stepRef.current))(values, context, options),
+  });
+  const answers = watch();
+
+  const files = uploads.uploads.map(upload => upload.file);
+
+  // Duplicates of `existing` (same name/size/lastModified) are skipped and
+  // anything breaking the file rules is listed with its reason
+  const attachFiles = async (selected, existing) => {
+    const { accepted, rejected } = await validateFiles(selected, existing);
+    setRejectedFiles(rejected);
+    rejected.forEach(({ reason }) => toast.error(reason));
+    uploads.add(accepted);
+    return accepted;
+  };
+
+  // The file references from a spec that `attached` doesn't answer. A file
+  // with a referenced name should be the very same file, so say so when its
+  // checksum differs; that is worked out in the background, without holding
+  // up the import or the uploads.
+  const unmatchedFiles = (refs, attached) => {
+    const matched = refs.filter(({ name }) => attached.some(file => file.name === name));
+    matched.filter(({ sha256 }) => sha256).forEach(ref => {
+      const file = attached.find(({ name }) => name === ref.name);
+      checksumFile(file)
+        .then(sha256 => {
+          if (sha256 !== ref.sha256.toLowerCase()) toast.warn(t('spec.checksumDiffers', { name: file.name }));
+        })
+        .catch(() => {});
+    });
+    return refs.filter(ref => !matched.includes(ref));
+  };
+
+  // Fill the wizard from a spec file, attaching the files a bundle brought
+  // along with any `others` picked at the same time. Then go to the first
+  // step its answers don't satisfy, else to the files it still needs, else
+  // to the review.
+  const importSpec = async (file, others = []) => {
+    setIsImporting(true);
+    try {
+      const { answers: imported, files: bundled, missing } = await readSpecFile(definition, file);
+      setDraftId(createDraftId());
+      setShowDraftPrompt(false);
+      reset(imported);
+      uploads.clear();
+      const stillMissing = unmatchedFiles(missing, await attachFiles([...bundled, ...others], []));
+      setExpectedFiles(stillMissing);
+      setHistory([]);
+      setReturnToReview(false);
+      const invalid = await firstInvalidStep(definition, imported);
+      const fileStep = activeSteps(definition, imported).find(candidate => fieldsOf(candidate).some(({ type }) => type === 'file'));
+      if (invalid) {
+        setStepId(invalid.id);
+        showStepErrors(invalid);
+      } else if (stillMissing.length > 0 && fileStep) {
+        setStepId(fileStep.id);
+      } else {
+        setStepId(reviewId);
+      }
+      toast.success(t('spec.imported', { name: file.name }));
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  // New picks are added to the selection. A spec among them is imported
+  // instead, and the other files attached to what it fills in.
+  const addFiles = async (selected) => {
+    const specs = await Promise.all(selected.map(isSpecFile));
+    const spec = selected.find((file, index) => specs[index]);
+    if (spec) {
+      await importSpec(spec, selected.filter((file, index) => !specs[index]));
+      return;
+    }
+    const remaining = unmatchedFiles(expectedFiles, await attachFiles(selected, files));
+    setExpectedFiles(remaining);
+  };
+
+  const exportSpec = async (format) => {
+    const attached = uploads.uploads.filter(({ status }) => status !== 'canceled').map(upload => upload.file);
+    await saveSpec(await specFromAnswers(definition, getValues(), attached), format, attached);
+  };
+
+  const fileUploads = {
+    ...uploads,
+    rejected: rejectedFiles,
+    dismissRejected: () => setRejectedFiles([]),
+    addFiles,
+    expected: expectedFiles,
+    previews,
+  };
+
+  // The structure detected in each uploaded data file, sent along so the
+  // analysis knows what it is working with before opening the files
+  const fileSchemas = () => uploads.uploads
+    .filter(upload => upload.status === 'done' && previews[upload.key]?.status === 'ready')
+    .map(upload => ({ uploadId: upload.uploadId, name: upload.file.name, ...schemaSummary(previews[upload.key].preview) }));
+
+  // Save what has been typed so far, not just the submitted steps
+  useDraftAutosave({
+    draftId,
+    userId,
+    step: stepId,
+    values: answers,
+    files,
+    enabled: !isComplete,
+  });
+
+  // The step can also change from outside (browser back/forward), so drop
+  // it from the Back trail when it is the step the trail would return to
+  useEffect(() => {
+    setHistory(previous => (previous[previous.length - 1] === stepId ? previous.slice(0, -1) : previous));
+  }, [stepId]);
+
+  // Someone landing on a later step (a bookmark, browser forward after
+  // starting over) is sent to the first step that still needs an answer
+  const redirectRef = useRef(setStepId);
+  redirectRef.current = setStepId;
+  useEffect(() => {
+    let cancelled = false;
+    firstIncompleteStep(definition, stepId, getValues()).then(incomplete => {
+      if (!cancelled && incomplete) redirectRef.current(incomplete.id, { replace: true });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [definition, stepId, getValues]);
+
+  // Every step change moves focus to the new step, so keyboard and screen
+  // reader users carry on from there: its first field, or else its heading.
+  // The prompt is announced through a live region, since the typed-out text
+  // isn't. The first step is left alone so loading the page doesn't jump.
+  const headingRef = useRef(null);
+  const promptId = useId();
+  const [announcement, setAnnouncement] = useState('');
+  const focusedStepRef = useRef(stepId);
+  useEffect(() => {
+    if (focusedStepRef.current === stepId) return;
+    focusedStepRef.current = stepId;
+    const current = stepRef.current;
+    setAnnouncement(textOf(current.prompt));
+    const [first] = fieldsOf(current);
+    if (first && first.type !== 'file' && !isReviewStep(current)) {
+      setFocus(first.name);
+    } else {
+      headingRef.current?.focus();
+    }
+  }, [stepId, setFocus]);
+
+  const goTo = (target) => {
+    if (target === stepId) return;
+    setHistory(previous => [...previous, stepId]);
+    setStepId(target);
+  };
+
+  // Mark the fields of `target` with whatever its rules reject
+  const showStepErrors = async (target) => {
+    try {
+      await stepSchema(target).validate(getValues(), { abortEarly: false });
+    } catch (validationError) {
+      validationError.inner.forEach(({ path, type, message }) => setError(path, { type, message }));
+    }
+  };
+
+  // Re-check every answer on the way to the review, since any of them may
+  // have been edited since it was first given
+  const goToReview = async () => {
+    const invalid = await firstInvalidStep(definition, getValues());
+    if (invalid) {
+      goTo(invalid.id);
+      showStepErrors(invalid);
+      return;
+    }
+    setReturnToReview(false);
+    goTo(reviewId);
+  };
+
+  const goForward = () => {
+    if (returnToReview) {
+      goToReview();
+      return;
+    }
+    const target = nextStepId(definition, stepId, getValues());
+    if (target && target === reviewId) {
+      goToReview();
+    } else if (target) {
+      goTo(target);
+    }
+  };
+
+  // Walk back through the steps actually visited, skipping any that later
+  // answers have switched off
+  const goBack = () => {
+    const current = getValues();
+    const remaining = [...history];
+    let target;
+    while (remaining.length > 0 && !target) {
+      const candidate = findStep(definition, remaining.pop());
+      if (candidate && isStepActive(candidate, current)) target = candidate.id;
+    }
+    if (!target) {
+      const steps = activeSteps(definition, current);
+      target = steps[Math.max(0, steps.findIndex(({ id }) => id === stepId) - 1)]?.id;
+    }
+    setReturnToReview(false);
+    setHistory(remaining);
+    setStepId(target);
+  };
+
+  // Completed-step badges jump back with the earlier answer still filled in
+  const jumpToStep = (target) => {
+    setReturnToReview(isReviewStep(step));
+    goTo(target);
+  };
+
+  const resumeDraft = async (draft) => {
+    setDraftId(draft.id);
+    reset(draft.values);
+    setStepId(findStep(definition, draft.step) ? draft.step : firstStepId(definition, draft.values));
+    setHistory([]);
+    setShowDraftPrompt(false);
+    setRejectedFiles([]);
+    setExpectedFiles([]);
+    uploads.clear();
+    try {
+      uploads.add(await loadDraftFiles(draft.id));
+    } catch {
+      if (draft.fileKeys.length > 0) {
+        toast.warn(t('drafts.filesNotRestored'));
+      }
+    }
+  };
+
+  // Back from signing in again: carry on from where the answers were saved
+  const resumeOnMount = useRef(resumeLatestDraft && savedDrafts[0]);
+  const resume = useRef(resumeDraft);
+  resume.current = resumeDraft;
+  useEffect(() => {
+    const draft = resumeOnMount.current;
+    resumeOnMount.current = null;
+    if (draft) resume.current(draft);
+  }, []);
+
+  const discardDraft = (draft) => {
+    deleteDraft(draft.id);
+    deleteDraftFiles(draft.id).catch(() => {});
+    setSavedDrafts(drafts => drafts.filter(({ id }) => id !== draft.id));
+  };
+
+  // Flag the fields the server rejected and send the user to the first of
+  // those steps; fixing it brings them back to the review
+  const applyFieldErrors = (fieldErrors) => {
+    const names = Object.keys(fieldErrors).filter(name => stepForField(definition, name));
+    names.forEach(name => setError(name, { type: 'server', message: fieldErrors[name] }));
+    const target = activeSteps(definition, getValues())
+      .find(candidate => fieldsOf(candidate).some(({ name }) => names.includes(name)));
+    if (target) {
+      setReturnToReview(true);
+      goTo(target.id);
+    }
+  };
+
+  const submit = async () => {
+    try {
+      setIsSubmitting(true);
+      setSubmitError(null);
+      const offlineFiles = uploads.uploads
+        .filter(upload => upload.status === 'failed' && upload.error instanceof NetworkError)
+        .map(upload => upload.file);
+      const result = await onSubmit(
+        buildPayload(definition, getValues(), { uploadIds: uploads.uploadIds, fileSchemas: fileSchemas() }),
+        { files: offlineFiles }
+      );
+      setIsComplete(true);
+      deleteDraft(draftId);
+      deleteDraftFiles(draftId).catch(() => {});
+      onComplete?.(result);
+    } catch (error) {
+      setSubmitError(error);
+      if (error instanceof ValidationError) {
+        applyFieldErrors(error.fieldErrors);
+      }
+      toast.error(error.message || t('wizard.submitFailed'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const steps = activeSteps(definition, answers);
+  const previousSteps = steps.slice(0, steps.findIndex(({ id }) => id === stepId));
+  const completedSteps = isReviewStep(step) ? [] : previousSteps.filter(({ badge }) => badge);
+  const isFirstStep = steps[0]?.id === stepId && history.length === 0;
+  const hasFileField = fieldsOf(step).some(({ type }) => type === 'file');
+
+  const heading = (
+    <h2 ref={headingRef} tabIndex={-1} className="sr-only">
+      {t('wizard.stepHeading', { current: previousSteps.length + 1, total: steps.length })}
+    </h2>
+  );
+
+  const header = transcript ? (
+    <>
+      {!isFirstStep && <BackButton onClick={goBack} />}
+      {heading}
+      <Transcript
+        completedSteps={previousSteps.filter(previous => !isReviewStep(previous))}
+        currentStep={step}
+        promptId={promptId}
+        answers={answers}
+        fileNames={files.map(({ name }) => name)}
+        onEdit={jumpToStep}
+      />
+    </>
+  ) : (
+    <>
+      {!isFirstStep && <BackButton onClick={goBack} />}
+      {heading}
+      {completedSteps.length > 0 && (
+        <div className="w-[50%] m-auto pb-4 mb-4 border-b">
+          {completedSteps.map(completed => (
+            <StepBadge key={completed.id} label={textOf(completed.badge)} onClick={() => jumpToStep(completed.id)} />
+          ))}
+        </div>
+      )}
+      <motion.p
+        id={promptId}
+        variants={itemVariants}
+        className="text-center text-gray-600 mb-4 m-auto w-[95%] min-h-[3rem]"
+      >
+        <Typewriter text={textOf(step.prompt)} speed={step.promptSpeed ?? 30} delay={300} />
+      </motion.p>
+    </>
+  );
+
+  return (
+    <>
+      <p className="sr-only" aria-live="polite">{announcement}</p>
+
+      <div className="flex justify-end gap-4 w-[80%] m-auto mb-2">
+        <SpecImportButton
+          onFile={file => importSpec(file)}
+          importing={isImporting}
+          className="text-sm text-primary-600 hover:underline disabled:opacity-50"
+        />
+        <SpecExportMenu
+          formats={files.length > 0 ? SPEC_FORMATS : SPEC_FORMATS.filter(format => format !== 'zip')}
+          onExport={exportSpec}
+          className="text-sm text-primary-600 hover:underline disabled:opacity-50"
+        />
+      </div>
+
+      {showDraftPrompt && (
+        <DraftPrompt
+          drafts={savedDrafts}
+          onResume={resumeDraft}
+          onDiscard={discardDraft}
+          onDismiss={() => setShowDraftPrompt(false)}
+        />
+      )}
+
+      {isReviewStep(step) && (
+        <motion.div key={step.id} className='pb-4' variants={containerVariants} initial="hidden" animate="visible">
+          {header}
+          <ReviewStep
+            definition={definition}
+            answers={answers}
+            fileUploads={fileUploads}
+            onChange={(name, value) => setValue(name, value, { shouldDirty: true })}
+          />
+          <motion.div variants={itemVariants} className="flex justify-center mt-8">
+            <button
+              onClick={submit}
+              className="bg-gray-100 text-gray-800 px-6 py-2 rounded-md font-semibold hover:bg-gray-200 transition disabled:opacity-50 disabled:cursor-not-allowed"
+              disabled={isSubmitting || !uploads.isSettled}
+            >
+              {isSubmitting ? t('wizard.submitting') : uploads.isSettled ? t('wizard.done') : t('wizard.uploadingFiles')}
+            </button>
+          </motion.div>
+          {submitError && !(submitError instanceof ValidationError) && (
+            <p role="alert" className="text-center text-sm text-red-600 mt-3">{submitError.message}</p>
+          )}
+        </motion.div>
+      )}
+
+      {hasFileField && (
+        <motion.div key={step.id} className='pb-4' variants={containerVariants} initial="hidden" animate="visible">
+          {header}
+          <FileStep step={step} fileUploads={fileUploads} onNext={goForward} />
+        </motion.div>
+      )}
+
+      {!isReviewStep(step) && !hasFileField && (
+        <motion.form
+          key={step.id}
+          className='w-full text-center'
+          onSubmit={handleSubmit(goForward)}
+          variants={containerVariants}
+          initial="hidden"
+          animate="visible"
+        >
+          {header}
+          <QuestionStep step={step} promptId={promptId} register={register} control={control} errors={errors} values={answers} onSkip={goForward} />
+        </motion.form>
+      )}
+    </>
+  );
+};
+
+export default Wizard;
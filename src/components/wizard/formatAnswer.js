@@ -0,0 +1,21 @@
+import { textOf } from '../../wizard/engine';
+import { formatDate } from '../../i18n';
+import { roleLabel } from '../../sharing';
+
+// How an answer reads on the review step and in the transcript, in the
+// current language
+export const formatAnswer = (field, value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (field.type === 'collaborators') {
+    if (value.length === 0) return '—';
+    return value.map(({ email, role }) => `${email} (${roleLabel(role)})`).join(', ');
+  }
+  if (field.type === 'select') {
+    return textOf(field.options?.find(option => option.value === value)?.label) ?? value;
+  }
+  if (field.type === 'date') {
+    const date = new Date(`${value}T00:00:00`);
+    return Number.isNaN(date.getTime()) ? value : formatDate(date);
+  }
+  return value;
+};
@@ -0,0 +1,102 @@
+// Wizard drafts in localStorage, one entry per draft:
+//
+//   py25:draft:<id> -> { version, id, userId, createdAt, updatedAt, step, values, fileKeys }
+//
+// A draft belongs to the user who was signed in when it was saved (`userId`)
+// and is only offered to them, so whoever signs in next on the same browser
+// doesn't see it. File blobs are too big for localStorage and live in IndexedDB (./fileStore).
+
+const PREFIX = 'py25:draft:';
+
+export const DRAFT_VERSION = 2;
+
+// Upgrade functions keyed by the version they upgrade *from*. When the draft
+// shape changes, bump DRAFT_VERSION and add a step here so drafts saved by an
+// older build still load.
+const MIGRATIONS = {
+  // v1 stored the wizard position as a step number; v2 uses the step id from
+  // the wizard definition
+  1: (draft) => ({
+    ...draft,
+    step: ['projectName', 'analysisDescription', 'files', 'review'][draft.step - 1] || 'projectName',
+  }),
+};
+
+const migrate = (draft) => {
+  let current = draft;
+  let version = current.version ?? 1;
+  while (version < DRAFT_VERSION) {
+    const step = MIGRATIONS[version];
+    if (!step) return null;
+    current = { ...step(current), version: version + 1 };
+    version += 1;
+  }
+  // Written by a newer build than this one; leave it alone
+  if (version > DRAFT_VERSION) return null;
+  return current;
+};
+
+const storage = () => {
+  try {
+    return window.localStorage;
+  } catch {
+    // Blocked by privacy settings
+    return null;
+  }
+};
+
+export const createDraftId = () => (
+  window.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+export const loadDraft = (id) => {
+  const raw = storage()?.getItem(`${PREFIX}${id}`);
+  if (!raw) return null;
+  try {
+    return migrate(JSON.parse(raw));
+  } catch {
+    return null;
+  }
+};
+
+// `userId`'s drafts, most recently edited first
+export const listDrafts = (userId = null) => {
+  const store = storage();
+  if (!store) return [];
+  const drafts = [];
+  for (let index = 0; index < store.length; index += 1) {
+    const key = store.key(index);
+    if (key?.startsWith(PREFIX)) {
+      const draft = loadDraft(key.slice(PREFIX.length));
+      if (draft && (draft.userId ?? null) === userId) drafts.push(draft);
+    }
+  }
+  return drafts.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+export const saveDraft = (id, { userId = null, step, values, fileKeys = [] }) => {
+  const store = storage();
+  if (!store) return null;
+  const now = new Date().toISOString();
+  const draft = {
+    version: DRAFT_VERSION,
+    id,
+    userId,
+    createdAt: loadDraft(id)?.createdAt || now,
+    updatedAt: now,
+    step,
+    values,
+    fileKeys,
+  };
+  try {
+    store.setItem(`${PREFIX}${id}`, JSON.stringify(draft));
+  } catch {
+    // Quota exceeded; the draft is best effort
+    return null;
+  }
+  return draft;
+};
+
+export const deleteDraft = (id) => {
+  storage()?.removeItem(`${PREFIX}${id}`);
+};
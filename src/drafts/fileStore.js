@@ -0,0 +1,35 @@
+// File blobs for drafts, kept in IndexedDB. Records look like
+// { id: '<draftId>/<fileKey>', draftId, key, file }.
+
+import { createObjectStore, request } from '../utils/indexedDb';
+
+const withStore = createObjectStore({
+  name: 'py25-drafts',
+  store: 'files',
+  upgrade: (db) => {
+    const store = db.createObjectStore('files', { keyPath: 'id' });
+    store.createIndex('draftId', 'draftId');
+  },
+});
+
+export const loadDraftFiles = (draftId) => withStore('readonly', async (store) => {
+  const records = await request(store.index('draftId').getAll(draftId));
+  return records.map(({ file }) => file);
+});
+
+// Make the stored files for `draftId` match `files`: write the new ones and
+// drop the ones that were removed. `keyOf` gives a file's identity.
+export const syncDraftFiles = (draftId, files, keyOf) => withStore('readwrite', async (store) => {
+  const stored = await request(store.index('draftId').getAllKeys(draftId));
+  const wanted = new Map(files.map(file => [`${draftId}/${keyOf(file)}`, file]));
+
+  stored.filter(id => !wanted.has(id)).forEach(id => store.delete(id));
+  wanted.forEach((file, id) => {
+    if (!stored.includes(id)) store.put({ id, draftId, key: keyOf(file), file });
+  });
+});
+
+export const deleteDraftFiles = (draftId) => withStore('readwrite', async (store) => {
+  const stored = await request(store.index('draftId').getAllKeys(draftId));
+  stored.forEach(id => store.delete(id));
+});
@@ -0,0 +1,32 @@
+import { useCallback, useEffect, useState } from 'react';
+import { listAnalyses, CanceledError } from '../api';
+
+// The analyses list for the given filters. `reload()` fetches again, e.g.
+// after a new analysis has been submitted.
+export const useAnalyses = ({ search, status, sort }) => {
+  const [analyses, setAnalyses] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setIsLoading(true);
+    listAnalyses({ search, status, sort }, { signal: controller.signal })
+      .then(({ items }) => {
+        setAnalyses(items);
+        setError(null);
+      })
+      .catch(fetchError => {
+        if (!(fetchError instanceof CanceledError)) setError(fetchError);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+    return () => controller.abort();
+  }, [search, status, sort, version]);
+
+  const reload = useCallback(() => setVersion(current => current + 1), []);
+
+  return { analyses, isLoading, error, reload };
+};
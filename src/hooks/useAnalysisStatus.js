@@ -0,0 +1,24 @@
+import { useEffect, useState } from 'react';
+import { watchAnalysis } from '../api';
+
+// Live view of an analysis job. Starts from `initial` (e.g. the record the
+// submit call returned) and follows it until it completes or fails.
+export const useAnalysisStatus = (id, initial = null) => {
+  const [analysis, setAnalysis] = useState(initial);
+  const [error, setError] = useState(null);
+  const [channel, setChannel] = useState(null);
+
+  useEffect(() => {
+    if (!id) return undefined;
+    return watchAnalysis(id, {
+      onUpdate: (next) => {
+        setAnalysis(next);
+        setError(null);
+      },
+      onError: setError,
+      onChannel: setChannel,
+    });
+  }, [id]);
+
+  return { analysis, error, channel };
+};
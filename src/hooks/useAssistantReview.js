@@ -0,0 +1,37 @@
+import { useEffect, useRef, useState } from 'react';
+import { useDebouncedValue } from './useDebouncedValue';
+
+// Runs `assistant.review` (see src/assistant) on `text` once typing pauses.
+// A review still running when the text changes again is aborted. Returns
+// { review, isReviewing, error }; the last good review stays in place while
+// the next one runs or if it fails.
+export const useAssistantReview = (assistant, text, { answers, delay = 400 } = {}) => {
+  const [review, setReview] = useState(null);
+  const [isReviewing, setIsReviewing] = useState(false);
+  const [error, setError] = useState(null);
+  const debouncedText = useDebouncedValue(text || '', delay);
+
+  const answersRef = useRef(answers);
+  answersRef.current = answers;
+
+  useEffect(() => {
+    if (!assistant) return undefined;
+    const controller = new AbortController();
+    setIsReviewing(true);
+    assistant.review(debouncedText, { answers: answersRef.current, signal: controller.signal })
+      .then(result => {
+        if (controller.signal.aborted) return;
+        setReview(result);
+        setError(null);
+      })
+      .catch(reviewError => {
+        if (!controller.signal.aborted) setError(reviewError);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsReviewing(false);
+      });
+    return () => controller.abort();
+  }, [assistant, debouncedText]);
+
+  return { review, isReviewing, error };
+};
@@ -0,0 +1,47 @@
+import { useEffect, useRef } from 'react';
+import { saveDraft } from '../drafts/draftStore';
+import { syncDraftFiles } from '../drafts/fileStore';
+import { fileKey } from '../utils/files';
+
+// Whether `value` holds nothing typed or picked: empty text, or lists and
+// objects (follow-up answers, collaborators) with nothing in them but that
+const isEmpty = (value) => {
+  if (Array.isArray(value)) return value.every(isEmpty);
+  if (value !== null && typeof value === 'object') return Object.values(value).every(isEmpty);
+  return !String(value ?? '').trim();
+};
+
+const isBlank = (values, files) => files.length === 0 && isEmpty(values);
+
+// Debounced save of the wizard's state under `draftId`, as a draft of
+// `userId` (the signed-in user). Nothing is written
+// until the user has entered something, and nothing at all while `enabled`
+// is false (e.g. once the analysis has been submitted). A save that is still
+// waiting happens straight away if the page is left, e.g. to sign in again.
+export const useDraftAutosave = ({ draftId, userId = null, step, values, files, enabled = true, delay = 800, onSaved }) => {
+  // Re-arm the timer only when the content changes, not on every new object
+  const valuesJson = JSON.stringify(values);
+  const keysJson = JSON.stringify(files.map(fileKey));
+  const latest = useRef();
+  latest.current = { values, files, onSaved };
+
+  useEffect(() => {
+    const { values: currentValues, files: currentFiles } = latest.current;
+    if (!enabled || isBlank(currentValues, currentFiles)) return undefined;
+
+    const save = () => {
+      clearTimeout(timer);
+      window.removeEventListener('pagehide', save);
+      const draft = saveDraft(draftId, { userId, step, values: currentValues, fileKeys: currentFiles.map(fileKey) });
+      // Blobs are best effort: a private window may not have IndexedDB
+      syncDraftFiles(draftId, currentFiles, fileKey).catch(() => {});
+      if (draft) latest.current.onSaved?.(draft);
+    };
+    const timer = setTimeout(save, delay);
+    window.addEventListener('pagehide', save);
+    return () => {
+      clearTimeout(timer);
+      window.removeEventListener('pagehide', save);
+    };
+  }, [draftId, userId, step, valuesJson, keysJson, enabled, delay]);
+};
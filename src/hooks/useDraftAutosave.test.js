@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest';
+import { renderHook } from '@testing-library/react';
+import { useDraftAutosave } from './useDraftAutosave';
+import { listDrafts } from '../drafts/draftStore';
+
+// Leaving the page saves a waiting draft straight away
+const autosave = (values, userId) => {
+  renderHook(() => useDraftAutosave({ draftId: 'draft-1', userId, step: 'projectName', values, files: [] }));
+  window.dispatchEvent(new Event('pagehide'));
+  return listDrafts(userId);
+};
+
+describe('useDraftAutosave', () => {
+  it('saves nothing for an untouched wizard', () => {
+    expect(autosave({ projectName: '', clarifications: {}, collaborators: [], sharing: { email: ' ' } })).toEqual([]);
+  });
+
+  it('saves once anything has been entered, however deep', () => {
+    expect(autosave({ projectName: '', clarifications: { timeframe: 'Q1 2024' } })).toEqual([
+      expect.objectContaining({ id: 'draft-1', step: 'projectName' }),
+    ]);
+  });
+
+  it('keeps a draft for the user who wrote it', () => {
+    expect(autosave({ projectName: 'Churn drivers' }, 'user-ada')).toHaveLength(1);
+    expect(listDrafts('user-grace')).toEqual([]);
+    expect(listDrafts()).toEqual([]);
+  });
+});
@@ -0,0 +1,68 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { canPreview, previewFile } from '../preview';
+import { CanceledError } from '../api';
+
+// Previews every previewable file in `rows` (anything with { key, file }, such
+// as the rows of useFileUploads) in a Web Worker, one file at a time. Returns
+// key -> { status: 'loading' | 'ready' | 'failed', progress, preview, error }.
+// Files of other types get no entry. Removed rows stop their preview.
+export const useFilePreviews = (rows, { maxRows = 20 } = {}) => {
+  const [previews, setPreviews] = useState({});
+  const controllers = useRef(new Map());
+  const queue = useRef(Promise.resolve());
+
+  const patch = useCallback((key, changes) => {
+    setPreviews(current => (current[key] ? { ...current, [key]: { ...current[key], ...changes } } : current));
+  }, []);
+
+  // Only the set of previewable files matters, not every progress update
+  const rowsRef = useRef(rows);
+  rowsRef.current = rows;
+  const keys = rows.filter(({ file }) => canPreview(file)).map(({ key }) => key).join('\n');
+
+  useEffect(() => {
+    const wanted = new Map(rowsRef.current.filter(({ file }) => canPreview(file)).map(row => [row.key, row.file]));
+
+    controllers.current.forEach((controller, key) => {
+      if (wanted.has(key)) return;
+      controller.abort();
+      controllers.current.delete(key);
+      setPreviews(current => {
+        const next = { ...current };
+        delete next[key];
+        return next;
+      });
+    });
+
+    wanted.forEach((file, key) => {
+      if (controllers.current.has(key)) return;
+      const controller = new AbortController();
+      controllers.current.set(key, controller);
+      setPreviews(current => ({ ...current, [key]: { status: 'loading', progress: 0, preview: null, error: null } }));
+      // Parsing is CPU-bound, so run one worker at a time
+      queue.current = queue.current.then(async () => {
+        if (controller.signal.aborted) return;
+        try {
+          const preview = await previewFile(file, {
+            maxRows,
+            signal: controller.signal,
+            onProgress: progress => patch(key, { progress }),
+          });
+          patch(key, { status: 'ready', progress: 1, preview });
+        } catch (error) {
+          if (!(error instanceof CanceledError)) patch(key, { status: 'failed', error });
+        }
+      });
+    });
+  }, [keys, maxRows, patch]);
+
+  useEffect(() => {
+    const active = controllers.current;
+    return () => {
+      active.forEach(controller => controller.abort());
+      active.clear();
+    };
+  }, []);
+
+  return previews;
+};
@@ -0,0 +1,109 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { uploadFile, cancelUploadSession, CanceledError, NetworkError } from '../api';
+import { fileKey } from '../utils/files';
+
+const SETTLED = new Set(['done', 'failed', 'canceled']);
+
+// Uploads each file on its own as soon as it is added and tracks per-file
+// progress. Rows look like { key, file, status, progress, uploadId, error } where
+// status is 'uploading' | 'done' | 'failed' | 'canceled'.
+//
+// Retrying a row resumes its upload session from the server's offset, and rows
+// that failed because the connection dropped resume on their own when the
+// browser comes back online.
+export const useFileUploads = () => {
+  const [uploads, setUploads] = useState([]);
+  const controllers = useRef(new Map());
+  const sessions = useRef(new Map());
+  const files = useRef(new Map());
+
+  const patch = useCallback((key, changes) => {
+    setUploads(prev => prev.map(upload => (upload.key === key ? { ...upload, ...changes } : upload)));
+  }, []);
+
+  const run = useCallback(async (key) => {
+    const file = files.current.get(key);
+    if (!file) return;
+
+    controllers.current.get(key)?.abort();
+    const controller = new AbortController();
+    controllers.current.set(key, controller);
+    patch(key, { status: 'uploading', error: null });
+
+    try {
+      const session = await uploadFile(file, {
+        sessionId: sessions.current.get(key),
+        signal: controller.signal,
+        onSession: ({ id }) => sessions.current.set(key, id),
+        onProgress: progress => patch(key, { progress }),
+      });
+      patch(key, { status: 'done', progress: 1, uploadId: session.id });
+    } catch (error) {
+      // cancel() has already updated the row
+      if (error instanceof CanceledError) return;
+      // The server forgot the session; start over on the next attempt
+      if (error.status === 404) sessions.current.delete(key);
+      patch(key, { status: 'failed', error });
+    } finally {
+      if (controllers.current.get(key) === controller) controllers.current.delete(key);
+    }
+  }, [patch]);
+
+  const add = useCallback((newFiles) => {
+    const fresh = newFiles.filter(file => !files.current.has(fileKey(file)));
+    fresh.forEach(file => files.current.set(fileKey(file), file));
+    setUploads(prev => [
+      ...prev,
+      ...fresh.map(file => ({ key: fileKey(file), file, status: 'uploading', progress: 0, uploadId: null, error: null })),
+    ]);
+    fresh.forEach(file => run(fileKey(file)));
+  }, [run]);
+
+  const cancel = useCallback((key) => {
+    controllers.current.get(key)?.abort();
+    controllers.current.delete(key);
+    const sessionId = sessions.current.get(key);
+    sessions.current.delete(key);
+    if (sessionId) cancelUploadSession(sessionId).catch(() => {});
+    patch(key, { status: 'canceled', progress: 0, uploadId: null });
+  }, [patch]);
+
+  const retry = useCallback((key) => run(key), [run]);
+
+  const remove = useCallback((key) => {
+    cancel(key);
+    files.current.delete(key);
+    setUploads(prev => prev.filter(upload => upload.key !== key));
+  }, [cancel]);
+
+  const clear = useCallback(() => {
+    Array.from(files.current.keys()).forEach(cancel);
+    files.current.clear();
+    setUploads([]);
+  }, [cancel]);
+
+  // Pick dropped uploads back up once we are online again
+  useEffect(() => {
+    const resume = () => {
+      uploads
+        .filter(upload => upload.status === 'failed' && upload.error instanceof NetworkError)
+        .forEach(upload => run(upload.key));
+    };
+    window.addEventListener('online', resume);
+    return () => window.removeEventListener('online', resume);
+  }, [uploads, run]);
+
+  // Stop in-flight requests when the wizard goes away
+  useEffect(() => {
+    const inFlight = controllers.current;
+    return () => inFlight.forEach(controller => controller.abort());
+  }, []);
+
+  const isSettled = useMemo(() => uploads.every(upload => SETTLED.has(upload.status)), [uploads]);
+  const uploadIds = useMemo(
+    () => uploads.filter(upload => upload.status === 'done').map(upload => upload.uploadId),
+    [uploads]
+  );
+
+  return { uploads, add, cancel, retry, remove, clear, isSettled, uploadIds };
+};
@@ -0,0 +1,440 @@
+// Arabic has six plural forms (zero, one, two, few, many, other); counted
+// messages spell out the ones that read differently.
+export default {
+  app: {
+    logo: 'شعار {product}',
+    language: 'اللغة',
+    theme: 'المظهر',
+    themes: {
+      system: 'النظام',
+      light: 'فاتح',
+      dark: 'داكن',
+    },
+  },
+  common: {
+    back: 'رجوع',
+    cancel: 'إلغاء',
+    close: 'إغلاق',
+    dismiss: 'تجاهل',
+    edit: 'تعديل',
+    retry: 'إعادة المحاولة',
+    save: 'حفظ',
+  },
+  wizard: {
+    title: 'مرحبًا بك في {product}',
+    stepView: 'التبديل إلى عرض الخطوات',
+    conversationView: 'التبديل إلى عرض المحادثة',
+    next: 'التالي',
+    skip: 'تخطٍّ',
+    skipped: 'تم التخطي',
+    skipTyping: 'تخطٍّ',
+    send: 'إرسال',
+    done: 'تم',
+    submitting: 'جارٍ الإرسال...',
+    uploadingFiles: 'جارٍ رفع الملفات...',
+    submitFailed: 'حدث خطأ أثناء إرسال النموذج',
+    editStep: 'تعديل {step}',
+    stepHeading: 'الخطوة {current} من {total}',
+    chooseOne: 'اختر خيارًا',
+  },
+  analysis: {
+    projectName: {
+      prompt: 'لنبدأ بتسمية هذا التحليل ليسهل عليك الرجوع إليه لاحقًا.',
+      badge: 'تم تحديد اسم المشروع',
+      label: 'اسم المشروع',
+      placeholder: 'ماذا تريد أن تسمي مشروعك؟',
+      required: 'اسم المشروع مطلوب',
+      min: 'يجب أن يتكون اسم المشروع من {min} أحرف على الأقل',
+    },
+    analysisDescription: {
+      prompt: 'رائع! اسم جميل. لنحاول الآن فهم ما تريد معرفته بشكل أفضل. هل يمكنك أن تشرح بالضبط ما الذي تريد تحليله؟',
+      badge: 'وصف التحليل',
+      label: 'وصف التحليل',
+      placeholder: 'اكتب بالتفصيل ما تريد تحليله (Shift+Enter لسطر جديد)',
+      required: 'وصف التحليل مطلوب',
+      min: 'يرجى تقديم مزيد من التفاصيل ({min} أحرف على الأقل)',
+    },
+    files: {
+      prompt: 'هل هناك ملفات متعلقة بهذا التحليل تود رفعها قد تساعدني فيه؟',
+      label: 'الملفات',
+    },
+    collaborators: {
+      prompt: 'هل تريد أن يطّلع أحد آخر على هذا التحليل؟ أضف بريده الإلكتروني واختر ما يمكنه فعله. يمكنك تغيير ذلك لاحقًا.',
+      label: 'المشاركة مع',
+      placeholder: 'name@example.com',
+    },
+    review: {
+      prompt: 'هذا كل ما لديّ حتى الآن. ألقِ نظرة، وغيّر أي شيء غير صحيح، ثم اضغط «تم» عندما تكون راضيًا.',
+    },
+  },
+  validation: {
+    required: 'هذا الحقل مطلوب',
+    invalid: 'هذه القيمة غير صالحة',
+    minLength: 'أدخل {count} حرفًا على الأقل',
+    maxLength: 'أدخل {count} حرفًا على الأكثر',
+    email: 'أدخل عنوان بريد إلكتروني صالحًا',
+    maxItems: 'اختر {count} عناصر على الأكثر',
+  },
+  assistant: {
+    quality: 'جودة الوصف',
+    optional: 'الإجابة عن هذه الأسئلة اختيارية، لكنها تساعدني على إجراء التحليل بشكل صحيح.',
+    unavailable: 'مساعد الوصف غير متاح حاليًا.',
+    checks: {
+      targetMetric: {
+        label: 'المقياس المستهدف',
+        hint: 'حدّد الرقم المهم، مثل الإيرادات أو معدل فقدان العملاء',
+        question: 'على أي رقم يجب أن أركّز؟ مثل الإيرادات أو معدل فقدان العملاء أو عدد تذاكر الدعم.',
+        placeholder: 'مثال: الإيرادات الشهرية المتكررة',
+      },
+      timeRange: {
+        label: 'الفترة الزمنية',
+        hint: 'حدّد الفترة المطلوب تغطيتها، مثل الربع الأول من 2024 أو آخر 12 أسبوعًا',
+        question: 'ما الفترة التي يجب أن يغطيها التحليل؟ نطاق مثل «من يناير إلى يونيو 2024» أو «آخر 12 أسبوعًا» مثالي.',
+        placeholder: 'مثال: من يناير إلى يونيو 2024',
+      },
+      datasetReference: {
+        label: 'مصدر البيانات',
+        hint: 'اذكر الملف أو الجدول أو النظام الذي تأتي منه البيانات',
+        question: 'ما البيانات التي يجب أن أستخدمها؟ اذكر الملف أو الجدول أو النظام الذي تأتي منه. يمكنك أيضًا إرفاقها في الخطوة التالية.',
+        placeholder: 'مثال: تصدير الطلبات من نظام إدارة العملاء',
+      },
+      goal: {
+        label: 'السؤال المطلوب إجابته',
+        hint: 'اذكر ما تريد معرفته أو تقريره',
+        question: 'ما السؤال الذي يجب أن يجيب عنه هذا التحليل، أو ما الذي ستقرره بناءً عليه؟ معرفة ذلك تساعدني على اختيار النهج المناسب.',
+        placeholder: 'مثال: هل تسبب تغيير السعر في انخفاض التسجيلات',
+      },
+    },
+  },
+  files: {
+    hint: 'CSV أو XLSX أو JSON أو PDF أو TXT · حتى {size} لكل ملف · {count} ملفات كحد أقصى',
+    dragHere: 'اسحب ملفاتك وأفلتها هنا',
+    dropHere: 'أفلت لإضافة الملفات',
+    browseOrPaste: 'أو انقر للاستعراض، أو الصق من الحافظة',
+    dropToAdd: 'أفلت لإضافة الملفات',
+    selected: 'الملفات المحددة:',
+    none: 'لم يتم رفع أي ملفات',
+    add: '+ إضافة ملفات',
+    remove: 'إزالة {name}',
+    notAdded: 'لم تتم إضافتها:',
+    panelTitle: '{label} ({count})',
+    errors: {
+      required: 'الملف مطلوب',
+      extension: '{name} ليس نوع ملف مدعومًا. استخدم {allowed}',
+      mime: '{name} من نوع غير متوقع ({type})',
+      empty: '{name} فارغ',
+      size: 'حجم {name} هو {size}؛ الحد الأقصى لحجم الملف {max}',
+      content: 'لا يبدو أن {name} ملف {type}',
+      executable: {
+        windows: 'يبدو أن {name} ملف تنفيذي لنظام Windows، وليس ملف {type}',
+        linux: 'يبدو أن {name} ملف تنفيذي لنظام Linux، وليس ملف {type}',
+        macos: 'يبدو أن {name} ملف تنفيذي لنظام macOS، وليس ملف {type}',
+        script: 'يبدو أن {name} نص برمجي، وليس ملف {type}',
+      },
+      count: 'يمكنك إرفاق {count} ملفات كحد أقصى',
+      totalSize: 'يجب ألا يتجاوز مجموع المرفقات {max}',
+      notAdded: 'لم تتم إضافة {name}. {reason}',
+    },
+  },
+  uploads: {
+    status: {
+      uploading: 'جارٍ الرفع',
+      done: 'تم الرفع',
+      failed: 'فشل',
+      canceled: 'أُلغي',
+    },
+  },
+  preview: {
+    open: 'معاينة',
+    reading: 'جارٍ القراءة...',
+    progress: 'جارٍ قراءة الملف... {percent}',
+    failed: 'تعذرت معاينة هذا الملف: {reason}',
+    sheet: 'الورقة «{sheet}»',
+    rowCount: {
+      zero: 'لا صفوف',
+      one: 'صف واحد',
+      two: 'صفان',
+      few: '{count} صفوف',
+      many: '{count} صفًا',
+      other: '{count} صف',
+    },
+    columnCount: {
+      zero: 'لا أعمدة',
+      one: 'عمود واحد',
+      two: 'عمودان',
+      few: '{count} أعمدة',
+      many: '{count} عمودًا',
+      other: '{count} عمود',
+    },
+    column: 'العمود',
+    type: 'النوع',
+    empty: 'الفارغة',
+    range: 'النطاق',
+    firstRows: 'أول {shown} من أصل {count}',
+    noRows: 'لم يتم العثور على صفوف في هذا الملف.',
+    problems: {
+      one: 'تم العثور على مشكلة واحدة أثناء القراءة',
+      two: 'تم العثور على مشكلتين أثناء القراءة',
+      few: 'تم العثور على {count} مشكلات أثناء القراءة',
+      many: 'تم العثور على {count} مشكلة أثناء القراءة',
+      other: 'تم العثور على {count} مشكلة أثناء القراءة',
+    },
+    onlyFirst: 'يتم عرض أول {count} فقط.',
+    types: {
+      integer: 'عدد صحيح',
+      number: 'رقم',
+      boolean: 'منطقي',
+      date: 'تاريخ',
+      string: 'نص',
+      object: 'متداخل',
+      empty: 'فارغ',
+    },
+    errors: {
+      unsupportedFormat: 'لا يمكن معاينة ملفات .{format}',
+      unreadable: 'تعذرت قراءة الملف ({detail})',
+      unterminatedQuote: 'ينتهي الملف داخل حقل بين علامتي اقتباس',
+      extraFields: 'يحتوي الصف {row} على {count} حقول بينما يحتوي العنوان على {expected}؛ تم تجاهل الحقول الزائدة',
+      missingFields: 'يحتوي الصف {row} على {count} حقول بينما يحتوي العنوان على {expected}',
+      invalidRecord: 'السجل {row} ليس JSON صالحًا: {detail}',
+      trailingContent: 'يوجد محتوى غير متوقع بعد علامة ] الختامية',
+      unclosedArray: 'ينتهي الملف قبل علامة ] التي تغلق المصفوفة الرئيسية',
+      notZip: 'هذا ليس ملف XLSX صالحًا',
+      damagedZip: 'ملف XLSX تالف',
+      unsupportedCompression: 'يستخدم ملف XLSX طريقة ضغط لا يمكن قراءتها ({method})',
+      noWorkbook: 'لا يحتوي ملف XLSX على مصنف',
+      noSheets: 'لا يحتوي المصنف على أوراق',
+      sheetMissing: 'الورقة الأولى من المصنف مفقودة',
+    },
+  },
+  drafts: {
+    resumePrompt: 'هل تريد متابعة مسودتك «{name}»؟',
+    untitled: 'تحليل بلا عنوان',
+    lastEdited: 'آخر تعديل {date}',
+    resume: 'متابعة',
+    discard: 'حذف',
+    startNew: 'بدء تحليل جديد بدلًا من ذلك',
+    filesNotRestored: 'تعذرت استعادة الملفات المرفقة بهذه المسودة. يرجى إضافتها مرة أخرى.',
+  },
+  outbox: {
+    offline: 'غير متصل',
+    pending: {
+      zero: 'لا شيء بانتظار الإرسال',
+      one: 'عنصر واحد بانتظار الإرسال',
+      two: 'عنصران بانتظار الإرسال',
+      few: '{count} عناصر بانتظار الإرسال',
+      many: '{count} عنصرًا بانتظار الإرسال',
+      other: '{count} عنصر بانتظار الإرسال',
+    },
+    title: 'بانتظار الإرسال',
+    offlineHint: 'أنت غير متصل. سيتم إرسال هذه العناصر فور عودة الاتصال.',
+    savedAt: 'حُفظ {date}',
+    files: {
+      zero: 'لا ملفات للرفع',
+      one: 'ملف واحد للرفع',
+      two: 'ملفان للرفع',
+      few: '{count} ملفات للرفع',
+      many: '{count} ملفًا للرفع',
+      other: '{count} ملف للرفع',
+    },
+    status: {
+      pending: 'بانتظار الاتصال',
+      sending: 'جارٍ الإرسال...',
+      signIn: 'بانتظار تسجيل دخولك',
+      failed: 'لم يُرسل: {reason}',
+    },
+    sent: 'تم إرسال «{name}»',
+    queued: {
+      heading: 'حُفظ على هذا الجهاز',
+      body: 'تعذر الوصول إلى الخادم، لذلك سيُرسل تحليلك فور عودة الاتصال. يمكنك إغلاق هذه الصفحة؛ وسيُرسل في المرة التالية التي تفتح فيها التطبيق.',
+    },
+  },
+  analyses: {
+    title: 'التحليلات',
+    new: '+ تحليل جديد',
+    viewAll: 'عرض كل التحليلات',
+    search: 'البحث في التحليلات',
+    filterByStatus: 'التصفية حسب الحالة',
+    allStatuses: 'كل الحالات',
+    sortBy: 'ترتيب التحليلات',
+    sort: {
+      newest: 'الأحدث',
+      oldest: 'الأقدم',
+      name: 'الاسم',
+    },
+    columns: {
+      name: 'الاسم',
+      status: 'الحالة',
+      submitted: 'تاريخ الإرسال',
+      access: 'الصلاحية',
+    },
+    status: {
+      queued: 'في قائمة الانتظار',
+      running: 'قيد التنفيذ',
+      completed: 'مكتمل',
+      failed: 'فشل',
+    },
+    headings: {
+      queued: 'تحليلك في قائمة الانتظار',
+      running: 'نعمل على تحليلك',
+      completed: 'تحليلك جاهز',
+      failed: 'تعذر إكمال تحليلك',
+      submitted: 'تم الإرسال بنجاح!',
+    },
+    loadFailed: 'تعذر تحميل التحليلات: {reason}',
+    noMatches: 'لا توجد تحليلات مطابقة.',
+    empty: 'لا توجد تحليلات بعد.',
+    loading: 'جارٍ تحميل التحليل...',
+    gone: 'هذا التحليل غير موجود أو لم تتم مشاركته معك.',
+    submittedAt: 'أُرسل في {date}',
+    duplicate: 'نسخ',
+    copyName: '{name} (نسخة)',
+    reconnecting: 'انقطع الاتصال بالخادم، وما زلنا نحاول: {reason}',
+  },
+  results: {
+    title: 'النتائج',
+    noRows: 'لا صفوف.',
+    downloads: 'التنزيلات',
+    download: 'تنزيل',
+    downloading: 'جارٍ التنزيل...',
+    downloadFailed: 'تعذر تنزيل {name}',
+  },
+  sharing: {
+    title: 'تمت المشاركة مع',
+    roles: {
+      viewer: 'مشاهد',
+      editor: 'محرر',
+      owner: 'مالك',
+    },
+    roleOf: 'دور {email}',
+    newRole: 'دور الشخص الذي تتم إضافته',
+    addPerson: 'البريد الإلكتروني للشخص الذي تتم إضافته',
+    add: 'إضافة',
+    remove: 'إزالة {email}',
+    manage: 'إدارة المشاركة',
+    sharedBy: 'شاركه {name}',
+    yourRole: 'دورك: {role}',
+    editDetails: 'تعديل التفاصيل',
+    duplicate: '{email} مدرج في القائمة أكثر من مرة',
+  },
+  comments: {
+    title: {
+      zero: 'التعليقات ({count})',
+      one: 'التعليقات ({count})',
+      two: 'التعليقات ({count})',
+      few: 'التعليقات ({count})',
+      many: 'التعليقات ({count})',
+      other: 'التعليقات ({count})',
+    },
+    empty: 'لا توجد تعليقات بعد.',
+    loadFailed: 'تعذر تحميل التعليقات: {reason}',
+    add: 'إضافة تعليق',
+    placeholder: 'اكتب @ ثم بريدًا إلكترونيًا للإشارة إلى شخص ما',
+    mention: 'الإشارة إلى شخص',
+    post: 'تعليق',
+    posting: 'جارٍ النشر...',
+    reply: 'رد',
+    replyTo: 'الرد على {name}',
+  },
+  notifications: {
+    title: 'الإشعارات',
+    label: {
+      zero: 'الإشعارات، لا شيء غير مقروء',
+      one: 'الإشعارات، إشعار واحد غير مقروء',
+      two: 'الإشعارات، إشعاران غير مقروءين',
+      few: 'الإشعارات، {count} إشعارات غير مقروءة',
+      many: 'الإشعارات، {count} إشعارًا غير مقروء',
+      other: 'الإشعارات، {count} إشعار غير مقروء',
+    },
+    unread: 'غير مقروء:',
+    markAllRead: 'تعليم الكل كمقروء',
+    empty: 'لا جديد.',
+    loadFailed: 'تعذر تحميل الإشعارات: {reason}',
+    someone: 'شخص ما',
+    mention: 'أشار إليك {name} في «{analysis}»',
+    shared: 'شارك {name} «{analysis}» معك',
+    status: {
+      queued: '«{analysis}» في قائمة الانتظار',
+      running: 'بدأ «{analysis}»',
+      completed: '«{analysis}» جاهز',
+      failed: 'تعذر إكمال «{analysis}»',
+    },
+  },
+  spec: {
+    import: 'استيراد',
+    importHint: 'املأ النموذج من ملف مواصفات (YAML أو JSON أو حزمة zip)',
+    importing: 'جارٍ الاستيراد...',
+    imported: 'تم الملء من {name}',
+    export: 'تصدير',
+    exporting: 'جارٍ التصدير...',
+    exportFailed: 'تعذر تصدير المواصفات: {reason}',
+    formats: {
+      yaml: 'المواصفات بصيغة YAML',
+      json: 'المواصفات بصيغة JSON',
+      zip: 'حزمة zip مع الملفات',
+    },
+    missingFiles: {
+      zero: 'لا تشير المواصفات إلى ملفات غير مرفقة:',
+      one: 'تشير المواصفات إلى ملف واحد لم يُرفق بعد:',
+      two: 'تشير المواصفات إلى ملفين لم يُرفقا بعد:',
+      few: 'تشير المواصفات إلى {count} ملفات لم تُرفق بعد:',
+      many: 'تشير المواصفات إلى {count} ملفًا لم يُرفق بعد:',
+      other: 'تشير المواصفات إلى {count} ملف لم يُرفق بعد:',
+    },
+    checksumDiffers: '{name} ليس الملف الذي تشير إليه المواصفات (المجموع الاختباري مختلف)',
+    errors: {
+      unreadable: 'تعذرت قراءة {name}: {detail}',
+      notSpec: '{name} ليس ملف مواصفات لطلب تحليل',
+      newerVersion: 'يستخدم {name} الإصدار {version} من المواصفات، لكن هذا التطبيق يقرأ حتى الإصدار {supported}',
+      otherWizard: '{name} مواصفات لـ«{wizard}»، وليس لهذا النموذج',
+      badAnswers: 'يجب أن تكون الإجابات في {name} مجموعة من القيم المسماة',
+      badFiles: 'يحتاج كل ملف في {name} إلى اسم، ويجب أن يكون أي مجموع اختباري من نوع SHA-256',
+      notBundle: '{name} ليس حزمة zip يمكن قراءتها',
+      noSpecInBundle: 'لا يحتوي {name} على spec.yaml أو spec.json',
+      checksumMismatch: 'لا يطابق {file} في {name} مجموعه الاختباري',
+    },
+  },
+  auth: {
+    signIn: {
+      title: 'تسجيل الدخول إلى {product}',
+      localIntro: 'تسجيل دخول للتطوير: أي اسم وبريد إلكتروني يفيان بالغرض، ولا توجد كلمة مرور.',
+      oidcIntro: 'سجّل الدخول بحساب مؤسستك للمتابعة.',
+      name: 'الاسم',
+      email: 'البريد الإلكتروني',
+      submit: 'تسجيل الدخول',
+      continue: 'المتابعة لتسجيل الدخول',
+      signingIn: 'جارٍ تسجيل الدخول...',
+    },
+    callback: {
+      working: 'جارٍ إكمال تسجيل الدخول...',
+      failed: 'لم يكتمل تسجيل الدخول: {reason}',
+      tryAgain: 'حاول مرة أخرى',
+    },
+    expired: {
+      title: 'انتهت صلاحية جلستك',
+      body: 'سجّل الدخول مرة أخرى للمتابعة. إجاباتك محفوظة.',
+    },
+    menu: {
+      label: 'الحساب: {name}',
+      signedInAs: 'تم تسجيل الدخول باسم',
+      signOut: 'تسجيل الخروج',
+    },
+    errors: {
+      rejected: 'رفضت خدمة تسجيل الدخول الطلب',
+      state: 'لم يبدأ تسجيل الدخول هذا من هذا المتصفح. يرجى البدء من جديد',
+    },
+  },
+  errors: {
+    validation: 'بعض البيانات التي أدخلتها تحتاج إلى مراجعة',
+    auth: 'غير مسموح لك بذلك. يرجى تسجيل الدخول مرة أخرى',
+    forbidden: 'ليست لديك صلاحية للقيام بذلك',
+    server: 'واجه الخادم مشكلة. يرجى المحاولة مرة أخرى بعد قليل',
+    network: 'تعذر الوصول إلى الخادم. تحقق من اتصالك وحاول مرة أخرى',
+    status: 'فشل الطلب بالحالة {status}',
+  },
+  notFound: {
+    title: 'الصفحة غير موجودة',
+    body: 'لا يوجد شيء على هذا العنوان. ربما كُتب بشكل خاطئ أو تم نقله.',
+    startNew: 'بدء تحليل جديد',
+    seeAll: 'عرض كل التحليلات',
+  },
+};
@@ -0,0 +1,430 @@
+// English messages. This is the source catalog: every key used in the app
+// must exist here, and the other locales fall back to it.
+export default {
+  app: {
+    logo: '{product} logo',
+    language: 'Language',
+    theme: 'Theme',
+    themes: {
+      system: 'System',
+      light: 'Light',
+      dark: 'Dark',
+    },
+  },
+  common: {
+    back: 'Back',
+    cancel: 'Cancel',
+    close: 'Close',
+    dismiss: 'Dismiss',
+    edit: 'Edit',
+    retry: 'Retry',
+    save: 'Save',
+  },
+  wizard: {
+    title: 'Welcome to {product}',
+    stepView: 'Switch to step view',
+    conversationView: 'Switch to conversation view',
+    next: 'Next',
+    skip: 'SKIP',
+    skipped: 'Skipped',
+    skipTyping: 'Skip',
+    send: 'Send',
+    done: 'DONE',
+    submitting: 'Submitting...',
+    uploadingFiles: 'Uploading files...',
+    submitFailed: 'An error occurred while submitting the form',
+    editStep: 'Edit {step}',
+    stepHeading: 'Step {current} of {total}',
+    chooseOne: 'Choose one',
+  },
+  analysis: {
+    projectName: {
+      prompt: 'Let’s get you started by naming this analysis so it’s easier for you to come back to later .',
+      badge: 'Project Name Set',
+      label: 'Project name',
+      placeholder: 'What would you like to call your project?',
+      required: 'Project name is required',
+      min: 'Project name must be at least {min} characters',
+    },
+    analysisDescription: {
+      prompt: 'Great! That’s a great name, now let’s try to understand what are you trying to understand a little better. Can you try to explain exactly what you are trying to analyse.',
+      badge: 'Analysis Description',
+      label: 'Analysis description',
+      placeholder: 'Write in detail what you want to analyse (Shift+Enter for a new line)',
+      required: 'Analysis description is required',
+      min: 'Please provide more details (at least {min} characters)',
+    },
+    files: {
+      prompt: 'Are there any files you would like to upload related to this, that might help me with this analysis?',
+      label: 'Files',
+    },
+    collaborators: {
+      prompt: 'Should anyone else see this analysis? Add their email and choose what they can do with it. You can change this later.',
+      label: 'Share with',
+      placeholder: 'name@example.com',
+    },
+    review: {
+      prompt: 'Here’s everything I have so far. Have a look, change anything that isn’t right, and hit DONE when you’re happy.',
+    },
+  },
+  validation: {
+    required: 'This field is required',
+    invalid: 'This value is not valid',
+    minLength: {
+      one: 'Enter at least {count} character',
+      other: 'Enter at least {count} characters',
+    },
+    maxLength: {
+      one: 'Enter at most {count} character',
+      other: 'Enter at most {count} characters',
+    },
+    email: 'Enter a valid email address',
+    maxItems: {
+      one: 'Choose at most {count} item',
+      other: 'Choose at most {count} items',
+    },
+  },
+  assistant: {
+    quality: 'Description quality',
+    optional: 'Answering these is optional, but it helps me get the analysis right.',
+    unavailable: 'The description assistant is unavailable right now.',
+    checks: {
+      targetMetric: {
+        label: 'Target metric',
+        hint: 'Say which number matters, e.g. revenue or churn rate',
+        question: 'Which number should I focus on? For example revenue, churn rate or the count of support tickets.',
+        placeholder: 'e.g. Monthly recurring revenue',
+      },
+      timeRange: {
+        label: 'Time range',
+        hint: 'Give the period to cover, e.g. Q1 2024 or the last 12 weeks',
+        question: 'What period should the analysis cover? A range like “January to June 2024” or “the last 12 weeks” is perfect.',
+        placeholder: 'e.g. January to June 2024',
+      },
+      datasetReference: {
+        label: 'Data source',
+        hint: 'Name the file, table or system the data comes from',
+        question: 'Which data should I use? Name the file, table or system it comes from. You can also attach it in the next step.',
+        placeholder: 'e.g. The orders export from our CRM',
+      },
+      goal: {
+        label: 'Question to answer',
+        hint: 'Say what you want to find out or decide',
+        question: 'What question should this answer, or what will you decide with it? Knowing that helps me pick the right approach.',
+        placeholder: 'e.g. Whether the price change caused the drop in sign-ups',
+      },
+    },
+  },
+  files: {
+    hint: 'CSV, XLSX, JSON, PDF or TXT · up to {size} each · {count} files max',
+    dragHere: 'DRAG AND DROP YOUR FILES',
+    dropHere: 'DROP TO ADD FILES',
+    browseOrPaste: 'or click to browse, or paste from the clipboard',
+    dropToAdd: 'Drop to add files',
+    selected: 'Selected files:',
+    none: 'No files uploaded',
+    add: '+ Add files',
+    remove: 'Remove {name}',
+    notAdded: 'Not added:',
+    panelTitle: '{label} ({count})',
+    errors: {
+      required: 'A file is required',
+      extension: '{name} is not a supported file type. Use {allowed}',
+      mime: '{name} has an unexpected type ({type})',
+      empty: '{name} is empty',
+      size: '{name} is {size}; files can be at most {max}',
+      content: '{name} does not look like a {type} file',
+      executable: {
+        windows: '{name} looks like a Windows executable, not a {type} file',
+        linux: '{name} looks like a Linux executable, not a {type} file',
+        macos: '{name} looks like a macOS executable, not a {type} file',
+        script: '{name} looks like a script, not a {type} file',
+      },
+      count: {
+        one: 'You can attach at most {count} file',
+        other: 'You can attach at most {count} files',
+      },
+      totalSize: 'Attachments can total at most {max}',
+      notAdded: '{name} was not added. {reason}',
+    },
+  },
+  uploads: {
+    status: {
+      uploading: 'Uploading',
+      done: 'Uploaded',
+      failed: 'Failed',
+      canceled: 'Canceled',
+    },
+  },
+  preview: {
+    open: 'Preview',
+    reading: 'Reading...',
+    progress: 'Reading file... {percent}',
+    failed: 'This file could not be previewed: {reason}',
+    sheet: 'sheet “{sheet}”',
+    rowCount: {
+      one: '{count} row',
+      other: '{count} rows',
+    },
+    columnCount: {
+      one: '{count} column',
+      other: '{count} columns',
+    },
+    column: 'Column',
+    type: 'Type',
+    empty: 'Empty',
+    range: 'Range',
+    firstRows: {
+      one: 'First {shown} of {count} row',
+      other: 'First {shown} of {count} rows',
+    },
+    noRows: 'No rows were found in this file.',
+    problems: {
+      one: '{count} problem found while reading',
+      other: '{count} problems found while reading',
+    },
+    onlyFirst: 'Only the first {count} are listed.',
+    types: {
+      integer: 'Integer',
+      number: 'Number',
+      boolean: 'Boolean',
+      date: 'Date',
+      string: 'Text',
+      object: 'Nested',
+      empty: 'Empty',
+    },
+    errors: {
+      unsupportedFormat: '.{format} files can’t be previewed',
+      unreadable: 'The file could not be read ({detail})',
+      unterminatedQuote: 'The file ends inside a quoted field',
+      extraFields: {
+        one: 'Row {row} has {count} field but the header has {expected}; the extra fields were ignored',
+        other: 'Row {row} has {count} fields but the header has {expected}; the extra fields were ignored',
+      },
+      missingFields: {
+        one: 'Row {row} has {count} field but the header has {expected}',
+        other: 'Row {row} has {count} fields but the header has {expected}',
+      },
+      invalidRecord: 'Record {row} is not valid JSON: {detail}',
+      trailingContent: 'There is unexpected content after the closing ]',
+      unclosedArray: 'The file ends before the closing ] of the top-level array',
+      notZip: 'This is not a valid XLSX file',
+      damagedZip: 'The XLSX file is damaged',
+      unsupportedCompression: 'The XLSX file uses a compression method that can’t be read ({method})',
+      noWorkbook: 'The XLSX file has no workbook',
+      noSheets: 'The workbook has no sheets',
+      sheetMissing: 'The first sheet of the workbook is missing',
+    },
+  },
+  drafts: {
+    resumePrompt: "Resume your draft '{name}'?",
+    untitled: 'Untitled analysis',
+    lastEdited: 'Last edited {date}',
+    resume: 'Resume',
+    discard: 'Discard',
+    startNew: 'Start a new analysis instead',
+    filesNotRestored: 'The files attached to this draft could not be restored. Please add them again.',
+  },
+  outbox: {
+    offline: 'Offline',
+    pending: {
+      one: '{count} waiting to send',
+      other: '{count} waiting to send',
+    },
+    title: 'Waiting to send',
+    offlineHint: 'You are offline. These will be sent once the connection is back.',
+    savedAt: 'Saved {date}',
+    files: {
+      one: '{count} file to upload',
+      other: '{count} files to upload',
+    },
+    status: {
+      pending: 'Waiting for a connection',
+      sending: 'Sending...',
+      signIn: 'Waiting for you to sign in',
+      failed: 'Not sent: {reason}',
+    },
+    sent: '“{name}” has been sent',
+    queued: {
+      heading: 'Saved on this device',
+      body: 'We couldn’t reach the server, so your analysis will be sent as soon as the connection is back. You can close this page; it will go out the next time you open the app.',
+    },
+  },
+  analyses: {
+    title: 'Analyses',
+    new: '+ New analysis',
+    viewAll: 'View all analyses',
+    search: 'Search analyses',
+    filterByStatus: 'Filter by status',
+    allStatuses: 'All statuses',
+    sortBy: 'Sort analyses',
+    sort: {
+      newest: 'Newest',
+      oldest: 'Oldest',
+      name: 'Name',
+    },
+    columns: {
+      name: 'Name',
+      status: 'Status',
+      submitted: 'Submitted',
+      access: 'Access',
+    },
+    status: {
+      queued: 'Queued',
+      running: 'Running',
+      completed: 'Completed',
+      failed: 'Failed',
+    },
+    headings: {
+      queued: 'Your analysis is queued',
+      running: 'Working on your analysis',
+      completed: 'Your analysis is ready',
+      failed: 'Your analysis could not be completed',
+      submitted: 'Submission Successful!',
+    },
+    loadFailed: 'Could not load analyses: {reason}',
+    noMatches: 'No analyses match.',
+    empty: 'No analyses yet.',
+    loading: 'Loading analysis...',
+    gone: 'This analysis doesn’t exist or hasn’t been shared with you.',
+    submittedAt: 'Submitted {date}',
+    duplicate: 'Duplicate',
+    copyName: '{name} (copy)',
+    reconnecting: 'Lost touch with the server, still trying: {reason}',
+  },
+  results: {
+    title: 'Results',
+    noRows: 'No rows.',
+    downloads: 'Downloads',
+    download: 'Download',
+    downloading: 'Downloading...',
+    downloadFailed: 'Could not download {name}',
+  },
+  sharing: {
+    title: 'Shared with',
+    roles: {
+      viewer: 'Viewer',
+      editor: 'Editor',
+      owner: 'Owner',
+    },
+    roleOf: 'Role for {email}',
+    newRole: 'Role for the person being added',
+    addPerson: 'Email of the person to add',
+    add: 'Add',
+    remove: 'Remove {email}',
+    manage: 'Manage sharing',
+    sharedBy: 'Shared by {name}',
+    yourRole: 'Your role: {role}',
+    editDetails: 'Edit details',
+    duplicate: '{email} is on the list more than once',
+  },
+  comments: {
+    title: {
+      one: 'Comments ({count})',
+      other: 'Comments ({count})',
+    },
+    empty: 'No comments yet.',
+    loadFailed: 'Could not load comments: {reason}',
+    add: 'Add a comment',
+    placeholder: 'Type @ and an email to mention someone',
+    mention: 'Mention someone',
+    post: 'Comment',
+    posting: 'Posting...',
+    reply: 'Reply',
+    replyTo: 'Reply to {name}',
+  },
+  notifications: {
+    title: 'Notifications',
+    label: {
+      one: 'Notifications, {count} unread',
+      other: 'Notifications, {count} unread',
+    },
+    unread: 'Unread:',
+    markAllRead: 'Mark all as read',
+    empty: 'Nothing new.',
+    loadFailed: 'Could not load notifications: {reason}',
+    someone: 'Someone',
+    mention: '{name} mentioned you on “{analysis}”',
+    shared: '{name} shared “{analysis}” with you',
+    status: {
+      queued: '“{analysis}” is queued',
+      running: '“{analysis}” has started',
+      completed: '“{analysis}” is ready',
+      failed: '“{analysis}” could not be completed',
+    },
+  },
+  spec: {
+    import: 'Import',
+    importHint: 'Fill the form from a spec file (YAML, JSON or a zip bundle)',
+    importing: 'Importing...',
+    imported: 'Filled in from {name}',
+    export: 'Export',
+    exporting: 'Exporting...',
+    exportFailed: 'Could not export the spec: {reason}',
+    formats: {
+      yaml: 'Spec as YAML',
+      json: 'Spec as JSON',
+      zip: 'Zip bundle with the files',
+    },
+    missingFiles: {
+      one: 'The spec refers to {count} file that isn’t attached yet:',
+      other: 'The spec refers to {count} files that aren’t attached yet:',
+    },
+    checksumDiffers: '{name} isn’t the file the spec refers to (its checksum differs)',
+    errors: {
+      unreadable: '{name} could not be read: {detail}',
+      notSpec: '{name} is not an analysis request spec',
+      newerVersion: '{name} uses spec version {version}, but this app reads up to version {supported}',
+      otherWizard: '{name} is a spec for “{wizard}”, not for this form',
+      badAnswers: 'The answers in {name} must be a set of named values',
+      badFiles: 'Every file in {name} needs a name, and any checksum must be a SHA-256',
+      notBundle: '{name} is not a zip bundle that can be read',
+      noSpecInBundle: '{name} has no spec.yaml or spec.json in it',
+      checksumMismatch: '{file} in {name} does not match its checksum',
+    },
+  },
+  auth: {
+    signIn: {
+      title: 'Sign in to {product}',
+      localIntro: 'Development sign-in: any name and email will do, there is no password.',
+      oidcIntro: 'Sign in with your organisation account to carry on.',
+      name: 'Name',
+      email: 'Email',
+      submit: 'Sign in',
+      continue: 'Continue to sign in',
+      signingIn: 'Signing in...',
+    },
+    callback: {
+      working: 'Finishing signing in...',
+      failed: 'Signing in did not finish: {reason}',
+      tryAgain: 'Try again',
+    },
+    expired: {
+      title: 'Your session has expired',
+      body: 'Sign in again to carry on. Your answers are kept.',
+    },
+    menu: {
+      label: 'Account: {name}',
+      signedInAs: 'Signed in as',
+      signOut: 'Sign out',
+    },
+    errors: {
+      rejected: 'The sign-in service turned the request down',
+      state: 'This sign-in was not started from this browser. Please start again',
+    },
+  },
+  errors: {
+    validation: 'Some of the details you entered need another look',
+    auth: 'You are not allowed to do that. Please sign in again',
+    forbidden: 'You don’t have permission to do that',
+    server: 'The server ran into a problem. Please try again shortly',
+    network: 'Could not reach the server. Check your connection and try again',
+    status: 'Request failed with status {status}',
+  },
+  notFound: {
+    title: 'Page not found',
+    body: 'There is nothing at this address. It may have been mistyped or moved.',
+    startNew: 'Start a new analysis',
+    seeAll: 'See all analyses',
+  },
+};
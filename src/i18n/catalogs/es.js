@@ -0,0 +1,428 @@
+export default {
+  app: {
+    logo: 'Logotipo de {product}',
+    language: 'Idioma',
+    theme: 'Tema',
+    themes: {
+      system: 'Sistema',
+      light: 'Claro',
+      dark: 'Oscuro',
+    },
+  },
+  common: {
+    back: 'Atrás',
+    cancel: 'Cancelar',
+    close: 'Cerrar',
+    dismiss: 'Descartar',
+    edit: 'Editar',
+    retry: 'Reintentar',
+    save: 'Guardar',
+  },
+  wizard: {
+    title: 'Bienvenido a {product}',
+    stepView: 'Cambiar a vista por pasos',
+    conversationView: 'Cambiar a vista de conversación',
+    next: 'Siguiente',
+    skip: 'OMITIR',
+    skipped: 'Omitido',
+    skipTyping: 'Saltar',
+    send: 'Enviar',
+    done: 'LISTO',
+    submitting: 'Enviando...',
+    uploadingFiles: 'Subiendo archivos...',
+    submitFailed: 'Se produjo un error al enviar el formulario',
+    editStep: 'Editar {step}',
+    stepHeading: 'Paso {current} de {total}',
+    chooseOne: 'Elige una opción',
+  },
+  analysis: {
+    projectName: {
+      prompt: 'Empecemos por ponerle nombre a este análisis para que te resulte más fácil volver a él más adelante.',
+      badge: 'Nombre del proyecto definido',
+      label: 'Nombre del proyecto',
+      placeholder: '¿Cómo quieres llamar a tu proyecto?',
+      required: 'El nombre del proyecto es obligatorio',
+      min: 'El nombre del proyecto debe tener al menos {min} caracteres',
+    },
+    analysisDescription: {
+      prompt: '¡Genial! Es un gran nombre. Ahora intentemos entender un poco mejor qué quieres averiguar. ¿Puedes explicar exactamente qué quieres analizar?',
+      badge: 'Descripción del análisis',
+      label: 'Descripción del análisis',
+      placeholder: 'Describe con detalle lo que quieres analizar (Mayús+Intro para una nueva línea)',
+      required: 'La descripción del análisis es obligatoria',
+      min: 'Danos más detalles (al menos {min} caracteres)',
+    },
+    files: {
+      prompt: '¿Hay algún archivo relacionado que quieras subir y que pueda ayudarme con este análisis?',
+      label: 'Archivos',
+    },
+    collaborators: {
+      prompt: '¿Debería alguien más ver este análisis? Añade su correo y elige qué puede hacer con él. Puedes cambiarlo más adelante.',
+      label: 'Compartir con',
+      placeholder: 'nombre@ejemplo.com',
+    },
+    review: {
+      prompt: 'Esto es todo lo que tengo por ahora. Échale un vistazo, cambia lo que no esté bien y pulsa LISTO cuando estés conforme.',
+    },
+  },
+  validation: {
+    required: 'Este campo es obligatorio',
+    invalid: 'Este valor no es válido',
+    minLength: {
+      one: 'Escribe al menos {count} carácter',
+      other: 'Escribe al menos {count} caracteres',
+    },
+    maxLength: {
+      one: 'Escribe como máximo {count} carácter',
+      other: 'Escribe como máximo {count} caracteres',
+    },
+    email: 'Escribe una dirección de correo válida',
+    maxItems: {
+      one: 'Elige como máximo {count} elemento',
+      other: 'Elige como máximo {count} elementos',
+    },
+  },
+  assistant: {
+    quality: 'Calidad de la descripción',
+    optional: 'Responder es opcional, pero me ayuda a hacer bien el análisis.',
+    unavailable: 'El asistente de descripción no está disponible en este momento.',
+    checks: {
+      targetMetric: {
+        label: 'Métrica objetivo',
+        hint: 'Indica qué cifra importa, p. ej. ingresos o tasa de abandono',
+        question: '¿En qué cifra debo centrarme? Por ejemplo, ingresos, tasa de abandono o número de incidencias de soporte.',
+        placeholder: 'p. ej. Ingresos recurrentes mensuales',
+      },
+      timeRange: {
+        label: 'Periodo',
+        hint: 'Indica el periodo que cubrir, p. ej. el primer trimestre de 2024 o las últimas 12 semanas',
+        question: '¿Qué periodo debe cubrir el análisis? Un rango como «de enero a junio de 2024» o «las últimas 12 semanas» es perfecto.',
+        placeholder: 'p. ej. De enero a junio de 2024',
+      },
+      datasetReference: {
+        label: 'Origen de los datos',
+        hint: 'Indica el archivo, la tabla o el sistema del que proceden los datos',
+        question: '¿Qué datos debo usar? Indica el archivo, la tabla o el sistema del que proceden. También puedes adjuntarlos en el siguiente paso.',
+        placeholder: 'p. ej. La exportación de pedidos de nuestro CRM',
+      },
+      goal: {
+        label: 'Pregunta que responder',
+        hint: 'Di qué quieres averiguar o decidir',
+        question: '¿A qué pregunta debe responder, o qué decidirás con ello? Saberlo me ayuda a elegir el enfoque adecuado.',
+        placeholder: 'p. ej. Si el cambio de precio provocó la caída de registros',
+      },
+    },
+  },
+  files: {
+    hint: 'CSV, XLSX, JSON, PDF o TXT · hasta {size} cada uno · {count} archivos como máximo',
+    dragHere: 'ARRASTRA Y SUELTA TUS ARCHIVOS',
+    dropHere: 'SUELTA PARA AÑADIR ARCHIVOS',
+    browseOrPaste: 'o haz clic para buscarlos, o pégalos desde el portapapeles',
+    dropToAdd: 'Suelta para añadir archivos',
+    selected: 'Archivos seleccionados:',
+    none: 'No se ha subido ningún archivo',
+    add: '+ Añadir archivos',
+    remove: 'Quitar {name}',
+    notAdded: 'No añadidos:',
+    panelTitle: '{label} ({count})',
+    errors: {
+      required: 'Se necesita un archivo',
+      extension: '{name} no es un tipo de archivo admitido. Usa {allowed}',
+      mime: '{name} tiene un tipo inesperado ({type})',
+      empty: '{name} está vacío',
+      size: '{name} ocupa {size}; los archivos pueden ocupar como máximo {max}',
+      content: '{name} no parece un archivo {type}',
+      executable: {
+        windows: '{name} parece un ejecutable de Windows, no un archivo {type}',
+        linux: '{name} parece un ejecutable de Linux, no un archivo {type}',
+        macos: '{name} parece un ejecutable de macOS, no un archivo {type}',
+        script: '{name} parece un script, no un archivo {type}',
+      },
+      count: {
+        one: 'Puedes adjuntar como máximo {count} archivo',
+        other: 'Puedes adjuntar como máximo {count} archivos',
+      },
+      totalSize: 'Los adjuntos pueden sumar como máximo {max}',
+      notAdded: 'No se ha añadido {name}. {reason}',
+    },
+  },
+  uploads: {
+    status: {
+      uploading: 'Subiendo',
+      done: 'Subido',
+      failed: 'Error',
+      canceled: 'Cancelado',
+    },
+  },
+  preview: {
+    open: 'Vista previa',
+    reading: 'Leyendo...',
+    progress: 'Leyendo el archivo... {percent}',
+    failed: 'No se ha podido previsualizar este archivo: {reason}',
+    sheet: 'hoja «{sheet}»',
+    rowCount: {
+      one: '{count} fila',
+      other: '{count} filas',
+    },
+    columnCount: {
+      one: '{count} columna',
+      other: '{count} columnas',
+    },
+    column: 'Columna',
+    type: 'Tipo',
+    empty: 'Vacías',
+    range: 'Rango',
+    firstRows: {
+      one: 'Primeras {shown} de {count} fila',
+      other: 'Primeras {shown} de {count} filas',
+    },
+    noRows: 'No se han encontrado filas en este archivo.',
+    problems: {
+      one: 'Se ha encontrado {count} problema al leerlo',
+      other: 'Se han encontrado {count} problemas al leerlo',
+    },
+    onlyFirst: 'Solo se muestran los {count} primeros.',
+    types: {
+      integer: 'Entero',
+      number: 'Número',
+      boolean: 'Booleano',
+      date: 'Fecha',
+      string: 'Texto',
+      object: 'Anidado',
+      empty: 'Vacía',
+    },
+    errors: {
+      unsupportedFormat: 'Los archivos .{format} no se pueden previsualizar',
+      unreadable: 'No se ha podido leer el archivo ({detail})',
+      unterminatedQuote: 'El archivo termina dentro de un campo entre comillas',
+      extraFields: {
+        one: 'La fila {row} tiene {count} campo pero la cabecera tiene {expected}; se han ignorado los campos de más',
+        other: 'La fila {row} tiene {count} campos pero la cabecera tiene {expected}; se han ignorado los campos de más',
+      },
+      missingFields: {
+        one: 'La fila {row} tiene {count} campo pero la cabecera tiene {expected}',
+        other: 'La fila {row} tiene {count} campos pero la cabecera tiene {expected}',
+      },
+      invalidRecord: 'El registro {row} no es JSON válido: {detail}',
+      trailingContent: 'Hay contenido inesperado después del ] de cierre',
+      unclosedArray: 'El archivo termina antes del ] que cierra la matriz principal',
+      notZip: 'No es un archivo XLSX válido',
+      damagedZip: 'El archivo XLSX está dañado',
+      unsupportedCompression: 'El archivo XLSX usa un método de compresión que no se puede leer ({method})',
+      noWorkbook: 'El archivo XLSX no contiene ningún libro',
+      noSheets: 'El libro no tiene hojas',
+      sheetMissing: 'Falta la primera hoja del libro',
+    },
+  },
+  drafts: {
+    resumePrompt: '¿Quieres retomar tu borrador «{name}»?',
+    untitled: 'Análisis sin título',
+    lastEdited: 'Última edición: {date}',
+    resume: 'Retomar',
+    discard: 'Descartar',
+    startNew: 'Empezar un análisis nuevo',
+    filesNotRestored: 'No se han podido recuperar los archivos adjuntos a este borrador. Vuelve a añadirlos.',
+  },
+  outbox: {
+    offline: 'Sin conexión',
+    pending: {
+      one: '{count} pendiente de envío',
+      other: '{count} pendientes de envío',
+    },
+    title: 'Pendientes de envío',
+    offlineHint: 'No tienes conexión. Se enviarán en cuanto vuelva la conexión.',
+    savedAt: 'Guardado el {date}',
+    files: {
+      one: '{count} archivo por subir',
+      other: '{count} archivos por subir',
+    },
+    status: {
+      pending: 'Esperando conexión',
+      sending: 'Enviando...',
+      signIn: 'Esperando a que inicies sesión',
+      failed: 'No enviado: {reason}',
+    },
+    sent: 'Se ha enviado «{name}»',
+    queued: {
+      heading: 'Guardado en este dispositivo',
+      body: 'No hemos podido conectar con el servidor, así que tu análisis se enviará en cuanto vuelva la conexión. Puedes cerrar esta página; se enviará la próxima vez que abras la aplicación.',
+    },
+  },
+  analyses: {
+    title: 'Análisis',
+    new: '+ Nuevo análisis',
+    viewAll: 'Ver todos los análisis',
+    search: 'Buscar análisis',
+    filterByStatus: 'Filtrar por estado',
+    allStatuses: 'Todos los estados',
+    sortBy: 'Ordenar análisis',
+    sort: {
+      newest: 'Más recientes',
+      oldest: 'Más antiguos',
+      name: 'Nombre',
+    },
+    columns: {
+      name: 'Nombre',
+      status: 'Estado',
+      submitted: 'Enviado',
+      access: 'Acceso',
+    },
+    status: {
+      queued: 'En cola',
+      running: 'En curso',
+      completed: 'Completado',
+      failed: 'Fallido',
+    },
+    headings: {
+      queued: 'Tu análisis está en cola',
+      running: 'Estamos trabajando en tu análisis',
+      completed: 'Tu análisis está listo',
+      failed: 'No se ha podido completar tu análisis',
+      submitted: '¡Envío realizado!',
+    },
+    loadFailed: 'No se han podido cargar los análisis: {reason}',
+    noMatches: 'Ningún análisis coincide.',
+    empty: 'Todavía no hay análisis.',
+    loading: 'Cargando el análisis...',
+    gone: 'Este análisis no existe o no se ha compartido contigo.',
+    submittedAt: 'Enviado el {date}',
+    duplicate: 'Duplicar',
+    copyName: '{name} (copia)',
+    reconnecting: 'Se ha perdido la conexión con el servidor; seguimos intentándolo: {reason}',
+  },
+  results: {
+    title: 'Resultados',
+    noRows: 'Sin filas.',
+    downloads: 'Descargas',
+    download: 'Descargar',
+    downloading: 'Descargando...',
+    downloadFailed: 'No se ha podido descargar {name}',
+  },
+  sharing: {
+    title: 'Compartido con',
+    roles: {
+      viewer: 'Lector',
+      editor: 'Editor',
+      owner: 'Propietario',
+    },
+    roleOf: 'Rol de {email}',
+    newRole: 'Rol de la persona que se añade',
+    addPerson: 'Correo de la persona que se añade',
+    add: 'Añadir',
+    remove: 'Quitar a {email}',
+    manage: 'Gestionar el acceso',
+    sharedBy: 'Compartido por {name}',
+    yourRole: 'Tu rol: {role}',
+    editDetails: 'Editar detalles',
+    duplicate: '{email} aparece más de una vez en la lista',
+  },
+  comments: {
+    title: {
+      one: 'Comentarios ({count})',
+      other: 'Comentarios ({count})',
+    },
+    empty: 'Todavía no hay comentarios.',
+    loadFailed: 'No se han podido cargar los comentarios: {reason}',
+    add: 'Añadir un comentario',
+    placeholder: 'Escribe @ y un correo para mencionar a alguien',
+    mention: 'Mencionar a alguien',
+    post: 'Comentar',
+    posting: 'Publicando...',
+    reply: 'Responder',
+    replyTo: 'Responder a {name}',
+  },
+  notifications: {
+    title: 'Notificaciones',
+    label: {
+      one: 'Notificaciones, {count} sin leer',
+      other: 'Notificaciones, {count} sin leer',
+    },
+    unread: 'Sin leer:',
+    markAllRead: 'Marcar todo como leído',
+    empty: 'No hay novedades.',
+    loadFailed: 'No se han podido cargar las notificaciones: {reason}',
+    someone: 'Alguien',
+    mention: '{name} te ha mencionado en «{analysis}»',
+    shared: '{name} ha compartido «{analysis}» contigo',
+    status: {
+      queued: '«{analysis}» está en cola',
+      running: '«{analysis}» ha empezado',
+      completed: '«{analysis}» está listo',
+      failed: '«{analysis}» no se ha podido completar',
+    },
+  },
+  spec: {
+    import: 'Importar',
+    importHint: 'Rellena el formulario con un archivo de especificación (YAML, JSON o un paquete zip)',
+    importing: 'Importando...',
+    imported: 'Rellenado con {name}',
+    export: 'Exportar',
+    exporting: 'Exportando...',
+    exportFailed: 'No se ha podido exportar la especificación: {reason}',
+    formats: {
+      yaml: 'Especificación en YAML',
+      json: 'Especificación en JSON',
+      zip: 'Paquete zip con los archivos',
+    },
+    missingFiles: {
+      one: 'La especificación hace referencia a {count} archivo que aún no se ha adjuntado:',
+      other: 'La especificación hace referencia a {count} archivos que aún no se han adjuntado:',
+    },
+    checksumDiffers: '{name} no es el archivo al que se refiere la especificación (su suma de comprobación no coincide)',
+    errors: {
+      unreadable: 'No se ha podido leer {name}: {detail}',
+      notSpec: '{name} no es una especificación de solicitud de análisis',
+      newerVersion: '{name} usa la versión {version} de la especificación, pero esta aplicación lee hasta la versión {supported}',
+      otherWizard: '{name} es una especificación para «{wizard}», no para este formulario',
+      badAnswers: 'Las respuestas de {name} deben ser un conjunto de valores con nombre',
+      badFiles: 'Cada archivo de {name} necesita un nombre, y cualquier suma de comprobación debe ser SHA-256',
+      notBundle: '{name} no es un paquete zip que se pueda leer',
+      noSpecInBundle: '{name} no contiene spec.yaml ni spec.json',
+      checksumMismatch: '{file} en {name} no coincide con su suma de comprobación',
+    },
+  },
+  auth: {
+    signIn: {
+      title: 'Inicia sesión en {product}',
+      localIntro: 'Inicio de sesión de desarrollo: sirve cualquier nombre y correo; no hay contraseña.',
+      oidcIntro: 'Inicia sesión con la cuenta de tu organización para continuar.',
+      name: 'Nombre',
+      email: 'Correo electrónico',
+      submit: 'Iniciar sesión',
+      continue: 'Continuar para iniciar sesión',
+      signingIn: 'Iniciando sesión...',
+    },
+    callback: {
+      working: 'Terminando de iniciar sesión...',
+      failed: 'No se ha completado el inicio de sesión: {reason}',
+      tryAgain: 'Volver a intentarlo',
+    },
+    expired: {
+      title: 'Tu sesión ha caducado',
+      body: 'Vuelve a iniciar sesión para continuar. Tus respuestas se conservan.',
+    },
+    menu: {
+      label: 'Cuenta: {name}',
+      signedInAs: 'Sesión iniciada como',
+      signOut: 'Cerrar sesión',
+    },
+    errors: {
+      rejected: 'El servicio de inicio de sesión ha rechazado la solicitud',
+      state: 'Este inicio de sesión no se empezó desde este navegador. Vuelve a empezar',
+    },
+  },
+  errors: {
+    validation: 'Revisa algunos de los datos que has introducido',
+    auth: 'No tienes permiso para hacer esto. Vuelve a iniciar sesión',
+    forbidden: 'No tienes permiso para hacer eso',
+    server: 'El servidor ha tenido un problema. Inténtalo de nuevo en unos momentos',
+    network: 'No se ha podido conectar con el servidor. Comprueba tu conexión e inténtalo de nuevo',
+    status: 'La solicitud ha fallado con el estado {status}',
+  },
+  notFound: {
+    title: 'Página no encontrada',
+    body: 'No hay nada en esta dirección. Puede que esté mal escrita o que se haya movido.',
+    startNew: 'Empezar un análisis nuevo',
+    seeAll: 'Ver todos los análisis',
+  },
+};
@@ -0,0 +1,114 @@
+import { useSyncExternalStore } from 'react';
+import en from './catalogs/en';
+import es from './catalogs/es';
+import ar from './catalogs/ar';
+
+// Translation layer. Messages live in ./catalogs, one module per locale,
+// nested by area and looked up with dotted keys:
+//
+//   t('wizard.next')                      -> 'Next'
+//   t('files.errors.empty', { name })     -> '{name} is empty', filled in
+//   t('preview.rowCount', { count: 3 })   -> picks the `one`/`other`/... form
+//
+// English is the source catalog. A key missing from the current locale falls
+// back to English and, in dev builds, logs a warning once.
+
+export const LOCALES = {
+  en: { label: 'English', dir: 'ltr', messages: en },
+  es: { label: 'Español', dir: 'ltr', messages: es },
+  ar: { label: 'العربية', dir: 'rtl', messages: ar },
+};
+
+export const DEFAULT_LOCALE = 'en';
+
+const STORAGE_KEY = 'py25:locale';
+
+const detectLocale = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    if (LOCALES[saved]) return saved;
+  } catch {
+    // Fall through to the browser's preference
+  }
+  const preferred = (navigator.languages || [navigator.language])
+    .map(tag => tag?.split('-')[0])
+    .find(language => LOCALES[language]);
+  return preferred || DEFAULT_LOCALE;
+};
+
+let locale = detectLocale();
+const listeners = new Set();
+const warned = new Set();
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+const warnMissing = (key, target) => {
+  if (!import.meta.env.DEV || warned.has(`${target}:${key}`)) return;
+  warned.add(`${target}:${key}`);
+  console.warn(`[i18n] Missing translation for "${key}" in "${target}"`);
+};
+
+const interpolate = (message, params) => message.replace(/\{(\w+)\}/g, (match, name) => (
+  params[name] === undefined ? match : String(params[name])
+));
+
+export const t = (key, params = {}) => {
+  let message = lookup(LOCALES[locale].messages, key);
+  if (message === undefined) {
+    warnMissing(key, locale);
+    message = lookup(LOCALES[DEFAULT_LOCALE].messages, key);
+  }
+  if (message === undefined) {
+    if (locale !== DEFAULT_LOCALE) warnMissing(key, DEFAULT_LOCALE);
+    return key;
+  }
+  if (typeof message === 'object') {
+    const form = new Intl.PluralRules(locale).select(params.count ?? 0);
+    message = message[form] ?? message.other;
+  }
+  return interpolate(message, { ...params, count: params.count === undefined ? undefined : formatNumber(params.count) });
+};
+
+// Whether `key` has a message in English (and so in every locale, via the
+// fallback), for texts that are only sometimes in the catalogs
+export const hasTranslation = (key) => lookup(LOCALES[DEFAULT_LOCALE].messages, key) !== undefined;
+
+export const getLocale = () => locale;
+
+export const getDirection = () => LOCALES[locale].dir;
+
+const applyToDocument = () => {
+  document.documentElement.lang = locale;
+  document.documentElement.dir = getDirection();
+};
+
+applyToDocument();
+
+export const setLocale = (next) => {
+  if (!LOCALES[next] || next === locale) return;
+  locale = next;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, next);
+  } catch {
+    // Remembering the choice is optional
+  }
+  applyToDocument();
+  listeners.forEach(listener => listener());
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const formatNumber = (value, options) => new Intl.NumberFormat(locale, options).format(value);
+
+export const formatDate = (value, options = { dateStyle: 'medium' }) => new Intl.DateTimeFormat(locale, options).format(new Date(value));
+
+export const formatDateTime = (value) => formatDate(value, { dateStyle: 'medium', timeStyle: 'short' });
+
+// Re-renders the calling component when the language changes
+export const useTranslation = () => {
+  const current = useSyncExternalStore(subscribe, getLocale);
+  return { t, locale: current, dir: LOCALES[current].dir, setLocale };
+};
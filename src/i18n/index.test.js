@@ -0,0 +1,66 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { LOCALES, formatNumber, getDirection, setLocale, t } from '.';
+
+const PLURAL_FORMS = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+const isPlural = (node) => Object.keys(node).every(key => PLURAL_FORMS.includes(key));
+
+// Every message key in a catalog, with plural messages counted as one key
+const keysOf = (node, prefix = '') => Object.entries(node).flatMap(([key, value]) => (
+  typeof value === 'object' && !isPlural(value) ? keysOf(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+));
+
+afterEach(() => setLocale('en'));
+
+describe('catalogs', () => {
+  const english = keysOf(LOCALES.en.messages).sort();
+
+  it.each(Object.keys(LOCALES).filter(code => code !== 'en'))('%s has every English message and nothing else', (code) => {
+    expect(keysOf(LOCALES[code].messages).sort()).toEqual(english);
+  });
+
+  it.each(Object.keys(LOCALES))('%s gives every plural message an "other" form', (code) => {
+    const plurals = [];
+    const collect = (node) => Object.values(node).forEach(value => {
+      if (typeof value !== 'object') return;
+      if (isPlural(value)) plurals.push(value);
+      else collect(value);
+    });
+    collect(LOCALES[code].messages);
+    expect(plurals.every(plural => typeof plural.other === 'string')).toBe(true);
+  });
+});
+
+describe('t', () => {
+  it('fills in parameters and picks the plural form for the count', () => {
+    expect(t('files.remove', { name: 'orders.csv' })).toBe('Remove orders.csv');
+    expect(t('preview.rowCount', { count: 1 })).toBe('1 row');
+    expect(t('preview.rowCount', { count: 1200 })).toBe('1,200 rows');
+  });
+
+  it('uses the rules of the current language', () => {
+    setLocale('ar');
+    expect(t('preview.rowCount', { count: 2 })).toBe(LOCALES.ar.messages.preview.rowCount.two.replace('{count}', formatNumber(2)));
+    expect(getDirection()).toBe('rtl');
+    expect(document.documentElement).toHaveAttribute('dir', 'rtl');
+    expect(document.documentElement).toHaveAttribute('lang', 'ar');
+
+    setLocale('es');
+    expect(t('files.remove', { name: 'orders.csv' })).toBe('Quitar orders.csv');
+    expect(document.documentElement).toHaveAttribute('dir', 'ltr');
+  });
+
+  it('falls back to English, then to the key, and warns about the gap', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    setLocale('es');
+    delete LOCALES.es.messages.common.retry;
+    try {
+      expect(t('common.retry')).toBe('Retry');
+      expect(t('common.nothingHere')).toBe('common.nothingHere');
+      expect(warn).toHaveBeenCalledWith('[i18n] Missing translation for "common.retry" in "es"');
+    } finally {
+      LOCALES.es.messages.common.retry = 'Reintentar';
+      warn.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,20 @@
+import { setLocale } from 'yup';
+import { t } from '.';
+
+// Default yup messages for rules that don't bring their own. They are
+// functions so they are worded in whichever language is active when the
+// validation runs.
+setLocale({
+  mixed: {
+    required: () => t('validation.required'),
+    notType: () => t('validation.invalid'),
+  },
+  string: {
+    min: ({ min }) => t('validation.minLength', { count: min }),
+    max: ({ max }) => t('validation.maxLength', { count: max }),
+    email: () => t('validation.email'),
+  },
+  array: {
+    max: ({ max }) => t('validation.maxItems', { count: max }),
+  },
+});
@@ -1,12 +1,19 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
+import './i18n/yup'
 import App from './App.jsx'
-import { ToastContainer } from 'react-toastify';
+import { BrowserRouter } from 'react-router-dom';
+import { loadBranding } from './theme';
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-    <ToastContainer />
-  </StrictMode>
-)
+// Apply the deployment's branding before the first paint so its name and
+// colours never flash in after the defaults
+loadBranding().then(() => {
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <BrowserRouter>
+        <App />
+      </BrowserRouter>
+    </StrictMode>
+  )
+})
@@ -0,0 +1,91 @@
+import { useSyncExternalStore } from 'react';
+import { listNotifications, markNotificationsRead } from '../api';
+
+// In-app notifications: someone mentioned the user in a comment, an analysis
+// they are on changed status, or one was shared with them. They are fetched
+// while anything is subscribed (the header menu): straight away, every 30
+// seconds, and whenever the window gets focus back.
+
+const POLL_INTERVAL = 30 * 1000;
+
+const EMPTY = { items: [], unread: 0, error: null };
+
+let snapshot = EMPTY;
+const listeners = new Set();
+const arrivalListeners = new Set();
+// Ids already fetched; null until the first fetch, whose items aren't news
+let seen = null;
+let loading = null;
+let pollTimer;
+
+const set = (changes) => {
+  snapshot = { ...snapshot, ...changes };
+  listeners.forEach(listener => listener());
+};
+
+const received = (items, unread) => {
+  const arrived = seen ? items.filter(({ id }) => !seen.has(id)) : [];
+  seen = new Set([...(seen || []), ...items.map(({ id }) => id)]);
+  set({ items, unread, error: null });
+  if (arrived.length > 0) arrivalListeners.forEach(listener => listener(arrived));
+};
+
+// Fetch the latest; calls made while a fetch is running share it
+export const refreshNotifications = () => {
+  if (!loading) {
+    // Nobody may be listening by the time it answers, e.g. after signing out
+    loading = listNotifications()
+      .then(({ items, unread }) => listeners.size > 0 && received(items, unread))
+      .catch(error => listeners.size > 0 && set({ error }))
+      .finally(() => {
+        loading = null;
+      });
+  }
+  return loading;
+};
+
+// Mark `ids` read, or all of them when left out. The list updates at once;
+// if the server can't be told, it is fetched again to show the truth.
+export const markRead = async (ids) => {
+  const marked = ids && new Set(ids);
+  const items = snapshot.items.map(item => (!marked || marked.has(item.id) ? { ...item, read: true } : item));
+  const newlyRead = snapshot.items.filter((item, index) => !item.read && items[index].read).length;
+  set({ items, unread: Math.max(0, snapshot.unread - newlyRead) });
+  try {
+    set({ unread: await markNotificationsRead(ids) });
+  } catch {
+    refreshNotifications();
+  }
+};
+
+const onFocus = () => refreshNotifications();
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  if (listeners.size === 1) {
+    refreshNotifications();
+    pollTimer = setInterval(refreshNotifications, POLL_INTERVAL);
+    window.addEventListener('focus', onFocus);
+  }
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size > 0) return;
+    clearInterval(pollTimer);
+    window.removeEventListener('focus', onFocus);
+    // Whoever signs in next shouldn't see these
+    snapshot = EMPTY;
+    seen = null;
+  };
+};
+
+// Call `listener(items)` with notifications that arrive while the app is
+// open, e.g. to reload a list they affect. Returns an unsubscribe function.
+export const onNotified = (listener) => {
+  arrivalListeners.add(listener);
+  return () => arrivalListeners.delete(listener);
+};
+
+// { items, unread, error }
+export const getNotifications = () => snapshot;
+
+export const useNotifications = () => useSyncExternalStore(subscribe, getNotifications);
@@ -0,0 +1,253 @@
+import { useSyncExternalStore } from 'react';
+import { createAnalysis, uploadFile, AuthError, CanceledError, NetworkError } from '../api';
+import { fileKey } from '../utils/files';
+import { deleteSubmission, loadSubmissions, saveSubmission } from './outboxStore';
+
+// The outbox: submissions made while offline wait here, with any files that
+// still have to be uploaded, and are sent once the browser is back online.
+// Each one carries an idempotency key (its id) that goes out with every
+// attempt, so a resend after a dropped response can't create a second
+// analysis.
+//
+// Entries have a `status` of 'pending' (waiting for a connection or for the
+// user to sign in again), 'sending' or 'failed' (the server turned it down;
+// retry or cancel by hand). Each belongs to the user who queued it
+// (`userId`): only the signed-in user's entries are shown and sent, so
+// someone else signing in on the same browser can't send them as their own.
+
+// How often to try again while something is pending; `navigator.onLine` can
+// say we're online when the server is still out of reach
+const RETRY_INTERVAL = 30 * 1000;
+
+const isOnline = () => window.navigator.onLine !== false;
+
+let submissions = [];
+let userId = null;
+let snapshot = { submissions, online: isOnline() };
+const listeners = new Set();
+const sentListeners = new Set();
+const controllers = new Map();
+let flushing = null;
+let flushAgain = false;
+let retryTimer;
+
+const isOwn = (record) => (record.userId ?? null) === userId;
+
+const emit = () => {
+  snapshot = { submissions: submissions.filter(isOwn), online: isOnline() };
+  listeners.forEach(listener => listener());
+};
+
+// Storage is best effort: without IndexedDB the outbox still holds
+// submissions for as long as the page stays open
+const persist = (record) => saveSubmission(record).catch(() => {});
+
+const update = (id, changes) => {
+  let updated;
+  submissions = submissions.map((record) => {
+    if (record.id !== id) return record;
+    updated = { ...record, ...changes };
+    return updated;
+  });
+  if (updated) {
+    persist(updated);
+    emit();
+  }
+  return updated;
+};
+
+const remove = (id) => {
+  submissions = submissions.filter(record => record.id !== id);
+  deleteSubmission(id).catch(() => {});
+  emit();
+};
+
+export const createIdempotencyKey = () => (
+  window.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+// Upload what's left, then create the analysis. Resolves with 'sent',
+// 'waiting' (offline or signed out), 'failed' or 'canceled'.
+const send = async (id) => {
+  const current = submissions.find(entry => entry.id === id);
+  if (!current) return 'canceled';
+  const controller = new AbortController();
+  controllers.set(id, controller);
+  let record = update(id, { status: 'sending', attempts: current.attempts + 1, error: null });
+
+  // Someone else signed in part way through: the rest waits for its owner,
+  // since requests from here on would carry the other user's token
+  const handedOver = () => {
+    if (isOwn(record)) return false;
+    update(id, { status: 'pending' });
+    return true;
+  };
+
+  try {
+    for (const { key, file, uploadId } of record.files) {
+      if (uploadId) continue;
+      if (handedOver()) return 'waiting';
+      const session = await uploadFile(file, { signal: controller.signal });
+      // Keep finished uploads so a later attempt doesn't redo them
+      record = update(id, {
+        files: record.files.map(entry => (entry.key === key ? { ...entry, uploadId: session.id } : entry)),
+      });
+      if (!record) return 'canceled';
+    }
+
+    if (handedOver()) return 'waiting';
+    const { payload, files } = record;
+    const analysis = await createAnalysis(
+      { ...payload, uploadIds: [...(payload.uploadIds || []), ...files.map(({ uploadId }) => uploadId)] },
+      { signal: controller.signal, idempotencyKey: id }
+    );
+    remove(id);
+    sentListeners.forEach(listener => listener(analysis, record));
+    return 'sent';
+  } catch (error) {
+    if (error instanceof CanceledError || controller.signal.aborted) return 'canceled';
+    // The session ran out; it goes again once the user has signed back in
+    const signedOut = error instanceof AuthError && error.status === 401;
+    const offline = error instanceof NetworkError;
+    update(id, { status: offline || signedOut ? 'pending' : 'failed', error: { message: error.message, signedOut } });
+    return offline || signedOut ? 'waiting' : 'failed';
+  } finally {
+    controllers.delete(id);
+  }
+};
+
+const scheduleRetry = () => {
+  clearTimeout(retryTimer);
+  if (submissions.some(record => isOwn(record) && record.status === 'pending')) {
+    retryTimer = setTimeout(flushOutbox, RETRY_INTERVAL);
+  }
+};
+
+const sendPending = async () => {
+  const pending = submissions.filter(record => isOwn(record) && record.status === 'pending').map(({ id }) => id);
+  for (const id of pending) {
+    if (!isOnline()) return;
+    // Canceled or retried by hand in the meantime, or someone else signed in
+    const record = submissions.find(entry => entry.id === id);
+    if (record?.status !== 'pending' || !isOwn(record)) continue;
+    if (await send(id) === 'waiting') return;
+  }
+};
+
+// Try to send everything that's pending, oldest first. Stops at the first
+// sign that the connection is still down or the session has run out.
+// Calls made while a flush is running join it, and it goes round again to
+// pick up what they asked for.
+export const flushOutbox = () => {
+  if (flushing) {
+    flushAgain = true;
+    return flushing;
+  }
+  flushing = (async () => {
+    await loaded;
+    do {
+      flushAgain = false;
+      await sendPending();
+    } while (flushAgain);
+  })().finally(() => {
+    flushing = null;
+    scheduleRetry();
+  });
+  return flushing;
+};
+
+// Whose entries to show and send: the signed-in user's id, or null when
+// nobody is. Entries queued from now on belong to them.
+export const setOutboxUser = (id) => {
+  if ((id ?? null) === userId) return;
+  userId = id ?? null;
+  emit();
+  scheduleRetry();
+};
+
+// Put a submission in the outbox. `files` are blobs that still have to be
+// uploaded; their upload ids are added to the payload's `uploadIds` when it
+// is sent.
+export const queueSubmission = (payload, { id = createIdempotencyKey(), files = [] } = {}) => {
+  const record = {
+    id,
+    userId,
+    createdAt: new Date().toISOString(),
+    payload,
+    files: files.map(file => ({ key: fileKey(file), file, uploadId: null })),
+    status: 'pending',
+    attempts: 0,
+    error: null,
+  };
+  submissions = [...submissions.filter(entry => entry.id !== id), record];
+  persist(record);
+  emit();
+  flushOutbox();
+  return record;
+};
+
+// Create the analysis now if we can, or queue it when we're offline, the
+// connection drops or there are files left to upload. Resolves with
+// { analysis } or { queued: record }; anything the server turns down rejects
+// as it would from createAnalysis.
+export const submitAnalysis = async (payload, { idempotencyKey = createIdempotencyKey(), files = [], signal } = {}) => {
+  if (files.length === 0 && isOnline()) {
+    try {
+      return { analysis: await createAnalysis(payload, { signal, idempotencyKey }) };
+    } catch (error) {
+      if (!(error instanceof NetworkError)) throw error;
+    }
+  }
+  return { queued: queueSubmission(payload, { id: idempotencyKey, files }) };
+};
+
+export const retrySubmission = (id) => {
+  update(id, { status: 'pending', error: null });
+  return flushOutbox();
+};
+
+export const cancelSubmission = (id) => {
+  controllers.get(id)?.abort();
+  controllers.delete(id);
+  remove(id);
+};
+
+// `listener(analysis, record)` runs whenever a queued submission goes out.
+// Returns a function that unsubscribes.
+export const onSubmissionSent = (listener) => {
+  sentListeners.add(listener);
+  return () => sentListeners.delete(listener);
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// { submissions, online }, oldest submission first
+export const getOutbox = () => snapshot;
+
+export const useOutbox = () => useSyncExternalStore(subscribe, getOutbox);
+
+// Pick up what earlier visits left behind. Anything that was mid-send when
+// the page closed goes back to pending; the idempotency key makes resending
+// it safe.
+const loaded = loadSubmissions()
+  .then((records) => {
+    const queued = new Set(submissions.map(({ id }) => id));
+    submissions = [
+      ...records
+        .filter(record => !queued.has(record.id))
+        .map(record => (record.status === 'sending' ? { ...record, status: 'pending' } : record)),
+      ...submissions,
+    ].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    emit();
+  })
+  .catch(() => {});
+
+window.addEventListener('online', () => {
+  emit();
+  flushOutbox();
+});
+window.addEventListener('offline', emit);
+flushOutbox();
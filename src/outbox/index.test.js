@@ -0,0 +1,139 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { http, HttpResponse } from 'msw';
+import {
+  cancelSubmission,
+  flushOutbox,
+  getOutbox,
+  onSubmissionSent,
+  retrySubmission,
+  setOutboxUser,
+  submitAnalysis,
+} from '.';
+import { listAnalyses } from '../api';
+import { server } from '../test/server';
+import { apiPath } from '../test/handlers';
+
+const PAYLOAD = { projectName: 'Churn drivers', analysisDescription: 'Why churn went up in Q1 2024' };
+
+const setOnline = (online) => {
+  vi.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(online);
+  window.dispatchEvent(new Event(online ? 'online' : 'offline'));
+};
+
+const nextSent = () => new Promise((resolve) => {
+  const stop = onSubmissionSent((analysis, record) => {
+    stop();
+    resolve({ analysis, record });
+  });
+});
+
+beforeEach(() => {
+  // No backoff between the client's own retries
+  vi.spyOn(Math, 'random').mockReturnValue(0);
+});
+
+afterEach(() => {
+  getOutbox().submissions.forEach(({ id }) => cancelSubmission(id));
+  setOutboxUser(null);
+  vi.restoreAllMocks();
+});
+
+describe('outbox', () => {
+  it('sends straight away when it can', async () => {
+    const result = await submitAnalysis(PAYLOAD);
+
+    expect(result.analysis.projectName).toBe('Churn drivers');
+    expect(getOutbox().submissions).toEqual([]);
+  });
+
+  it('holds submissions made offline and sends them once the connection is back', async () => {
+    const keys = [];
+    server.events.on('request:start', ({ request }) => {
+      if (request.method === 'POST') keys.push(request.headers.get('Idempotency-Key'));
+    });
+    setOnline(false);
+
+    const { queued } = await submitAnalysis(PAYLOAD, { idempotencyKey: 'key-1' });
+
+    expect(queued).toMatchObject({ id: 'key-1', status: 'pending', payload: PAYLOAD });
+    expect(getOutbox()).toMatchObject({ online: false, submissions: [{ id: 'key-1' }] });
+    expect(keys).toEqual([]);
+
+    const sent = nextSent();
+    setOnline(true);
+    const { analysis, record } = await sent;
+
+    expect(record.id).toBe('key-1');
+    expect(analysis.projectName).toBe('Churn drivers');
+    expect(keys).toEqual(['key-1']);
+    expect(getOutbox().submissions).toEqual([]);
+  });
+
+  it('queues when the connection drops and uploads held files before sending', async () => {
+    server.use(http.post(apiPath('/analyses'), () => HttpResponse.error(), { once: true }));
+    const notes = new File(['Churn went up after the price change.\n'], 'notes.txt', { type: 'text/plain' });
+    const sent = nextSent();
+
+    const { queued } = await submitAnalysis(PAYLOAD, { files: [notes] });
+    expect(queued.files).toEqual([expect.objectContaining({ file: notes, uploadId: null })]);
+
+    const { analysis } = await sent;
+    expect(analysis.files).toEqual([{ name: 'notes.txt', type: 'text/plain', size: notes.size }]);
+  });
+
+  it('leaves what one user queued alone when someone else signs in', async () => {
+    const posted = [];
+    server.events.on('request:start', ({ request }) => {
+      if (request.method === 'POST') posted.push(new URL(request.url).pathname);
+    });
+    setOutboxUser('user-ada');
+    setOnline(false);
+    const { queued } = await submitAnalysis(PAYLOAD);
+    expect(queued.userId).toBe('user-ada');
+
+    setOutboxUser('user-grace');
+    setOnline(true);
+    await flushOutbox();
+    expect(getOutbox().submissions).toEqual([]);
+    expect(posted).toEqual([]);
+
+    // Back to Ada, whose submission goes out as hers
+    const sent = nextSent();
+    setOutboxUser('user-ada');
+    await flushOutbox();
+    expect((await sent).record.id).toBe(queued.id);
+  });
+
+  it('never creates a second analysis for the same idempotency key', async () => {
+    const first = await submitAnalysis(PAYLOAD, { idempotencyKey: 'key-2' });
+    const again = await submitAnalysis(PAYLOAD, { idempotencyKey: 'key-2' });
+
+    expect(again.analysis.id).toBe(first.analysis.id);
+    expect((await listAnalyses()).total).toBe(1);
+  });
+
+  it('keeps a submission the server turned down until it is retried or canceled', async () => {
+    server.use(http.post(apiPath('/analyses'), () => (
+      HttpResponse.json({ message: 'The queue is full' }, { status: 500 })
+    )));
+    setOnline(false);
+    const { queued } = await submitAnalysis(PAYLOAD);
+
+    setOnline(true);
+    await flushOutbox();
+    expect(getOutbox().submissions).toEqual([
+      expect.objectContaining({ id: queued.id, status: 'failed', error: { message: 'The queue is full', signedOut: false } }),
+    ]);
+
+    server.resetHandlers();
+    const sent = nextSent();
+    await retrySubmission(queued.id);
+    expect((await sent).record.id).toBe(queued.id);
+    expect(getOutbox().submissions).toEqual([]);
+
+    setOnline(false);
+    const { queued: other } = await submitAnalysis(PAYLOAD);
+    cancelSubmission(other.id);
+    expect(getOutbox().submissions).toEqual([]);
+  });
+});
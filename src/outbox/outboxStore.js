@@ -0,0 +1,24 @@
+// Submissions waiting to be sent, kept in IndexedDB together with the file
+// blobs they still have to upload so they survive a reload. Records look like
+//
+//   { id, createdAt, payload, files: [{ key, file, uploadId }], status, attempts, error }
+//
+// where `id` doubles as the submission's idempotency key.
+
+import { createObjectStore, request } from '../utils/indexedDb';
+
+const withStore = createObjectStore({
+  name: 'py25-outbox',
+  store: 'submissions',
+  upgrade: (db) => db.createObjectStore('submissions', { keyPath: 'id' }),
+});
+
+export const loadSubmissions = () => withStore('readonly', store => request(store.getAll()));
+
+export const saveSubmission = (record) => withStore('readwrite', (store) => {
+  store.put(record);
+});
+
+export const deleteSubmission = (id) => withStore('readwrite', (store) => {
+  store.delete(id);
+});
@@ -0,0 +1,104 @@
+import React from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import StatusBadge from '../components/analysis/StatusBadge';
+import { STATUSES, statusLabel } from '../components/analysis/statuses';
+import { useAnalyses } from '../hooks/useAnalyses';
+import { useDebouncedValue } from '../hooks/useDebouncedValue';
+import { analysisPath, newAnalysisPath } from './paths';
+import { useAuth } from '../auth';
+import { isSharedWithMe, roleLabel } from '../sharing';
+import { formatDateTime, t } from '../i18n';
+
+const controlClassName = 'text-sm text-gray-800 bg-surface border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-primary-300';
+
+// /analyses — every analysis in a table. The filters live in the query string
+// (?search=&status=&sort=) so a filtered list can be bookmarked or shared.
+const AnalysesPage = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const search = searchParams.get('search') || '';
+  const status = searchParams.get('status') || '';
+  const sort = searchParams.get('sort') || 'newest';
+  const debouncedSearch = useDebouncedValue(search);
+  const { analyses, isLoading, error } = useAnalyses({ search: debouncedSearch, status, sort });
+  const { user } = useAuth();
+
+  const setParam = (name, value) => {
+    setSearchParams(current => {
+      const next = new URLSearchParams(current);
+      if (value) {
+        next.set(name, value);
+      } else {
+        next.delete(name);
+      }
+      return next;
+    }, { replace: true });
+  };
+
+  return (
+    <div className="p-4">
+      <div className="w-[80%] m-auto">
+        <div className="flex items-center justify-between gap-4">
+          <h1 className="text-xl font-bold">{t('analyses.title')}</h1>
+          <Link to={newAnalysisPath()} className="text-sm text-primary-600 hover:underline">{t('analyses.new')}</Link>
+        </div>
+
+        <div className="flex flex-wrap gap-2 mt-4">
+          <input
+            type="search"
+            value={search}
+            onChange={e => setParam('search', e.target.value)}
+            placeholder={t('analyses.search')}
+            aria-label={t('analyses.search')}
+            className={`${controlClassName} flex-1 min-w-[12rem]`}
+          />
+          <select value={status} onChange={e => setParam('status', e.target.value)} aria-label={t('analyses.filterByStatus')} className={controlClassName}>
+            <option value="">{t('analyses.allStatuses')}</option>
+            {STATUSES.map(value => (
+              <option key={value} value={value}>{statusLabel(value)}</option>
+            ))}
+          </select>
+          <select value={sort} onChange={e => setParam('sort', e.target.value === 'newest' ? '' : e.target.value)} aria-label={t('analyses.sortBy')} className={controlClassName}>
+            <option value="newest">{t('analyses.sort.newest')}</option>
+            <option value="oldest">{t('analyses.sort.oldest')}</option>
+            <option value="name">{t('analyses.sort.name')}</option>
+          </select>
+        </div>
+
+        {error && <p className="text-sm text-red-600 mt-4">{t('analyses.loadFailed', { reason: error.message })}</p>}
+        {!error && !isLoading && analyses.length === 0 && (
+          <p className="text-sm text-gray-500 mt-4">{search || status ? t('analyses.noMatches') : t('analyses.empty')}</p>
+        )}
+
+        {analyses.length > 0 && (
+          <table className="w-full text-start text-sm mt-4">
+            <thead>
+              <tr className="border-b text-gray-500">
+                <th className="py-2 font-medium text-start">{t('analyses.columns.name')}</th>
+                <th className="py-2 font-medium text-start">{t('analyses.columns.status')}</th>
+                <th className="py-2 font-medium text-start">{t('analyses.columns.submitted')}</th>
+                <th className="py-2 font-medium text-start">{t('analyses.columns.access')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {analyses.map(analysis => (
+                <tr key={analysis.id} className="border-b hover:bg-gray-50">
+                  <td className="py-2">
+                    <Link to={analysisPath(analysis.id)} className="text-primary-600 hover:underline">{analysis.projectName}</Link>
+                  </td>
+                  <td className="py-2"><StatusBadge status={analysis.status} /></td>
+                  <td className="py-2 text-gray-600">{formatDateTime(analysis.createdAt)}</td>
+                  <td className="py-2 text-gray-600">
+                    {analysis.role && roleLabel(analysis.role)}
+                    {isSharedWithMe(analysis, user) && ` · ${t('sharing.sharedBy', { name: analysis.owner.name })}`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AnalysesPage;
@@ -0,0 +1,11 @@
+import React from 'react';
+import { useParams } from 'react-router-dom';
+import AnalysisDetail from '../components/analysis/AnalysisDetail';
+
+// /analyses/:id — one analysis with its status and, once finished, results
+const AnalysisPage = ({ onDuplicate, onUpdated }) => {
+  const { id } = useParams();
+  return <AnalysisDetail analysisId={id} onDuplicate={onDuplicate} onUpdated={onUpdated} />;
+};
+
+export default AnalysisPage;
@@ -0,0 +1,34 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { completeSignIn } from '../auth';
+import { newAnalysisPath, signInPath } from './paths';
+import { t } from '../i18n';
+
+// /auth/callback — the identity provider sends the browser back here after
+// an OIDC sign-in. Trades the code for tokens and returns to where the user
+// was, asking the wizard to pick its draft back up.
+const AuthCallbackPage = () => {
+  const navigate = useNavigate();
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    completeSignIn(window.location.href)
+      .then(({ returnTo = newAnalysisPath(), resumeDraft = false } = {}) => {
+        navigate(returnTo, { replace: true, state: { resumeDraft } });
+      })
+      .catch(setError);
+  }, [navigate]);
+
+  if (error) {
+    return (
+      <div className="text-center py-16">
+        <p role="alert" className="text-red-600">{t('auth.callback.failed', { reason: error.message })}</p>
+        <Link to={signInPath()} replace className="inline-block mt-4 text-sm text-primary-600 hover:underline">{t('auth.callback.tryAgain')}</Link>
+      </div>
+    );
+  }
+
+  return <p role="status" className="text-center text-gray-600 py-16">{t('auth.callback.working')}</p>;
+};
+
+export default AuthCallbackPage;
@@ -0,0 +1,34 @@
+import React from 'react';
+import { Navigate, useLocation, useNavigate, useParams } from 'react-router-dom';
+import MultiStepForm from '../components/StepForm';
+import { analysisWizard } from '../wizard/analysisWizard';
+import { findStep } from '../wizard/engine';
+import { newAnalysisPath } from './paths';
+
+// /new/:step — the intake wizard, with the current step in the URL so browser
+// back/forward move between steps. `run` ({ key, initialValues }) identifies
+// one pass through the wizard; a new key starts over. Arriving with
+// `resumeDraft` in the location state (after signing in again) picks the
+// latest draft straight back up.
+const NewAnalysisPage = ({ run, onSubmitted }) => {
+  const { step } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  if (!findStep(analysisWizard, step)) {
+    return <Navigate to={newAnalysisPath()} replace />;
+  }
+
+  return (
+    <MultiStepForm
+      key={run.key}
+      initialValues={run.initialValues}
+      resumeDraft={Boolean(location.state?.resumeDraft)}
+      onSubmitted={onSubmitted}
+      stepId={step}
+      onStepChange={(target, { replace = false } = {}) => navigate(newAnalysisPath(target), { replace })}
+    />
+  );
+};
+
+export default NewAnalysisPage;
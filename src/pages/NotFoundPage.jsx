@@ -0,0 +1,17 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { analysesPath, newAnalysisPath } from './paths';
+import { t } from '../i18n';
+
+const NotFoundPage = () => (
+  <div className="text-center py-16">
+    <h1 className="text-xl font-bold">{t('notFound.title')}</h1>
+    <p className="text-gray-600 mt-2">{t('notFound.body')}</p>
+    <div className="flex justify-center gap-4 mt-6 text-sm">
+      <Link to={newAnalysisPath()} className="text-primary-600 hover:underline">{t('notFound.startNew')}</Link>
+      <Link to={analysesPath()} className="text-primary-600 hover:underline">{t('notFound.seeAll')}</Link>
+    </div>
+  </div>
+);
+
+export default NotFoundPage;
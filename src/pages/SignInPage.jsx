@@ -0,0 +1,29 @@
+import React from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import SignInForm from '../components/auth/SignInForm';
+import { useAuth } from '../auth';
+import { newAnalysisPath } from './paths';
+import { t } from '../i18n';
+import { getBranding } from '../theme';
+
+// /signin — where signed-out visitors land. `location.state.returnTo` is the
+// page they were sent here from, and where they go once signed in.
+const SignInPage = () => {
+  const { status } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const returnTo = location.state?.returnTo || newAnalysisPath();
+
+  if (status === 'signedIn') {
+    return <Navigate to={returnTo} replace />;
+  }
+
+  return (
+    <div className="max-w-sm mx-auto py-8">
+      <h1 className="text-xl font-bold text-center mb-6">{t('auth.signIn.title', { product: getBranding().productName })}</h1>
+      <SignInForm state={{ returnTo }} onSignedIn={() => navigate(returnTo, { replace: true })} />
+    </div>
+  );
+};
+
+export default SignInPage;
@@ -0,0 +1,13 @@
+import { analysisWizard } from '../wizard/analysisWizard';
+import { firstStepId } from '../wizard/engine';
+
+// URLs of the app's pages, so links and redirects don't spell them out
+export const newAnalysisPath = (stepId = firstStepId(analysisWizard)) => `/new/${stepId}`;
+
+export const analysesPath = () => '/analyses';
+
+export const analysisPath = (id) => `/analyses/${id}`;
+
+export const signInPath = () => '/signin';
+
+export const authCallbackPath = () => '/auth/callback';
@@ -0,0 +1,75 @@
+import { PreviewError } from './errors';
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+// The delimiter that appears most often on the first line
+export const detectDelimiter = (text) => {
+  const line = text.split('\n', 1)[0];
+  const counts = DELIMITERS.map(delimiter => line.split(delimiter).length - 1);
+  const best = counts.indexOf(Math.max(...counts));
+  return counts[best] > 0 ? DELIMITERS[best] : ',';
+};
+
+// Streaming CSV reader. Yields one array of strings per record as soon as it
+// is complete, so only the current record is ever held in memory. Follows RFC
+// 4180: quoted fields may contain delimiters and line breaks, and "" is an
+// escaped quote. Blank lines are skipped. `delimiter` defaults to whichever of
+// , ; tab or | leads the first line.
+//
+// Throws when the input ends inside a quoted field, after yielding what was
+// read of it.
+export async function* csvRecords(chunks, { delimiter } = {}) {
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  // Just closed a quoted field; another quote means it was an escaped ""
+  let afterQuote = false;
+
+  for await (const chunk of chunks) {
+    delimiter ??= detectDelimiter(chunk);
+    for (const char of chunk) {
+      if (inQuotes) {
+        if (char === '"') {
+          inQuotes = false;
+          afterQuote = true;
+        } else {
+          field += char;
+        }
+        continue;
+      }
+      if (char === '"') {
+        if (afterQuote) {
+          field += '"';
+          inQuotes = true;
+        } else if (field === '') {
+          inQuotes = true;
+        } else {
+          // A stray quote in the middle of an unquoted field is kept as text
+          field += char;
+        }
+        afterQuote = false;
+        continue;
+      }
+      afterQuote = false;
+      if (char === delimiter) {
+        record.push(field);
+        field = '';
+      } else if (char === '\n') {
+        record.push(field);
+        field = '';
+        if (record.length > 1 || record[0] !== '') yield record;
+        record = [];
+      } else if (char !== '\r') {
+        field += char;
+      }
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    yield record;
+  }
+  if (inQuotes) {
+    throw new PreviewError('unterminatedQuote', {}, 'The file ends inside a quoted field');
+  }
+}
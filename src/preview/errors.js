@@ -0,0 +1,12 @@
+// A problem found while reading a file. Parsing runs in a worker, away from
+// the translation layer, so errors carry a `code` and `params` and the UI
+// shows the `preview.errors.<code>` message. `message` is plain English for
+// logs.
+export class PreviewError extends Error {
+  constructor(code, params = {}, message = code) {
+    super(message);
+    this.name = 'PreviewError';
+    this.code = code;
+    this.params = params;
+  }
+}
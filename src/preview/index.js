@@ -0,0 +1,85 @@
+import { PREVIEW_FORMATS } from './profile';
+import { extensionOf } from '../utils/files';
+import { CanceledError } from '../api';
+import { PreviewError } from './errors';
+import { knownChecksum, rememberChecksum, sha256Of } from '../utils/checksum';
+
+export { PreviewError };
+
+export const canPreview = (file) => PREVIEW_FORMATS.includes(extensionOf(file.name));
+
+// Send `message` to a worker of its own, which is shut down when it answers
+// or `signal` aborts. Resolves with the worker's result message.
+const runWorker = (message, { onProgress, signal }) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new CanceledError('Preview canceled'));
+    return;
+  }
+  const worker = new Worker(new URL('./preview.worker.js', import.meta.url), { type: 'module' });
+
+  const finish = () => {
+    worker.terminate();
+    signal?.removeEventListener('abort', abort);
+  };
+  const abort = () => {
+    finish();
+    reject(new CanceledError('Preview canceled'));
+  };
+  signal?.addEventListener('abort', abort);
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'progress') {
+      onProgress?.(data.fraction);
+      return;
+    }
+    finish();
+    if (data.type === 'result') {
+      resolve(data);
+    } else {
+      reject(new PreviewError(data.code, data.params, data.message));
+    }
+  };
+  worker.onerror = (event) => {
+    finish();
+    reject(new PreviewError('unreadable', { detail: event.message || '' }, 'The preview worker failed to start'));
+  };
+  worker.postMessage(message);
+});
+
+// Parse `file` in a Web Worker and resolve with its preview (see
+// profile.js for the shape). Each call gets its own worker, which is shut
+// down when it finishes or `signal` aborts; aborting rejects with
+// CanceledError, and a file that can't be read at all with PreviewError.
+export const previewFile = async (file, { maxRows = 20, onProgress, signal } = {}) => (
+  (await runWorker({ file, maxRows }, { onProgress, signal })).preview
+);
+
+// The SHA-256 of `file` as lower-case hex, read chunk by chunk in a worker
+// (or right here where there are no workers). It is remembered for the file,
+// so an upload of it can send it along. Aborting rejects with CanceledError.
+export const checksumFile = async (file, { onProgress, signal } = {}) => {
+  let sha256 = knownChecksum(file);
+  if (sha256) return sha256;
+  if (typeof Worker === 'undefined') {
+    try {
+      sha256 = await sha256Of(file, { onProgress, signal });
+    } catch (error) {
+      if (signal?.aborted) throw new CanceledError('Checksum canceled');
+      throw error;
+    }
+  } else {
+    ({ sha256 } = await runWorker({ file, task: 'checksum' }, { onProgress, signal }));
+  }
+  rememberChecksum(file, sha256);
+  return sha256;
+};
+
+// What gets sent with the analysis about each file's structure
+export const schemaSummary = (preview) => ({
+  format: preview.format,
+  ...(preview.sheet && { sheet: preview.sheet }),
+  rowCount: preview.rowCount,
+  columnCount: preview.columnCount,
+  columns: preview.columns,
+  errorCount: preview.errorCount,
+});
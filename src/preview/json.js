@@ -0,0 +1,93 @@
+import { PreviewError } from './errors';
+
+const WHITESPACE = /\s/;
+
+// Streaming reader for JSON data files. Yields { value } for each record, or
+// { error } for one that doesn't parse:
+//
+// - a top-level array yields each element as soon as its closing bracket
+//   arrives, so a huge array is never held in memory whole;
+// - newline-delimited JSON (or any run of concatenated values) yields each
+//   value;
+// - a single object yields once.
+//
+// Only the text of the record being read is buffered.
+export async function* jsonRecords(chunks) {
+  // 'array' once a leading [ has been seen, 'values' for anything else
+  let mode;
+  let finished = false;
+  let current = '';
+  // Nesting inside the current record
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  const flush = () => {
+    const text = current.trim();
+    current = '';
+    if (!text) return undefined;
+    try {
+      return { value: JSON.parse(text) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  };
+
+  for await (const chunk of chunks) {
+    for (const char of chunk) {
+      if (finished) {
+        if (!WHITESPACE.test(char)) throw new PreviewError('trailingContent', {}, 'Unexpected content after the closing ]');
+        continue;
+      }
+      if (mode === undefined) {
+        if (WHITESPACE.test(char)) continue;
+        mode = char === '[' ? 'array' : 'values';
+        if (mode === 'array') continue;
+      }
+      if (inString) {
+        current += char;
+        if (escaped) {
+          escaped = false;
+        } else if (char === '\\') {
+          escaped = true;
+        } else if (char === '"') {
+          inString = false;
+        }
+        continue;
+      }
+      if (char === '"') {
+        inString = true;
+        current += char;
+      } else if (char === '{' || char === '[') {
+        depth += 1;
+        current += char;
+      } else if ((char === '}' || char === ']') && depth > 0) {
+        depth -= 1;
+        current += char;
+        if (mode === 'values' && depth === 0) {
+          const record = flush();
+          if (record) yield record;
+        }
+      } else if (char === ']' && mode === 'array') {
+        const record = flush();
+        if (record) yield record;
+        finished = true;
+      } else if (depth === 0 && mode === 'array' && char === ',') {
+        const record = flush();
+        if (record) yield record;
+      } else if (depth === 0 && mode === 'values' && WHITESPACE.test(char)) {
+        // Whitespace ends a bare value (number, true, ...) between records
+        const record = flush();
+        if (record) yield record;
+      } else {
+        current += char;
+      }
+    }
+  }
+
+  if (mode === 'array' && !finished) {
+    throw new PreviewError('unclosedArray', {}, 'The file ends before the closing ] of the top-level array');
+  }
+  const record = flush();
+  if (record) yield record;
+}
@@ -0,0 +1,29 @@
+import { profileFile } from './profile';
+import { PreviewError } from './errors';
+import { sha256Of } from '../utils/checksum';
+
+// Runs profileFile off the main thread. Receives { file, maxRows }, or
+// { file, task: 'checksum' } for the file's SHA-256; posts { type:
+// 'progress', fraction } while reading, then { type: 'result', preview } (or
+// sha256) or { type: 'error', code, params, message }.
+self.onmessage = async ({ data: { file, maxRows, task } }) => {
+  let reported = 0;
+  const onProgress = (fraction) => {
+    // Every few percent is plenty for a progress bar
+    if (fraction - reported < 0.02 && fraction < 1) return;
+    reported = fraction;
+    self.postMessage({ type: 'progress', fraction });
+  };
+  try {
+    if (task === 'checksum') {
+      self.postMessage({ type: 'result', sha256: await sha256Of(file, { onProgress }) });
+      return;
+    }
+    const preview = await profileFile(file, { maxRows, onProgress });
+    self.postMessage({ type: 'result', preview });
+  } catch (error) {
+    const code = error instanceof PreviewError ? error.code : 'unreadable';
+    const params = error instanceof PreviewError ? error.params : { detail: error.message };
+    self.postMessage({ type: 'error', code, params, message: error.message });
+  }
+};
@@ -0,0 +1,207 @@
+import { csvRecords } from './csv';
+import { jsonRecords } from './json';
+import { openWorkbook } from './xlsx';
+import { countBytes, textChunks } from './streams';
+import { PreviewError } from './errors';
+import { extensionOf } from '../utils/files';
+
+export const PREVIEW_FORMATS = ['csv', 'json', 'xlsx'];
+
+const MAX_ERRORS = 50;
+
+// Text that stands for a missing value in CSV and spreadsheet cells
+const NULL_TOKENS = new Set(['', 'null', 'NULL', 'NA', 'N/A', 'n/a', 'NaN', '-']);
+const INTEGER = /^[-+]?\d+$/;
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+const BOOLEAN = /^(true|false)$/i;
+const DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[-+]\d{2}:?\d{2})?)?$/;
+
+// The type of one value, or null when it is missing
+const typeOf = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'object') return 'object';
+  const text = value.trim();
+  if (NULL_TOKENS.has(text)) return null;
+  if (INTEGER.test(text)) return 'integer';
+  if (NUMBER.test(text)) return 'number';
+  if (BOOLEAN.test(text)) return 'boolean';
+  if (DATE.test(text) && !Number.isNaN(Date.parse(text))) return 'date';
+  return 'string';
+};
+
+// One type for everything seen in a column: integers widen to numbers, and
+// any other mix is text
+const columnType = (types) => {
+  if (types.size === 0) return 'empty';
+  if (types.size === 1) return [...types][0];
+  if ([...types].every(type => type === 'integer' || type === 'number')) return 'number';
+  return 'string';
+};
+
+// Header names made unique and non-empty
+const columnNames = (header) => {
+  const seen = new Map();
+  return header.map((raw, index) => {
+    const base = String(raw ?? '').trim() || `column_${index + 1}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count === 1 ? base : `${base}_${count}`;
+  });
+};
+
+// Collects the schema and stats of a table one record at a time. Records are
+// objects keyed by column name; columns are added as they first appear.
+export const createProfiler = ({ maxRows = 20 } = {}) => {
+  const columns = new Map();
+  const rows = [];
+  const errors = [];
+  let rowCount = 0;
+  let errorCount = 0;
+
+  const columnFor = (name) => {
+    if (!columns.has(name)) {
+      // Rows seen before this column appeared didn't have it
+      columns.set(name, { name, types: new Set(), nullCount: rowCount, min: undefined, max: undefined });
+    }
+    return columns.get(name);
+  };
+
+  const addRecord = (record) => {
+    Object.keys(record).forEach(columnFor);
+    columns.forEach(column => {
+      const value = record[column.name];
+      const type = typeOf(value);
+      if (!type) {
+        column.nullCount += 1;
+        return;
+      }
+      column.types.add(type);
+      const comparable = type === 'integer' || type === 'number' ? Number(value)
+        : type === 'date' ? Date.parse(value)
+          : undefined;
+      if (comparable === undefined) return;
+      if (column.min === undefined || comparable < column.min) column.min = comparable;
+      if (column.max === undefined || comparable > column.max) column.max = comparable;
+    });
+    if (rows.length < maxRows) rows.push(record);
+    rowCount += 1;
+  };
+
+  // `code` and `params` as for PreviewError; `params.row` is the 1-based data
+  // row the problem was found in, if any
+  const addError = (code, params = {}) => {
+    errorCount += 1;
+    if (errors.length < MAX_ERRORS) errors.push({ code, params });
+  };
+
+  const result = () => {
+    const schema = [...columns.values()].map(({ name, types, nullCount, min, max }) => {
+      const type = columnType(types);
+      const column = { name, type, nullCount };
+      if (type === 'integer' || type === 'number') Object.assign(column, { min, max });
+      if (type === 'date') Object.assign(column, { min: new Date(min).toISOString(), max: new Date(max).toISOString() });
+      return column;
+    });
+    return {
+      columns: schema,
+      rows: rows.map(record => schema.map(({ name }) => record[name] ?? null)),
+      rowCount,
+      columnCount: schema.length,
+      errors,
+      errorCount,
+    };
+  };
+
+  return { addRecord, addError, get rowCount() { return rowCount; }, result };
+};
+
+// Tables whose first row is a header (CSV and spreadsheets). Spreadsheets
+// leave out trailing empty cells, so only CSV rows are held to the header's
+// width.
+const profileRows = async (rows, profiler, { checkWidth = false } = {}) => {
+  let header;
+  for await (const values of rows) {
+    if (!header) {
+      header = columnNames(values);
+      continue;
+    }
+    const row = profiler.rowCount + 1;
+    if (values.length > header.length) {
+      profiler.addError('extraFields', { row, count: values.length, expected: header.length });
+    } else if (checkWidth && values.length < header.length) {
+      profiler.addError('missingFields', { row, count: values.length, expected: header.length });
+    }
+    profiler.addRecord(Object.fromEntries(header.map((name, index) => [name, values[index] ?? null])));
+  }
+};
+
+// Non-object JSON records become a single `value` column
+const toRecord = (value) => (value && typeof value === 'object' && !Array.isArray(value) ? value : { value });
+
+const profileJson = async (chunks, profiler) => {
+  let single;
+  for await (const { value, error } of jsonRecords(chunks)) {
+    const row = profiler.rowCount + 1;
+    if (error) {
+      profiler.addError('invalidRecord', { row, detail: error });
+      continue;
+    }
+    if (profiler.rowCount === 0 && single === undefined) {
+      // Hold the first record back: a lone { "data": [...] } document is
+      // really a wrapper around its array
+      single = value;
+      continue;
+    }
+    if (single !== undefined) {
+      profiler.addRecord(toRecord(single));
+      single = undefined;
+    }
+    profiler.addRecord(toRecord(value));
+  }
+  if (single !== undefined) {
+    const wrapped = single && typeof single === 'object' && !Array.isArray(single)
+      && Object.values(single).find(item => Array.isArray(item) && item.some(entry => entry && typeof entry === 'object'));
+    (wrapped || [single]).forEach(item => profiler.addRecord(toRecord(item)));
+  }
+};
+
+// Read a CSV, JSON or XLSX file and describe it: { format, columns, rows,
+// rowCount, columnCount, errors, errorCount, sheet? }. `columns` holds each
+// column's name, inferred type (integer, number, boolean, date, string,
+// object or empty), null count and, for numbers and dates, min and max. `rows`
+// has the first `maxRows` rows as arrays in column order, and `errors` are
+// { code, params } as for PreviewError. The file is streamed, so large files
+// are read without being loaded whole. `onProgress(fraction)` is called as it
+// goes.
+export const profileFile = async (file, { maxRows = 20, onProgress } = {}) => {
+  const format = extensionOf(file.name);
+  if (!PREVIEW_FORMATS.includes(format)) {
+    throw new PreviewError('unsupportedFormat', { format }, `.${format} files can't be previewed`);
+  }
+  const profiler = createProfiler({ maxRows });
+  const bytes = () => file.stream().pipeThrough(countBytes(read => onProgress?.(read / Math.max(1, file.size))));
+
+  let sheet;
+  try {
+    if (format === 'csv') {
+      await profileRows(csvRecords(textChunks(bytes())), profiler, { checkWidth: true });
+    } else if (format === 'json') {
+      await profileJson(textChunks(bytes()), profiler);
+    } else {
+      const workbook = await openWorkbook(file, { onProgress });
+      sheet = workbook.sheet;
+      await profileRows(workbook.rows, profiler);
+    }
+  } catch (error) {
+    // Keep whatever was read before the problem
+    if (error instanceof PreviewError) {
+      profiler.addError(error.code, error.params);
+    } else {
+      profiler.addError('unreadable', { detail: error.message });
+    }
+  }
+
+  return { format, ...(sheet && { sheet }), ...profiler.result() };
+};
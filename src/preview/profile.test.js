@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+import { profileFile } from './profile';
+
+const file = (content, name) => new File([content], name);
+
+describe('profileFile', () => {
+  it('detects the column types and ranges of a CSV file', async () => {
+    const csv = [
+      'id,amount,paid,ordered_on,note',
+      '1,20.5,true,2024-01-03,"first, with comma"',
+      '2,7,false,2024-02-10,',
+      '3,NA,true,2024-03-01,"says ""hi"""',
+    ].join('\n');
+
+    const preview = await profileFile(file(csv, 'orders.csv'), { maxRows: 2 });
+
+    expect(preview).toMatchObject({ format: 'csv', rowCount: 3, columnCount: 5, errorCount: 0 });
+    expect(preview.columns).toEqual([
+      { name: 'id', type: 'integer', nullCount: 0, min: 1, max: 3 },
+      { name: 'amount', type: 'number', nullCount: 1, min: 7, max: 20.5 },
+      { name: 'paid', type: 'boolean', nullCount: 0 },
+      { name: 'ordered_on', type: 'date', nullCount: 0, min: '2024-01-03T00:00:00.000Z', max: '2024-03-01T00:00:00.000Z' },
+      { name: 'note', type: 'string', nullCount: 1 },
+    ]);
+    expect(preview.rows).toEqual([
+      ['1', '20.5', 'true', '2024-01-03', 'first, with comma'],
+      ['2', '7', 'false', '2024-02-10', ''],
+    ]);
+  });
+
+  it('reports rows that don\'t match the header and keeps going', async () => {
+    const preview = await profileFile(file('a,b\n1,2,3\n4\n5,6\n', 'ragged.csv'));
+
+    expect(preview.rowCount).toBe(3);
+    expect(preview.errors).toEqual([
+      { code: 'extraFields', params: { row: 1, count: 3, expected: 2 } },
+      { code: 'missingFields', params: { row: 2, count: 1, expected: 2 } },
+    ]);
+  });
+
+  it('reads JSON arrays, line-delimited records and wrapped arrays', async () => {
+    const array = await profileFile(file('[{"id":1,"tags":["a"]},{"id":2,"extra":"x"}]', 'array.json'));
+    expect(array.columns).toEqual([
+      { name: 'id', type: 'integer', nullCount: 0, min: 1, max: 2 },
+      { name: 'tags', type: 'object', nullCount: 1 },
+      { name: 'extra', type: 'string', nullCount: 1 },
+    ]);
+
+    const lines = await profileFile(file('{"id":1}\n{"id":2}\n{oops}\n', 'lines.json'));
+    expect(lines.rowCount).toBe(2);
+    expect(lines.errors).toEqual([{ code: 'invalidRecord', params: { row: 3, detail: expect.any(String) } }]);
+
+    const wrapped = await profileFile(file('{"data":[{"id":1},{"id":2}],"page":1}', 'wrapped.json'));
+    expect(wrapped.rowCount).toBe(2);
+    expect(wrapped.columns.map(({ name }) => name)).toEqual(['id']);
+  });
+
+  it('refuses formats it can\'t preview', async () => {
+    await expect(profileFile(file('%PDF-1.7', 'brief.pdf'))).rejects.toMatchObject({
+      name: 'PreviewError',
+      code: 'unsupportedFormat',
+      params: { format: 'pdf' },
+    });
+  });
+});
@@ -0,0 +1,31 @@
+// Helpers for reading Blobs piece by piece, so previews never need a whole
+// file in memory.
+
+// Async iterable over the chunks of a ReadableStream
+export async function* chunksOf(stream) {
+  const reader = stream.getReader();
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) return;
+      yield value;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+// Pass bytes through unchanged, reporting the running total read so far
+export const countBytes = (onBytes) => {
+  let total = 0;
+  return new TransformStream({
+    transform(chunk, controller) {
+      total += chunk.byteLength;
+      onBytes(total);
+      controller.enqueue(chunk);
+    },
+  });
+};
+
+// Text chunks of a byte stream, decoded as UTF-8 (a leading BOM is dropped)
+export const textChunks = (byteStream) => chunksOf(byteStream.pipeThrough(new TextDecoderStream()));
@@ -0,0 +1,111 @@
+import { textChunks } from './streams';
+import { PreviewError } from './errors';
+import { entryStream, readEntries } from './zip';
+
+// Minimal XLSX reader for previews. An .xlsx file is a zip of XML parts (see
+// ./zip.js); only the parts we need are read, and the worksheet itself is
+// inflated and read one <row> at a time.
+
+const entryText = async (file, entry) => {
+  let text = '';
+  for await (const chunk of textChunks(await entryStream(file, entry))) text += chunk;
+  return text;
+};
+
+const decodeXml = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1)));
+  }
+  return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[entity.toLowerCase()];
+});
+
+const attribute = (attributes, name) => attributes.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1];
+
+// Text of every <t> run inside a piece of XML (rich text has several)
+const textRuns = (xml) => decodeXml(Array.from(xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g), match => match[1]).join(''));
+
+const readSharedStrings = async (file, entries) => {
+  const entry = entries.get('xl/sharedStrings.xml');
+  if (!entry) return [];
+  const xml = await entryText(file, entry);
+  return Array.from(xml.matchAll(/<si>([\s\S]*?)<\/si>/g), match => textRuns(match[1]));
+};
+
+// Name and zip path of the first worksheet in the workbook
+const firstSheet = async (file, entries) => {
+  const workbook = entries.get('xl/workbook.xml');
+  const relations = entries.get('xl/_rels/workbook.xml.rels');
+  if (!workbook || !relations) throw new PreviewError('noWorkbook', {}, 'No workbook part');
+  const sheet = (await entryText(file, workbook)).match(/<sheet\b([^>]*)\/?>/);
+  if (!sheet) throw new PreviewError('noSheets', {}, 'No sheets in the workbook');
+  const relationId = attribute(sheet[1], 'r:id');
+  const relation = Array.from((await entryText(file, relations)).matchAll(/<Relationship\b([^>]*)\/?>/g))
+    .map(match => match[1])
+    .find(attributes => attribute(attributes, 'Id') === relationId);
+  const target = relation && attribute(relation, 'Target');
+  if (!target) throw new PreviewError('sheetMissing', {}, 'First sheet not found');
+  return {
+    name: decodeXml(attribute(sheet[1], 'name') || 'Sheet1'),
+    path: target.startsWith('/') ? target.slice(1) : `xl/${target}`,
+  };
+};
+
+// "BC12" -> 54 (zero-based column of a cell reference)
+const columnIndex = (reference) => {
+  const letters = reference.match(/^[A-Z]+/)?.[0] || '';
+  return Array.from(letters).reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+const cellValue = (type, inner, sharedStrings) => {
+  if (type === 'inlineStr') return textRuns(inner);
+  const raw = inner.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+  if (raw === undefined) return null;
+  if (type === 's') return sharedStrings[Number(raw)] ?? '';
+  if (type === 'b') return raw === '1';
+  if (type === 'str' || type === 'e') return decodeXml(raw);
+  const number = Number(raw);
+  return Number.isNaN(number) ? decodeXml(raw) : number;
+};
+
+const parseRow = (xml, sharedStrings) => {
+  const values = [];
+  for (const [, attributes, inner = ''] of xml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+    const reference = attribute(attributes, 'r');
+    const index = reference ? columnIndex(reference) : values.length;
+    while (values.length < index) values.push(null);
+    values[index] = cellValue(attribute(attributes, 't'), inner, sharedStrings);
+  }
+  return values;
+};
+
+// Open an .xlsx file and return { sheet, rows }, where `rows` is an async
+// iterable of arrays of cell values (string, number, boolean or null) for the
+// first worksheet. `onProgress(fraction)` reports how much of the sheet has
+// been read.
+export const openWorkbook = async (file, { onProgress } = {}) => {
+  const entries = await readEntries(file);
+  const sharedStrings = await readSharedStrings(file, entries);
+  const sheet = await firstSheet(file, entries);
+  const entry = entries.get(sheet.path);
+  if (!entry) throw new PreviewError('sheetMissing', {}, `Sheet part ${sheet.path} not found`);
+
+  async function* rows() {
+    const stream = await entryStream(file, entry, {
+      onBytes: onProgress && (read => onProgress(read / Math.max(1, entry.compressedSize))),
+    });
+    let buffer = '';
+    for await (const chunk of textChunks(stream)) {
+      buffer += chunk;
+      let end = buffer.indexOf('</row>');
+      while (end !== -1) {
+        // Skip over any self-closing (empty) rows before this one
+        const start = buffer.lastIndexOf('<row', end);
+        yield parseRow(buffer.slice(start, end), sharedStrings);
+        buffer = buffer.slice(end + '</row>'.length);
+        end = buffer.indexOf('</row>');
+      }
+    }
+  }
+
+  return { sheet: sheet.name, rows: rows() };
+};
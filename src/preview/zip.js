@@ -0,0 +1,70 @@
+import { countBytes } from './streams';
+import { PreviewError } from './errors';
+
+// Reads zip archives (.xlsx workbooks, analysis spec bundles) without loading
+// them whole: the central directory at the end of the file says where each
+// entry is, so only the entries asked for are sliced out and inflated.
+// Problems are PreviewErrors.
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const readBytes = async (file, start, end) => new DataView(await file.slice(start, end).arrayBuffer());
+
+const decoder = new TextDecoder();
+
+const nameAt = (view, offset, length) => decoder.decode(new Uint8Array(view.buffer, view.byteOffset + offset, length));
+
+// name -> { method, compressedSize, localHeaderOffset } for every zip entry
+export const readEntries = async (file) => {
+  // The end record is 22 bytes plus a comment of up to 64KB
+  const tailStart = Math.max(0, file.size - 22 - 0xffff);
+  const tail = await readBytes(file, tailStart, file.size);
+  let end = -1;
+  for (let offset = tail.byteLength - 22; offset >= 0; offset -= 1) {
+    if (tail.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) {
+      end = offset;
+      break;
+    }
+  }
+  if (end === -1) throw new PreviewError('notZip', {}, 'No zip directory found');
+
+  const count = tail.getUint16(end + 10, true);
+  const size = tail.getUint32(end + 12, true);
+  const start = tail.getUint32(end + 16, true);
+  const directory = await readBytes(file, start, start + size);
+
+  const entries = new Map();
+  let offset = 0;
+  for (let index = 0; index < count; index += 1) {
+    if (directory.getUint32(offset, true) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new PreviewError('damagedZip', {}, 'Bad zip directory entry');
+    }
+    const nameLength = directory.getUint16(offset + 28, true);
+    const extraLength = directory.getUint16(offset + 30, true);
+    const commentLength = directory.getUint16(offset + 32, true);
+    entries.set(nameAt(directory, offset + 46, nameLength), {
+      method: directory.getUint16(offset + 10, true),
+      compressedSize: directory.getUint32(offset + 20, true),
+      localHeaderOffset: directory.getUint32(offset + 42, true),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+// Decompressed bytes of one zip entry as a stream. `onBytes` gets the number
+// of compressed bytes read so far.
+export const entryStream = async (file, entry, { onBytes } = {}) => {
+  const header = await readBytes(file, entry.localHeaderOffset, entry.localHeaderOffset + 30);
+  if (header.getUint32(0, true) !== LOCAL_FILE_HEADER) {
+    throw new PreviewError('damagedZip', {}, 'Bad zip entry header');
+  }
+  const dataStart = entry.localHeaderOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+  let raw = file.slice(dataStart, dataStart + entry.compressedSize).stream();
+  if (onBytes) raw = raw.pipeThrough(countBytes(onBytes));
+  if (entry.method === 0) return raw;
+  if (entry.method === 8) return raw.pipeThrough(new DecompressionStream('deflate-raw'));
+  throw new PreviewError('unsupportedCompression', { method: entry.method }, `Unsupported compression method ${entry.method}`);
+};
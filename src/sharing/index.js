@@ -0,0 +1,45 @@
+import * as yup from 'yup';
+import { t } from '../i18n';
+
+// Roles on a shared analysis, least to most. The server sends the signed-in
+// user's role with every analysis as `role` and enforces the same table
+// (mock/access.js), so the UI only offers what would be allowed:
+//
+//   viewer  read it with its results and comments, and comment
+//   editor  also change its name and description
+//   owner   also choose who it is shared with, and how
+export const ROLES = ['viewer', 'editor', 'owner'];
+
+const REQUIRED_ROLE = {
+  view: 'viewer',
+  comment: 'viewer',
+  edit: 'editor',
+  share: 'owner',
+};
+
+// Whether `role` allows `action` (view, comment, edit or share)
+export const can = (role, action) => ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(REQUIRED_ROLE[action]);
+
+export const roleLabel = (role) => t(`sharing.roles.${role}`);
+
+// Emails are compared without regard to case or stray spaces: the server
+// keeps them lowercased, but an identity provider may not
+export const emailKey = (email = '') => email.trim().toLowerCase();
+
+// The people an analysis is shared with: [{ email, role }], each email once
+export const collaboratorsRules = yup.array().of(yup.object({
+  email: yup.string().trim().required().email(),
+  role: yup.string().oneOf(ROLES).required(),
+})).test('unique', (people, { createError }) => {
+  const seen = new Set();
+  const repeated = (people || []).find(({ email = '' }) => {
+    const key = emailKey(email);
+    if (seen.has(key)) return true;
+    seen.add(key);
+    return false;
+  });
+  return !repeated || createError({ message: t('sharing.duplicate', { email: repeated.email.trim() }) });
+});
+
+// Whether `analysis` was shared with the signed-in user by someone else
+export const isSharedWithMe = (analysis, user) => Boolean(analysis.owner && user && emailKey(analysis.owner.email) !== emailKey(user.email));
@@ -0,0 +1,27 @@
+import { describe, expect, it } from 'vitest';
+import { can, collaboratorsRules, isSharedWithMe } from '.';
+
+describe('sharing', () => {
+  it('lets each role do what the roles below it can, and more', () => {
+    expect(can('viewer', 'comment')).toBe(true);
+    expect(can('viewer', 'edit')).toBe(false);
+    expect(can('editor', 'edit')).toBe(true);
+    expect(can('editor', 'share')).toBe(false);
+    expect(can('owner', 'share')).toBe(true);
+    expect(can(undefined, 'view')).toBe(false);
+  });
+
+  it('takes each person once, however their email is written', async () => {
+    const people = [{ email: 'grace@example.com', role: 'viewer' }, { email: 'alan@example.com', role: 'editor' }];
+    await expect(collaboratorsRules.validate(people)).resolves.toEqual(people);
+
+    await expect(collaboratorsRules.validate([...people, { email: ' Grace@Example.com ', role: 'owner' }]))
+      .rejects.toThrow('Grace@Example.com is on the list more than once');
+  });
+
+  it('knows an analysis is the user\'s own whatever case their email comes in', () => {
+    const analysis = { owner: { name: 'Ada Lovelace', email: 'ada@example.com' } };
+    expect(isSharedWithMe(analysis, { email: 'Ada@Example.com' })).toBe(false);
+    expect(isSharedWithMe(analysis, { email: 'grace@example.com' })).toBe(true);
+  });
+});
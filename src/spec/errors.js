@@ -0,0 +1,12 @@
+import { t } from '../i18n';
+
+// A spec file that can't be imported. `code` picks the `spec.errors.<code>`
+// message, filled in with `params`.
+export class SpecError extends Error {
+  constructor(code, params = {}) {
+    super(t(`spec.errors.${code}`, params));
+    this.name = 'SpecError';
+    this.code = code;
+    this.params = params;
+  }
+}
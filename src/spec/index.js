@@ -0,0 +1,209 @@
+import YAML from 'yaml';
+import { answersFrom, collectAnswers } from '../wizard/engine';
+import { readEntries } from '../preview/zip';
+import { PreviewError } from '../preview/errors';
+import { checksumFile } from '../preview';
+import { saveBlob } from '../utils/download';
+import { extensionOf } from '../utils/files';
+import { createZip, zipEntryBlob } from './zip';
+import { SpecError } from './errors';
+
+export { SpecError };
+
+// Portable analysis requests: the answers to a wizard, and references to the
+// files that went with them, in a file that can be kept under version control
+// and imported again. A spec reads
+//
+//   kind: AnalysisRequest
+//   specVersion: 1
+//   wizard: analysis                  # the definition's id
+//   exportedAt: 2024-05-01T10:00:00.000Z
+//   answers:                          # only fields the definition knows
+//     projectName: Churn drivers
+//     analysisDescription: ...
+//   files:
+//     - { name: orders.csv, size: 1234, type: text/csv, sha256: 9f86d0... }
+//
+// as JSON or YAML. A zip bundle holds spec.yaml plus the files themselves,
+// each at the `path` its reference gives. Who an analysis is shared with is
+// left out, as when duplicating one: the spec describes the request.
+
+export const SPEC_KIND = 'AnalysisRequest';
+export const SPEC_VERSION = 1;
+export const SPEC_FORMATS = ['yaml', 'json', 'zip'];
+
+// For file pickers
+export const SPEC_FILE_TYPES = '.yaml,.yml,.json,.zip';
+
+const BUNDLE_SPEC = 'spec.yaml';
+const BUNDLE_SPECS = [BUNDLE_SPEC, 'spec.yml', 'spec.json'];
+
+// JSON files bigger than this are taken to be data, without looking inside
+const MAX_SPEC_SIZE = 1024 * 1024;
+
+const MEDIA_TYPES = { json: 'application/json', yaml: 'application/yaml' };
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const fileRef = ({ name, size, type, sha256 }) => ({
+  name,
+  size,
+  ...(type && { type }),
+  ...(sha256 && { sha256 }),
+});
+
+const specOf = (definition, record, files) => ({
+  kind: SPEC_KIND,
+  specVersion: SPEC_VERSION,
+  wizard: definition.id,
+  exportedAt: new Date().toISOString(),
+  answers: answersFrom(definition, record),
+  files,
+});
+
+// The spec for answers in the wizard and the files attached to them
+export const specFromAnswers = async (definition, answers, files = []) => specOf(
+  definition,
+  collectAnswers(definition, answers),
+  await Promise.all(files.map(async file => fileRef({
+    name: file.name,
+    size: file.size,
+    type: file.type,
+    sha256: await checksumFile(file),
+  })))
+);
+
+// The spec for a submitted analysis. Its files are only referenced, with the
+// checksum their upload carried, if it had one.
+export const specFromAnalysis = (definition, analysis) => specOf(definition, analysis, (analysis.files || []).map(fileRef));
+
+export const serializeSpec = (spec, format) => (
+  format === 'yaml' ? YAML.stringify(spec) : `${JSON.stringify(spec, null, 2)}\n`
+);
+
+// "Churn drivers" -> "churn-drivers"
+const slugOf = (text = '') => text.toLowerCase().normalize('NFKD').replace(/\p{M}/gu, '')
+  .replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+
+export const specFileName = (spec, format) => `${slugOf(spec.answers.projectName) || 'analysis'}.spec.${format}`;
+
+// Where each file goes in a bundle; a second file with the same name gets a
+// folder of its own
+const bundlePaths = (files) => {
+  const taken = new Set();
+  return files.map(({ name }, index) => {
+    const path = taken.has(name) ? `files/${index + 1}/${name}` : `files/${name}`;
+    taken.add(name);
+    return path;
+  });
+};
+
+// Download `spec` as `format` (yaml, json or zip). A zip bundle takes the
+// `files` the spec's references were made from, in the same order.
+export const saveSpec = async (spec, format, files = []) => {
+  if (format !== 'zip') {
+    saveBlob(new Blob([serializeSpec(spec, format)], { type: MEDIA_TYPES[format] }), specFileName(spec, format));
+    return;
+  }
+  const paths = bundlePaths(files);
+  const bundled = { ...spec, files: spec.files.map((ref, index) => ({ ...ref, path: paths[index] })) };
+  const zip = await createZip([
+    { name: BUNDLE_SPEC, data: serializeSpec(bundled, 'yaml') },
+    ...files.map((file, index) => ({ name: paths[index], data: file })),
+  ]);
+  saveBlob(zip, specFileName(spec, format));
+};
+
+const textOf = async (blob) => new TextDecoder().decode(await blob.arrayBuffer());
+
+const isFileRef = (ref) => isPlainObject(ref) && typeof ref.name === 'string' && ref.name.trim() !== ''
+  && (ref.sha256 === undefined || /^[0-9a-f]{64}$/i.test(ref.sha256))
+  && (ref.path === undefined || typeof ref.path === 'string');
+
+// The spec in `text` (JSON or YAML), after checking it is one this app can
+// read. `name` is the file it came from, for messages. What the answers say
+// is left to the wizard's own rules.
+export const parseSpec = (text, name) => {
+  let spec;
+  try {
+    spec = YAML.parse(text);
+  } catch (error) {
+    throw new SpecError('unreadable', { name, detail: error.message });
+  }
+  if (!isPlainObject(spec) || spec.kind !== SPEC_KIND || !Number.isInteger(spec.specVersion) || spec.specVersion < 1) {
+    throw new SpecError('notSpec', { name });
+  }
+  if (spec.specVersion > SPEC_VERSION) {
+    throw new SpecError('newerVersion', { name, version: spec.specVersion, supported: SPEC_VERSION });
+  }
+  const { clarifications } = spec.answers || {};
+  if (!isPlainObject(spec.answers)
+    || (clarifications !== undefined && !(isPlainObject(clarifications) && Object.values(clarifications).every(answer => typeof answer === 'string')))) {
+    throw new SpecError('badAnswers', { name });
+  }
+  if (spec.files !== undefined && !(Array.isArray(spec.files) && spec.files.every(isFileRef))) {
+    throw new SpecError('badFiles', { name });
+  }
+  return { ...spec, files: spec.files || [] };
+};
+
+// Whether a picked or dropped file is a spec rather than data: YAML and zip
+// files always are, JSON files when they say so
+export const isSpecFile = async (file) => {
+  const extension = extensionOf(file.name);
+  if (['yaml', 'yml', 'zip'].includes(extension)) return true;
+  if (extension !== 'json' || file.size > MAX_SPEC_SIZE) return false;
+  try {
+    return JSON.parse(await textOf(file))?.kind === SPEC_KIND;
+  } catch {
+    return false;
+  }
+};
+
+// The spec in a zip bundle and the files that came with it, each checked
+// against its checksum
+const readBundle = async (bundle) => {
+  let entries;
+  try {
+    entries = await readEntries(bundle);
+  } catch (error) {
+    if (error instanceof PreviewError) throw new SpecError('notBundle', { name: bundle.name });
+    throw error;
+  }
+  const specEntry = BUNDLE_SPECS.find(name => entries.has(name));
+  if (!specEntry) throw new SpecError('noSpecInBundle', { name: bundle.name });
+  const spec = parseSpec(await textOf(await zipEntryBlob(bundle, entries.get(specEntry))), bundle.name);
+
+  const files = [];
+  for (const ref of spec.files) {
+    const entry = ref.path && entries.get(ref.path);
+    if (entry) {
+      const file = new File([await zipEntryBlob(bundle, entry)], ref.name, { type: ref.type || '' });
+      if (ref.sha256 && (await checksumFile(file)) !== ref.sha256.toLowerCase()) {
+        throw new SpecError('checksumMismatch', { name: bundle.name, file: ref.name });
+      }
+      files.push(file);
+    }
+  }
+  return { spec, files };
+};
+
+// Read a spec file (JSON, YAML or a zip bundle) for `definition`. Resolves
+// with { spec, answers, files, missing }: the answers to fill the wizard
+// with, the files a bundle carried, and the references to files it didn't
+// (all of them, for a plain spec). Rejects with SpecError.
+export const readSpecFile = async (definition, file) => {
+  const { spec, files } = extensionOf(file.name) === 'zip'
+    ? await readBundle(file)
+    : { spec: parseSpec(await textOf(file), file.name), files: [] };
+  if (spec.wizard !== undefined && spec.wizard !== definition.id) {
+    throw new SpecError('otherWizard', { name: file.name, wizard: spec.wizard });
+  }
+  const bundled = new Set(files.map(({ name }) => name));
+  return {
+    spec,
+    answers: answersFrom(definition, spec.answers),
+    files,
+    missing: spec.files.filter(({ name }) => !bundled.has(name)),
+  };
+};
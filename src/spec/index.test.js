@@ -0,0 +1,140 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+  SpecError,
+  isSpecFile,
+  readSpecFile,
+  saveSpec,
+  serializeSpec,
+  specFromAnalysis,
+  specFromAnswers,
+} from '.';
+import { createZip } from './zip';
+import { saveBlob } from '../utils/download';
+import { knownChecksum } from '../utils/checksum';
+import { analysisWizard } from '../wizard/analysisWizard';
+
+vi.mock('../utils/download', () => ({ saveBlob: vi.fn() }));
+
+const NOTES = 'Churn went up after the price change.\n';
+const NOTES_SHA256 = 'ae6a9cf1056e6135c80bdc6fb59a154f185c1a500086edf265ca0944256e07d0';
+
+const ANSWERS = {
+  projectName: 'Churn drivers',
+  analysisDescription: 'Find out why monthly churn rate went up in Q1 2024 using the CRM export',
+  collaborators: [{ email: 'grace@example.com', role: 'editor' }],
+};
+
+const notes = () => new File([NOTES], 'notes.txt', { type: 'text/plain' });
+
+const specFile = (text, name = 'churn-drivers.spec.yaml') => new File([text], name);
+
+// The spec `saveSpec` last handed to the browser, as a File
+const saved = () => {
+  const [blob, name] = saveBlob.mock.lastCall;
+  return new File([blob], name);
+};
+
+const rejection = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected a rejection');
+};
+
+afterEach(() => saveBlob.mockClear());
+
+describe('analysis request specs', () => {
+  it('round-trip the answers as YAML and JSON, referencing files by checksum', async () => {
+    const spec = await specFromAnswers(analysisWizard, ANSWERS, [notes()]);
+    expect(spec).toMatchObject({
+      kind: 'AnalysisRequest',
+      specVersion: 1,
+      wizard: 'analysis',
+      answers: { projectName: 'Churn drivers', analysisDescription: ANSWERS.analysisDescription },
+      files: [{ name: 'notes.txt', size: NOTES.length, type: 'text/plain', sha256: NOTES_SHA256 }],
+    });
+    // Who it is shared with isn't part of the request
+    expect(spec.answers).not.toHaveProperty('collaborators');
+
+    for (const format of ['yaml', 'json']) {
+      await saveSpec(spec, format);
+      const file = saved();
+      expect(file.name).toBe(`churn-drivers.spec.${format}`);
+      const read = await readSpecFile(analysisWizard, file);
+      expect(read.answers).toEqual(spec.answers);
+      expect(read.files).toEqual([]);
+      expect(read.missing).toEqual(spec.files);
+    }
+  });
+
+  it('carry their files in a zip bundle', async () => {
+    const spec = await specFromAnswers(analysisWizard, ANSWERS, [notes()]);
+    await saveSpec(spec, 'zip', [notes()]);
+
+    const read = await readSpecFile(analysisWizard, saved());
+    expect(read.answers).toEqual(spec.answers);
+    expect(read.missing).toEqual([]);
+    expect(read.files).toHaveLength(1);
+    expect(read.files[0].name).toBe('notes.txt');
+    expect(new TextDecoder().decode(await read.files[0].arrayBuffer())).toBe(NOTES);
+    // Checked once on import, so its upload can send the checksum without hashing again
+    expect(knownChecksum(read.files[0])).toBe(NOTES_SHA256);
+  });
+
+  it('turn down a bundled file that doesn\'t match its checksum', async () => {
+    const spec = await specFromAnswers(analysisWizard, ANSWERS, [notes()]);
+    const bundle = await createZip([
+      { name: 'spec.yaml', data: serializeSpec({ ...spec, files: [{ ...spec.files[0], path: 'files/notes.txt' }] }, 'yaml') },
+      { name: 'files/notes.txt', data: 'Something else entirely\n' },
+    ]);
+
+    const error = await rejection(readSpecFile(analysisWizard, new File([bundle], 'churn.spec.zip')));
+    expect(error).toBeInstanceOf(SpecError);
+    expect(error.message).toBe('notes.txt in churn.spec.zip does not match its checksum');
+  });
+
+  it('reference a submitted analysis\'s files with the checksums taken on upload', () => {
+    const spec = specFromAnalysis(analysisWizard, {
+      id: 'analysis-1',
+      ...ANSWERS,
+      clarifications: { timeframe: 'Q1 2024' },
+      files: [{ name: 'notes.txt', size: 38, type: 'text/plain', sha256: NOTES_SHA256, schema: { rowCount: 1 } }],
+      status: 'completed',
+    });
+    expect(spec.answers).toEqual({
+      projectName: 'Churn drivers',
+      analysisDescription: ANSWERS.analysisDescription,
+      clarifications: { timeframe: 'Q1 2024' },
+    });
+    expect(spec.files).toEqual([{ name: 'notes.txt', size: 38, type: 'text/plain', sha256: NOTES_SHA256 }]);
+  });
+
+  it('say what is wrong with a file that can\'t be imported', async () => {
+    const cases = [
+      ['answers: [unclosed', /^churn-drivers\.spec\.yaml could not be read: /],
+      ['kind: Something\nspecVersion: 1\nanswers: {}', 'churn-drivers.spec.yaml is not an analysis request spec'],
+      ['kind: AnalysisRequest\nspecVersion: 2\nanswers: {}', 'churn-drivers.spec.yaml uses spec version 2, but this app reads up to version 1'],
+      ['kind: AnalysisRequest\nspecVersion: 1\nwizard: survey\nanswers: {}', 'churn-drivers.spec.yaml is a spec for “survey”, not for this form'],
+      ['kind: AnalysisRequest\nspecVersion: 1\nanswers: [a, b]', 'The answers in churn-drivers.spec.yaml must be a set of named values'],
+      ['kind: AnalysisRequest\nspecVersion: 1\nanswers: {}\nfiles: [{ name: a.csv, sha256: abc }]', 'Every file in churn-drivers.spec.yaml needs a name, and any checksum must be a SHA-256'],
+    ];
+    for (const [text, message] of cases) {
+      const error = await rejection(readSpecFile(analysisWizard, specFile(text)));
+      expect(error).toBeInstanceOf(SpecError);
+      expect(error.message).toMatch(message);
+    }
+
+    const notABundle = await rejection(readSpecFile(analysisWizard, specFile('not a zip', 'churn.zip')));
+    expect(notABundle.message).toBe('churn.zip is not a zip bundle that can be read');
+  });
+
+  it('are told apart from data files', async () => {
+    const spec = await specFromAnswers(analysisWizard, ANSWERS);
+    expect(await isSpecFile(specFile(serializeSpec(spec, 'json'), 'churn.json'))).toBe(true);
+    expect(await isSpecFile(specFile('{"kind": "Order", "total": 3}', 'order.json'))).toBe(false);
+    expect(await isSpecFile(specFile('kind: AnalysisRequest', 'churn.yml'))).toBe(true);
+    expect(await isSpecFile(notes())).toBe(false);
+  });
+});
@@ -0,0 +1,95 @@
+import { entryStream } from '../preview/zip';
+import { chunksOf } from '../preview/streams';
+
+// Writes the zip bundles specs travel in. Entries are stored rather than
+// deflated: the attachments are mostly data files the browser can't compress
+// on its own without a library, and a stored zip opens everywhere. Reading
+// goes through the preview's zip reader, which handles both.
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const VERSION = 20;
+// Names are UTF-8
+const FLAGS = 0x0800;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit += 1) crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  return crc >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let index = 0; index < bytes.length; index += 1) crc = CRC_TABLE[(crc ^ bytes[index]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS time and date, as zip headers keep them (local time, 2 second steps)
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+const encoder = new TextEncoder();
+
+// A zip of `entries` ([{ name, data }], data a Blob or string), as a Blob
+export const createZip = async (entries, { modified = new Date() } = {}) => {
+  const { time, date } = dosDateTime(modified);
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const { name, data } of entries) {
+    const nameBytes = encoder.encode(name);
+    const bytes = typeof data === 'string' ? encoder.encode(data) : new Uint8Array(await data.arrayBuffer());
+    const crc = crc32(bytes);
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, LOCAL_FILE_HEADER, true);
+    header.setUint16(4, VERSION, true);
+    header.setUint16(6, FLAGS, true);
+    header.setUint16(8, 0, true);
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, bytes.length, true);
+    header.setUint32(22, bytes.length, true);
+    header.setUint16(26, nameBytes.length, true);
+    parts.push(header, nameBytes, bytes);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, CENTRAL_DIRECTORY_ENTRY, true);
+    entry.setUint16(4, VERSION, true);
+    entry.setUint16(6, VERSION, true);
+    entry.setUint16(8, FLAGS, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, bytes.length, true);
+    entry.setUint32(24, bytes.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true);
+    directory.push(entry, nameBytes);
+
+    offset += 30 + nameBytes.length + bytes.length;
+  }
+
+  const directorySize = directory.reduce((size, part) => size + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+};
+
+// The contents of one entry (from readEntries in ../preview/zip), as a Blob
+export const zipEntryBlob = async (file, entry) => {
+  const chunks = [];
+  for await (const chunk of chunksOf(await entryStream(file, entry))) chunks.push(chunk);
+  return new Blob(chunks);
+};
@@ -0,0 +1,15 @@
+import axe from 'axe-core';
+
+// jsdom doesn't lay anything out, so contrast can't be measured here, and a
+// component rendered on its own isn't expected to sit inside page landmarks
+const RULES = {
+  'color-contrast': { enabled: false },
+  region: { enabled: false },
+};
+
+// The accessibility violations axe finds in `container`, as
+// "rule-id: description" lines so a failing assertion says what broke
+export const axeViolations = async (container) => {
+  const { violations } = await axe.run(container, { rules: RULES });
+  return violations.map(({ id, help, nodes }) => `${id}: ${help} (${nodes.map(node => node.target.join(' ')).join(', ')})`);
+};
@@ -0,0 +1,204 @@
+import { http, HttpResponse } from 'msw';
+
+// Default answers for every endpoint the app calls, shaped like the dev mock
+// API in /mock but kept in memory and without delays. Tests swap in other
+// answers for a single case with server.use().
+export const apiPath = (path) => `*/api${path}`;
+
+const CHUNK_SIZE = 512 * 1024;
+
+let analyses = new Map();
+let uploads = new Map();
+let idempotencyKeys = new Map();
+let tokens = new Map();
+let comments = [];
+let notifications = [];
+let nextId = 1;
+
+export const resetApi = () => {
+  analyses = new Map();
+  uploads = new Map();
+  idempotencyKeys = new Map();
+  tokens = new Map();
+  comments = [];
+  notifications = [];
+  nextId = 1;
+};
+
+// Put an analysis (with the caller's `role` on it) or a notification in
+// place before a test
+export const addAnalysis = (analysis) => analyses.set(analysis.id, analysis);
+
+export const addNotification = (notification) => notifications.unshift({ read: false, ...notification });
+
+// An OAuth token response for `user`, as the stand-in identity provider
+// issues them
+const issueTokens = (user) => {
+  const id = nextId++;
+  tokens.set(`access-${id}`, user);
+  tokens.set(`refresh-${id}`, user);
+  return { access_token: `access-${id}`, token_type: 'Bearer', expires_in: 3600, refresh_token: `refresh-${id}` };
+};
+
+const userFor = ({ name, email }) => ({ sub: `user-${email}`, name, email });
+
+// A finished job as GET /analyses/:id returns it
+export const completedAnalysis = (analysis) => ({
+  ...analysis,
+  status: 'completed',
+  events: [
+    ...analysis.events,
+    { status: 'running', at: analysis.createdAt, message: 'Analysis started' },
+    { status: 'completed', at: analysis.createdAt, message: 'Analysis completed' },
+  ],
+  results: { summary: 'Everything checks out.', tables: [], artifacts: [] },
+});
+
+const toSession = ({ id, name, size, type, offset }) => ({
+  id,
+  name,
+  size,
+  type,
+  offset,
+  chunkSize: CHUNK_SIZE,
+  complete: offset >= size,
+});
+
+const notFound = (what) => HttpResponse.json({ message: `${what} not found` }, { status: 404 });
+
+export const handlers = [
+  http.post(apiPath('/auth/local/login'), async ({ request }) => {
+    const { name, email } = await request.json();
+    return HttpResponse.json(issueTokens(userFor({ name, email })));
+  }),
+
+  // Refresh tokens work once, like the stand-in's
+  http.post(apiPath('/auth/token'), async ({ request }) => {
+    const form = new URLSearchParams(await request.text());
+    const user = form.get('grant_type') === 'refresh_token' && tokens.get(form.get('refresh_token'));
+    if (!user) return HttpResponse.json({ error: 'invalid_grant' }, { status: 400 });
+    tokens.delete(form.get('refresh_token'));
+    return HttpResponse.json(issueTokens(user));
+  }),
+
+  http.get(apiPath('/auth/userinfo'), ({ request }) => {
+    const user = tokens.get(request.headers.get('Authorization')?.replace(/^Bearer /, ''));
+    return user ? HttpResponse.json(user) : HttpResponse.json({ error: 'invalid_token' }, { status: 401 });
+  }),
+
+  http.post(apiPath('/auth/revoke'), async ({ request }) => {
+    tokens.delete(new URLSearchParams(await request.text()).get('token'));
+    return HttpResponse.json({});
+  }),
+
+  http.get(apiPath('/analyses'), () => {
+    const items = [...analyses.values()];
+    return HttpResponse.json({ items, total: items.length });
+  }),
+
+  http.post(apiPath('/analyses'), async ({ request }) => {
+    const key = request.headers.get('Idempotency-Key');
+    if (idempotencyKeys.has(key)) {
+      return HttpResponse.json(analyses.get(idempotencyKeys.get(key)), { headers: { 'Idempotent-Replayed': 'true' } });
+    }
+    const form = await request.formData();
+    const createdAt = new Date().toISOString();
+    const analysis = {
+      id: `analysis-${nextId++}`,
+      projectName: form.get('projectName'),
+      analysisDescription: form.get('analysisDescription'),
+      files: form.getAll('uploadIds').map(id => uploads.get(id)).filter(Boolean)
+        .map(({ name, type, size, sha256 }) => ({ name, type, size, sha256 })),
+      collaborators: form.getAll('collaborators').map(text => JSON.parse(text)),
+      role: 'owner',
+      status: 'queued',
+      createdAt,
+      updatedAt: createdAt,
+      events: [{ status: 'queued', at: createdAt, message: 'Analysis queued' }],
+    };
+    analyses.set(analysis.id, analysis);
+    if (key) idempotencyKeys.set(key, analysis.id);
+    return HttpResponse.json(analysis, { status: 201 });
+  }),
+
+  http.get(apiPath('/analyses/:id'), ({ params }) => (
+    analyses.has(params.id) ? HttpResponse.json(analyses.get(params.id)) : notFound('Analysis')
+  )),
+
+  http.post(apiPath('/analyses/:id/events/tickets'), ({ params }) => (
+    analyses.has(params.id)
+      ? HttpResponse.json({ ticket: `ticket-${nextId++}`, expires_in: 30 }, { status: 201 })
+      : notFound('Analysis')
+  )),
+
+  http.patch(apiPath('/analyses/:id'), async ({ request, params }) => {
+    if (!analyses.has(params.id)) return notFound('Analysis');
+    analyses.set(params.id, { ...analyses.get(params.id), ...(await request.json()) });
+    return HttpResponse.json(analyses.get(params.id));
+  }),
+
+  http.put(apiPath('/analyses/:id/collaborators'), async ({ request, params }) => {
+    if (!analyses.has(params.id)) return notFound('Analysis');
+    const { collaborators } = await request.json();
+    // Like the server, keep the names of people already on the list
+    const known = new Map((analyses.get(params.id).collaborators || []).map(person => [person.email, person.name]));
+    analyses.set(params.id, {
+      ...analyses.get(params.id),
+      collaborators: collaborators.map(person => ({ ...person, name: known.get(person.email) })),
+    });
+    return HttpResponse.json(analyses.get(params.id));
+  }),
+
+  http.get(apiPath('/analyses/:id/comments'), ({ params }) => (
+    HttpResponse.json({ items: comments.filter(({ analysisId }) => analysisId === params.id) })
+  )),
+
+  http.post(apiPath('/analyses/:id/comments'), async ({ request, params }) => {
+    const { body, parentId } = await request.json();
+    const comment = {
+      id: `comment-${nextId++}`,
+      analysisId: params.id,
+      parentId,
+      author: { name: 'Ada Lovelace', email: 'ada@example.com' },
+      body,
+      mentions: [...body.matchAll(/@([^\s@]+@[^\s@]+)/g)].map(([, email]) => email),
+      createdAt: new Date().toISOString(),
+    };
+    comments.push(comment);
+    return HttpResponse.json(comment, { status: 201 });
+  }),
+
+  http.get(apiPath('/notifications'), () => (
+    HttpResponse.json({ items: notifications, unread: notifications.filter(({ read }) => !read).length })
+  )),
+
+  http.post(apiPath('/notifications/read'), async ({ request }) => {
+    const { ids } = await request.json();
+    notifications = notifications.map(item => (!ids || ids.includes(item.id) ? { ...item, read: true } : item));
+    return HttpResponse.json({ unread: notifications.filter(({ read }) => !read).length });
+  }),
+
+  http.post(apiPath('/uploads'), async ({ request }) => {
+    const { name, size, type, sha256 } = await request.json();
+    const upload = { id: `upload-${nextId++}`, name, size, type: type || 'application/octet-stream', sha256, offset: 0 };
+    uploads.set(upload.id, upload);
+    return HttpResponse.json(toSession(upload), { status: 201 });
+  }),
+
+  http.get(apiPath('/uploads/:id'), ({ params }) => (
+    uploads.has(params.id) ? HttpResponse.json(toSession(uploads.get(params.id))) : notFound('Upload')
+  )),
+
+  http.put(apiPath('/uploads/:id/chunks'), async ({ request, params }) => {
+    const upload = uploads.get(params.id);
+    if (!upload) return notFound('Upload');
+    const chunk = await request.arrayBuffer();
+    upload.offset = Math.min(upload.size, upload.offset + chunk.byteLength);
+    return HttpResponse.json(toSession(upload));
+  }),
+
+  http.delete(apiPath('/uploads/:id'), ({ params }) => {
+    uploads.delete(params.id);
+    return new HttpResponse(null, { status: 204 });
+  }),
+];
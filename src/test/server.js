@@ -0,0 +1,5 @@
+import { setupServer } from 'msw/node';
+import { handlers } from './handlers';
+
+// Answers the app's API calls in tests; see ./handlers.js
+export const server = setupServer(...handlers);
@@ -0,0 +1,61 @@
+import '@testing-library/jest-dom/vitest';
+import { afterAll, afterEach, beforeAll } from 'vitest';
+import { cleanup } from '@testing-library/react';
+import { server } from './server';
+import { resetApi } from './handlers';
+import '../i18n/yup';
+
+// jsdom has no matchMedia. Report a preference for reduced motion so prompts
+// appear at once and framer-motion skips its animations.
+window.matchMedia = (query) => ({
+  matches: query.includes('prefers-reduced-motion: reduce'),
+  media: query,
+  onchange: null,
+  addEventListener: () => {},
+  removeEventListener: () => {},
+  addListener: () => {},
+  removeListener: () => {},
+  dispatchEvent: () => false,
+});
+
+// jsdom's Blob can only be read through FileReader. Add the promise and
+// stream readers that the file checks and msw (for upload bodies) rely on.
+const readBlob = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsArrayBuffer(blob);
+});
+
+if (!Blob.prototype.arrayBuffer) {
+  Blob.prototype.arrayBuffer = function arrayBuffer() {
+    return readBlob(this);
+  };
+}
+
+if (!Blob.prototype.stream) {
+  Blob.prototype.stream = function stream() {
+    const blob = this;
+    return new ReadableStream({
+      async start(controller) {
+        controller.enqueue(new Uint8Array(await readBlob(blob)));
+        controller.close();
+      },
+    });
+  };
+}
+
+// Any request without a handler fails the test instead of going out
+beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+
+afterEach(() => {
+  cleanup();
+  server.resetHandlers();
+  // Listeners a test added to watch requests go with it
+  server.events.removeAllListeners();
+  resetApi();
+  window.localStorage.clear();
+  window.sessionStorage.clear();
+});
+
+afterAll(() => server.close());
@@ -0,0 +1,140 @@
+import * as yup from 'yup';
+import { DEFAULT_LOCALE, getLocale } from '../i18n';
+import { HEX_COLOR, WHITE, mix, parseHex, primaryScale, readableOn, toChannels, toHex } from './colors';
+import defaultLogo from '../assets/logo.png';
+
+// White-label settings, read at startup from a JSON file that each
+// deployment can replace without a rebuild (public/branding.json by default,
+// or VITE_BRANDING_URL). Every key is optional:
+//
+//   {
+//     "productName": "Acme Insights",
+//     "logo": "/acme-logo.svg",
+//     "colors": {
+//       "brand": "#003366",          // header, sidebar, chat bubbles
+//       "brandContrast": "#ffffff",  // text on brand; worked out if left out
+//       "primary": "#2563eb",        // buttons, links, focus rings
+//       "primaryContrast": "#ffffff",
+//       "dark": { "brand": "#0f2740", "primary": "#60a5fa" }
+//     },
+//     "welcome": {
+//       "title": "Welcome to Acme Insights",
+//       "message": { "en": "Tell us what you need.", "es": "Cuéntanos qué necesitas." }
+//     }
+//   }
+//
+// Texts are a string or an object keyed by locale. Colours left out keep the
+// built-in theme from src/index.css; dark colours default to the light ones,
+// with the primary colour lightened so it stays readable.
+const BRANDING_URL = import.meta.env.VITE_BRANDING_URL || '/branding.json';
+
+const LOAD_TIMEOUT = 3000;
+
+export const DEFAULT_BRANDING = {
+  productName: 'P-Y25',
+  logo: defaultLogo,
+  colors: {},
+  welcome: {},
+};
+
+// Same as --color-surface in src/index.css
+const BACKGROUNDS = { light: WHITE, dark: [17, 24, 39] };
+
+const color = yup.string().matches(HEX_COLOR, '${path} must be a hex colour such as #003366');
+
+const palette = {
+  brand: color,
+  brandContrast: color,
+  primary: color,
+  primaryContrast: color,
+};
+
+const text = yup.mixed().test(
+  'localized-text',
+  '${path} must be a string or an object of strings keyed by locale',
+  value => value === undefined || typeof value === 'string'
+    || (value !== null && typeof value === 'object' && Object.values(value).every(entry => typeof entry === 'string')),
+);
+
+const brandingSchema = yup.object({
+  productName: yup.string().trim().min(1),
+  logo: yup.string().trim().min(1),
+  colors: yup.object({ ...palette, dark: yup.object(palette).default(undefined) }).default(undefined),
+  welcome: yup.object({ title: text, message: text }).default(undefined),
+});
+
+let branding = DEFAULT_BRANDING;
+
+export const getBranding = () => branding;
+
+// A branding text in the current language, falling back to English and then
+// to whichever language it has
+export const localized = (value) => {
+  if (!value || typeof value === 'string') return value;
+  return value[getLocale()] ?? value[DEFAULT_LOCALE] ?? Object.values(value)[0];
+};
+
+// CSS variable declarations for one theme's colours
+const colorVariables = ({ brand, brandContrast, primary, primaryContrast }, background) => {
+  const variables = [];
+  if (brand) {
+    const rgb = parseHex(brand);
+    const contrast = brandContrast ? parseHex(brandContrast) : readableOn(rgb);
+    variables.push(['brand', rgb], ['brand-contrast', contrast], ['brand-muted', mix(contrast, rgb, 0.2)]);
+  }
+  if (primary) {
+    const rgb = parseHex(primary);
+    Object.entries(primaryScale(rgb, background)).forEach(([shade, value]) => variables.push([`primary-${shade}`, value]));
+    variables.push(['primary-contrast', primaryContrast ? parseHex(primaryContrast) : readableOn(rgb)]);
+  }
+  return variables.map(([name, rgb]) => `--color-${name}: ${toChannels(rgb)};`).join(' ');
+};
+
+const applyColors = ({ dark = {}, ...light }) => {
+  const darkPalette = {
+    brand: dark.brand ?? light.brand,
+    brandContrast: dark.brandContrast ?? (dark.brand ? undefined : light.brandContrast),
+    primary: dark.primary ?? (light.primary && toHex(mix(parseHex(light.primary), WHITE, 0.35))),
+    primaryContrast: dark.primaryContrast,
+  };
+  let style = document.getElementById('py25-branding');
+  if (!style) {
+    style = document.createElement('style');
+    style.id = 'py25-branding';
+    document.head.appendChild(style);
+  }
+  style.textContent = [
+    `:root { ${colorVariables(light, BACKGROUNDS.light)} }`,
+    `:root[data-theme='dark'] { ${colorVariables(darkPalette, BACKGROUNDS.dark)} }`,
+  ].join('\n');
+};
+
+export const applyBranding = (config) => {
+  branding = {
+    ...DEFAULT_BRANDING,
+    ...config,
+    colors: config.colors || {},
+    welcome: config.welcome || {},
+  };
+  document.title = branding.productName;
+  applyColors(branding.colors);
+  return branding;
+};
+
+// Fetch and apply the deployment's branding. Never rejects: a missing or
+// broken file leaves the built-in branding in place (with a warning for a
+// broken one in development), so the app always starts.
+export const loadBranding = async (url = BRANDING_URL) => {
+  try {
+    const response = await fetch(url, {
+      headers: { Accept: 'application/json' },
+      signal: AbortSignal.timeout(LOAD_TIMEOUT),
+    });
+    if (response.status === 404) return applyBranding({});
+    if (!response.ok) throw new Error(`${url} answered ${response.status}`);
+    return applyBranding(await brandingSchema.validate(await response.json(), { stripUnknown: true }));
+  } catch (error) {
+    if (import.meta.env.DEV) console.warn(`[branding] Using the built-in branding: ${error.message}`);
+    return applyBranding({});
+  }
+};
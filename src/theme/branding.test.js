@@ -0,0 +1,82 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { http, HttpResponse } from 'msw';
+import { DEFAULT_BRANDING, applyBranding, getBranding, loadBranding, localized } from './branding';
+import { primaryScale, readableOn, toHex } from './colors';
+import { setLocale } from '../i18n';
+import { server } from '../test/server';
+
+const brandingStyle = () => document.getElementById('py25-branding').textContent;
+
+const serveBranding = (response) => server.use(http.get('*/branding.json', response));
+
+afterEach(() => {
+  applyBranding({});
+  setLocale('en');
+});
+
+describe('loadBranding', () => {
+  it('applies the deployment\'s name, logo, colours and welcome copy', async () => {
+    serveBranding(() => HttpResponse.json({
+      productName: 'Acme Insights',
+      logo: '/acme.svg',
+      colors: { brand: '#112233', primary: '#336699' },
+      welcome: { title: { en: 'Hello', es: 'Hola' } },
+      unknown: 'ignored',
+    }));
+
+    const branding = await loadBranding();
+
+    expect(branding).toEqual({
+      productName: 'Acme Insights',
+      logo: '/acme.svg',
+      colors: { brand: '#112233', primary: '#336699' },
+      welcome: { title: { en: 'Hello', es: 'Hola' } },
+    });
+    expect(getBranding()).toBe(branding);
+    expect(document.title).toBe('Acme Insights');
+    expect(brandingStyle()).toContain('--color-brand: 17 34 51;');
+    expect(brandingStyle()).toContain('--color-primary-600: 51 102 153;');
+    // Dark colours fall back to the light brand and a lighter primary
+    expect(brandingStyle()).toMatch(/\[data-theme='dark'\] \{ --color-brand: 17 34 51;.*--color-primary-600: 122 156 189;/);
+  });
+
+  it('keeps the built-in branding when the file is missing or invalid', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    serveBranding(() => new HttpResponse(null, { status: 404 }));
+    await expect(loadBranding()).resolves.toEqual(DEFAULT_BRANDING);
+    expect(warn).not.toHaveBeenCalled();
+
+    serveBranding(() => HttpResponse.json({ productName: 'Acme', colors: { brand: 'navy' } }));
+    await expect(loadBranding()).resolves.toEqual(DEFAULT_BRANDING);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('colors.brand must be a hex colour'));
+    warn.mockRestore();
+  });
+});
+
+describe('localized', () => {
+  it('picks the current language, then English, then whatever there is', () => {
+    const text = { en: 'Hello', es: 'Hola' };
+    expect(localized('Plain')).toBe('Plain');
+    expect(localized(text)).toBe('Hello');
+    setLocale('es');
+    expect(localized(text)).toBe('Hola');
+    setLocale('ar');
+    expect(localized(text)).toBe('Hello');
+    expect(localized({ es: 'Hola' })).toBe('Hola');
+  });
+});
+
+describe('colours', () => {
+  it('picks readable text for a background', () => {
+    expect(toHex(readableOn([0, 51, 102]))).toBe('#ffffff');
+    expect(toHex(readableOn([250, 204, 21]))).toBe('#111827');
+  });
+
+  it('tints the primary shades towards the page background', () => {
+    const scale = primaryScale([37, 99, 235], [255, 255, 255]);
+    expect(toHex(scale[600])).toBe('#2563eb');
+    expect(scale[50].every((channel, index) => channel > scale[300][index])).toBe(true);
+    expect(scale[700].every((channel, index) => channel <= scale[600][index])).toBe(true);
+  });
+});
@@ -0,0 +1,52 @@
+// Colour arithmetic for runtime branding. Colours are written as hex in the
+// branding config and handed to CSS as "r g b" channel triples, which is what
+// the Tailwind colours in tailwind.config.js expect.
+
+export const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+export const parseHex = (hex) => {
+  const digits = hex.slice(1);
+  const full = digits.length === 3 ? [...digits].map(digit => digit + digit).join('') : digits;
+  return [0, 2, 4].map(index => parseInt(full.slice(index, index + 2), 16));
+};
+
+export const toHex = (rgb) => `#${rgb.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+
+export const toChannels = (rgb) => rgb.map(Math.round).join(' ');
+
+// `amount` of the way from `from` to `to`
+export const mix = (from, to, amount) => from.map((channel, index) => channel + (to[index] - channel) * amount);
+
+const luminance = (rgb) => {
+  const [r, g, b] = rgb.map(channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+export const WHITE = [255, 255, 255];
+export const BLACK = [0, 0, 0];
+
+// Near-black or white, whichever reads better on `rgb`
+export const readableOn = (rgb, dark = [17, 24, 39]) => {
+  const background = luminance(rgb);
+  const contrast = (other) => (Math.max(background, luminance(other)) + 0.05) / (Math.min(background, luminance(other)) + 0.05);
+  return contrast(WHITE) >= contrast(dark) ? WHITE : dark;
+};
+
+// The primary shades the components use, derived from one colour. Tints are
+// mixed towards the page background so they stay subtle in either theme;
+// the hover shade moves away from it.
+export const primaryScale = (rgb, background) => {
+  const away = luminance(background) > 0.5 ? BLACK : WHITE;
+  return {
+    50: mix(rgb, background, 0.9),
+    100: mix(rgb, background, 0.8),
+    200: mix(rgb, background, 0.6),
+    300: mix(rgb, background, 0.4),
+    500: mix(rgb, background, 0.12),
+    600: rgb,
+    700: mix(rgb, away, 0.18),
+  };
+};
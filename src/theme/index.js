@@ -0,0 +1,75 @@
+import { useSyncExternalStore } from 'react';
+
+// Light and dark themes. The colours themselves are CSS variables (see
+// src/index.css and ./branding.js) that tailwind.config.js maps onto class
+// names, so components only ever say `bg-surface` or `text-gray-600`; the
+// active theme is the `data-theme` attribute on <html>.
+//
+// The user picks 'system', 'light' or 'dark'. 'system' follows the OS
+// setting, live.
+export { loadBranding, getBranding, localized } from './branding';
+
+export const THEME_PREFERENCES = ['system', 'light', 'dark'];
+
+const STORAGE_KEY = 'py25:theme';
+
+const systemQuery = window.matchMedia?.('(prefers-color-scheme: dark)');
+
+const readPreference = () => {
+  try {
+    const saved = window.localStorage.getItem(STORAGE_KEY);
+    if (THEME_PREFERENCES.includes(saved)) return saved;
+  } catch {
+    // Fall through to the system setting
+  }
+  return 'system';
+};
+
+let preference = readPreference();
+const listeners = new Set();
+
+export const getThemePreference = () => preference;
+
+// The theme actually shown: 'light' or 'dark'
+export const getTheme = () => {
+  if (preference !== 'system') return preference;
+  return systemQuery?.matches ? 'dark' : 'light';
+};
+
+const applyToDocument = () => {
+  document.documentElement.dataset.theme = getTheme();
+};
+
+applyToDocument();
+
+const notify = () => {
+  applyToDocument();
+  listeners.forEach(listener => listener());
+};
+
+systemQuery?.addEventListener?.('change', () => {
+  if (preference === 'system') notify();
+});
+
+export const setThemePreference = (next) => {
+  if (!THEME_PREFERENCES.includes(next) || next === preference) return;
+  preference = next;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, next);
+  } catch {
+    // Remembering the choice is optional
+  }
+  notify();
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Re-renders the calling component when the theme changes
+export const useTheme = () => {
+  const current = useSyncExternalStore(subscribe, getThemePreference);
+  const theme = useSyncExternalStore(subscribe, getTheme);
+  return { preference: current, theme, setPreference: setThemePreference };
+};
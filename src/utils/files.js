@@ -0,0 +1,8 @@
+// Identity used to spot the same file being picked twice
+export const fileKey = (file) => `${file.name}:${file.size}:${file.lastModified}`;
+
+// Lower-cased extension without the dot, or '' when there is none
+export const extensionOf = (name = '') => {
+  const index = name.lastIndexOf('.');
+  return index > 0 ? name.slice(index + 1).toLowerCase() : '';
+};
@@ -0,0 +1,21 @@
+import { formatNumber } from '../i18n';
+
+const UNITS = ['byte', 'kilobyte', 'megabyte', 'gigabyte', 'terabyte'];
+
+// 1536 -> "1.5 kB", in the current language
+export const formatBytes = (bytes) => {
+  const size = Number.isFinite(bytes) && bytes > 0 ? bytes : 0;
+  const exponent = size === 0 ? 0 : Math.min(Math.floor(Math.log(size) / Math.log(1024)), UNITS.length - 1);
+  const value = size / 1024 ** exponent;
+  return formatNumber(value, {
+    style: 'unit',
+    unit: UNITS[exponent],
+    maximumFractionDigits: value >= 10 || exponent === 0 ? 0 : 1,
+  });
+};
+
+// "targetMetric" -> "Target metric", for ids that have no label of their own
+export const labelFromId = (id) => {
+  const words = id.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
@@ -0,0 +1,49 @@
+// Small promise wrappers around IndexedDB, shared by the stores that keep
+// blobs in the browser (drafts, the submission outbox).
+
+export const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+// `withStore(mode, fn)` for one object store of database `name`: opens the
+// database on first use (creating it with `upgrade(db)`), runs `fn(store)`
+// inside a transaction and resolves with its result once the transaction
+// has committed. Rejects when IndexedDB is unavailable, e.g. in some private
+// windows; a later call tries again.
+export const createObjectStore = ({ name, version = 1, store: storeName, upgrade }) => {
+  let dbPromise;
+
+  const openDb = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+        const req = window.indexedDB.open(name, version);
+        req.onupgradeneeded = () => upgrade(req.result);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+      // Let a later call try again
+      dbPromise.catch(() => {
+        dbPromise = undefined;
+      });
+    }
+    return dbPromise;
+  };
+
+  return async (mode, fn) => {
+    const db = await openDb();
+    const tx = db.transaction(storeName, mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    const result = await fn(tx.objectStore(storeName));
+    await done;
+    return result;
+  };
+};
@@ -0,0 +1,132 @@
+import * as yup from 'yup';
+import { formatBytes } from '../utils/format';
+import { t } from '../i18n';
+import { extensionOf, fileKey } from '../utils/files';
+
+export { extensionOf };
+
+export const MAX_FILE_SIZE = 100 * 1024 * 1024;
+export const MAX_TOTAL_SIZE = 500 * 1024 * 1024;
+export const MAX_FILE_COUNT = 10;
+
+// Extension -> accepted MIME types and the content check for that format.
+// Browsers report an empty or generic type for plenty of legitimate files
+// (CSV on Windows in particular), so '' and octet-stream are tolerated and the
+// content sniff has the final say.
+const GENERIC_TYPES = ['', 'application/octet-stream'];
+
+const ZIP = [0x50, 0x4b, 0x03, 0x04];
+const PDF = [0x25, 0x50, 0x44, 0x46, 0x2d]; // %PDF-
+
+// Signatures we never want to see, whatever the extension says
+const EXECUTABLES = [
+  { kind: 'windows', bytes: [0x4d, 0x5a] }, // MZ
+  { kind: 'linux', bytes: [0x7f, 0x45, 0x4c, 0x46] }, // \x7fELF
+  { kind: 'macos', bytes: [0xcf, 0xfa, 0xed, 0xfe] },
+  { kind: 'macos', bytes: [0xca, 0xfe, 0xba, 0xbe] },
+  { kind: 'script', bytes: [0x23, 0x21] }, // #!
+];
+
+const startsWith = (bytes, signature) => signature.every((byte, index) => bytes[index] === byte);
+
+const looksLikeText = (bytes) => !bytes.includes(0);
+
+const firstNonWhitespace = (bytes) => {
+  // Skip a UTF-8 byte order mark
+  let index = startsWith(bytes, [0xef, 0xbb, 0xbf]) ? 3 : 0;
+  while (index < bytes.length && [0x09, 0x0a, 0x0d, 0x20].includes(bytes[index])) index += 1;
+  return String.fromCharCode(bytes[index]);
+};
+
+export const FILE_TYPES = {
+  csv: { label: 'CSV', mimes: ['text/csv', 'application/vnd.ms-excel', 'text/plain'], sniff: looksLikeText },
+  txt: { label: 'TXT', mimes: ['text/plain'], sniff: looksLikeText },
+  json: {
+    label: 'JSON',
+    mimes: ['application/json', 'text/json', 'text/plain'],
+    sniff: bytes => looksLikeText(bytes) && (bytes.length === 0 || ['{', '['].includes(firstNonWhitespace(bytes))),
+  },
+  xlsx: {
+    label: 'XLSX',
+    mimes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/zip'],
+    sniff: bytes => startsWith(bytes, ZIP),
+  },
+  pdf: { label: 'PDF', mimes: ['application/pdf'], sniff: bytes => startsWith(bytes, PDF) },
+};
+
+// For the file input's `accept` attribute
+export const ACCEPTED_FILE_TYPES = Object.entries(FILE_TYPES)
+  .flatMap(([extension, { mimes }]) => [`.${extension}`, ...mimes])
+  .filter((value, index, all) => all.indexOf(value) === index)
+  .join(',');
+
+const ALLOWED_LABELS = Object.values(FILE_TYPES).map(({ label }) => label).join(', ');
+
+const SNIFF_BYTES = 512;
+
+const readHead = async (file) => new Uint8Array(await file.slice(0, SNIFF_BYTES).arrayBuffer());
+
+export const fileSchema = yup
+  .mixed()
+  .required(() => t('files.errors.required'))
+  .test('extension', ({ value }) => t('files.errors.extension', { name: value.name, allowed: ALLOWED_LABELS }),
+    file => Boolean(FILE_TYPES[extensionOf(file.name)]))
+  .test('mime', ({ value }) => t('files.errors.mime', { name: value.name, type: value.type }), (file) => {
+    const type = FILE_TYPES[extensionOf(file.name)];
+    return !type || GENERIC_TYPES.includes(file.type) || type.mimes.includes(file.type);
+  })
+  .test('empty', ({ value }) => t('files.errors.empty', { name: value.name }), file => file.size > 0)
+  .test('size', ({ value }) => t('files.errors.size', { name: value.name, size: formatBytes(value.size), max: formatBytes(MAX_FILE_SIZE) }),
+    file => file.size <= MAX_FILE_SIZE)
+  .test('content', async function (file) {
+    const type = FILE_TYPES[extensionOf(file.name)];
+    if (!type) return true;
+    const head = await readHead(file);
+    const executable = EXECUTABLES.find(({ bytes }) => startsWith(head, bytes));
+    if (executable) {
+      return this.createError({
+        message: t(`files.errors.executable.${executable.kind}`, { name: file.name, type: type.label }),
+      });
+    }
+    if (!type.sniff(head)) {
+      return this.createError({ message: t('files.errors.content', { name: file.name, type: type.label }) });
+    }
+    return true;
+  });
+
+// Limits on the selection as a whole
+export const filesSchema = yup
+  .array()
+  .of(yup.mixed())
+  .max(MAX_FILE_COUNT, ({ max }) => t('files.errors.count', { count: max }))
+  .test('total-size', () => t('files.errors.totalSize', { max: formatBytes(MAX_TOTAL_SIZE) }),
+    files => files.reduce((sum, file) => sum + file.size, 0) <= MAX_TOTAL_SIZE);
+
+// Check a batch of new files against `fileSchema`, then add them one by one to
+// the current selection while it still satisfies `filesSchema`, so the first
+// picks win when a limit is hit. Files already in the selection are skipped.
+export const validateFiles = async (candidates, existing = []) => {
+  const accepted = [];
+  const rejected = [];
+  const seen = new Set(existing.map(fileKey));
+
+  for (const file of candidates) {
+    if (seen.has(fileKey(file))) continue;
+    try {
+      await fileSchema.validate(file);
+    } catch (error) {
+      rejected.push({ file, reason: error.message });
+      continue;
+    }
+    try {
+      await filesSchema.validate([...existing, ...accepted, file]);
+    } catch (error) {
+      rejected.push({ file, reason: t('files.errors.notAdded', { name: file.name, reason: error.message }) });
+      continue;
+    }
+    seen.add(fileKey(file));
+    accepted.push(file);
+  }
+
+  return { accepted, rejected };
+};
@@ -0,0 +1,58 @@
+import { describe, expect, it } from 'vitest';
+import { MAX_FILE_COUNT, MAX_FILE_SIZE, validateFiles } from './files';
+
+const file = (content, name, type = '') => new File([content], name, { type, lastModified: 1 });
+
+// A file that reports `size` without holding that many bytes
+const sized = (name, size) => {
+  const result = file('a,b\n1,2\n', name, 'text/csv');
+  Object.defineProperty(result, 'size', { value: size });
+  return result;
+};
+
+describe('validateFiles', () => {
+  it('accepts supported files whose content matches their extension', async () => {
+    const picks = [
+      file('id,amount\n1,20\n', 'orders.csv', 'text/csv'),
+      file('[{"id":1}]', 'orders.json', ''),
+      file('%PDF-1.7\n', 'brief.pdf', 'application/pdf'),
+      file(new Uint8Array([0x50, 0x4b, 0x03, 0x04, 0]), 'sheet.xlsx', 'application/octet-stream'),
+    ];
+    const { accepted, rejected } = await validateFiles(picks);
+    expect(rejected).toEqual([]);
+    expect(accepted).toEqual(picks);
+  });
+
+  it('explains why each rejected file was turned away', async () => {
+    const { accepted, rejected } = await validateFiles([
+      file('hello', 'script.exe'),
+      file('', 'empty.csv', 'text/csv'),
+      file('id\n1\n', 'orders.csv', 'image/png'),
+      file('name: value', 'config.json', 'application/json'),
+      file(new Uint8Array([0x4d, 0x5a, 0x90, 0]), 'report.pdf', 'application/pdf'),
+      file('#!/bin/sh\necho hi\n', 'notes.txt', 'text/plain'),
+      sized('huge.csv', MAX_FILE_SIZE * 1.5),
+    ]);
+    expect(accepted).toEqual([]);
+    expect(rejected.map(({ reason }) => reason)).toEqual([
+      'script.exe is not a supported file type. Use CSV, TXT, JSON, XLSX, PDF',
+      'empty.csv is empty',
+      'orders.csv has an unexpected type (image/png)',
+      'config.json does not look like a JSON file',
+      'report.pdf looks like a Windows executable, not a PDF file',
+      'notes.txt looks like a script, not a TXT file',
+      'huge.csv is 150 MB; files can be at most 100 MB',
+    ]);
+  });
+
+  it('skips files already picked and stops at the count limit', async () => {
+    const existing = [file('a\n1\n', 'first.csv', 'text/csv')];
+    const picks = Array.from({ length: MAX_FILE_COUNT }, (_, index) => file('a\n1\n', `extra-${index}.csv`, 'text/csv'));
+    const { accepted, rejected } = await validateFiles([existing[0], ...picks], existing);
+    expect(accepted).toEqual(picks.slice(0, MAX_FILE_COUNT - 1));
+    expect(rejected).toEqual([{
+      file: picks[MAX_FILE_COUNT - 1],
+      reason: `extra-${MAX_FILE_COUNT - 1}.csv was not added. You can attach at most ${MAX_FILE_COUNT} files`,
+    }]);
+  });
+});
@@ -0,0 +1,93 @@
+import * as yup from 'yup';
+import { descriptionAssistant } from '../assistant';
+import { collaboratorsRules } from '../sharing';
+import { t } from '../i18n';
+
+// The new-analysis intake flow. To ask something new, add a step here; see
+// ./engine.js for every option. Texts are looked up with t() when shown, so
+// add their messages to src/i18n/catalogs. For example:
+//
+//   {
+//     id: 'outputFormat',
+//     prompt: () => t('analysis.outputFormat.prompt'),
+//     badge: () => t('analysis.outputFormat.badge'),
+//     fields: [{
+//       name: 'outputFormat',
+//       type: 'select',
+//       options: [
+//         { value: 'report', label: () => t('analysis.outputFormat.report') },
+//         { value: 'csv', label: () => t('analysis.outputFormat.csv') },
+//       ],
+//       rules: yup.string().required(() => t('analysis.outputFormat.required')),
+//     }],
+//   },
+export const analysisWizard = {
+  id: 'analysis',
+  steps: [
+    {
+      id: 'projectName',
+      prompt: () => t('analysis.projectName.prompt'),
+      promptSpeed: 50,
+      badge: () => t('analysis.projectName.badge'),
+      fields: [
+        {
+          name: 'projectName',
+          type: 'text',
+          label: () => t('analysis.projectName.label'),
+          placeholder: () => t('analysis.projectName.placeholder'),
+          rules: yup.string()
+            .required(() => t('analysis.projectName.required'))
+            .min(3, ({ min }) => t('analysis.projectName.min', { min })),
+        },
+      ],
+    },
+    {
+      id: 'analysisDescription',
+      prompt: () => t('analysis.analysisDescription.prompt'),
+      badge: () => t('analysis.analysisDescription.badge'),
+      fields: [
+        {
+          name: 'analysisDescription',
+          type: 'textarea',
+          label: () => t('analysis.analysisDescription.label'),
+          placeholder: () => t('analysis.analysisDescription.placeholder'),
+          rules: yup.string()
+            .required(() => t('analysis.analysisDescription.required'))
+            .min(10, ({ min }) => t('analysis.analysisDescription.min', { min })),
+          assistant: descriptionAssistant,
+        },
+      ],
+    },
+    {
+      id: 'files',
+      prompt: () => t('analysis.files.prompt'),
+      optional: true,
+      fields: [
+        {
+          name: 'files',
+          type: 'file',
+          label: () => t('analysis.files.label'),
+        },
+      ],
+    },
+    {
+      id: 'collaborators',
+      prompt: () => t('analysis.collaborators.prompt'),
+      optional: true,
+      fields: [
+        {
+          name: 'collaborators',
+          type: 'collaborators',
+          label: () => t('analysis.collaborators.label'),
+          placeholder: () => t('analysis.collaborators.placeholder'),
+          rules: collaboratorsRules,
+        },
+      ],
+    },
+    {
+      id: 'review',
+      type: 'review',
+      prompt: () => t('analysis.review.prompt'),
+    },
+  ],
+};
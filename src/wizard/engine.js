@@ -0,0 +1,148 @@
+import * as yup from 'yup';
+
+// Pure helpers that interpret a wizard definition. See ./analysisWizard.js for
+// the format; components/wizard/Wizard.jsx renders it.
+//
+// A definition is { id, steps, toPayload? } and each step is
+//
+//   {
+//     id: 'targetMetric',
+//     prompt: 'Which metric should I focus on?',   // typed out by the assistant
+//     badge: 'Target Metric Set',                   // shown once the step is done
+//     fields: [{ name, type, label, placeholder, options, rules }],
+//     optional: true,                               // offer SKIP
+//     when: answers => answers.kind === 'trend',    // only ask when this holds
+//     next: answers => 'outputFormat',              // branch to another step id
+//   }
+//
+// Any of the display texts (prompt, badge, label, placeholder, option labels)
+// may be a function returning the string, so it can be looked up in the
+// current language when it is shown; yup messages can be functions too.
+//
+// Field types: text, textarea, select, date, file, and collaborators: the
+// people to share the analysis with, as [{ email, role }] (see src/sharing).
+// `rules` is a yup schema for the field's value. A step with `type: 'review'` lists every answer for a
+// final check instead of asking a question.
+//
+// A text or textarea field can also take an `assistant` (see src/assistant),
+// which scores the answer as it is typed and asks follow-up questions. Their
+// answers are kept under `clarifications`, keyed by question id, and sent
+// as one structured `clarifications` field.
+
+export const fieldsOf = (step) => step?.fields || [];
+
+// A display text from a definition, translated if it is a function
+export const textOf = (value) => (typeof value === 'function' ? value() : value);
+
+export const findStep = (definition, stepId) => definition.steps.find(step => step.id === stepId);
+
+export const isReviewStep = (step) => step?.type === 'review';
+
+export const isStepActive = (step, answers) => !step.when || Boolean(step.when(answers));
+
+export const activeSteps = (definition, answers) => definition.steps.filter(step => isStepActive(step, answers));
+
+export const firstStepId = (definition, answers = {}) => activeSteps(definition, answers)[0]?.id;
+
+export const reviewStepId = (definition) => definition.steps.find(isReviewStep)?.id;
+
+// The step after `stepId`: wherever its `next` points, otherwise the next
+// active step in definition order. null at the end.
+export const nextStepId = (definition, stepId, answers) => {
+  const step = findStep(definition, stepId);
+  const target = step?.next?.(answers);
+  if (target) return target;
+
+  const steps = activeSteps(definition, answers);
+  const index = steps.findIndex(({ id }) => id === stepId);
+  return steps[index + 1]?.id ?? null;
+};
+
+export const CLARIFICATIONS = 'clarifications';
+
+const hasAssistant = (steps) => steps.some(step => fieldsOf(step).some(field => field.assistant));
+
+// The follow-up answers that were actually filled in
+const givenClarifications = (answers) => Object.fromEntries(
+  Object.entries(answers[CLARIFICATIONS] || {}).filter(([, value]) => typeof value === 'string' && value.trim())
+);
+
+export const stepForField = (definition, fieldName) => (
+  definition.steps.find(step => fieldsOf(step).some(({ name }) => name === fieldName))
+);
+
+// yup object schema for the non-file fields of a step
+export const stepSchema = (step) => yup.object(Object.fromEntries(
+  fieldsOf(step)
+    .filter(field => field.type !== 'file' && field.rules)
+    .map(field => [field.name, field.rules])
+));
+
+export const isStepValid = (step, answers) => stepSchema(step).isValid(answers);
+
+const firstInvalidOf = async (steps, answers) => {
+  for (const step of steps) {
+    if (!isReviewStep(step) && !(await isStepValid(step, answers))) return step;
+  }
+  return undefined;
+};
+
+// First active question step (in definition order) whose answers don't pass
+// its rules, or undefined when everything checks out.
+export const firstInvalidStep = (definition, answers) => firstInvalidOf(activeSteps(definition, answers), answers);
+
+// Where someone arriving at `stepId` directly (e.g. from a link) should be
+// sent instead: the first earlier step still missing a valid answer. A step
+// that is switched off for these answers falls back to the first invalid or
+// first active step. undefined when `stepId` can be shown as is.
+export const firstIncompleteStep = async (definition, stepId, answers) => {
+  const steps = activeSteps(definition, answers);
+  const index = steps.findIndex(({ id }) => id === stepId);
+  if (index === -1) return (await firstInvalidOf(steps, answers)) ?? steps[0];
+  return firstInvalidOf(steps.slice(0, index), answers);
+};
+
+// The value of a field nobody has answered yet
+export const emptyAnswer = (field) => (field.type === 'collaborators' ? [] : '');
+
+// Answers for a new run of the wizard taken from an earlier record, e.g. a
+// submitted analysis being duplicated. Only fields the definition knows about
+// are copied. Files are not, and neither is who it was shared with: a copy
+// starts out private to whoever makes it.
+export const answersFrom = (definition, record) => {
+  const answers = Object.fromEntries(
+    definition.steps
+      .flatMap(fieldsOf)
+      .filter(field => !['file', 'collaborators'].includes(field.type) && record[field.name] !== undefined)
+      .map(field => [field.name, record[field.name]])
+  );
+  if (hasAssistant(definition.steps) && record[CLARIFICATIONS]) {
+    answers[CLARIFICATIONS] = { ...record[CLARIFICATIONS] };
+  }
+  return answers;
+};
+
+// The answers actually given on the active steps, without file fields and
+// with only the follow-up answers that were filled in
+export const collectAnswers = (definition, answers) => {
+  const collected = {};
+  const steps = activeSteps(definition, answers);
+  steps.forEach(step => {
+    fieldsOf(step)
+      .filter(field => field.type !== 'file')
+      .forEach(({ name }) => {
+        if (answers[name] !== undefined && answers[name] !== '') collected[name] = answers[name];
+      });
+  });
+  const clarifications = givenClarifications(answers);
+  if (hasAssistant(steps) && Object.keys(clarifications).length > 0) collected[CLARIFICATIONS] = clarifications;
+  return collected;
+};
+
+// Collect the answers of the active steps. File fields are left to the
+// caller, which knows how they were uploaded. `toPayload` on the definition
+// can reshape the result.
+export const buildPayload = (definition, answers, extras = {}) => {
+  const payload = { ...collectAnswers(definition, answers), ...extras };
+  return definition.toPayload ? definition.toPayload(payload, answers) : payload;
+};
@@ -0,0 +1,109 @@
+import { describe, expect, it } from 'vitest';
+import * as yup from 'yup';
+import {
+  answersFrom,
+  buildPayload,
+  firstIncompleteStep,
+  firstInvalidStep,
+  firstStepId,
+  isStepValid,
+  nextStepId,
+} from './engine';
+import { analysisWizard } from './analysisWizard';
+
+// A small flow with a branch, a conditional step and an assistant field
+const definition = {
+  id: 'test',
+  steps: [
+    {
+      id: 'kind',
+      fields: [{ name: 'kind', type: 'select', rules: yup.string().required() }],
+      next: answers => (answers.kind === 'quick' ? 'review' : undefined),
+    },
+    {
+      id: 'details',
+      fields: [{ name: 'details', type: 'textarea', rules: yup.string().required().min(5), assistant: {} }],
+    },
+    {
+      id: 'deadline',
+      when: answers => answers.kind === 'report',
+      fields: [{ name: 'deadline', type: 'date', rules: yup.string().required() }],
+    },
+    {
+      id: 'files',
+      optional: true,
+      fields: [{ name: 'files', type: 'file' }],
+    },
+    { id: 'review', type: 'review' },
+  ],
+};
+
+describe('step validation', () => {
+  it('checks a step against its field rules', async () => {
+    const step = analysisWizard.steps[0];
+    await expect(isStepValid(step, {})).resolves.toBe(false);
+    await expect(isStepValid(step, { projectName: 'ab' })).resolves.toBe(false);
+    await expect(isStepValid(step, { projectName: 'Churn' })).resolves.toBe(true);
+  });
+
+  it('finds the first step whose answers fail', async () => {
+    await expect(firstInvalidStep(definition, { kind: 'full' })).resolves.toMatchObject({ id: 'details' });
+    await expect(firstInvalidStep(definition, { kind: 'full', details: 'All of it' })).resolves.toBeUndefined();
+    await expect(firstInvalidStep(definition, { kind: 'report', details: 'All of it' })).resolves.toMatchObject({ id: 'deadline' });
+  });
+
+  it('sends someone arriving at a later step back to the first unanswered one', async () => {
+    await expect(firstIncompleteStep(definition, 'review', { kind: 'full' })).resolves.toMatchObject({ id: 'details' });
+    await expect(firstIncompleteStep(definition, 'files', { kind: 'full', details: 'All of it' })).resolves.toBeUndefined();
+    // A step switched off by the answers isn't shown
+    await expect(firstIncompleteStep(definition, 'deadline', { kind: 'full', details: 'All of it' })).resolves.toMatchObject({ id: 'kind' });
+  });
+});
+
+describe('moving between steps', () => {
+  it('starts at the first active step', () => {
+    expect(firstStepId(definition)).toBe('kind');
+  });
+
+  it('goes to the next active step, skipping ones that are switched off', () => {
+    expect(nextStepId(definition, 'details', { kind: 'full' })).toBe('files');
+    expect(nextStepId(definition, 'details', { kind: 'report' })).toBe('deadline');
+    expect(nextStepId(definition, 'files', {})).toBe('review');
+    expect(nextStepId(definition, 'review', {})).toBeNull();
+  });
+
+  it('follows a step\'s own branch', () => {
+    expect(nextStepId(definition, 'kind', { kind: 'quick' })).toBe('review');
+    expect(nextStepId(definition, 'kind', { kind: 'full' })).toBe('details');
+  });
+});
+
+describe('buildPayload', () => {
+  it('sends the answers of active steps only, leaving out files and blanks', () => {
+    const answers = { kind: 'full', details: 'All of it', deadline: '2024-06-01', files: ['ignored'], extra: 'nope' };
+    expect(buildPayload(definition, answers)).toEqual({ kind: 'full', details: 'All of it' });
+    expect(buildPayload(definition, { kind: 'report', details: '', deadline: '2024-06-01' })).toEqual({ kind: 'report', deadline: '2024-06-01' });
+  });
+
+  it('adds the follow-up answers that were filled in and any extras', () => {
+    const answers = { kind: 'full', details: 'All of it', clarifications: { goal: 'Find out why', timeRange: '  ' } };
+    expect(buildPayload(definition, answers, { uploadIds: ['upload-1'] })).toEqual({
+      kind: 'full',
+      details: 'All of it',
+      clarifications: { goal: 'Find out why' },
+      uploadIds: ['upload-1'],
+    });
+  });
+
+  it('lets the definition reshape the payload', () => {
+    const reshaped = { ...definition, toPayload: payload => ({ request: payload }) };
+    expect(buildPayload(reshaped, { kind: 'quick' })).toEqual({ request: { kind: 'quick' } });
+  });
+});
+
+describe('answersFrom', () => {
+  it('copies the known fields and follow-up answers of an earlier record', () => {
+    const record = { id: 'a1', status: 'completed', kind: 'full', details: 'All of it', files: [{ name: 'a.csv' }], clarifications: { goal: 'Why' } };
+    expect(answersFrom(definition, record)).toEqual({ kind: 'full', details: 'All of it', clarifications: { goal: 'Why' } });
+  });
+});
@@ -1,11 +1,41 @@
+// Colours come from CSS variables holding "r g b" channels, so one class
+// name works in both themes and under any deployment's branding. The values
+// are set in src/index.css (light and dark) and overridden at runtime by
+// src/theme/branding.js.
+const themed = (name, shades) => Object.fromEntries(
+  shades.map(shade => [shade, `rgb(var(--color-${name}-${shade}) / <alpha-value>)`])
+);
+
+const variable = (name) => `rgb(var(--color-${name}) / <alpha-value>)`;
+
 /** @type {import('tailwindcss').Config} */
 export default {
   content: [
     "./index.html",
     "./src/**/*.{js,ts,jsx,tsx}",
   ],
+  darkMode: ['selector', '[data-theme="dark"]'],
   theme: {
-    extend: {},
+    extend: {
+      colors: {
+        surface: variable('surface'),
+        gray: themed('gray', [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950]),
+        brand: {
+          DEFAULT: variable('brand'),
+          contrast: variable('brand-contrast'),
+          muted: variable('brand-muted'),
+        },
+        primary: {
+          ...themed('primary', [50, 100, 200, 300, 500, 600, 700]),
+          contrast: variable('primary-contrast'),
+        },
+        success: variable('success'),
+        // Status colours, toned for each theme
+        red: themed('red', [50, 100, 200, 400, 500, 600, 700]),
+        green: themed('green', [100, 500, 600, 800]),
+        amber: themed('amber', [600]),
+      },
+    },
   },
   plugins: [],
-}
\ No newline at end of file
+}
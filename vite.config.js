@@ -1,7 +1,29 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react-swc'
+import { mockApiPlugin } from './mock/index.js'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, process.cwd(), '')
+
+  return {
+    plugins: [
+      react(),
+      // Serves the stand-in API under /api on `vite` and `vite preview`.
+      // Set VITE_API_MOCK=false when VITE_API_BASE_URL points at a real backend.
+      // Unit tests intercept requests with msw instead (src/test/server.js).
+      mode !== 'test' && env.VITE_API_MOCK !== 'false' && mockApiPlugin({
+        latency: Number(env.MOCK_LATENCY ?? 300),
+        failureRate: Number(env.MOCK_FAILURE_RATE ?? 0),
+        requireAuth: env.MOCK_AUTH !== 'false',
+        tokenTtl: Number(env.MOCK_TOKEN_TTL ?? 3600),
+      }),
+    ],
+    // `npm test`; the end-to-end smoke test lives in e2e/ and runs on Playwright
+    test: {
+      environment: 'jsdom',
+      setupFiles: ['./src/test/setup.js'],
+      include: ['src/**/*.test.{js,jsx}'],
+    },
+  }
 })